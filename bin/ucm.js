@@ -0,0 +1,8 @@
+#!/usr/bin/env node
+/**
+ * ucm - command-line entry point (see js/cli/cli.js)
+ */
+
+import { main } from '../js/cli/cli.js';
+
+process.exitCode = main(process.argv.slice(2));
@@ -16,10 +16,16 @@ import { settingsPanel } from './ui/settings-panel.js';
 import { aiChat } from './ui/ai-chat.js';
 import { actionsPanel } from './ui/actions-panel.js';
 import { scenarioPanel } from './ui/scenario-panel.js';
+import { sequencePanel } from './ui/sequence-panel.js';
+import { performancePanel } from './ui/performance-panel.js';
+import { simulationPanel } from './ui/simulation-panel.js';
 import { fileLoader } from './core/file-loader.js';
 import { keyboard } from './ui/keyboard.js';
 import { notifications } from './ui/notifications.js';
 import { mobileNav } from './ui/mobile-nav.js';
+import { mapBreadcrumb } from './ui/map-breadcrumb.js';
+import { mapTabs } from './ui/map-tabs.js';
+import { ucmDocument } from './core/document.js';
 
 class UCMEditor {
     constructor() {
@@ -36,6 +42,7 @@ class UCMEditor {
 
         // Initialize notification system
         notifications.init();
+        graph.on('edge:rejected', ({ reason }) => notifications.warning(reason));
 
         // Initialize all modules
         canvas.init();
@@ -46,11 +53,16 @@ class UCMEditor {
         propertiesPanel.init();
         actionsPanel.init();
         scenarioPanel.init();
+        sequencePanel.init();
+        performancePanel.init();
+        simulationPanel.init();
         history.init();
         settingsPanel.init();
         aiChat.init();
         keyboard.init();
         mobileNav.init();
+        mapBreadcrumb.init();
+        mapTabs.init();
 
         // Set default tool
         selection.init();
@@ -135,6 +147,7 @@ if (document.readyState === 'loading') {
 // Expose to window for debugging and testing
 window.ucmEditor = editor;
 window.ucmGraph = graph;
+window.ucmDocument = ucmDocument;
 window.ucmCanvas = canvas;
 window.ucmSelection = selection;
 window.ucmHistory = history;
@@ -0,0 +1,464 @@
+/**
+ * UCM CLI - Headless validate / format / convert / scenarios / stats
+ *
+ *   ucm validate <file>
+ *   ucm format <file> [--write | --check]
+ *   ucm convert <file> --to ducm|json|jucm|svg|pdf|dot|mermaid|plantuml|lqnx [--map NAME] [-o FILE]
+ *   ucm scenarios run <file> [--junit FILE] [--json FILE]
+ *   ucm perf <file> [--map NAME] [--json]
+ *   ucm simulate <file> [--scenario NAME] [--runs N] [--seed N] [--json]
+ *   ucm stats <file> [--json]
+ *
+ * Files are DSL (.ducm), saved JSON (.json), jUCMNav (.jucm) or Graphviz
+ * (.dot, .gv) - the constructs a .jucm file loses are reported as warnings.
+ * Everything runs on the core modules under plain Node; main() takes its
+ * I/O as an argument so tests can drive it without a terminal or file
+ * system. It returns the exit code:
+ * 0 on success, 1 when the check failed, 2 on usage or load errors.
+ */
+
+import { readFileSync, writeFileSync } from 'node:fs';
+import { graph } from '../core/graph.js';
+import { ucmDocument } from '../core/document.js';
+import { parser } from '../core/parser.js';
+import { serializer } from '../core/serializer.js';
+import { exporter } from '../core/exporter.js';
+import { scenarioManager } from '../core/scenario.js';
+import { validator } from '../core/validator.js';
+import { runAllScenarios, toJUnitXml, toJsonReport } from '../core/scenario-runner.js';
+import { renderSVG } from '../core/svg-writer.js';
+import { renderPDF, PAGE_SIZES } from '../core/pdf-writer.js';
+import { toDot, fromDot } from '../core/dot.js';
+import { toMermaid } from '../core/mermaid.js';
+import { toPlantUML } from '../core/plantuml.js';
+import { analyzePerformance, toLQNX } from '../core/performance.js';
+import { simulateScenario, DEFAULT_RUNS } from '../core/simulation.js';
+import { fromJUCM } from '../core/jucm.js';
+
+export const USAGE = `Usage: ucm <command> <file> [options]
+
+Commands:
+  validate <file>                  Report syntax and model errors
+  format <file>                    Print the file in canonical DSL form
+      --write                        Rewrite the file in place
+      --check                        Fail if the file is not formatted
+  convert <file> --to <format>     Convert to ducm, json, jucm, svg, pdf, dot, mermaid, plantuml or lqnx
+      --map <name>                   Map to convert (default: the root map)
+      -o, --output <file>            Write to a file instead of stdout
+      --page <size>                  PDF page size: ${Object.keys(PAGE_SIZES).join(', ')} (default: A4)
+      --orientation <o>              PDF orientation: auto, portrait or landscape
+      --tile                         Split large maps over several PDF pages
+      --font <file.ttf>              TrueType font to embed in the PDF
+  scenarios run <file>             Run every scenario against its expectations
+      --junit <file>                 Write a JUnit XML report
+      --json <file>                  Write a JSON report
+  perf <file>                      Response times and utilization from performance annotations
+      --map <name>                   Map to analyze (default: the root map)
+      --json                         Print the analysis as JSON
+  simulate <file>                  Monte Carlo runs of the scenarios
+      --scenario <name>              Only this scenario
+      --runs <n>                     Runs per scenario (default: ${DEFAULT_RUNS})
+      --seed <n>                     Seed for repeatable results
+      --json                         Print the results as JSON
+  stats <file>                     Count maps, elements, variables and scenarios
+      --json                         Print the counts as JSON
+`;
+
+const FORMATS = ['ducm', 'json', 'jucm', 'svg', 'pdf', 'dot', 'mermaid', 'plantuml', 'lqnx'];
+
+// Options that take a value; every other option is a flag
+const VALUE_OPTIONS = {
+    convert: ['--to', '--map', '--output', '--page', '--orientation', '--font'],
+    scenarios: ['--junit', '--json'],
+    perf: ['--map'],
+    simulate: ['--scenario', '--runs', '--seed']
+};
+
+const ALIASES = { '-o': '--output', '-h': '--help' };
+
+const defaultIO = {
+    stdout: (text) => process.stdout.write(text),
+    stderr: (text) => process.stderr.write(text),
+    readFile: (path) => readFileSync(path, 'utf8'),
+    readBytes: (path) => readFileSync(path),
+    writeFile: (path, text) => writeFileSync(path, text)
+};
+
+class UsageError extends Error {}
+
+/**
+ * Split arguments into positionals and options
+ * @returns {Object} { positionals: Array<string>, options: Object }
+ */
+export function parseArgs(args, valueOptions = []) {
+    const positionals = [];
+    const options = {};
+
+    for (let i = 0; i < args.length; i++) {
+        const arg = ALIASES[args[i]] || args[i];
+        if (!arg.startsWith('-') || arg === '-') {
+            positionals.push(arg);
+        } else if (valueOptions.includes(arg)) {
+            if (i + 1 >= args.length) throw new UsageError(`Option ${arg} needs a value`);
+            options[arg.slice(2)] = args[++i];
+        } else {
+            options[arg.replace(/^-+/, '')] = true;
+        }
+    }
+    return { positionals, options };
+}
+
+/**
+ * Run the CLI
+ * @param {Array<string>} argv - Arguments after the program name
+ * @param {Object} [io] - { stdout, stderr, readFile, writeFile }
+ * @returns {number} exit code
+ */
+export function main(argv, io = defaultIO) {
+    const [command, ...rest] = argv;
+
+    if (!command || command === '--help' || command === '-h' || command === 'help') {
+        io.stdout(USAGE);
+        return command ? 0 : 2;
+    }
+
+    const commands = { validate, format, convert, scenarios, perf, simulate, stats };
+    if (!Object.hasOwn(commands, command)) {
+        io.stderr(`ucm: unknown command "${command}"\n\n${USAGE}`);
+        return 2;
+    }
+
+    try {
+        const { positionals, options } = parseArgs(rest, VALUE_OPTIONS[command]);
+        if (options.help) {
+            io.stdout(USAGE);
+            return 0;
+        }
+        return commands[command](positionals, options, io);
+    } catch (err) {
+        io.stderr(`ucm: ${err.message}\n`);
+        return 2;
+    }
+}
+
+// ============================================
+// Loading
+// ============================================
+
+const isJSON = (path) => /\.json$/i.test(path);
+const isJUCM = (path) => /\.jucm$/i.test(path);
+const isDot = (path) => /\.(dot|gv)$/i.test(path);
+
+/**
+ * Load a .ducm, .json, .jucm or .dot file into the shared document
+ * @returns {Object} { errors, warnings } - DSL issues with line/column
+ */
+export function loadFile(path, io = defaultIO) {
+    let text;
+    try {
+        text = io.readFile(path);
+    } catch (err) {
+        throw new UsageError(`cannot read ${path}: ${err.message}`);
+    }
+
+    ucmDocument.reset();
+    graph.clear();
+    scenarioManager.clear();
+
+    if (isJSON(path)) {
+        try {
+            exporter.fromJSON(JSON.parse(text));
+        } catch (err) {
+            return { errors: [{ line: 1, column: 1, message: `Invalid JSON: ${err.message}` }], warnings: [] };
+        }
+        return { errors: [], warnings: [] };
+    }
+
+    if (isJUCM(path)) {
+        let imported;
+        try {
+            imported = fromJUCM(text);
+        } catch (err) {
+            return { errors: [{ line: err.line ?? 1, column: 1, message: err.message.replace(/^Line \d+: /, '') }], warnings: [] };
+        }
+        exporter.fromJSON(imported.data);
+        const warnings = imported.report.map(entry => ({
+            line: entry.line,
+            column: 1,
+            message: `${entry.construct}${entry.name ? ` "${entry.name}"` : ''}: ${entry.message}`
+        }));
+        return { errors: [], warnings };
+    }
+
+    if (isDot(path)) {
+        try {
+            exporter.fromJSON(fromDot(text));
+        } catch (err) {
+            return { errors: [{ line: err.line ?? 1, column: 1, message: err.message.replace(/^Line \d+: /, '') }], warnings: [] };
+        }
+        return { errors: [], warnings: [] };
+    }
+
+    const result = parser.parseDocument(text, ucmDocument, { replace: true });
+    if (result.errors.length === 0 && !result.success) {
+        result.errors.push({ line: 1, column: 1, message: 'No map found' });
+    }
+    return result;
+}
+
+const formatIssue = (path, severity, issue) =>
+    `${path}:${issue.line ?? 1}:${issue.column ?? 1}: ${severity}: ${issue.message}\n`;
+
+/**
+ * Load a file that must parse cleanly (every command but validate)
+ */
+function loadOrReport(path, io) {
+    if (!path) throw new UsageError('missing file argument');
+    const { errors, warnings } = loadFile(path, io);
+    errors.forEach(issue => io.stderr(formatIssue(path, 'error', issue)));
+    warnings.forEach(issue => io.stderr(formatIssue(path, 'warning', issue)));
+    return errors.length === 0;
+}
+
+/**
+ * Open the map named by --map, if any
+ */
+function openMapOption(options) {
+    if (!options.map) return;
+    const map = ucmDocument.getMapByName(options.map);
+    if (!map) throw new UsageError(`no map named "${options.map}"`);
+    ucmDocument.openMap(map.id);
+}
+
+function output(text, options, io) {
+    if (options.output) {
+        io.writeFile(options.output, text);
+    } else {
+        io.stdout(text);
+    }
+}
+
+// ============================================
+// Commands
+// ============================================
+
+function validate([path], options, io) {
+    if (!path) throw new UsageError('missing file argument');
+    const { errors, warnings } = loadFile(path, io);
+    errors.forEach(issue => io.stdout(formatIssue(path, 'error', issue)));
+    warnings.forEach(issue => io.stdout(formatIssue(path, 'warning', issue)));
+
+    let errorCount = errors.length;
+    let warningCount = warnings.length;
+
+    // Model checks, per map - only worth running on a document that parsed
+    if (errors.length === 0) {
+        ucmDocument.getAllMaps().forEach(map => {
+            const result = validator.validate(ucmDocument.getMapGraph(map.id), ucmDocument);
+            result.errors.forEach(issue => io.stdout(`${path}: map "${map.name}": error: ${issue.message}\n`));
+            result.warnings.forEach(issue => io.stdout(`${path}: map "${map.name}": warning: ${issue.message}\n`));
+            errorCount += result.errors.length;
+            warningCount += result.warnings.length;
+        });
+    }
+
+    io.stdout(`${path}: ${errorCount} error(s), ${warningCount} warning(s)\n`);
+    return errorCount > 0 ? 1 : 0;
+}
+
+function format([path], options, io) {
+    if (path && (isJSON(path) || isJUCM(path) || isDot(path))) throw new UsageError('format works on .ducm files - use convert --to ducm');
+    if (!loadOrReport(path, io)) return 1;
+
+    // Files end with a newline, as editors save them
+    const formatted = `${serializer.serializeDocument(ucmDocument).replace(/\n+$/, '')}\n`;
+    if (options.check) {
+        if (io.readFile(path) === formatted) return 0;
+        io.stderr(`${path}: not formatted\n`);
+        return 1;
+    }
+    if (options.write) {
+        io.writeFile(path, formatted);
+        return 0;
+    }
+    io.stdout(formatted);
+    return 0;
+}
+
+function convert([path], options, io) {
+    if (!FORMATS.includes(options.to)) {
+        throw new UsageError(`--to must be one of ${FORMATS.join(', ')}`);
+    }
+    if (!loadOrReport(path, io)) return 1;
+
+    openMapOption(options);
+
+    const writers = {
+        ducm: () => serializer.serializeDocument(ucmDocument),
+        json: () => JSON.stringify(exporter.toJSON(), null, 2) + '\n',
+        jucm: () => exporter.toJUCM() + '\n',
+        svg: () => renderSVG(graph),
+        pdf: () => renderPDF(graph, pdfOptions(options, io)),
+        dot: () => toDot(graph),
+        mermaid: () => toMermaid(graph),
+        plantuml: () => toPlantUML(graph),
+        lqnx: () => toLQNX(graph)
+    };
+    output(writers[options.to](), options, io);
+    return 0;
+}
+
+/**
+ * renderPDF() options from --page, --orientation, --tile and --font
+ */
+function pdfOptions(options, io) {
+    const pageSize = options.page ?? 'A4';
+    if (!PAGE_SIZES[pageSize]) throw new UsageError(`--page must be one of ${Object.keys(PAGE_SIZES).join(', ')}`);
+    const orientation = options.orientation ?? 'auto';
+    if (!['auto', 'portrait', 'landscape'].includes(orientation)) {
+        throw new UsageError('--orientation must be auto, portrait or landscape');
+    }
+
+    let font = null;
+    if (options.font) {
+        try {
+            font = io.readBytes(options.font);
+        } catch (err) {
+            throw new UsageError(`cannot read ${options.font}: ${err.message}`);
+        }
+    }
+    const onWarning = (message) => io.stderr(`ucm: warning: ${message}\n`);
+    return { pageSize, orientation, tile: Boolean(options.tile), font, onWarning };
+}
+
+function scenarios([action, path], options, io) {
+    if (action !== 'run') throw new UsageError('usage: ucm scenarios run <file>');
+    if (!loadOrReport(path, io)) return 1;
+
+    const report = runAllScenarios();
+    report.results.forEach(result => {
+        io.stdout(`${result.passed ? 'PASS' : 'FAIL'}  ${result.map} / ${result.name}\n`);
+        result.failures.forEach(failure => io.stdout(`      ${failure}\n`));
+    });
+    io.stdout(`${report.passed} passed, ${report.failed} failed, ${report.total} total\n`);
+
+    const { coverage } = report;
+    io.stdout(`Coverage: ${['nodes', 'edges', 'branches']
+        .map(kind => `${kind} ${coverage[kind].covered}/${coverage[kind].total} (${coverage[kind].percent}%)`).join(', ')}\n`);
+    ['nodes', 'edges', 'branches'].forEach(kind => coverage[kind].uncovered.forEach(item => {
+        io.stdout(`      uncovered ${item.type}: ${item.map} / ${item.name}\n`);
+    }));
+
+    if (options.junit) io.writeFile(options.junit, toJUnitXml(report));
+    if (options.json) io.writeFile(options.json, toJsonReport(report) + '\n');
+    return report.failed > 0 ? 1 : 0;
+}
+
+function perf([path], options, io) {
+    if (!loadOrReport(path, io)) return 1;
+    openMapOption(options);
+
+    const analysis = analyzePerformance(graph);
+    if (options.json) {
+        io.stdout(JSON.stringify(analysis, null, 2) + '\n');
+        return analysis.errors.length > 0 ? 1 : 0;
+    }
+
+    const ms = (value) => Number.isFinite(value) ? `${Math.round(value * 100) / 100} ms` : 'unbounded';
+    analysis.starts.forEach(start => {
+        io.stdout(`Start ${start.name}: ${start.arrivalRate}/s, response time ${ms(start.responseTime)}\n`);
+    });
+    analysis.components.forEach(comp => {
+        io.stdout(`Component ${comp.name}: ${comp.multiplicity} server(s), utilization ${Math.round(comp.utilization * 1000) / 10}%\n`);
+    });
+    analysis.errors.forEach(issue => io.stdout(`${path}: error: ${issue.message}\n`));
+    analysis.warnings.forEach(issue => io.stdout(`${path}: warning: ${issue.message}\n`));
+    return analysis.errors.length > 0 ? 1 : 0;
+}
+
+/**
+ * A whole number option, or `fallback` when it is not given
+ */
+function integerOption(options, name, fallback) {
+    if (options[name] === undefined) return fallback;
+    const n = Number(options[name]);
+    if (!Number.isInteger(n) || n < 0) throw new UsageError(`--${name} must be a whole number`);
+    return n;
+}
+
+function simulate([path], options, io) {
+    const runs = integerOption(options, 'runs', DEFAULT_RUNS);
+    const seed = integerOption(options, 'seed', null);
+    if (!loadOrReport(path, io)) return 1;
+
+    let selected = scenarioManager.getAllScenarios();
+    if (options.scenario) {
+        selected = selected.filter(s => s.name === options.scenario);
+        if (selected.length === 0) throw new UsageError(`no scenario named "${options.scenario}"`);
+    }
+
+    const results = selected.map(scenario => simulateScenario(scenario, { runs, seed }));
+    const failed = results.some(result => result.errors.length > 0);
+    if (options.json) {
+        io.stdout(JSON.stringify(results, null, 2) + '\n');
+        return failed ? 1 : 0;
+    }
+
+    const ms = (value) => `${Math.round(value * 100) / 100} ms`;
+    const pct = (share) => `${Math.round(share * 1000) / 10}%`;
+    results.forEach(result => {
+        io.stdout(`${result.name}: ${result.runs} runs, ${result.completed} without errors\n`);
+        result.endPoints.forEach(end => {
+            const { p50, p90, p99 } = end.latency;
+            io.stdout(`  end ${end.name}: ${pct(end.share)}, p50 ${ms(p50)}, p90 ${ms(p90)}, p99 ${ms(p99)}\n`);
+        });
+        result.paths.forEach(p => io.stdout(`  path ${pct(p.share)}: ${p.label}\n`));
+        if (result.criticalPath) {
+            const names = result.criticalPath.nodes.map(id => ucmDocument.getMapGraph(result.mapId).getNode(id)?.properties.name).filter(Boolean);
+            io.stdout(`  critical path ${pct(result.criticalPath.share)}: ${names.join(' → ')}\n`);
+        }
+        result.errors.forEach(error => io.stdout(`  error in ${error.count} run(s): ${error.message}\n`));
+    });
+    return failed ? 1 : 0;
+}
+
+/**
+ * Element counts of the loaded document
+ */
+export function documentStats(doc = ucmDocument, manager = scenarioManager) {
+    const stats = { maps: 0, nodes: 0, nodeTypes: {}, edges: 0, components: 0, variables: 0, scenarios: manager.getAllScenarios().length };
+
+    doc.getAllMaps().forEach(map => {
+        const mapGraph = doc.getMapGraph(map.id);
+        stats.maps++;
+        mapGraph.getAllNodes().forEach(node => {
+            stats.nodes++;
+            stats.nodeTypes[node.type] = (stats.nodeTypes[node.type] || 0) + 1;
+        });
+        stats.edges += mapGraph.getAllEdges().length;
+        stats.components += mapGraph.getAllComponents().length;
+        stats.variables += mapGraph.getAllVariables().length;
+    });
+    return stats;
+}
+
+function stats([path], options, io) {
+    if (!loadOrReport(path, io)) return 1;
+    const counts = documentStats();
+
+    if (options.json) {
+        io.stdout(JSON.stringify(counts, null, 2) + '\n');
+        return 0;
+    }
+
+    const types = Object.entries(counts.nodeTypes).map(([type, n]) => `${type} ${n}`).join(', ');
+    io.stdout([
+        `Maps:       ${counts.maps}`,
+        `Nodes:      ${counts.nodes}${types ? ` (${types})` : ''}`,
+        `Edges:      ${counts.edges}`,
+        `Components: ${counts.components}`,
+        `Variables:  ${counts.variables}`,
+        `Scenarios:  ${counts.scenarios}`
+    ].join('\n') + '\n');
+    return 0;
+}
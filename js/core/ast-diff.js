@@ -0,0 +1,233 @@
+/**
+ * AST Diff - Applies a parsed map AST to an existing graph
+ *
+ * Instead of clearing the graph and rebuilding it, elements are matched by
+ * name (components, nodes and variables) or by their source/target pair (links) and only
+ * what differs is changed. Matched elements keep their IDs, so selections,
+ * scenarios and stub bindings that reference them survive a DSL edit.
+ *
+ * Operations run in an order that never trips the graph's path healing or
+ * its start/end constraints: components, nodes, then edges are added and
+ * updated; stale edges are removed before any new edge is added, and stale
+ * nodes only once their edges are gone.
+ */
+
+import { DEFAULT_EDGE_STYLE } from './graph.js';
+import { createVariable } from './variables.js';
+
+// Properties owned by something other than the DSL statement itself
+const NODE_KEEP_KEYS = ['plugins'];           // rebuilt from plugin/bind statements
+const COMPONENT_KEEP_KEYS = ['definitionId']; // linked by the document
+
+const sameValue = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+/**
+ * Property updates that turn `current` into `desired`. Keys missing from
+ * `desired` are set to undefined (which the graph removes), except for
+ * `keepKeys` and empty values the serializer never writes.
+ * @returns {Object|null} null when nothing changed
+ */
+function propertyChanges(current, desired, keepKeys = []) {
+    const changes = {};
+
+    Object.entries(desired).forEach(([key, value]) => {
+        if (!sameValue(current[key], value)) changes[key] = value;
+    });
+    Object.entries(current).forEach(([key, value]) => {
+        if (key in desired || keepKeys.includes(key)) return;
+        if (value !== undefined && value !== '') changes[key] = undefined;
+    });
+
+    return Object.keys(changes).length > 0 ? changes : null;
+}
+
+/**
+ * Group items by key, preserving order - matches are taken front to back
+ */
+function groupBy(items, keyOf) {
+    const groups = new Map();
+    items.forEach(item => {
+        const key = keyOf(item);
+        if (!groups.has(key)) groups.set(key, []);
+        groups.get(key).push(item);
+    });
+    return groups;
+}
+
+function take(groups, key) {
+    const group = groups.get(key);
+    return group && group.length > 0 ? group.shift() : null;
+}
+
+function remaining(groups) {
+    return [...groups.values()].flat();
+}
+
+/**
+ * Node properties as written by a node statement
+ */
+export function nodeProperties(def) {
+    const properties = { name: def.name, description: '', ...def.attributes };
+    if (def.nodeType === 'stub') properties.stubType = def.stubType;
+    return properties;
+}
+
+/**
+ * Bring `graph` in line with a map AST (a Map from parser.parseToAst)
+ * @returns {Object} { nodeMap: Map<name, node>, operations: Array<{op, id}>,
+ *   rejected: Array<{link, reason}> - links the graph refused to add }
+ */
+export function applyMapAst(ast, graph) {
+    const operations = [];
+    const record = (op, id) => operations.push({ op, id });
+
+    // 1. Components, matched by name (duplicates in statement order)
+    const oldComponents = groupBy(graph.getAllComponents(), c => c.properties.name);
+    const componentIds = ast.components.map(def => {
+        const properties = { name: def.name, description: '', ...def.attributes };
+        let comp = take(oldComponents, def.name);
+
+        if (!comp) {
+            comp = graph.addComponent(def.kind, { ...properties, ...def.bounds });
+            record('component:added', comp.id);
+            return comp.id;
+        }
+
+        const updates = {};
+        if (comp.type !== def.kind) updates.type = def.kind;
+        if (!sameValue(comp.bounds, def.bounds)) updates.bounds = def.bounds;
+        const changes = propertyChanges(comp.properties, properties, COMPONENT_KEEP_KEYS);
+        if (changes) updates.properties = changes;
+
+        if (Object.keys(updates).length > 0) {
+            graph.updateComponent(comp.id, updates);
+            record('component:updated', comp.id);
+        }
+        return comp.id;
+    });
+
+    ast.components.forEach((def, i) => {
+        const comp = graph.getComponent(componentIds[i]);
+        const parentId = def.parent !== null ? componentIds[def.parent] : null;
+        if (comp.parentComponent === parentId) return;
+
+        if (parentId) graph.bindComponentToComponent(comp.id, parentId);
+        else graph.unbindComponentFromParent(comp.id);
+        record('component:nested', comp.id);
+    });
+
+    // 2. Nodes, matched by name
+    const oldNodes = groupBy(graph.getAllNodes(), n => n.properties.name);
+    const nodeMap = new Map();
+
+    ast.nodes.forEach(def => {
+        const properties = nodeProperties(def);
+        let node = take(oldNodes, def.name);
+
+        if (!node) {
+            const extra = def.nodeType === 'stub' ? { plugins: [] } : {};
+            node = graph.addNode(def.nodeType, { ...properties, ...extra, ...def.position });
+            record('node:added', node.id);
+        } else {
+            const updates = {};
+            if (node.type !== def.nodeType) updates.type = def.nodeType;
+            if (!sameValue(node.position, def.position)) updates.position = def.position;
+            const changes = propertyChanges(node.properties, properties, NODE_KEEP_KEYS);
+            if (changes) updates.properties = changes;
+
+            if (Object.keys(updates).length > 0) {
+                graph.updateNode(node.id, updates);
+                record('node:updated', node.id);
+            }
+        }
+        nodeMap.set(def.name, node);
+
+        const componentId = def.component !== null ? componentIds[def.component] : null;
+        if (node.parentComponent !== componentId) {
+            if (componentId) graph.bindNodeToComponent(node.id, componentId);
+            else graph.unbindNodeFromComponent(node.id);
+            record('node:bound', node.id);
+        }
+    });
+
+    // 3. Edges, matched by source -> target (parallel links in statement order)
+    const edgeKey = (sourceId, targetId) => `${sourceId}->${targetId}`;
+    const oldEdges = groupBy(graph.getAllEdges(), e => edgeKey(e.sourceNodeId, e.targetNodeId));
+    const newLinks = [];
+
+    ast.links.forEach(link => {
+        const source = nodeMap.get(link.source);
+        const target = nodeMap.get(link.target);
+        if (!source || !target) return;
+
+        const edge = take(oldEdges, edgeKey(source.id, target.id));
+        if (!edge) {
+            newLinks.push({ link, source, target });
+            return;
+        }
+
+        const updates = {};
+        if ((edge.condition || null) !== link.condition) updates.condition = link.condition;
+        if (!sameValue(edge.controlPoints || [], link.controlPoints)) updates.controlPoints = link.controlPoints;
+        const changes = propertyChanges(edge.properties, { ...DEFAULT_EDGE_STYLE, ...link.properties });
+        if (changes) updates.properties = changes;
+
+        if (Object.keys(updates).length > 0) {
+            graph.updateEdge(edge.id, updates);
+            record('edge:updated', edge.id);
+        }
+    });
+
+    remaining(oldEdges).forEach(edge => {
+        graph.removeEdge(edge.id);
+        record('edge:removed', edge.id);
+    });
+
+    // The graph refuses links its start/end constraints forbid; keep why
+    const rejected = [];
+    newLinks.forEach(({ link, source, target }) => {
+        let reason = null;
+        const stopListening = graph.on('edge:rejected', event => { reason = event.reason; });
+        const edge = graph.addEdge(source.id, target.id, {
+            ...link.properties,
+            condition: link.condition,
+            controlPoints: link.controlPoints
+        });
+        stopListening();
+        if (edge) record('edge:added', edge.id);
+        else rejected.push({ link, reason });
+    });
+
+    // 4. Whatever was not matched goes last - nodes have no edges left to heal
+    remaining(oldNodes).forEach(node => {
+        graph.removeNode(node.id);
+        record('node:removed', node.id);
+    });
+
+    remaining(oldComponents).forEach(comp => {
+        graph.removeComponent(comp.id);
+        record('component:removed', comp.id);
+    });
+
+    // 5. Variable declarations, matched by name (operations carry the name)
+    const declared = new Set();
+    (ast.variables || []).forEach(def => {
+        const variable = createVariable({ name: def.name, type: def.varType, values: def.values, initial: def.initial });
+        const current = graph.getVariable(def.name);
+        declared.add(def.name);
+
+        if (!current) {
+            graph.addVariable(variable);
+            record('variable:added', def.name);
+        } else if (!sameValue(current, variable)) {
+            graph.updateVariable(def.name, variable);
+            record('variable:updated', def.name);
+        }
+    });
+    graph.getAllVariables().filter(v => !declared.has(v.name)).forEach(v => {
+        graph.removeVariable(v.name);
+        record('variable:removed', v.name);
+    });
+
+    return { nodeMap, operations, rejected };
+}
@@ -0,0 +1,102 @@
+/**
+ * Scenario Coverage - Which parts of the maps the scenarios exercise
+ *
+ * Coverage is read from the traces of the last run of each scenario (see
+ * ScenarioManager.recordResult), across every map of the document:
+ *   - nodes: every node except empty points, covered when a token visited it
+ *   - edges: covered when a token moved along it
+ *   - branches: the outgoing edges of OR-forks, covered like edges
+ *
+ *   coverage = { scenarios, nodes, edges, branches, maps, hits }
+ *   nodes/edges/branches = { total, covered, percent, uncovered: [{ mapId, map, id, name, type }] }
+ *   maps = [{ mapId, name, nodes, edges, branches }]   (counts per map, without `uncovered`)
+ *   hits = { [mapId]: { nodes: { id: n }, edges: { id: n } } }   (n = scenarios that passed it)
+ */
+
+import { ucmDocument } from './document.js';
+import { scenarioManager } from './scenario.js';
+
+const KINDS = ['nodes', 'edges', 'branches'];
+
+const isOrFork = (node) => node?.type === 'fork' && node.properties.forkType !== 'and';
+
+const percent = (covered, total) => total === 0 ? 100 : Math.round(covered * 1000 / total) / 10;
+
+const summary = (total, covered) => ({ total, covered, percent: percent(covered, total) });
+
+/**
+ * Count, per map, the scenarios that passed each node and edge
+ * @returns {Object} hits
+ */
+export function coverageHits(scenarios) {
+    const hits = {};
+    const mapHits = (mapId) => hits[mapId] || (hits[mapId] = { nodes: {}, edges: {} });
+
+    scenarios.forEach(scenario => {
+        const seen = new Set();
+        // A visit covers the node and the edge the token arrived over
+        (scenario.trace || []).filter(entry => entry.event === 'visit').forEach(entry => {
+            [['nodes', entry.nodeId], ['edges', entry.edgeId]].forEach(([kind, id]) => {
+                const key = `${entry.mapId}:${kind}:${id}`;
+                if (!id || seen.has(key)) return;
+                seen.add(key);
+                const counts = mapHits(entry.mapId)[kind];
+                counts[id] = (counts[id] || 0) + 1;
+            });
+        });
+    });
+    return hits;
+}
+
+/**
+ * Coverage of the document by the scenarios' last runs
+ * @param {Object} [options]
+ * @param {Object} [options.manager] - ScenarioManager holding the scenarios
+ * @param {Object} [options.document] - UCMDocument holding the maps
+ * @param {Array<string>} [options.scenarioIds] - Only these scenarios
+ * @returns {Object} coverage
+ */
+export function computeCoverage({ manager = scenarioManager, document = ucmDocument, scenarioIds = null } = {}) {
+    const scenarios = manager.getAllScenarios()
+        .filter(s => s.traversed && (!scenarioIds || scenarioIds.includes(s.id)));
+    const hits = coverageHits(scenarios);
+    const all = { nodes: [], edges: [], branches: [] };
+
+    const maps = document.getAllMaps().map(map => {
+        const mapGraph = document.getMapGraph(map.id);
+        const mapHits = hits[map.id] || { nodes: {}, edges: {} };
+        const nodeName = (id) => mapGraph.getNode(id)?.properties.name || id;
+        const item = (id, name, type, covered) => ({ mapId: map.id, map: map.name, id, name, type, covered });
+
+        const items = {
+            nodes: mapGraph.getAllNodes()
+                .filter(node => node.type !== 'empty')
+                .map(node => item(node.id, nodeName(node.id), node.type, Boolean(mapHits.nodes[node.id]))),
+            edges: [],
+            branches: []
+        };
+        mapGraph.getAllEdges().forEach(edge => {
+            const name = `${nodeName(edge.sourceNodeId)} -> ${nodeName(edge.targetNodeId)}`;
+            const covered = Boolean(mapHits.edges[edge.id]);
+            items.edges.push(item(edge.id, name, 'edge', covered));
+            if (isOrFork(mapGraph.getNode(edge.sourceNodeId))) {
+                const guard = edge.condition ? ` [${edge.condition}]` : '';
+                items.branches.push(item(edge.id, name + guard, 'branch', covered));
+            }
+        });
+
+        const mapCoverage = { mapId: map.id, name: map.name };
+        KINDS.forEach(kind => {
+            all[kind].push(...items[kind]);
+            mapCoverage[kind] = summary(items[kind].length, items[kind].filter(i => i.covered).length);
+        });
+        return mapCoverage;
+    });
+
+    const coverage = { scenarios: scenarios.length, maps, hits };
+    KINDS.forEach(kind => {
+        const uncovered = all[kind].filter(i => !i.covered).map(({ covered, ...rest }) => rest);
+        coverage[kind] = { ...summary(all[kind].length, all[kind].length - uncovered.length), uncovered };
+    });
+    return coverage;
+}
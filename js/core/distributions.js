@@ -0,0 +1,80 @@
+/**
+ * Duration Distributions - Service times for simulation and analysis
+ *
+ * A responsibility's executionTime (ms) is either a plain number or one of
+ *   fixed(20)           always 20
+ *   uniform(10, 30)     anything between 10 and 30
+ *   exponential(20)     memoryless with mean 20 (also exp(20))
+ *   normal(20, 5)       mean 20, standard deviation 5; negative draws count as 0
+ *
+ *   distribution = { type, params, mean }
+ */
+
+const FORMS = {
+    fixed: { params: 1, valid: ([value]) => value >= 0, mean: ([value]) => value },
+    uniform: { params: 2, valid: ([min, max]) => min >= 0 && max >= min, mean: ([min, max]) => (min + max) / 2 },
+    exponential: { params: 1, valid: ([mean]) => mean >= 0, mean: ([mean]) => mean },
+    normal: { params: 2, valid: ([mean, sd]) => mean >= 0 && sd >= 0, mean: ([mean]) => mean }
+};
+
+const ALIASES = { exp: 'exponential', constant: 'fixed', gaussian: 'normal' };
+
+/**
+ * Read an executionTime value
+ * @returns {Object|null} distribution; null when empty, NaN when unreadable
+ */
+export function parseDistribution(value) {
+    if (value === undefined || value === null || value === '') return null;
+    if (typeof value === 'number') return FORMS.fixed.valid([value]) ? { type: 'fixed', params: [value], mean: value } : NaN;
+
+    const text = String(value).trim();
+    if (/^\d+(\.\d+)?$/.test(text)) return parseDistribution(Number(text));
+
+    const match = text.match(/^([a-z]+)\s*\(([^()]*)\)$/i);
+    if (!match) return NaN;
+
+    const type = ALIASES[match[1].toLowerCase()] || match[1].toLowerCase();
+    const form = FORMS[type];
+    const params = match[2].split(',').map(p => p.trim() === '' ? NaN : Number(p));
+    if (!form || params.length !== form.params || params.some(p => !Number.isFinite(p)) || !form.valid(params)) {
+        return NaN;
+    }
+    return { type, params, mean: form.mean(params) };
+}
+
+/**
+ * Draw one duration
+ * @param {Object} distribution - From parseDistribution
+ * @param {Function} random - Uniform numbers in [0, 1)
+ */
+export function sample(distribution, random = Math.random) {
+    const [a, b] = distribution.params;
+    switch (distribution.type) {
+        case 'uniform':
+            return a + (b - a) * random();
+        case 'exponential':
+            return -a * Math.log(1 - random());
+        case 'normal': {
+            // Box-Muller
+            const u = 1 - random();
+            const v = random();
+            return Math.max(0, a + b * Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * v));
+        }
+        default:
+            return a;
+    }
+}
+
+/**
+ * Seeded uniform random numbers in [0, 1) (mulberry32), so runs repeat
+ */
+export function seededRandom(seed) {
+    let state = seed >>> 0;
+    return () => {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
@@ -0,0 +1,486 @@
+/**
+ * UCM Document - Holds all maps of a URN specification
+ *
+ * The shared `graph` singleton always contains the map that is currently
+ * open on the canvas. Every other map is kept as a `graph.toJSON()` snapshot
+ * and hydrated into a separate UCMGraph on demand (e.g. for traversal).
+ *
+ * Components are references to shared definitions: a component placed on
+ * several maps carries the same `properties.definitionId`, and renaming it
+ * (or changing its kind) on one map updates it on all of them.
+ *
+ * Stubs reference plug-in maps by map ID:
+ *   node.properties.plugins = [{
+ *     mapId, condition,
+ *     inBindings:  [{ edgeId, startNodeId }],   // stub in-path -> plug-in start
+ *     outBindings: [{ endNodeId, edgeId }]      // plug-in end -> stub out-path
+ *   }]
+ */
+
+import { UCMGraph, graph } from './graph.js';
+
+export class UCMDocument {
+    constructor(activeGraph) {
+        this.graph = activeGraph;
+        this.maps = new Map(); // mapId -> { id, name, data }
+        this.rootMapId = null;
+        this.activeMapId = null;
+        this.navigationStack = []; // [{ mapId, stubId }] - where we drilled down from
+        this.graphCache = new Map(); // mapId -> hydrated UCMGraph
+        this.listeners = new Map();
+        this.idCounter = 0;
+        this.componentDefs = new Map(); // defId -> { id, name, type, description }
+        this.defCounter = 0;
+        this.syncingDefinitions = false;
+
+        this.reset();
+
+        this.graph.on('component:added', (comp) => this.linkComponent(comp));
+        this.graph.on('component:updated', (comp) => this.updateDefinitionFrom(comp));
+        this.graph.on('graph:loaded', () => this.linkComponents(this.graph));
+        this.graph.on('metadata:updated', ({ changes }) => {
+            if (changes.name) this.syncActiveMapName(changes.name);
+        });
+    }
+
+    // ============================================
+    // Event System
+    // ============================================
+
+    on(event, callback) {
+        if (!this.listeners.has(event)) {
+            this.listeners.set(event, new Set());
+        }
+        this.listeners.get(event).add(callback);
+        return () => this.off(event, callback);
+    }
+
+    off(event, callback) {
+        if (this.listeners.has(event)) {
+            this.listeners.get(event).delete(callback);
+        }
+    }
+
+    emit(event, data) {
+        if (this.listeners.has(event)) {
+            this.listeners.get(event).forEach(cb => cb(data));
+        }
+    }
+
+    // ============================================
+    // Map Registry
+    // ============================================
+
+    /**
+     * Drop all other maps and start over with an empty root map.
+     * The active graph content itself is left to the caller (parser, loader).
+     */
+    reset(rootName = 'Main') {
+        this.maps.clear();
+        this.graphCache.clear();
+        this.componentDefs.clear();
+        this.navigationStack = [];
+        this.idCounter = 0;
+        this.defCounter = 0;
+
+        const root = this.createMapEntry(rootName, null);
+        this.rootMapId = root.id;
+        this.activeMapId = root.id;
+
+        this.emit('document:reset', { rootMapId: root.id });
+    }
+
+    createMapEntry(name, data) {
+        const id = `map_${++this.idCounter}`;
+        const map = { id, name, data };
+        this.maps.set(id, map);
+        return map;
+    }
+
+    /**
+     * Add a new map to the document
+     * @param {string} name - Display name (unique names are recommended, the DSL references maps by name)
+     * @param {Object|null} data - Optional graph JSON snapshot
+     */
+    addMap(name, data = null) {
+        this.linkMapData(data);
+        const map = this.createMapEntry(name || `Map${this.maps.size + 1}`, data);
+        this.emit('map:added', map);
+        return map;
+    }
+
+    getMap(id) {
+        return this.maps.get(id);
+    }
+
+    getMapByName(name) {
+        return [...this.maps.values()].find(m => m.name === name) || null;
+    }
+
+    getAllMaps() {
+        return [...this.maps.values()];
+    }
+
+    getRootMap() {
+        return this.maps.get(this.rootMapId);
+    }
+
+    getActiveMap() {
+        return this.maps.get(this.activeMapId);
+    }
+
+    /**
+     * Maps other than the root - the candidates for stub plug-ins
+     */
+    getPluginMaps() {
+        return this.getAllMaps().filter(m => m.id !== this.rootMapId);
+    }
+
+    /**
+     * Put maps in the given order - maps not listed keep their order after them
+     */
+    reorderMaps(ids) {
+        const ordered = new Map();
+        ids.forEach(id => {
+            if (this.maps.has(id)) ordered.set(id, this.maps.get(id));
+        });
+        this.maps.forEach((map, id) => {
+            if (!ordered.has(id)) ordered.set(id, map);
+        });
+        this.maps = ordered;
+    }
+
+    renameMap(id, name) {
+        const map = this.maps.get(id);
+        if (!map || !name) return null;
+        map.name = name;
+
+        // The map name doubles as the diagram name in the graph metadata
+        if (id === this.activeMapId) {
+            if (this.graph.metadata.name !== name) this.graph.updateMetadata({ name });
+        } else if (map.data) {
+            map.data.metadata = { ...(map.data.metadata || {}), name };
+            this.graphCache.delete(id);
+        }
+
+        this.emit('map:updated', map);
+        return map;
+    }
+
+    /**
+     * Follow a diagram rename (properties panel, DSL header) on the active map
+     */
+    syncActiveMapName(name) {
+        const map = this.getActiveMap();
+        if (map && name && map.name !== name) {
+            this.renameMap(map.id, name);
+        }
+    }
+
+    removeMap(id) {
+        if (id === this.rootMapId || id === this.activeMapId) return false;
+        if (this.navigationStack.some(entry => entry.mapId === id)) return false;
+        if (!this.maps.delete(id)) return false;
+
+        this.graphCache.delete(id);
+        this.emit('map:removed', { id });
+        return true;
+    }
+
+    /**
+     * Replace the stored content of an inactive map
+     */
+    setMapData(id, data) {
+        const map = this.maps.get(id);
+        if (!map) return null;
+
+        if (id === this.activeMapId) {
+            this.graph.fromJSON(data);
+        } else {
+            this.linkMapData(data);
+            map.data = data;
+            this.graphCache.delete(id);
+        }
+        this.emit('map:updated', map);
+        return map;
+    }
+
+    /**
+     * Get a graph for any map. The active map returns the live graph,
+     * other maps return a (cached) hydrated copy that must be treated as read-only.
+     */
+    getMapGraph(mapId) {
+        if (mapId === this.activeMapId) return this.graph;
+
+        const map = this.maps.get(mapId);
+        if (!map) return null;
+
+        if (!this.graphCache.has(mapId)) {
+            const mapGraph = new UCMGraph();
+            if (map.data) mapGraph.fromJSON(map.data);
+            this.graphCache.set(mapId, mapGraph);
+        }
+        return this.graphCache.get(mapId);
+    }
+
+    /**
+     * Store the live graph into the active map entry
+     */
+    commitActive() {
+        const map = this.getActiveMap();
+        if (map) {
+            map.data = this.graph.toJSON();
+            this.graphCache.delete(map.id);
+        }
+    }
+
+    // ============================================
+    // Shared Component Definitions
+    // ============================================
+
+    getComponentDefinition(id) {
+        return this.componentDefs.get(id) || null;
+    }
+
+    getComponentDefinitions() {
+        return [...this.componentDefs.values()];
+    }
+
+    findComponentDefinition(name, type) {
+        return this.getComponentDefinitions().find(d => d.name === name && d.type === type) || null;
+    }
+
+    /**
+     * Attach a component to its definition. Components without a (known)
+     * definition join an existing definition with the same name and kind,
+     * or get a new one.
+     */
+    linkComponent(comp) {
+        let def = this.componentDefs.get(comp.properties.definitionId);
+        if (!def) {
+            def = this.findComponentDefinition(comp.properties.name, comp.type);
+            if (!def) {
+                def = {
+                    id: `def_${++this.defCounter}`,
+                    name: comp.properties.name,
+                    type: comp.type,
+                    description: comp.properties.description || ''
+                };
+                this.componentDefs.set(def.id, def);
+            }
+            comp.properties.definitionId = def.id;
+        }
+        return def;
+    }
+
+    linkComponents(mapGraph) {
+        mapGraph.getAllComponents().forEach(comp => this.linkComponent(comp));
+    }
+
+    /**
+     * Same as linkComponents, for a map stored as graph JSON
+     */
+    linkMapData(data) {
+        if (data) (data.components || []).forEach(comp => this.linkComponent(comp));
+    }
+
+    /**
+     * Push name/kind/description changes of a component on the active map to
+     * its definition and to every other reference of it
+     */
+    updateDefinitionFrom(comp) {
+        if (this.syncingDefinitions) return;
+
+        const def = this.linkComponent(comp);
+        const { name, description = '' } = comp.properties;
+        if (def.name === name && def.type === comp.type && def.description === description) return;
+
+        Object.assign(def, { name, type: comp.type, description });
+        this.syncingDefinitions = true;
+        try {
+            this.graph.getAllComponents()
+                .filter(c => c !== comp && c.properties.definitionId === def.id)
+                .forEach(c => this.graph.updateComponent(c.id, { type: def.type, properties: { name, description } }));
+
+            this.maps.forEach(map => {
+                if (map.id === this.activeMapId || !map.data) return;
+                let changed = false;
+                (map.data.components || []).forEach(c => {
+                    if (c.properties.definitionId !== def.id) return;
+                    c.type = def.type;
+                    c.properties = { ...c.properties, name, description };
+                    changed = true;
+                });
+                if (changed) this.graphCache.delete(map.id);
+            });
+        } finally {
+            this.syncingDefinitions = false;
+        }
+
+        this.emit('definition:updated', def);
+    }
+
+    /**
+     * Maps that place a reference of the given definition
+     * @returns {Array<{mapId, name, componentIds}>}
+     */
+    getDefinitionUsage(defId) {
+        return this.getAllMaps().map(map => {
+            const mapGraph = this.getMapGraph(map.id);
+            const componentIds = mapGraph.getAllComponents()
+                .filter(c => c.properties.definitionId === defId)
+                .map(c => c.id);
+            return { mapId: map.id, name: map.name, componentIds };
+        }).filter(usage => usage.componentIds.length > 0);
+    }
+
+    // ============================================
+    // Navigation
+    // ============================================
+
+    /**
+     * Open another map in the shared graph. History is cleared because
+     * undo snapshots only describe the map they were taken on.
+     */
+    switchTo(mapId) {
+        const target = this.maps.get(mapId);
+        if (!target || mapId === this.activeMapId) return false;
+
+        this.commitActive();
+        this.activeMapId = mapId;
+        this.graphCache.delete(mapId);
+
+        this.loadIntoGraph(target);
+        this.graph.emit('graph:loaded', { clearHistory: true });
+
+        this.emit('map:activated', { mapId, map: target });
+        return true;
+    }
+
+    loadIntoGraph(map) {
+        if (map.data) {
+            this.graph.fromJSON(map.data);
+        } else {
+            this.graph.clear();
+        }
+        this.graph.metadata.name = map.name;
+    }
+
+    /**
+     * Open a map as top-level view (e.g. from the map tabs), leaving any
+     * stub drill-down behind
+     */
+    openMap(mapId) {
+        if (!this.maps.has(mapId)) return false;
+
+        this.switchTo(mapId);
+        if (this.navigationStack.length > 0) {
+            this.navigationStack = [];
+            this.emit('navigation:changed', { path: this.getNavigationPath() });
+        }
+        return true;
+    }
+
+    /**
+     * Drill down into a plug-in of a stub on the active map
+     */
+    enterStub(stubId, pluginIndex = 0) {
+        const stub = this.graph.getNode(stubId);
+        if (!stub || stub.type !== 'stub') return false;
+
+        const plugin = (stub.properties.plugins || [])[pluginIndex];
+        if (!plugin || !this.maps.has(plugin.mapId)) return false;
+
+        const fromMapId = this.activeMapId;
+        if (!this.switchTo(plugin.mapId)) return false;
+
+        this.navigationStack.push({ mapId: fromMapId, stubId });
+        this.emit('navigation:changed', { path: this.getNavigationPath() });
+        return true;
+    }
+
+    /**
+     * Return to the map containing the stub we drilled down from
+     */
+    exitStub() {
+        const entry = this.navigationStack.pop();
+        if (!entry) return false;
+
+        this.switchTo(entry.mapId);
+        this.emit('navigation:changed', { path: this.getNavigationPath() });
+        return entry;
+    }
+
+    /**
+     * Breadcrumb from the outermost map down to the active one
+     * @returns {Array<{mapId, name, stubName}>}
+     */
+    getNavigationPath() {
+        const path = this.navigationStack.map((entry, i) => {
+            const map = this.maps.get(entry.mapId);
+            const stubName = i > 0 ? this.getStubName(this.navigationStack[i - 1]) : null;
+            return { mapId: entry.mapId, name: map ? map.name : entry.mapId, stubName };
+        });
+
+        const active = this.getActiveMap();
+        const last = this.navigationStack[this.navigationStack.length - 1];
+        path.push({
+            mapId: this.activeMapId,
+            name: active ? active.name : this.activeMapId,
+            stubName: last ? this.getStubName(last) : null
+        });
+        return path;
+    }
+
+    getStubName(entry) {
+        const mapGraph = this.getMapGraph(entry.mapId);
+        const stub = mapGraph ? mapGraph.getNode(entry.stubId) : null;
+        return stub ? stub.properties.name : null;
+    }
+
+    // ============================================
+    // Serialization
+    // ============================================
+
+    toJSON() {
+        this.commitActive();
+        return {
+            rootMapId: this.rootMapId,
+            activeMapId: this.activeMapId,
+            maps: this.getAllMaps().map(m => ({ id: m.id, name: m.name, data: m.data })),
+            componentDefs: this.getComponentDefinitions().map(d => ({ ...d })),
+            idCounter: this.idCounter,
+            defCounter: this.defCounter
+        };
+    }
+
+    fromJSON(data) {
+        this.maps.clear();
+        this.graphCache.clear();
+        this.componentDefs.clear();
+        this.navigationStack = [];
+
+        if (!data.maps || data.maps.length === 0) {
+            this.reset();
+            return;
+        }
+
+        data.maps.forEach(m => {
+            this.maps.set(m.id, { id: m.id, name: m.name, data: m.data || null });
+        });
+        this.idCounter = data.idCounter || this.maps.size;
+        (data.componentDefs || []).forEach(d => this.componentDefs.set(d.id, { ...d }));
+        this.defCounter = data.defCounter || this.componentDefs.size;
+        this.maps.forEach(map => this.linkMapData(map.data));
+        this.rootMapId = this.maps.has(data.rootMapId) ? data.rootMapId : [...this.maps.keys()][0];
+
+        // Always reopen on the root map
+        this.activeMapId = this.rootMapId;
+        this.loadIntoGraph(this.getRootMap());
+
+        this.emit('document:loaded', { rootMapId: this.rootMapId });
+    }
+}
+
+// Singleton instance
+export const ucmDocument = new UCMDocument(graph);
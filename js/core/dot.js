@@ -0,0 +1,483 @@
+/**
+ * DOT Writer and Reader - Graphviz digraphs of a map
+ *
+ * Writing: nodes keep their UCM meaning through shapes (start = filled
+ * circle, end = filled bar, fork/join = point or bar, stub = diamond);
+ * guards become "[guard]" edge labels and components become clusters,
+ * nested like the components. Node ids are the graph ids, names are labels
+ * (or xlabels for the shapes drawn without text).
+ *
+ * Reading: any digraph becomes a map. Clusters become components, `pos`
+ * attributes (when laid out by Graphviz) become positions, "[guard]" edge
+ * labels become guards and other edge labels stay labels. Node types follow
+ * from the in/out degree - see nodeTypeOf().
+ */
+
+import { NODE_TYPES } from './node-types.js';
+import { UCMGraph, createMetadata } from './graph.js';
+
+const quote = (text) => `"${String(text ?? '').replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n')}"`;
+
+const isAnd = (node) => (node.type === 'fork' && node.properties.forkType === 'and') ||
+    (node.type === 'join' && node.properties.joinType === 'and');
+
+/**
+ * Graphviz attributes that draw `node` in UCM notation
+ */
+export function dotNodeAttributes(node) {
+    const name = node.properties.name || '';
+    switch (node.type) {
+        case 'start':
+            return { shape: 'circle', style: 'filled', fillcolor: 'black', width: 0.25, label: '', xlabel: name };
+        case 'end':
+            return { shape: 'box', style: 'filled', fillcolor: 'black', width: 0.08, height: 0.3, label: '', xlabel: name };
+        case 'responsibility':
+            return { shape: 'box', label: name };
+        case 'fork':
+        case 'join':
+            return isAnd(node)
+                ? { shape: 'box', style: 'filled', fillcolor: 'black', width: 0.08, height: 0.4, label: '', xlabel: name }
+                : { shape: 'point', width: 0.08, label: '', xlabel: name };
+        case 'timer':
+            return { shape: 'doublecircle', width: 0.3, label: '', xlabel: name };
+        case 'stub':
+            return { shape: 'diamond', style: node.properties.stubType === 'dynamic' ? 'dashed' : null, label: name };
+        default:
+            return { shape: 'point', width: 0.05, label: '', xlabel: name };
+    }
+}
+
+const attributeList = (values) => Object.entries(values)
+    .filter(([, value]) => value !== null && value !== undefined)
+    .map(([key, value]) => `${key}=${typeof value === 'number' ? value : quote(value)}`)
+    .join(', ');
+
+/**
+ * Write `graph` as a DOT digraph
+ * @param {UCMGraph} graph - The map to write
+ * @param {Object} [options]
+ * @param {string} [options.name] - Graph name (defaults to the map name)
+ * @returns {string}
+ */
+export function toDot(graph, { name = graph.metadata?.name || 'UCM' } = {}) {
+    const lines = [
+        `digraph ${quote(name)} {`,
+        '    rankdir=LR;',
+        '    node [fontname="Helvetica", fontsize=10];',
+        '    edge [arrowsize=0.6];'
+    ];
+
+    const nodes = graph.getAllNodes().filter(node => NODE_TYPES[node.type]);
+    const writeNode = (node, indent) => {
+        lines.push(`${indent}${quote(node.id)} [${attributeList(dotNodeAttributes(node))}];`);
+    };
+
+    const writeComponent = (component, indent) => {
+        lines.push(`${indent}subgraph ${quote(`cluster_${component.id}`)} {`);
+        lines.push(`${indent}    label=${quote(component.properties.name || component.type)};`);
+        if (component.type === 'process') lines.push(`${indent}    style=dashed;`);
+        nodes.filter(node => node.parentComponent === component.id).forEach(node => writeNode(node, indent + '    '));
+        component.childComponents.forEach(childId => {
+            const child = graph.getComponent(childId);
+            if (child) writeComponent(child, indent + '    ');
+        });
+        lines.push(`${indent}}`);
+    };
+
+    graph.getRootComponents().forEach(component => writeComponent(component, '    '));
+    nodes.filter(node => !node.parentComponent || !graph.getComponent(node.parentComponent))
+        .forEach(node => writeNode(node, '    '));
+
+    graph.getAllEdges().forEach(edge => {
+        const text = [edge.condition && `[${edge.condition}]`, edge.properties?.label].filter(Boolean).join('\n');
+        const label = text ? ` [label=${quote(text)}]` : '';
+        lines.push(`    ${quote(edge.sourceNodeId)} -> ${quote(edge.targetNodeId)}${label};`);
+    });
+
+    lines.push('}');
+    return lines.join('\n') + '\n';
+}
+
+// ============================================
+// Reading
+// ============================================
+
+export class DotError extends Error {
+    /**
+     * @param {string} message
+     * @param {number} line - 1-based line of the problem
+     */
+    constructor(message, line) {
+        super(`Line ${line}: ${message}`);
+        this.line = line;
+    }
+}
+
+const KEYWORDS = ['strict', 'graph', 'digraph', 'subgraph', 'node', 'edge'];
+
+/**
+ * Split DOT text into { type: 'id' | 'keyword' | 'edgeop' | punctuation, value, line } tokens
+ */
+function tokenize(text) {
+    const tokens = [];
+    let line = 1;
+    let pos = 0;
+    const fail = (message) => { throw new DotError(message, line); };
+
+    while (pos < text.length) {
+        const ch = text[pos];
+        if (ch === '\n') {
+            line++;
+            pos++;
+        } else if (/\s/.test(ch)) {
+            pos++;
+        } else if (text.startsWith('//', pos) || ch === '#') {
+            const from = pos;
+            while (pos < text.length && text[pos] !== '\n') pos++;
+            // A C preprocessor line marker ("# 12" at the start of a line) numbers the next line
+            const marker = /^#\s*(?:line\s+)?(\d+)/.exec(text.slice(from, pos));
+            if (marker && (from === 0 || text[from - 1] === '\n')) line = Number(marker[1]) - 1;
+        } else if (text.startsWith('/*', pos)) {
+            const end = text.indexOf('*/', pos + 2);
+            if (end === -1) fail('Unterminated comment');
+            line += (text.slice(pos, end).match(/\n/g) || []).length;
+            pos = end + 2;
+        } else if (text.startsWith('->', pos) || text.startsWith('--', pos)) {
+            tokens.push({ type: 'edgeop', value: text.slice(pos, pos + 2), line });
+            pos += 2;
+        } else if ('{}[];,=:+'.includes(ch)) {
+            tokens.push({ type: ch, value: ch, line });
+            pos++;
+        } else if (ch === '"') {
+            const start = line;
+            let value = '';
+            pos++;
+            while (text[pos] !== '"') {
+                if (pos >= text.length) throw new DotError('Unterminated string', start);
+                if (text[pos] === '\\' && text[pos + 1] === '"') {
+                    value += '"';
+                    pos += 2;
+                } else if (text[pos] === '\\' && text[pos + 1] === '\n') {
+                    line++;
+                    pos += 2;
+                } else {
+                    if (text[pos] === '\n') line++;
+                    value += text[pos++];
+                }
+            }
+            pos++;
+            tokens.push({ type: 'id', value, line: start, quoted: true });
+        } else if (ch === '<') {
+            // HTML string: balanced angle brackets, kept as its text content
+            const start = line;
+            let depth = 0;
+            const from = pos;
+            do {
+                if (pos >= text.length) throw new DotError('Unterminated HTML string', start);
+                if (text[pos] === '<') depth++;
+                if (text[pos] === '>') depth--;
+                if (text[pos] === '\n') line++;
+                pos++;
+            } while (depth > 0);
+            tokens.push({ type: 'id', value: text.slice(from + 1, pos - 1).replace(/<[^>]*>/g, '').trim(), line: start, quoted: true });
+        } else {
+            const match = /^(-?(?:\.\d+|\d+(?:\.\d*)?)|[A-Za-z_\u0080-\uffff][\w\u0080-\uffff]*)/.exec(text.slice(pos, pos + 256));
+            if (!match) fail(`Unexpected character "${ch}"`);
+            const value = match[0];
+            const keyword = KEYWORDS.includes(value.toLowerCase());
+            tokens.push({ type: keyword ? 'keyword' : 'id', value: keyword ? value.toLowerCase() : value, line });
+            pos += value.length;
+        }
+    }
+    tokens.push({ type: 'eof', value: 'end of file', line });
+    return tokens;
+}
+
+/**
+ * Parse a DOT digraph into plain statements
+ * @returns {{ name, attributes, nodes: Map, edges: Array, clusters: Array }}
+ */
+function parseDot(text) {
+    const tokens = tokenize(text);
+    let index = 0;
+    const peek = (offset = 0) => tokens[index + offset];
+    const next = () => tokens[index++];
+    const fail = (message, token = peek()) => { throw new DotError(message, token.line); };
+    const accept = (type, value) => {
+        const token = peek();
+        if (token.type !== type || (value !== undefined && token.value !== value)) return null;
+        return next();
+    };
+    const found = () => (peek().type === 'eof' ? 'end of file' : `"${peek().value}"`);
+    const expect = (type, what = `"${type}"`) => accept(type) || fail(`Expected ${what} but found ${found()}`);
+
+    // ID, joining "a" + "b" concatenations
+    const readId = () => {
+        const token = expect('id', 'a name');
+        let value = token.value;
+        while (token.quoted && peek().type === '+' && peek(1).quoted) {
+            next();
+            value += next().value;
+        }
+        return value;
+    };
+
+    const readAttributes = () => {
+        const attributes = {};
+        while (accept('[')) {
+            while (!accept(']')) {
+                const key = readId();
+                attributes[key] = accept('=') ? readId() : 'true';
+                accept(';') || accept(',');
+            }
+        }
+        return attributes;
+    };
+
+    const result = { name: '', attributes: {}, nodes: new Map(), edges: [], clusters: [] };
+
+    accept('keyword', 'strict');
+    const kind = accept('keyword', 'digraph') || accept('keyword', 'graph');
+    if (!kind) fail('Not a DOT file: expected "digraph"');
+    if (kind.value === 'graph') fail('Only directed graphs (digraph) can be imported', kind);
+    if (peek().type === 'id') result.name = readId();
+
+    const touch = (id, scope, token) => {
+        if (!result.nodes.has(id)) {
+            result.nodes.set(id, { id, attributes: { ...scope.node }, cluster: scope.cluster, line: token.line });
+        }
+        scope.members.add(id);
+        return id;
+    };
+
+    // A node id (ports are ignored) or a subgraph - both stand for a set of nodes
+    const readOperand = (scope) => {
+        if (peek().type === '{' || (peek().type === 'keyword' && peek().value === 'subgraph')) {
+            return [...readSubgraph(scope)];
+        }
+        const token = peek();
+        const id = readId();
+        if (accept(':')) {
+            readId();
+            if (accept(':')) readId();
+        }
+        return [touch(id, scope, token)];
+    };
+
+    const readStatements = (scope) => {
+        while (!accept('}')) {
+            if (peek().type === 'eof') fail('Expected "}" but found end of file');
+            const token = peek();
+
+            if (token.type === 'keyword' && ['graph', 'node', 'edge'].includes(token.value) && peek(1).type === '[') {
+                next();
+                Object.assign(token.value === 'graph' ? scope.graph : scope[token.value], readAttributes());
+            } else if (token.type === 'id' && peek(1).type === '=') {
+                const key = readId();
+                next();
+                scope.graph[key] = readId();
+            } else {
+                const sources = readOperand(scope);
+                if (peek().type === 'edgeop') {
+                    const chain = [sources];
+                    while (peek().type === 'edgeop') {
+                        if (next().value === '--') fail('Undirected edge "--" in a digraph', token);
+                        chain.push(readOperand(scope));
+                    }
+                    const attributes = { ...scope.edge, ...readAttributes() };
+                    for (let i = 1; i < chain.length; i++) {
+                        chain[i - 1].forEach(from => chain[i].forEach(to => {
+                            result.edges.push({ from, to, attributes, line: token.line });
+                        }));
+                    }
+                } else if (sources.length === 1 && token.type === 'id') {
+                    Object.assign(result.nodes.get(sources[0]).attributes, readAttributes());
+                }
+            }
+            accept(';');
+        }
+    };
+
+    const readSubgraph = (parent) => {
+        let name = '';
+        if (accept('keyword', 'subgraph') && peek().type === 'id') name = readId();
+        expect('{');
+
+        const isCluster = name.startsWith('cluster');
+        const scope = {
+            node: { ...parent.node },
+            edge: { ...parent.edge },
+            graph: isCluster ? {} : parent.graph,
+            cluster: parent.cluster,
+            members: new Set()
+        };
+        if (isCluster) {
+            const cluster = { name, attributes: scope.graph, parent: parent.cluster, line: peek().line };
+            result.clusters.push(cluster);
+            scope.cluster = cluster;
+        }
+        readStatements(scope);
+        scope.members.forEach(id => parent.members.add(id));
+        return scope.members;
+    };
+
+    expect('{');
+    readStatements({ node: {}, edge: {}, graph: result.attributes, cluster: null, members: new Set() });
+    if (peek().type !== 'eof') fail(`Expected end of file but found ${found()}`);
+    return result;
+}
+
+// Label text: \n, \l and \r break lines, \N is the node id, \G the graph name
+const labelText = (value, id, graphName) => value.replace(/\\(.)/g, (match, ch) => {
+    if ('nlr'.includes(ch)) return '\n';
+    if (ch === 'N') return id;
+    if (ch === 'G') return graphName;
+    return ch;
+}).trim();
+
+// "x,y" or "x,y!" in points; null when missing or malformed
+const point = (value) => {
+    const match = /^\s*(-?[\d.]+)\s*,\s*(-?[\d.]+)/.exec(value || '');
+    return match ? { x: Number(match[1]), y: Number(match[2]) } : null;
+};
+
+/**
+ * The UCM node type of a DOT node, from its in/out degree: no in-edges
+ * makes a start point, no out-edges an end point, several out-edges a
+ * fork and several in-edges a join. The shapes the writer uses refine
+ * the rest (a filled bar is an AND, a diamond a stub, a double circle a
+ * timer, a point an empty point); anything else is a responsibility.
+ */
+export function nodeTypeOf({ shape = '', style = '', label }, inDegree, outDegree) {
+    const bar = shape === 'box' && style.includes('filled') && label === '';
+    if (inDegree === 0 && outDegree > 0) return { type: 'start' };
+    if (outDegree === 0 && inDegree > 0) return { type: 'end' };
+    if (inDegree > 0 && shape === 'diamond') return { type: 'stub', stubType: style.includes('dashed') ? 'dynamic' : 'static' };
+    if (outDegree > 1) return { type: 'fork', forkType: bar ? 'and' : 'or' };
+    if (inDegree > 1) return { type: 'join', joinType: bar ? 'and' : 'or' };
+    if (shape === 'doublecircle') return { type: 'timer' };
+    if (shape === 'point' && inDegree > 0) return { type: 'empty' };
+    return { type: 'responsibility' };
+}
+
+const SPACING = { x: 150, y: 100, margin: 50, padding: 40 };
+
+/**
+ * Read a DOT digraph into a map
+ * A start point with several out-edges gets an OR-fork right after it.
+ * @returns {Object} graph data as read by exporter.fromJSON()
+ * @throws {DotError} on malformed DOT
+ */
+export function fromDot(text) {
+    const dot = parseDot(text);
+    const graph = new UCMGraph();
+    const name = labelText(dot.attributes.label || dot.name || 'Graph', '', dot.name);
+    graph.metadata = createMetadata({ name });
+
+    const inDegree = new Map();
+    const outDegree = new Map();
+    dot.edges.forEach(({ from, to }) => {
+        outDegree.set(from, (outDegree.get(from) || 0) + 1);
+        inDegree.set(to, (inDegree.get(to) || 0) + 1);
+    });
+
+    // Positions: Graphviz `pos` (y grows upwards), else columns by distance from the sources
+    const entries = [...dot.nodes.values()];
+    const placed = entries.map(node => point(node.attributes.pos)).filter(Boolean);
+    const top = Math.max(0, ...placed.map(p => p.y),
+        ...[dot, ...dot.clusters].map(({ attributes }) => (attributes.bb || '').split(',').map(Number)[3] || 0));
+
+    const rank = new Map();
+    const queue = entries.filter(node => !inDegree.get(node.id)).map(node => node.id);
+    queue.forEach(id => rank.set(id, 0));
+    for (let i = 0; i < queue.length; i++) {
+        dot.edges.filter(edge => edge.from === queue[i] && !rank.has(edge.to)).forEach(edge => {
+            rank.set(edge.to, rank.get(queue[i]) + 1);
+            queue.push(edge.to);
+        });
+    }
+    const rows = new Map();
+    const positionOf = (node) => {
+        const pos = point(node.attributes.pos);
+        if (pos) return { x: pos.x, y: top - pos.y };
+        const column = rank.get(node.id) ?? 0;
+        const row = rows.get(column) || 0;
+        rows.set(column, row + 1);
+        return { x: SPACING.margin + column * SPACING.x, y: SPACING.margin + row * SPACING.y };
+    };
+
+    // Nodes
+    const created = new Map();  // DOT id -> { node, exit }
+    entries.forEach(entry => {
+        const { attributes } = entry;
+        const ins = inDegree.get(entry.id) || 0;
+        const outs = outDegree.get(entry.id) || 0;
+        // Without a label Graphviz shows the id, unless the name is drawn beside the node
+        const label = attributes.label !== undefined ? labelText(attributes.label, entry.id, dot.name)
+            : attributes.xlabel !== undefined ? '' : entry.id;
+        const nodeName = label || labelText(attributes.xlabel || '', entry.id, dot.name);
+        const { type, ...typeProps } = nodeTypeOf({ ...attributes, label }, ins, outs);
+        const position = positionOf(entry);
+
+        const node = graph.addNode(type, { ...position, ...(nodeName ? { name: nodeName } : {}), ...typeProps });
+        let exit = node;
+        if (type === 'start' && outs > 1) {
+            exit = graph.addNode('fork', { x: position.x + SPACING.padding, y: position.y, forkType: 'or' });
+            graph.addEdge(node.id, exit.id);
+        }
+        created.set(entry.id, { node, exit, entry });
+    });
+
+    // Clusters, innermost last so each component can take the bounds of its members
+    const components = new Map();
+    const boundsOf = (cluster) => {
+        const bb = (cluster.attributes.bb || '').split(',').map(Number);
+        if (bb.length === 4 && bb.every(Number.isFinite)) {
+            return { x: bb[0], y: top - bb[3], width: bb[2] - bb[0], height: bb[3] - bb[1] };
+        }
+        const boxes = [
+            ...[...created.values()].filter(c => c.entry.cluster === cluster)
+                .flatMap(c => [c.node, c.exit]).map(n => ({ x1: n.position.x, y1: n.position.y, x2: n.position.x, y2: n.position.y })),
+            ...dot.clusters.filter(child => child.parent === cluster).map(child => {
+                const b = boundsOf(child);
+                return { x1: b.x, y1: b.y, x2: b.x + b.width, y2: b.y + b.height };
+            })
+        ];
+        if (boxes.length === 0) return { x: SPACING.margin, y: SPACING.margin, width: 200, height: 100 };
+        const x = Math.min(...boxes.map(b => b.x1)) - SPACING.padding;
+        const y = Math.min(...boxes.map(b => b.y1)) - SPACING.padding;
+        return {
+            x,
+            y,
+            width: Math.max(...boxes.map(b => b.x2)) + SPACING.padding - x,
+            height: Math.max(...boxes.map(b => b.y2)) + SPACING.padding - y
+        };
+    };
+    dot.clusters.forEach(cluster => {
+        const label = cluster.attributes.label === undefined ? cluster.name.replace(/^cluster_?/, '') : cluster.attributes.label;
+        const type = (cluster.attributes.style || '').includes('dashed') ? 'process' : 'team';
+        const component = graph.addComponent(type, { ...boundsOf(cluster), name: labelText(label, cluster.name, dot.name) || cluster.name });
+        components.set(cluster, component);
+        if (cluster.parent) graph.bindComponentToComponent(component.id, components.get(cluster.parent).id);
+    });
+    created.forEach(({ node, exit, entry }) => {
+        if (!entry.cluster) return;
+        const componentId = components.get(entry.cluster).id;
+        graph.bindNodeToComponent(node.id, componentId);
+        if (exit !== node) graph.bindNodeToComponent(exit.id, componentId);
+    });
+
+    // Edges: a "[guard]" label (first line) is a condition, any other text stays the label
+    dot.edges.forEach(({ from, to, attributes }) => {
+        const text = labelText(attributes.label || '', '', dot.name);
+        const guarded = /^\[([^\n]*)\](?:\n([\s\S]*))?$/.exec(text);
+        const condition = guarded ? guarded[1].trim() : '';
+        const label = (guarded ? guarded[2] || '' : text).trim();
+        graph.addEdge(created.get(from).exit.id, created.get(to).node.id, {
+            ...(condition ? { condition } : {}),
+            ...(label ? { label } : {})
+        });
+    });
+
+    return graph.toJSON();
+}
@@ -0,0 +1,131 @@
+/**
+ * DSL Lexer - Splits UCM DSL text into tokens
+ *
+ * Token types:
+ *   word     bare word - keywords, names and unquoted values (Card-Payment, #f00)
+ *   number   -12, 3.5
+ *   string   JSON string literal, `value` holds the decoded text
+ *   arrow    ->
+ *   punct    one of ( ) { } [ ] , = : ;
+ *   newline  end of a line - statements are line based
+ *   error    malformed input (unterminated string), `value` holds the reason
+ *   eof      end of text
+ *
+ * Every token carries its source position: 1-based `line`/`column` of its
+ * first character and `endLine`/`endColumn` just past its last one.
+ * Comments run to the end of the line: `#` as the first thing on a line or
+ * as a word of its own (`# note`), `//` at the start of a line or after
+ * whitespace. `#f00` is a word.
+ */
+
+const PUNCTUATION = '(){}[],=:;';
+const NUMBER = /^-?\d+(\.\d+)?$/;
+
+const isWordChar = (ch) => !/\s/.test(ch) && ch !== '"' && !PUNCTUATION.includes(ch);
+
+/**
+ * @param {string} text
+ * @returns {Array<{type, value, text, line, column, endLine, endColumn}>}
+ */
+export function tokenize(text) {
+    const tokens = [];
+    let pos = 0;
+    let line = 1;
+    let column = 1;
+    let lineStart = true; // nothing but whitespace so far on this line
+
+    const push = (type, value, raw, startLine, startColumn) => {
+        tokens.push({ type, value, text: raw, line: startLine, column: startColumn, endLine: line, endColumn: column });
+    };
+
+    const advance = (count) => {
+        pos += count;
+        column += count;
+    };
+
+    while (pos < text.length) {
+        const ch = text[pos];
+
+        if (ch === '\n') {
+            push('newline', '\n', '\n', line, column);
+            tokens[tokens.length - 1].endColumn = column + 1;
+            pos++;
+            line++;
+            column = 1;
+            lineStart = true;
+            continue;
+        }
+
+        if (/\s/.test(ch)) {
+            advance(1);
+            continue;
+        }
+
+        const afterSpace = lineStart || /\s/.test(text[pos - 1]);
+        const hashComment = ch === '#' && (lineStart || (afterSpace && /\s|^$/.test(text[pos + 1] || '')));
+        if (hashComment || (text.startsWith('//', pos) && afterSpace)) {
+            while (pos < text.length && text[pos] !== '\n') advance(1);
+            continue;
+        }
+
+        lineStart = false;
+        const startLine = line;
+        const startColumn = column;
+        const start = pos;
+
+        if (ch === '"') {
+            advance(1);
+            while (pos < text.length && text[pos] !== '"' && text[pos] !== '\n') {
+                advance(text[pos] === '\\' && text[pos + 1] !== '\n' ? 2 : 1);
+            }
+            if (text[pos] !== '"') {
+                push('error', 'unterminated string', text.slice(start, pos), startLine, startColumn);
+                continue;
+            }
+            advance(1);
+
+            const raw = text.slice(start, pos);
+            try {
+                push('string', JSON.parse(raw), raw, startLine, startColumn);
+            } catch (e) {
+                push('error', `invalid string ${raw}`, raw, startLine, startColumn);
+            }
+            continue;
+        }
+
+        if (text.startsWith('->', pos)) {
+            advance(2);
+            push('arrow', '->', '->', startLine, startColumn);
+            continue;
+        }
+
+        if (PUNCTUATION.includes(ch)) {
+            advance(1);
+            push('punct', ch, ch, startLine, startColumn);
+            continue;
+        }
+
+        while (pos < text.length && isWordChar(text[pos]) && !text.startsWith('->', pos)) advance(1);
+        const raw = text.slice(start, pos);
+        if (NUMBER.test(raw)) {
+            push('number', Number(raw), raw, startLine, startColumn);
+        } else {
+            push('word', raw, raw, startLine, startColumn);
+        }
+    }
+
+    push('eof', null, '', line, column);
+    return tokens;
+}
+
+/**
+ * Human readable form of a token for error messages
+ */
+export function describeToken(token) {
+    switch (token.type) {
+        case 'newline': return 'end of line';
+        case 'eof': return 'end of text';
+        case 'string': return token.text.length > 30 ? `${token.text.slice(0, 27)}..."` : token.text;
+        default: return `"${token.text}"`;
+    }
+}
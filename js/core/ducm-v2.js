@@ -0,0 +1,138 @@
+/**
+ * DUCM v2 - Legacy dialect support (see docs/ducm-syntax.md)
+ *
+ * v2 has no quotes, commas or parentheses:
+ *   ucm <name>
+ *   COMP <type> <name> at <x> <y> size <w> <h>
+ *     <NODETYPE> <name> at <x> <y>
+ *   END
+ *   LINK <source> TO <target>
+ *
+ * detectDialect() tells v2 from v3 text and convertV2ToV3() rewrites v2 line
+ * for line, so the line numbers of parser errors still point into the
+ * original text.
+ */
+
+import { quoteName } from './serializer.js';
+
+const NUM = '(-?\\d+(?:\\.\\d+)?)';
+
+const V2_PATTERNS = {
+    // ucm <name>
+    ucm: /^ucm\s+(\S+)\s*$/i,
+
+    // COMP <type> <name> at <x> <y> size <w> <h>
+    compStart: new RegExp(`^COMP\\s+(\\w+)\\s+(\\S+)\\s+at\\s+${NUM}\\s+${NUM}\\s+size\\s+${NUM}\\s+${NUM}\\s*$`, 'i'),
+
+    // END (alone on its line - "END <name> at ..." is an end point)
+    compEnd: /^END\s*$/i,
+
+    // <NODETYPE> <name> at <x> <y>
+    node: new RegExp(`^(START|END|RESP|RESPONSIBILITY|FORK|JOIN|TIMER|STUB|EMPTY)\\s+(\\S+)\\s+at\\s+${NUM}\\s+${NUM}\\s*$`, 'i'),
+
+    // LINK <source> TO <target>
+    link: /^LINK\s+(\S+)\s+TO\s+(\S+)\s*$/i
+};
+
+// v2 node keyword -> node type
+export const V2_NODE_TYPES = {
+    START: 'start',
+    END: 'end',
+    RESP: 'responsibility',
+    RESPONSIBILITY: 'responsibility',
+    FORK: 'fork',
+    JOIN: 'join',
+    TIMER: 'timer',
+    STUB: 'stub',
+    EMPTY: 'empty'
+};
+
+const isComment = (line) => !line || line.startsWith('#') || line.startsWith('//');
+
+/**
+ * 'v2' when the text reads as legacy DUCM (COMP/END blocks, LINK ... TO ...,
+ * `at x y` without parentheses), otherwise 'v3'
+ */
+export function detectDialect(text) {
+    let v2 = 0;
+    let v3 = 0;
+
+    (text || '').split('\n').forEach(raw => {
+        const line = raw.trim();
+        if (isComment(line)) return;
+
+        if (/^COMP\s/i.test(line) || /^LINK\s+\S+\s+TO\s+\S+/i.test(line) ||
+            V2_PATTERNS.compEnd.test(line) || /\bat\s+-?\d/i.test(line)) {
+            v2++;
+        } else if (/->/.test(line) || /\bat\s*\(/i.test(line) || /[{}]\s*$/.test(line)) {
+            v3++;
+        }
+    });
+
+    return v2 > v3 ? 'v2' : 'v3';
+}
+
+/**
+ * Rewrite v2 text as v3, one output line per input line
+ * @returns {Object} { text, errors: Array<{line, column, endLine, endColumn, message}> }
+ */
+export function convertV2ToV3(text) {
+    const errors = [];
+    const openComponents = []; // { name, line } of COMP blocks without END yet
+
+    const report = (raw, lineNum, message) => {
+        const column = raw.length - raw.trimStart().length + 1;
+        errors.push({ line: lineNum, column, endLine: lineNum, endColumn: raw.trimEnd().length + 1, message });
+    };
+
+    const lines = text.split('\n').map((raw, i) => {
+        const lineNum = i + 1;
+        const line = raw.trim();
+        const indent = raw.slice(0, raw.length - raw.trimStart().length);
+
+        if (isComment(line)) return raw;
+
+        let match = line.match(V2_PATTERNS.compStart);
+        if (match) {
+            const [, type, name, x, y, w, h] = match;
+            openComponents.push({ name, line: lineNum });
+            return `${indent}component ${quoteName(name)} type ${type.toLowerCase()} at (${x}, ${y}) size (${w}, ${h}) {`;
+        }
+
+        if (V2_PATTERNS.compEnd.test(line)) {
+            if (openComponents.length === 0) {
+                report(raw, lineNum, 'END without a matching COMP');
+                return '';
+            }
+            openComponents.pop();
+            return `${indent}}`;
+        }
+
+        match = line.match(V2_PATTERNS.node);
+        if (match) {
+            const [, keyword, name, x, y] = match;
+            return `${indent}${V2_NODE_TYPES[keyword.toUpperCase()]} ${quoteName(name)} at (${x}, ${y})`;
+        }
+
+        match = line.match(V2_PATTERNS.link);
+        if (match) {
+            return `${indent}link ${quoteName(match[1])} -> ${quoteName(match[2])}`;
+        }
+
+        match = line.match(V2_PATTERNS.ucm);
+        if (match) {
+            return `${indent}ucm ${quoteName(match[1])}`;
+        }
+
+        report(raw, lineNum, `Expected ucm, COMP, END, LINK or a node (START, END, RESP, FORK, JOIN) but found "${line}"`);
+        return '';
+    });
+
+    // Close what was left open, after the last line so line numbers stay put
+    openComponents.reverse().forEach(({ name, line }) => {
+        errors.push({ line, message: `Missing END for COMP "${name}"` });
+        lines.push('}');
+    });
+
+    return { text: lines.join('\n'), errors };
+}
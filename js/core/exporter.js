@@ -5,24 +5,60 @@
 import { graph } from './graph.js';
 import { notifications } from '../ui/notifications.js';
 import { serializer } from './serializer.js';
+import { ucmDocument } from './document.js';
+import { scenarioManager } from './scenario.js';
+import { calculateContentBounds } from './svg-writer.js';
+import { toLQNX } from './performance.js';
+import { fromJUCM, toJUCM } from './jucm.js';
+import { toMermaid } from './mermaid.js';
+import { toDot, fromDot } from './dot.js';
+import { toPlantUML } from './plantuml.js';
+import { renderPDF } from './pdf-writer.js';
 
 export const exporter = {
     /**
      * Export the graph as a JSON file
+     * Documents with plug-in maps are saved as { rootMapId, maps: [...] }
      */
-    exportJSON() {
-        const data = graph.toJSON();
-        const json = JSON.stringify(data, null, 2);
-        this.downloadFile(json, 'ucm_diagram.json', 'application/json');
+    exportJSON(fileName = 'ucm_diagram.json') {
+        const json = JSON.stringify(this.toJSON(), null, 2);
+        this.downloadFile(json, fileName, 'application/json');
+    },
+
+    /**
+     * Saved-file contents: the graph (or whole document) plus its scenarios
+     */
+    toJSON() {
+        const data = ucmDocument.getAllMaps().length > 1 ? ucmDocument.toJSON() : graph.toJSON();
+        return { ...data, scenarios: scenarioManager.toJSON() };
+    },
+
+    /**
+     * Load saved-file contents written by toJSON()
+     */
+    fromJSON(data) {
+        if (Array.isArray(data.maps)) {
+            ucmDocument.fromJSON(data);
+        } else {
+            ucmDocument.reset(data.metadata?.name || data.name || undefined);
+            graph.fromJSON(data);
+        }
+        scenarioManager.fromJSON(data.scenarios || []);
     },
 
     /**
-     * Export the graph as a DSL (.ducm) file
+     * Export the document (all maps) as a DSL (.ducm) file
+     * @param {string} [dialect] - 'v2' for the legacy syntax (root map only)
      */
-    exportDSL() {
-        const dsl = serializer.serialize(graph);
+    exportDSL(dialect = 'v3') {
+        const dsl = serializer.serializeDocument(ucmDocument, { dialect });
         this.downloadFile(dsl, 'ucm_diagram.ducm', 'text/plain');
-        notifications.success('DSL exported');
+
+        if (dialect === 'v2' && ucmDocument.getAllMaps().length > 1) {
+            notifications.warning('DSL v2 exported - only the root map, v2 has no plug-in maps');
+        } else {
+            notifications.success(dialect === 'v2' ? 'DSL v2 exported' : 'DSL exported');
+        }
     },
 
     /**
@@ -95,134 +131,49 @@ export const exporter = {
      * This is independent of any pan/zoom transforms
      */
     calculateContentBounds() {
-        const nodes = graph.getAllNodes();
-        const components = graph.getAllComponents();
-        const edges = graph.getAllEdges();
-
-        if (nodes.length === 0 && components.length === 0) {
-            return null;
-        }
-
-        let minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
-
-        // Include all nodes
-        nodes.forEach(node => {
-            const x = node.position.x;
-            const y = node.position.y;
-            // Assume node radius of ~15 for bounds
-            minX = Math.min(minX, x - 15);
-            minY = Math.min(minY, y - 15);
-            maxX = Math.max(maxX, x + 15);
-            maxY = Math.max(maxY, y + 50); // Extra for labels below
-        });
-
-        // Include all components
-        components.forEach(comp => {
-            const b = comp.bounds;
-            minX = Math.min(minX, b.x);
-            minY = Math.min(minY, b.y);
-            maxX = Math.max(maxX, b.x + b.width);
-            maxY = Math.max(maxY, b.y + b.height);
-        });
-
-        // Include all edge waypoints/control points
-        edges.forEach(edge => {
-            if (edge.controlPoints && edge.controlPoints.length > 0) {
-                edge.controlPoints.forEach(cp => {
-                    minX = Math.min(minX, cp.x - 5);
-                    minY = Math.min(minY, cp.y - 5);
-                    maxX = Math.max(maxX, cp.x + 5);
-                    maxY = Math.max(maxY, cp.y + 5);
-                });
-            }
-        });
-
-        return {
-            minX,
-            minY,
-            maxX,
-            maxY,
-            width: maxX - minX,
-            height: maxY - minY
-        };
+        return calculateContentBounds(graph);
     },
 
     /**
-     * Export the graph as a .jucm (XML) file for jUCMNav compatibility
-     * This is a simplified version of the jUCMNav format
+     * Export the document as a .jucm file that jUCMNav can open
      */
     exportJUCM() {
-        let xml = `<?xml version="1.0" encoding="UTF-8"?>
-<urn:URNspec xmi:version="2.0" xmlns:xmi="http://www.omg.org/XMI" xmlns:urn="http:///urn.ecore" name="UCMDiagram">
-    <ucmspec>
-        <maps name="UCMMap1" id="1">
-            <nodes xmi:type="urn:StartPoint" name="Start" id="2" x="100" y="100"/>
-        </maps>
-    </ucmspec>
-</urn:URNspec>`;
-
-        // Actually implement a basic mapping
-        const nodes = graph.getAllNodes();
-        const components = graph.getAllComponents();
-        const edges = graph.getAllEdges();
-
-        let jucmXML = `<?xml version="1.0" encoding="UTF-8"?>
-<urn:URNspec xmi:version="2.0" xmlns:xmi="http://www.omg.org/XMI" xmlns:urn="http:///urn.ecore" name="UCMDiagram">
-    <ucmspec>
-        <maps name="MainMap" id="map_1">
-`;
-
-        // Components
-        components.forEach(comp => {
-            const type = this.mapComponentType(comp.type);
-            jucmXML += `            <components xmi:type="urn:${type}" name="${this.escapeXml(comp.properties.name)}" id="${comp.id}" x="${comp.bounds.x}" y="${comp.bounds.y}" width="${comp.bounds.width}" height="${comp.bounds.height}"/>\n`;
-        });
-
-        // Nodes
-        nodes.forEach(node => {
-            const type = this.mapNodeType(node.type);
-            jucmXML += `            <nodes xmi:type="urn:${type}" name="${this.escapeXml(node.properties.name)}" id="${node.id}" x="${node.position.x}" y="${node.position.y}"/>\n`;
-        });
+        this.downloadFile(this.toJUCM(), 'ucm_diagram.jucm', 'application/xml');
+    },
 
-        // Edges
-        edges.forEach(edge => {
-            jucmXML += `            <connections id="${edge.id}" source="${edge.sourceNodeId}" target="${edge.targetNodeId}"/>\n`;
-        });
+    /**
+     * Export the graph as a Layered Queueing Network (.lqnx) for LQNS / lqsim
+     */
+    exportLQNX() {
+        this.downloadFile(toLQNX(graph), 'ucm_diagram.lqnx', 'application/xml');
+    },
 
-        jucmXML += `        </maps>
-    </ucmspec>
-</urn:URNspec>`;
+    /**
+     * Export the current map as a Graphviz digraph (.dot)
+     */
+    exportDot() {
+        this.downloadFile(toDot(graph), 'ucm_diagram.dot', 'text/vnd.graphviz');
+    },
 
-        this.downloadFile(jucmXML, 'ucm_diagram.jucm', 'application/xml');
+    /**
+     * Export the current map as a Mermaid flowchart (.mmd)
+     */
+    exportMermaid() {
+        this.downloadFile(toMermaid(graph), 'ucm_diagram.mmd', 'text/plain');
     },
 
     /**
-     * Map internal node types to jUCMNav types
+     * Export the current map as a PlantUML component diagram (.puml)
      */
-    mapNodeType(type) {
-        const mapping = {
-            'start': 'StartPoint',
-            'end': 'EndPoint',
-            'responsibility': 'Responsibility',
-            'empty': 'DirectionArrow',
-            'fork': 'OrFork',
-            'join': 'OrJoin'
-        };
-        return mapping[type] || 'NodeConnection';
+    exportPlantUML() {
+        this.downloadFile(toPlantUML(graph), 'ucm_diagram.puml', 'text/plain');
     },
 
     /**
-     * Map internal component types to jUCMNav types
+     * The document (all maps) as jUCMNav XMI
      */
-    mapComponentType(type) {
-        const mapping = {
-            'team': 'Component',
-            'actor': 'Component',
-            'process': 'Component',
-            'agent': 'Component',
-            'object': 'Component'
-        };
-        return mapping[type] || 'Component';
+    toJUCM() {
+        return toJUCM(ucmDocument);
     },
 
     /**
@@ -372,23 +323,39 @@ export const exporter = {
     },
 
     /**
-     * Export the graph as a PDF (Simplified using print)
+     * Export the current map as a vector PDF drawn from graph data
+     * @param {Object} [options] - Page size, orientation, tiling and font (see renderPDF)
      */
-    exportPDF() {
-        window.print();
+    exportPDF(options = {}) {
+        if (!calculateContentBounds(graph)) {
+            notifications.warning('Nothing to export - the diagram is empty');
+            return;
+        }
+        try {
+            const pdf = renderPDF(graph, { ...options, onWarning: message => notifications.warning(message) });
+            this.downloadFile(pdf, 'ucm_diagram.pdf', 'application/pdf');
+        } catch (err) {
+            notifications.error('PDF export failed: ' + err.message);
+        }
     },
 
     /**
-     * Import a JSON file
+     * Import a saved JSON file or a jUCMNav (.jucm) file
      */
     importFile(file) {
         return new Promise((resolve, reject) => {
             const reader = new FileReader();
             reader.onload = (e) => {
                 try {
-                    const data = JSON.parse(e.target.result);
-                    graph.fromJSON(data);
-                    notifications.success('File imported successfully');
+                    if (/\.(jucm|xml)$/i.test(file.name)) {
+                        this.importJUCM(e.target.result);
+                    } else if (/\.(dot|gv)$/i.test(file.name)) {
+                        this.fromJSON(fromDot(e.target.result));
+                        notifications.success('Graphviz file imported');
+                    } else {
+                        this.fromJSON(JSON.parse(e.target.result));
+                        notifications.success('File imported successfully');
+                    }
                     resolve(true);
                 } catch (err) {
                     notifications.error('Import failed: ' + err.message);
@@ -403,6 +370,32 @@ export const exporter = {
         });
     },
 
+    /**
+     * Load jUCMNav XMI and report what had no equivalent
+     * @returns {Array} the mapping report (see jucm.js)
+     */
+    importJUCM(text) {
+        const { data, report } = fromJUCM(text);
+        this.fromJSON(data);
+
+        if (report.length === 0) {
+            notifications.success('jUCMNav file imported');
+            return report;
+        }
+
+        notifications.warning(`jUCMNav file imported - ${report.length} construct(s) dropped or approximated:`, {
+            details: {
+                columns: ['Line', 'Construct', 'Message'],
+                rows: report.map(entry => [
+                    entry.line,
+                    `${entry.construct}${entry.name ? ` "${entry.name}"` : ''}`,
+                    entry.message
+                ])
+            }
+        });
+        return report;
+    },
+
     /**
      * Helper to download a file in the browser
      */
@@ -413,21 +406,5 @@ export const exporter = {
         a.download = fileName;
         a.click();
         URL.revokeObjectURL(a.href);
-    },
-
-    /**
-     * Escape XML characters
-     */
-    escapeXml(unsafe) {
-        if (!unsafe) return "";
-        return unsafe.replace(/[<>&'"]/g, function (c) {
-            switch (c) {
-                case '<': return '&lt;';
-                case '>': return '&gt;';
-                case '&': return '&amp;';
-                case '\'': return '&apos;';
-                case '"': return '&quot;';
-            }
-        });
     }
 };
@@ -0,0 +1,577 @@
+/**
+ * Condition Expressions - The sandboxed expression language of guards,
+ * plug-in conditions and pre/postconditions
+ *
+ * Modelled on jUCMNav's URN variables. Values are booleans, integers and
+ * enumeration values (quoted strings):
+ *   paid && attempts < 3
+ *   not (method == "card" or total % 2 == 1)
+ *   order.total * 2 >= limit - 1
+ *
+ * Operators by precedence, lowest first:
+ *   || or     && and     == !=     < <= > >=     + -     * / %     ! not -
+ * Division truncates towards zero; integers and results stay within
+ * ±(2^53 - 1) and expressions within MAX_DEPTH levels of nesting. Names may
+ * be dotted (`order.total`): a variable of that exact name wins, otherwise
+ * the parts walk nested objects.
+ *
+ * Responsibility code is a list of assignments, separated by `;` or newlines:
+ *   retries = retries + 1; approved = true
+ * Every target must already exist and keeps its type.
+ *
+ * Expressions are parsed by their own tokenizer and recursive-descent parser -
+ * nothing is ever handed to the JavaScript engine.
+ */
+
+const KEYWORDS = new Map([['and', '&&'], ['or', '||'], ['not', '!']]);
+const OPERATORS = ['&&', '||', '==', '!=', '<=', '>=', '<', '>', '+', '-', '*', '/', '%', '!', '=', '(', ')'];
+
+// Binary operators by precedence level, lowest first
+const LEVELS = [['||'], ['&&'], ['==', '!='], ['<', '<=', '>', '>='], ['+', '-'], ['*', '/', '%']];
+
+// Deepest expression tree the parser builds - parsing, checking and evaluating all recurse over it
+const MAX_DEPTH = 200;
+
+export class ExpressionError extends Error {
+    /**
+     * @param {string} message
+     * @param {number|null} position - 0-based offset in the expression text
+     */
+    constructor(message, position = null) {
+        super(message);
+        this.position = position;
+    }
+}
+
+// ============================================
+// Tokenizer
+// ============================================
+
+function tokenize(source, statements = false) {
+    const tokens = [];
+    let pos = 0;
+
+    while (pos < source.length) {
+        const ch = source[pos];
+
+        if (/\s/.test(ch)) {
+            pos++;
+            continue;
+        }
+
+        if (/\d/.test(ch)) {
+            const match = source.slice(pos).match(/^\d+(\.\d+)?/);
+            if (match[1]) throw new ExpressionError(`Only whole numbers are supported: ${match[0]}`, pos);
+            if (!Number.isSafeInteger(Number(match[0]))) throw new ExpressionError(`Number too large: ${match[0]}`, pos);
+            tokens.push({ type: 'number', value: Number(match[0]), pos });
+            pos += match[0].length;
+            continue;
+        }
+
+        if (/[A-Za-z_]/.test(ch)) {
+            const [word] = source.slice(pos).match(/^[A-Za-z_]\w*(\.[A-Za-z_]\w*)*/);
+            const lower = word.toLowerCase();
+            if (KEYWORDS.has(lower)) tokens.push({ type: 'op', value: KEYWORDS.get(lower), pos });
+            else if (lower === 'true' || lower === 'false') tokens.push({ type: 'boolean', value: lower === 'true', pos });
+            else tokens.push({ type: 'name', value: word, pos });
+            pos += word.length;
+            continue;
+        }
+
+        if (ch === '"' || ch === "'") {
+            const end = source.indexOf(ch, pos + 1);
+            if (end === -1) throw new ExpressionError('Unterminated string', pos);
+            tokens.push({ type: 'string', value: source.slice(pos + 1, end), pos });
+            pos = end + 1;
+            continue;
+        }
+
+        const op = statements && ch === ';' ? ';' : OPERATORS.find(o => source.startsWith(o, pos));
+        if (!op) throw new ExpressionError(`Unexpected character "${ch}"`, pos);
+        tokens.push({ type: 'op', value: op, pos });
+        pos += op.length;
+    }
+
+    tokens.push({ type: 'eof', pos: source.length });
+    return tokens;
+}
+
+// ============================================
+// Parser
+// ============================================
+
+const describe = (token) => token.type === 'eof' ? 'end of expression' : `"${token.value}"`;
+
+/**
+ * AST nodes:
+ *   { type: 'literal', value }
+ *   { type: 'variable', name, pos }
+ *   { type: 'unary', op, operand, pos }
+ *   { type: 'binary', op, left, right, pos }
+ *   { type: 'assign', name, value, pos }    (statements only)
+ */
+class ExpressionParser {
+    constructor(source, statements = false) {
+        this.tokens = tokenize(source, statements);
+        this.index = 0;
+        this.depth = 0;
+    }
+
+    /**
+     * Go `levels` deeper into the tree being built
+     * @throws {ExpressionError} past MAX_DEPTH
+     */
+    descend(levels, pos) {
+        this.depth += levels;
+        if (this.depth > MAX_DEPTH) {
+            throw new ExpressionError(`Expression is nested too deeply (more than ${MAX_DEPTH} levels)`, pos);
+        }
+    }
+
+    peek() {
+        return this.tokens[this.index];
+    }
+
+    next() {
+        return this.tokens[this.index++];
+    }
+
+    isOp(value) {
+        const token = this.peek();
+        return token.type === 'op' && token.value === value;
+    }
+
+    parse() {
+        if (this.peek().type === 'eof') throw new ExpressionError('Empty expression', 0);
+        const ast = this.parseLevel(0);
+        this.expectEnd();
+        return ast;
+    }
+
+    /**
+     * name = expression, separated by ";" - or nothing when the next
+     * assignment starts on a new line
+     */
+    parseStatements() {
+        const statements = [];
+
+        while (this.peek().type !== 'eof') {
+            if (this.isOp(';')) {
+                this.next();
+                continue;
+            }
+
+            const target = this.next();
+            if (target.type !== 'name') {
+                throw new ExpressionError(`Expected a variable to assign but found ${describe(target)}`, target.pos);
+            }
+            if (!this.isOp('=')) {
+                throw new ExpressionError(`Expected "=" after ${target.value} but found ${describe(this.peek())}`, this.peek().pos);
+            }
+            this.next();
+            statements.push({ type: 'assign', name: target.value, value: this.parseLevel(0), pos: target.pos });
+
+            const rest = this.peek();
+            if (rest.type !== 'eof' && !this.isOp(';') && rest.type !== 'name') this.expectEnd();
+        }
+        return statements;
+    }
+
+    expectEnd() {
+        const rest = this.peek();
+        if (rest.type === 'eof' || this.isOp(';')) return;
+        const hint = rest.value === '=' ? ' (use == to compare)' : '';
+        throw new ExpressionError(`Expected an operator but found ${describe(rest)}${hint}`, rest.pos);
+    }
+
+    parseLevel(level) {
+        if (level === LEVELS.length) return this.parseUnary();
+
+        let left = this.parseLevel(level + 1);
+        let chained = 0;
+        while (LEVELS[level].some(op => this.isOp(op))) {
+            const { value: op, pos } = this.next();
+            // Each operator puts the operands so far one level deeper
+            this.descend(1, pos);
+            chained++;
+            const right = this.parseLevel(level + 1);
+            left = { type: 'binary', op, left, right, pos };
+            // a < b < c reads as (a < b) < c - almost never what was meant
+            if (level >= 2 && level <= 3 && LEVELS[level].some(o => this.isOp(o))) {
+                throw new ExpressionError('Comparisons cannot be chained - use && between them', this.peek().pos);
+            }
+        }
+        this.depth -= chained;
+        return left;
+    }
+
+    parseUnary() {
+        if (this.isOp('!') || this.isOp('-')) {
+            const { value: op, pos } = this.next();
+            this.descend(1, pos);
+            const operand = this.parseUnary();
+            this.depth--;
+            return { type: 'unary', op, operand, pos };
+        }
+        return this.parsePrimary();
+    }
+
+    parsePrimary() {
+        const token = this.next();
+
+        switch (token.type) {
+            case 'number':
+            case 'boolean':
+            case 'string':
+                return { type: 'literal', value: token.value };
+            case 'name':
+                return { type: 'variable', name: token.value, pos: token.pos };
+        }
+
+        if (token.type === 'op' && token.value === '(') {
+            this.descend(1, token.pos);
+            const inner = this.parseLevel(0);
+            if (!this.isOp(')')) throw new ExpressionError(`Expected ")" but found ${describe(this.peek())}`, this.peek().pos);
+            this.next();
+            this.depth--;
+            return inner;
+        }
+
+        throw new ExpressionError(`Expected a value but found ${describe(token)}`, token.pos);
+    }
+}
+
+const astCache = new Map();
+const statementCache = new Map();
+
+/**
+ * Parse an expression (results are cached by text)
+ * @throws {ExpressionError}
+ */
+export function parseExpression(source) {
+    if (!astCache.has(source)) {
+        astCache.set(source, new ExpressionParser(String(source)).parse());
+    }
+    return astCache.get(source);
+}
+
+/**
+ * Parse responsibility code into a list of assignments (cached by text)
+ * @throws {ExpressionError}
+ */
+export function parseStatements(source) {
+    if (!statementCache.has(source)) {
+        statementCache.set(source, new ExpressionParser(String(source), true).parseStatements());
+    }
+    return statementCache.get(source);
+}
+
+// ============================================
+// Types
+// ============================================
+
+/**
+ * 'boolean', 'integer' or 'enum' for a variable value, null for anything else
+ */
+export function typeOfValue(value) {
+    if (typeof value === 'boolean') return 'boolean';
+    if (Number.isInteger(value)) return 'integer';
+    if (typeof value === 'string') return 'enum';
+    return null;
+}
+
+/**
+ * Types of a set of variable values for checkExpression(); nested objects
+ * give dotted names
+ */
+export function variableTypes(variables, prefix = '') {
+    const types = {};
+    Object.entries(variables || {}).forEach(([name, value]) => {
+        if (value !== null && typeof value === 'object' && !Array.isArray(value)) {
+            Object.assign(types, variableTypes(value, `${prefix}${name}.`));
+        } else if (typeOfValue(value)) {
+            types[prefix + name] = typeOfValue(value);
+        }
+    });
+    return types;
+}
+
+function lookup(variables, name, pos) {
+    if (Object.prototype.hasOwnProperty.call(variables, name)) return variables[name];
+
+    let value = variables;
+    for (const part of name.split('.')) {
+        if (value === null || typeof value !== 'object' || !Object.prototype.hasOwnProperty.call(value, part)) {
+            throw new ExpressionError(`Unknown variable "${name}"`, pos);
+        }
+        value = value[part];
+    }
+    return value;
+}
+
+// Operand and result types of each operator
+const SIGNATURES = {
+    '!': { operands: 'boolean', result: 'boolean' },
+    'neg': { operands: 'integer', result: 'integer' },
+    '&&': { operands: 'boolean', result: 'boolean' },
+    '||': { operands: 'boolean', result: 'boolean' },
+    '<': { operands: 'integer', result: 'boolean' },
+    '<=': { operands: 'integer', result: 'boolean' },
+    '>': { operands: 'integer', result: 'boolean' },
+    '>=': { operands: 'integer', result: 'boolean' },
+    '+': { operands: 'integer', result: 'integer' },
+    '-': { operands: 'integer', result: 'integer' },
+    '*': { operands: 'integer', result: 'integer' },
+    '/': { operands: 'integer', result: 'integer' },
+    '%': { operands: 'integer', result: 'integer' }
+};
+
+const operandError = (op, expected, actual, pos) =>
+    new ExpressionError(`"${op}" needs ${expected === 'boolean' ? 'booleans' : 'integers'} but got ${actual}`, pos);
+
+const typeName = (type) => typeof type === 'object' && type !== null ? type.type : type;
+
+/**
+ * Static type checker over ASTs; collects errors and unknown variable names
+ */
+function createChecker(types) {
+    const errors = [];
+    const unknown = [];
+
+    // An enumeration compared with (or set to) a literal it does not list
+    const checkLiteral = (name, literal) => {
+        if (literal.type !== 'literal') return;
+        const values = types[name]?.values;
+        if (values && typeof literal.value === 'string' && !values.includes(literal.value)) {
+            errors.push(`"${literal.value}" is not a value of ${name} (${values.join(', ')})`);
+        }
+    };
+
+    const typeOf = (node) => {
+        switch (node.type) {
+            case 'literal':
+                return typeOfValue(node.value);
+            case 'variable': {
+                if (!Object.prototype.hasOwnProperty.call(types, node.name)) {
+                    if (!unknown.includes(node.name)) unknown.push(node.name);
+                    return null;
+                }
+                return typeName(types[node.name]);
+            }
+            case 'unary': {
+                const signature = SIGNATURES[node.op === '-' ? 'neg' : node.op];
+                const operand = typeOf(node.operand);
+                if (operand && operand !== signature.operands) {
+                    errors.push(operandError(node.op, signature.operands, operand).message);
+                }
+                return signature.result;
+            }
+            case 'binary': {
+                const left = typeOf(node.left);
+                const right = typeOf(node.right);
+                if (node.op === '==' || node.op === '!=') {
+                    if (left && right && left !== right) errors.push(`Cannot compare ${left} with ${right}`);
+                    if (node.left.type === 'variable') checkLiteral(node.left.name, node.right);
+                    if (node.right.type === 'variable') checkLiteral(node.right.name, node.left);
+                    return 'boolean';
+                }
+                const signature = SIGNATURES[node.op];
+                [left, right].forEach(type => {
+                    if (type && type !== signature.operands) {
+                        errors.push(operandError(node.op, signature.operands, type).message);
+                    }
+                });
+                return signature.result;
+            }
+            case 'assign': {
+                const value = typeOf(node.value);
+                typeOf({ type: 'variable', name: node.name });
+                const target = typeName(types[node.name]);
+                if (target && value && target !== value) {
+                    errors.push(`Cannot assign ${value} to ${node.name} (${target})`);
+                }
+                checkLiteral(node.name, node.value);
+                return null;
+            }
+        }
+        return null;
+    };
+
+    return { typeOf, errors, unknown };
+}
+
+/**
+ * Static type check against variable types, without evaluating anything
+ * @param {string} source
+ * @param {Object} types - Variable name -> 'boolean' | 'integer' | 'enum', or
+ *                         { type: 'enum', values } to also check enumeration literals
+ * @returns {Object} { type, errors: string[], unknown: string[] } - syntax and type
+ *                   errors, and the names of unknown variables; type is null when unknown
+ */
+export function checkExpression(source, types = {}) {
+    let ast;
+    try {
+        ast = parseExpression(source);
+    } catch (e) {
+        return { type: null, errors: [e.message], unknown: [] };
+    }
+
+    const { typeOf, errors, unknown } = createChecker(types);
+    const type = typeOf(ast);
+    return { type, errors, unknown };
+}
+
+/**
+ * Static check of responsibility code: assignments to unknown variables
+ * and values of the wrong type
+ * @returns {Object} { errors: string[], unknown: string[] }
+ */
+export function checkStatements(source, types = {}) {
+    let statements;
+    try {
+        statements = parseStatements(source);
+    } catch (e) {
+        return { errors: [e.message], unknown: [] };
+    }
+
+    const { typeOf, errors, unknown } = createChecker(types);
+    statements.forEach(typeOf);
+    return { errors, unknown };
+}
+
+// ============================================
+// Evaluation
+// ============================================
+
+function evaluateNode(node, variables) {
+    switch (node.type) {
+        case 'literal':
+            return node.value;
+
+        case 'variable': {
+            const value = lookup(variables, node.name, node.pos);
+            if (typeOfValue(value) === null) {
+                throw new ExpressionError(`Variable "${node.name}" is not a boolean, integer or enumeration value`, node.pos);
+            }
+            return value;
+        }
+
+        case 'unary': {
+            const operand = evaluateNode(node.operand, variables);
+            const signature = SIGNATURES[node.op === '-' ? 'neg' : node.op];
+            expectType(node.op, signature.operands, operand, node.pos);
+            return node.op === '!' ? !operand : -operand;
+        }
+
+        case 'binary':
+            return evaluateBinary(node, variables);
+    }
+    throw new ExpressionError(`Unknown expression node "${node.type}"`);
+}
+
+function expectType(op, expected, value, pos) {
+    const actual = typeOfValue(value);
+    if (actual !== expected) throw operandError(op, expected, actual, pos);
+}
+
+function evaluateBinary(node, variables) {
+    const { op, pos } = node;
+    const left = evaluateNode(node.left, variables);
+
+    // Short-circuit: the right side may refer to variables that only exist when needed
+    if (op === '&&' || op === '||') {
+        expectType(op, 'boolean', left, pos);
+        if (op === '&&' ? !left : left) return left;
+        const right = evaluateNode(node.right, variables);
+        expectType(op, 'boolean', right, pos);
+        return right;
+    }
+
+    const right = evaluateNode(node.right, variables);
+
+    if (op === '==' || op === '!=') {
+        if (typeOfValue(left) !== typeOfValue(right)) {
+            throw new ExpressionError(`Cannot compare ${typeOfValue(left)} with ${typeOfValue(right)}`, pos);
+        }
+        return op === '==' ? left === right : left !== right;
+    }
+
+    expectType(op, 'integer', left, pos);
+    expectType(op, 'integer', right, pos);
+
+    const checked = (result) => {
+        if (!Number.isSafeInteger(result)) throw new ExpressionError(`Integer overflow: ${left} ${op} ${right}`, pos);
+        return result;
+    };
+
+    switch (op) {
+        case '<': return left < right;
+        case '<=': return left <= right;
+        case '>': return left > right;
+        case '>=': return left >= right;
+        case '+': return checked(left + right);
+        case '-': return checked(left - right);
+        case '*': return checked(left * right);
+        case '/':
+        case '%':
+            if (right === 0) throw new ExpressionError('Division by zero', pos);
+            return op === '/' ? Math.trunc(left / right) : left % right;
+    }
+    throw new ExpressionError(`Unknown operator "${op}"`, pos);
+}
+
+/**
+ * Evaluate an expression
+ * @param {string} source
+ * @param {Object} variables - Variable name -> value
+ * @returns {boolean|number|string}
+ * @throws {ExpressionError} on syntax errors, unknown variables and type errors
+ */
+export function evaluateExpression(source, variables = {}) {
+    return evaluateNode(parseExpression(source), variables);
+}
+
+/**
+ * Evaluate a condition - the result has to be a boolean. `true`/`false`
+ * values are accepted as they are.
+ * @throws {ExpressionError}
+ */
+export function evaluateCondition(condition, variables = {}) {
+    if (typeof condition === 'boolean') return condition;
+
+    const value = evaluateExpression(condition, variables);
+    if (typeof value !== 'boolean') {
+        throw new ExpressionError(`Condition "${condition}" is ${typeOfValue(value)}, not boolean`);
+    }
+    return value;
+}
+
+/**
+ * Run responsibility code against `variables`. All assignments see the
+ * values set by the ones before them; nothing changes when one fails.
+ * @param {Object} [types] - Declared types, to check enumeration values
+ * @returns {Object} the changed variables, name -> new value
+ * @throws {ExpressionError}
+ */
+export function executeStatements(source, variables, types = {}) {
+    const current = { ...variables };
+    const changes = {};
+
+    parseStatements(source).forEach(({ name, value, pos }) => {
+        const previous = lookup(current, name, pos);
+        const next = evaluateNode(value, current);
+
+        if (typeOfValue(previous) !== typeOfValue(next)) {
+            throw new ExpressionError(`Cannot assign ${typeOfValue(next)} to ${name} (${typeOfValue(previous)})`, pos);
+        }
+        const values = types[name]?.values;
+        if (values && !values.includes(next)) {
+            throw new ExpressionError(`"${next}" is not a value of ${name} (${values.join(', ')})`, pos);
+        }
+
+        current[name] = next;
+        changes[name] = next;
+    });
+
+    return changes;
+}
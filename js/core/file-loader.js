@@ -1,19 +1,15 @@
 /**
  * UCM File Loader - Loads and manages .ducm files
- * DUCM v2 = Regex-friendly declarative format
- * 
- * Syntax (no quotes, no commas, no parentheses):
- *   ucm <name>
- *   COMP <type> <name> at <x> <y> size <w> <h>
- *     <NODETYPE> <name> at <x> <y>
- *   END
- *   LINK <source> TO <target>
+ *
+ * Files are in the v3 syntax (see parser.js). Legacy DUCM v2 files
+ * (COMP / LINK TO / END, see ducm-v2.js) are detected and converted.
  */
 
 import { graph } from './graph.js';
 import { canvas } from '../editor/canvas.js';
 import { tracing } from './tracing.js';
 import { parser } from './parser.js';
+import { ucmDocument } from './document.js';
 import { serializer } from './serializer.js';
 import { notifications } from '../ui/notifications.js';
 
@@ -65,13 +61,15 @@ class FileLoader {
 
             const text = await response.text();
 
-            // Use the shared parser to update the graph directly
-            const result = parser.parse(text, graph);
+            // A new file starts a new document - one map, or several ucm blocks
+            const result = parser.parseDocument(text, ucmDocument, { replace: true });
 
             if (!result.success) {
                 console.warn('Parser errors:', result.errors);
                 const errorCount = result.errors.length;
                 notifications.warning(`File loaded with ${errorCount} parser error${errorCount > 1 ? 's' : ''}`);
+            } else if (result.dialect === 'v2') {
+                notifications.info('Legacy DUCM v2 file converted - export as DSL to save it in the current syntax');
             }
 
             // Extract name if possible (parser might not store it on graph yet, but we can verify)
@@ -122,10 +120,10 @@ class FileLoader {
     }
 
     /**
-     * Export current graph as DUCM v2 text
+     * Export all maps of the current document as DUCM text
      */
     exportAsDUCM() {
-        return serializer.serialize(graph);
+        return serializer.serializeDocument(ucmDocument);
     }
 
     /**
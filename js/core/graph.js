@@ -4,7 +4,7 @@
  */
 
 import { tracing } from './tracing.js';
-import { notifications } from '../ui/notifications.js';
+import { createVariable } from './variables.js';
 
 // Default edge style properties (draw.io-like)
 export const DEFAULT_EDGE_STYLE = {
@@ -17,13 +17,51 @@ export const DEFAULT_EDGE_STYLE = {
     opacity: 1                   // Line opacity (0-1)
 };
 
+// Events that change the model and therefore bump metadata.modified
+// (not edge:rejected - a refused link leaves the model as it was)
+const MODIFYING_EVENTS = new Set([
+    'node:added', 'node:updated', 'node:removed', 'node:bound', 'node:unbound',
+    'edge:added', 'edge:updated', 'edge:removed',
+    'component:added', 'component:updated', 'component:removed', 'component:nested', 'component:unnested',
+    'variable:added', 'variable:updated', 'variable:removed'
+]);
+
+/**
+ * Diagram-level metadata (the `ucm "Name"` header and `meta` statements)
+ */
+export function createMetadata(values = {}) {
+    return {
+        name: 'Untitled',
+        description: '',
+        author: '',
+        version: '',
+        tags: [],
+        created: null,   // ISO timestamp, set on the first change
+        modified: null,  // ISO timestamp of the last change
+        ...values
+    };
+}
+
+/**
+ * Merge property updates - a key set to undefined is removed
+ */
+function mergeProperties(current, updates) {
+    const merged = { ...current, ...updates };
+    Object.keys(updates).forEach(key => {
+        if (updates[key] === undefined) delete merged[key];
+    });
+    return merged;
+}
+
 export class UCMGraph {
     constructor() {
         this.nodes = new Map();
         this.edges = new Map();
         this.components = new Map();
+        this.variables = new Map(); // name -> { name, type, values, initial }
         this.listeners = new Map();
         this.idCounter = 0;
+        this.metadata = createMetadata();
     }
 
     // ============================================
@@ -53,11 +91,40 @@ export class UCMGraph {
     }
 
     emit(event, data) {
+        if (MODIFYING_EVENTS.has(event)) {
+            this.touch();
+        }
         if (this.listeners.has(event)) {
             this.listeners.get(event).forEach(cb => cb(data));
         }
     }
 
+    // ============================================
+    // Metadata
+    // ============================================
+
+    /**
+     * Update diagram metadata (name, description, author, version, tags, timestamps)
+     */
+    updateMetadata(updates) {
+        const next = { ...updates };
+        if (typeof next.tags === 'string') {
+            next.tags = next.tags.split(',').map(t => t.trim()).filter(Boolean);
+        }
+        this.metadata = { ...this.metadata, ...next };
+        this.emit('metadata:updated', { metadata: this.metadata, changes: next });
+        return this.metadata;
+    }
+
+    /**
+     * Record a model change in the created/modified timestamps
+     */
+    touch() {
+        const now = new Date().toISOString();
+        if (!this.metadata.created) this.metadata.created = now;
+        this.metadata.modified = now;
+    }
+
     // ============================================
     // Node Operations
     // ============================================
@@ -107,7 +174,7 @@ export class UCMGraph {
             node.position = { ...node.position, ...updates.position };
         }
         if (updates.properties) {
-            node.properties = { ...node.properties, ...updates.properties };
+            node.properties = mergeProperties(node.properties, updates.properties);
         }
         if (updates.type !== undefined) {
             node.type = updates.type;
@@ -173,7 +240,8 @@ export class UCMGraph {
             responsibility: 'Responsibility',
             empty: 'Point',
             fork: 'Fork',
-            join: 'Join'
+            join: 'Join',
+            stub: 'Stub'
         };
         return `${typeNames[type] || 'Node'}${count + 1}`;
     }
@@ -188,35 +256,39 @@ export class UCMGraph {
 
         if (!sourceNode || !targetNode) return null;
 
-        // UCM constraint: Start nodes can only have ONE outgoing edge
-        if (sourceNode.type === 'start' && sourceNode.outEdges.size > 0) {
-            notifications.warning('Start nodes can only have one outgoing path. Use a Fork for branching.');
+        // UCM constraints - the UI shows the reason (edge:rejected)
+        const reject = (reason) => {
+            this.emit('edge:rejected', { sourceId, targetId, reason });
             return null;
+        };
+
+        // Start nodes can only have ONE outgoing edge
+        if (sourceNode.type === 'start' && sourceNode.outEdges.size > 0) {
+            return reject('Start nodes can only have one outgoing path. Use a Fork for branching.');
         }
 
-        // UCM constraint: End nodes cannot have outgoing edges
+        // End nodes cannot have outgoing edges
         if (sourceNode.type === 'end') {
-            notifications.warning('End nodes cannot have outgoing edges.');
-            return null;
+            return reject('End nodes cannot have outgoing edges.');
         }
 
-        // UCM constraint: Start nodes cannot have incoming edges
+        // Start nodes cannot have incoming edges
         if (targetNode.type === 'start') {
-            notifications.warning('Start nodes cannot have incoming edges.');
-            return null;
+            return reject('Start nodes cannot have incoming edges.');
         }
 
         const id = this.generateId('edge');
+        const { controlPoints = [], condition = null, ...style } = properties;
         const edge = {
             id,
             sourceNodeId: sourceId,
             targetNodeId: targetId,
-            controlPoints: properties.controlPoints || [],
-            condition: properties.condition || null,
+            controlPoints,
+            condition: condition || null,
             properties: {
                 // Apply default edge styles, then override with any provided properties
                 ...DEFAULT_EDGE_STYLE,
-                ...properties
+                ...style
             }
         };
 
@@ -247,7 +319,7 @@ export class UCMGraph {
             edge.condition = updates.condition;
         }
         if (updates.properties) {
-            edge.properties = { ...edge.properties, ...updates.properties };
+            edge.properties = mergeProperties(edge.properties, updates.properties);
         }
 
         this.emit('edge:updated', edge);
@@ -330,7 +402,7 @@ export class UCMGraph {
             component.bounds = { ...component.bounds, ...updates.bounds };
         }
         if (updates.properties) {
-            component.properties = { ...component.properties, ...updates.properties };
+            component.properties = mergeProperties(component.properties, updates.properties);
         }
         if (updates.type !== undefined) {
             component.type = updates.type;
@@ -486,6 +558,48 @@ export class UCMGraph {
         return true;
     }
 
+    // ============================================
+    // Variable Declarations
+    // ============================================
+
+    /**
+     * Declare a variable (see variables.js) - replaces one of the same name
+     */
+    addVariable(data) {
+        const variable = createVariable(data);
+        const existed = this.variables.has(variable.name);
+        this.variables.set(variable.name, variable);
+        this.emit(existed ? 'variable:updated' : 'variable:added', variable);
+        return variable;
+    }
+
+    getVariable(name) {
+        return this.variables.get(name);
+    }
+
+    updateVariable(name, updates) {
+        const current = this.variables.get(name);
+        if (!current) return null;
+
+        const variable = createVariable({ ...current, ...updates, name });
+        this.variables.set(name, variable);
+        this.emit('variable:updated', variable);
+        return variable;
+    }
+
+    removeVariable(name) {
+        const variable = this.variables.get(name);
+        if (!variable) return false;
+
+        this.variables.delete(name);
+        this.emit('variable:removed', variable);
+        return true;
+    }
+
+    getAllVariables() {
+        return [...this.variables.values()];
+    }
+
     // ============================================
     // Query Methods
     // ============================================
@@ -598,7 +712,9 @@ export class UCMGraph {
                 childNodes: [...comp.childNodes],
                 childComponents: [...(comp.childComponents || [])]
             })),
-            idCounter: this.idCounter
+            variables: this.getAllVariables().map(v => ({ ...v, values: [...v.values] })),
+            idCounter: this.idCounter,
+            metadata: { ...this.metadata, tags: [...this.metadata.tags] }
         };
     }
 
@@ -606,6 +722,7 @@ export class UCMGraph {
         this.clear();
 
         this.idCounter = data.idCounter || 0;
+        this.metadata = createMetadata(data.metadata || {});
 
         // Restore nodes
         data.nodes.forEach(nodeData => {
@@ -632,6 +749,11 @@ export class UCMGraph {
             this.components.set(comp.id, comp);
         });
 
+        (data.variables || []).forEach(variableData => {
+            const variable = createVariable(variableData);
+            this.variables.set(variable.name, variable);
+        });
+
         this.emit('graph:loaded', {});
     }
 
@@ -639,7 +761,9 @@ export class UCMGraph {
         this.nodes.clear();
         this.edges.clear();
         this.components.clear();
+        this.variables.clear();
         this.idCounter = 0;
+        this.metadata = createMetadata();
         this.emit('graph:cleared', {});
     }
 }
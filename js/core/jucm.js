@@ -0,0 +1,713 @@
+/**
+ * jUCMNav Files - Reading and writing URN specifications (.jucm)
+ *
+ * jUCMNav saves a URNspec as EMF XMI. Its UCM part maps onto UCMGraph:
+ *   urndef/specDiagrams (UCMmap)   -> one map each, the first is the root map
+ *   StartPoint, EndPoint           -> start, end (pre/postcondition kept)
+ *   RespRef + responsibility def   -> responsibility (name, description, code)
+ *   OrFork/AndFork, OrJoin/AndJoin -> fork, join with forkType/joinType
+ *   EmptyPoint, Timer, Stub        -> empty, timer, stub (static/dynamic)
+ *   ComponentRef + component def   -> component, nested by `parent`; nodes bound by `contRef`
+ *   NodeConnection                 -> link, its <condition> becomes the guard
+ *   Stub bindings                  -> plug-ins with in/out bindings and precondition
+ *   ucmspec/variables              -> variable declarations of the root map
+ *   <metadata name value>          -> properties without an XMI attribute
+ *                                     (executionTime, timeout, probability, ...)
+ * A Timer's timeoutPath is its second out-path. A path that triggers a timer
+ * reaches it through a Connect node, read as a direct link.
+ *
+ * Everything without an equivalent (GRL models, scenario definitions,
+ * performance data, URN links, ...) is dropped. fromJUCM() returns saved-file
+ * contents (see exporter.fromJSON) and a mapping report that lists every
+ * construct it dropped or approximated:
+ *   report = [{ construct, id, name, line, message }]
+ *
+ * References may be element ids or XMI paths (//@urndef/@specDiagrams.0/@nodes.2).
+ * The simplified XMI written by earlier versions of this editor
+ * (ucmspec/maps with nodes, components and connections) reads the same way.
+ *
+ * toJUCM() writes every map of a document the way jUCMNav does: numeric ids,
+ * one definition per responsibility and component with refs pointing to it,
+ * and succ/pred/source/target references between nodes and connections.
+ */
+
+import { UCMGraph, createMetadata, DEFAULT_EDGE_STYLE } from './graph.js';
+import { ucmDocument } from './document.js';
+import { parseXml } from './xml.js';
+import { createVariable, checkDeclaration, defaultValue } from './variables.js';
+
+// jUCMNav path node type -> node type, properties and a note when approximated
+const NODE_TYPES = {
+    StartPoint: { type: 'start' },
+    EndPoint: { type: 'end' },
+    RespRef: { type: 'responsibility' },
+    Responsibility: { type: 'responsibility' },
+    OrFork: { type: 'fork', properties: { forkType: 'or' } },
+    AndFork: { type: 'fork', properties: { forkType: 'and' } },
+    OrJoin: { type: 'join', properties: { joinType: 'or' } },
+    AndJoin: { type: 'join', properties: { joinType: 'and' } },
+    EmptyPoint: { type: 'empty' },
+    Timer: { type: 'timer' },
+    Stub: { type: 'stub' },
+    WaitingPlace: { type: 'timer', note: 'Imported as a timer without timeout path' },
+    DirectionArrow: { type: 'empty', note: 'Imported as an empty point' },
+    FailurePoint: { type: 'empty', note: 'Imported as an empty point - failure propagation is not modelled' }
+};
+
+// jUCMNav ComponentKind -> component type
+const COMPONENT_KINDS = {
+    Team: 'team',
+    Object: 'object',
+    Process: 'process',
+    Agent: 'agent',
+    Actor: 'actor'
+};
+
+// Why whole sections are dropped, by element name
+const DROPPED = {
+    grlspec: 'GRL goal models are not supported',
+    scenarioGroups: 'Scenario definitions are not imported',
+    urnLinks: 'URN links are not supported',
+    concerns: 'Concerns are not supported',
+    comments: 'Comments are not supported',
+    workload: 'Workloads are not imported - set the start point\'s arrivalRate',
+    demands: 'Resource demands are not imported - set the responsibility\'s executionTime'
+};
+
+const localName = (name) => (name || '').slice((name || '').indexOf(':') + 1);
+
+const typeOf = (el) => localName(el.attributes['xsi:type'] || el.attributes['xmi:type']);
+
+const childrenNamed = (el, name) => el.children.filter(child => child.name === name);
+
+const number = (value, fallback = 0) => Number.isFinite(Number(value)) && value !== '' ? Number(value) : fallback;
+
+/**
+ * Expression of a <condition>/<precondition>/<postcondition> child;
+ * a condition that is always true is no condition
+ */
+function conditionOf(el, name) {
+    const condition = childrenNamed(el, name)[0];
+    const expression = (condition?.attributes.expression || '').trim();
+    return expression && expression !== 'true' ? expression : null;
+}
+
+/**
+ * Property value of a <metadata> entry: numbers, booleans and structures are
+ * written as JSON, text as it is - unless it would read as JSON, then quoted
+ */
+function readValue(text) {
+    if (!/^(-?\d+(\.\d+)?([eE][+-]?\d+)?|true|false|null|".*"|\[.*\]|\{.*\})$/s.test(text)) return text;
+    try {
+        return JSON.parse(text);
+    } catch {
+        return text;
+    }
+}
+
+const writeValue = (value) => typeof value === 'string' && readValue(value) === value ? value : JSON.stringify(value);
+
+/**
+ * Properties stored as <metadata name value/> children
+ * @param {Function} [read] - Value conversion, plain text for map metadata
+ */
+function metadataOf(el, read = readValue) {
+    const properties = {};
+    childrenNamed(el, 'metadata').forEach(entry => {
+        if (entry.attributes.name) properties[entry.attributes.name] = read(entry.attributes.value ?? '');
+    });
+    return properties;
+}
+
+/**
+ * ISO timestamp from a date attribute (jUCMNav writes local date strings),
+ * null when it does not read as a date
+ */
+function timestamp(value) {
+    const date = value ? new Date(value) : null;
+    if (!date || Number.isNaN(date.getTime())) return null;
+    return /^\d{4}-\d{2}-\d{2}/.test(value) ? value : date.toISOString();
+}
+
+/**
+ * Read a .jucm file
+ * @param {string} text - URNspec XMI
+ * @returns {Object} { data, report } - data as written by exporter.toJSON()
+ * @throws {XmlError|Error} when the text is not XML or not a URN specification
+ */
+export function fromJUCM(text) {
+    const root = parseXml(text);
+    if (localName(root.name) !== 'URNspec') {
+        throw new Error(`Not a jUCMNav file: the root element is <${root.name}>, expected <urn:URNspec>`);
+    }
+
+    const report = [];
+    const drop = (el, message) => report.push({
+        construct: typeOf(el) || el.name,
+        id: el.attributes.id || el.attributes['xmi:id'] || null,
+        name: el.attributes.name || null,
+        line: el.line,
+        message
+    });
+    // Empty containers (<impactModel/>) carry nothing worth reporting
+    const dropContent = (el, message) => {
+        if (Object.keys(el.attributes).length > 0 || el.children.length > 0) drop(el, message);
+    };
+
+    // ============================================
+    // References
+    // ============================================
+
+    const byId = new Map();
+    const index = (el) => {
+        const id = el.attributes.id || el.attributes['xmi:id'];
+        if (id && !byId.has(id)) byId.set(id, el);
+        el.children.forEach(index);
+    };
+    index(root);
+
+    const resolve = (ref) => {
+        const path = ref.slice(ref.indexOf('#') + 1);
+        if (!path.startsWith('//')) return byId.get(path) || null;
+
+        let el = root;
+        for (const step of path.slice(2).split('/')) {
+            const match = step.match(/^@([^.]+)(?:\.(\d+))?$/);
+            el = match ? childrenNamed(el, match[1])[Number(match[2] || 0)] : null;
+            if (!el) return null;
+        }
+        return el;
+    };
+    const refs = (el, attribute) => (el.attributes[attribute] || '').split(/\s+/).filter(Boolean).map(resolve).filter(Boolean);
+    const ref = (el, attribute) => refs(el, attribute)[0] || null;
+
+    // ============================================
+    // Sections
+    // ============================================
+
+    const ucmspec = childrenNamed(root, 'ucmspec')[0];
+    const urndef = childrenNamed(root, 'urndef')[0];
+    const mapEls = [];
+
+    root.children.forEach(child => {
+        if (child.name === 'grlspec') {
+            child.children.forEach(el => dropContent(el, DROPPED.grlspec));
+        } else if (!['ucmspec', 'urndef', 'metadata'].includes(child.name)) {
+            dropContent(child, DROPPED[child.name] || 'Not supported');
+        }
+    });
+    (urndef?.children || []).forEach(child => {
+        if (child.name === 'specDiagrams') {
+            if (typeOf(child) === 'UCMmap') {
+                mapEls.push(child);
+            } else {
+                drop(child, typeOf(child).startsWith('GRL') ? DROPPED.grlspec : 'Not supported');
+            }
+        } else if (!['responsibilities', 'components'].includes(child.name)) {
+            dropContent(child, DROPPED[child.name] || 'Not supported');
+        }
+    });
+    (ucmspec?.children || []).forEach(child => {
+        if (child.name === 'maps') {
+            mapEls.push(child);
+        } else if (child.name === 'scenarioGroups') {
+            child.children.forEach(el => drop(el, DROPPED.scenarioGroups));
+        } else if (!['variables', 'enumerationTypes'].includes(child.name)) {
+            dropContent(child, DROPPED[child.name] || 'Not supported');
+        }
+    });
+
+    if (mapEls.length === 0) throw new Error('The file contains no UCM map');
+
+    // ============================================
+    // Maps
+    // ============================================
+
+    const nodes = new Map();  // element -> node
+    const edges = new Map();  // element -> edge
+    const maps = mapEls.map((mapEl, i) => ({
+        el: mapEl,
+        id: `map_${i + 1}`,
+        name: mapEl.attributes.name || `Map${i + 1}`,
+        graph: new UCMGraph()
+    }));
+
+    maps.forEach(map => buildMap(map));
+    maps.forEach(map => buildPlugins(map));
+
+    function buildMap({ el: mapEl, graph }) {
+        const components = new Map();
+        const rejections = [];
+        graph.on('edge:rejected', ({ reason }) => rejections.push(reason));
+
+        mapEl.children
+            .filter(child => !['nodes', 'connections', 'contRefs', 'components', 'metadata'].includes(child.name))
+            .forEach(child => dropContent(child, DROPPED[child.name] || 'Not supported'));
+
+        // Components, then their nesting
+        const compEls = [...childrenNamed(mapEl, 'contRefs'), ...childrenNamed(mapEl, 'components')];
+        compEls.forEach(el => {
+            const def = ref(el, 'contDef');
+            const kind = def ? def.attributes.kind || 'Team' : 'Team';
+            if (!COMPONENT_KINDS[kind]) drop(el, `Component kind "${kind}" imported as a team`);
+
+            const description = def?.attributes.description || el.attributes.description;
+            components.set(el, graph.addComponent(COMPONENT_KINDS[kind] || 'team', {
+                ...metadataOf(el),
+                name: def?.attributes.name || el.attributes.name,
+                ...(description ? { description } : {}),
+                x: number(el.attributes.x),
+                y: number(el.attributes.y),
+                width: number(el.attributes.width, 200),
+                height: number(el.attributes.height, 100)
+            }));
+        });
+        compEls.forEach(el => {
+            const parent = components.get(ref(el, 'parent'));
+            if (parent) graph.bindComponentToComponent(components.get(el).id, parent.id);
+        });
+
+        // Path nodes
+        childrenNamed(mapEl, 'nodes').forEach(el => {
+            const type = typeOf(el);
+            if (type === 'Connect') return;
+
+            const mapping = NODE_TYPES[type];
+            if (!mapping) {
+                drop(el, 'Not supported - its links are dropped too');
+                return;
+            }
+            if (mapping.note) drop(el, mapping.note);
+
+            const properties = { ...metadataOf(el), name: el.attributes.name, ...mapping.properties };
+            if (el.attributes.description) properties.description = el.attributes.description;
+
+            if (type === 'StartPoint') {
+                const precondition = conditionOf(el, 'precondition');
+                if (precondition) properties.precondition = precondition;
+                childrenNamed(el, 'workload').forEach(workload => drop(workload, DROPPED.workload));
+            } else if (type === 'EndPoint') {
+                const postcondition = conditionOf(el, 'postcondition');
+                if (postcondition) properties.postcondition = postcondition;
+            } else if (type === 'RespRef') {
+                const def = ref(el, 'respDef');
+                if (def) {
+                    properties.name = def.attributes.name || properties.name;
+                    if (def.attributes.description) properties.description = def.attributes.description;
+                    if (def.attributes.expression) properties.code = def.attributes.expression;
+                    childrenNamed(def, 'demands').forEach(demand => drop(demand, DROPPED.demands));
+                }
+            } else if (type === 'Stub') {
+                properties.stubType = el.attributes.dynamic === 'true' ? 'dynamic' : 'static';
+                ['synchronization', 'blocking'].filter(key => el.attributes[key] === 'true').forEach(key => {
+                    drop(el, `The ${key} stub option is not supported`);
+                });
+            }
+
+            const node = graph.addNode(mapping.type, {
+                ...properties,
+                x: number(el.attributes.x),
+                y: number(el.attributes.y)
+            });
+            nodes.set(el, node);
+
+            const component = components.get(ref(el, 'contRef'));
+            if (component) graph.bindNodeToComponent(node.id, component.id);
+        });
+
+        // Links - through Connect nodes, and a timeout path after the
+        // timer's regular out-path, which makes it the second one
+        const isConnect = (el) => el && typeOf(el) === 'Connect';
+        const timeoutPaths = new Set(childrenNamed(mapEl, 'nodes').map(el => ref(el, 'timeoutPath')).filter(Boolean));
+        let links = childrenNamed(mapEl, 'connections').map(el => ({ el, source: ref(el, 'source'), target: ref(el, 'target') }));
+
+        links = links.flatMap(link => {
+            if (isConnect(link.target)) return [];
+            if (!isConnect(link.source)) return [link];
+            return links.filter(into => into.target === link.source).map(into => ({ ...link, source: into.source, via: into.el }));
+        });
+        timeoutPaths.forEach(timeoutPath => {
+            const from = links.findIndex(link => link.el === timeoutPath);
+            const other = links.findIndex(link => link.source === links[from]?.source && !timeoutPaths.has(link.el));
+            if (from !== -1 && other > from) links.splice(other, 0, ...links.splice(from, 1));
+        });
+
+        links.forEach(({ el, source, target, via }) => {
+            const sourceNode = nodes.get(source);
+            const targetNode = nodes.get(target);
+            if (!sourceNode || !targetNode) {
+                if (source && target) drop(el, 'Dropped with the node it connects');
+                else drop(el, 'Source or target not found');
+                return;
+            }
+
+            const condition = conditionOf(el, 'condition');
+            const edge = graph.addEdge(sourceNode.id, targetNode.id, { ...metadataOf(el), ...(condition ? { condition } : {}) });
+            if (edge) {
+                edges.set(el, edge);
+                if (via) edges.set(via, edge);
+            } else {
+                drop(el, rejections.pop() || 'Rejected');
+            }
+        });
+    }
+
+    /**
+     * Stub plug-ins - after all maps are built, they refer to each other
+     */
+    function buildPlugins({ el: mapEl, graph }) {
+        childrenNamed(mapEl, 'nodes').filter(el => typeOf(el) === 'Stub' && nodes.has(el)).forEach(el => {
+            const plugins = [];
+            childrenNamed(el, 'bindings').forEach(binding => {
+                const pluginMap = maps.find(map => map.el === ref(binding, 'plugin'));
+                if (!pluginMap) {
+                    drop(binding, 'Plug-in map not found');
+                    return;
+                }
+
+                const resolved = (bind, entry) => {
+                    if (Object.values(entry).every(Boolean)) return [entry];
+                    drop(bind, 'Binds a path or point that was not imported');
+                    return [];
+                };
+                const inBindings = childrenNamed(binding, 'in').flatMap(bind => resolved(bind, {
+                    edgeId: edges.get(ref(bind, 'stubEntry'))?.id,
+                    startNodeId: nodes.get(ref(bind, 'startPoint'))?.id
+                }));
+                const outBindings = childrenNamed(binding, 'out').flatMap(bind => resolved(bind, {
+                    endNodeId: nodes.get(ref(bind, 'endPoint'))?.id,
+                    edgeId: edges.get(ref(bind, 'stubExit'))?.id
+                }));
+                ['components', 'responsibilities'].forEach(name => {
+                    childrenNamed(binding, name).forEach(bind => drop(bind, 'Component and responsibility bindings are not supported'));
+                });
+
+                plugins.push({
+                    mapId: pluginMap.id,
+                    condition: conditionOf(binding, 'precondition'),
+                    inBindings,
+                    outBindings
+                });
+            });
+            if (plugins.length > 0) graph.updateNode(nodes.get(el).id, { properties: { plugins } });
+        });
+    }
+
+    // ============================================
+    // Variables and metadata
+    // ============================================
+
+    const rootGraph = maps[0].graph;
+    (ucmspec ? childrenNamed(ucmspec, 'variables') : []).forEach(el => {
+        const enumeration = ref(el, 'enumerationType');
+        const type = el.attributes.type === 'enumeration' ? 'enum' : el.attributes.type || 'boolean';
+        const variable = {
+            name: el.attributes.name,
+            type,
+            values: type === 'enum' ? (enumeration?.attributes.values || '').split(',').map(v => v.trim()).filter(Boolean) : [],
+            initial: metadataOf(el).initial
+        };
+        const problem = checkDeclaration(createVariable(variable));
+        if (problem) {
+            drop(el, problem);
+        } else {
+            rootGraph.addVariable(variable);
+        }
+    });
+
+    // The spec's attributes describe the root map; every map may carry its own metadata
+    const spec = root.attributes;
+    const plain = (value) => value;
+    const specMetadata = metadataOf(root, plain);
+    const asText = (value) => value === undefined || value === null ? '' : String(value);
+    maps.forEach((map, i) => {
+        const values = { ...(i === 0 ? specMetadata : {}), ...metadataOf(map.el, plain) };
+        map.graph.metadata = createMetadata({
+            name: map.name,
+            description: map.el.attributes.description || (i === 0 ? spec.description || '' : ''),
+            author: asText(values.author ?? (i === 0 ? spec.author : '')),
+            version: asText(values.version ?? (i === 0 ? spec.specVersion : '')),
+            tags: asText(values.tags).split(',').map(t => t.trim()).filter(Boolean),
+            created: timestamp(values.created ?? (i === 0 ? spec.created : null)),
+            modified: timestamp(values.modified ?? (i === 0 ? spec.modified : null))
+        });
+    });
+
+    return {
+        data: {
+            rootMapId: maps[0].id,
+            maps: maps.map(map => ({ id: map.id, name: map.name, data: map.graph.toJSON() })),
+            scenarios: []
+        },
+        report
+    };
+}
+
+// ============================================
+// Export
+// ============================================
+
+const XMI_NODE_TYPES = {
+    start: 'StartPoint',
+    end: 'EndPoint',
+    responsibility: 'RespRef',
+    empty: 'EmptyPoint',
+    timer: 'Timer',
+    stub: 'Stub'
+};
+
+const XMI_COMPONENT_KINDS = Object.fromEntries(Object.entries(COMPONENT_KINDS).map(([kind, type]) => [type, kind]));
+
+// Properties with an XMI attribute or element of their own - the rest goes into <metadata>
+const NODE_KEYS = ['name', 'description', 'precondition', 'postcondition', 'code', 'stubType', 'plugins', 'forkType', 'joinType'];
+const COMPONENT_KEYS = ['name', 'description', 'definitionId'];
+
+const escape = (text) => String(text ?? '').replace(/[<>&'"\n\r\t]/g, c => ({
+    '<': '&lt;', '>': '&gt;', '&': '&amp;', "'": '&apos;', '"': '&quot;', '\n': '&#10;', '\r': '&#13;', '\t': '&#9;'
+})[c]);
+
+const isSet = (value) => value !== undefined && value !== null && value !== '';
+
+function xmiType(node) {
+    if (node.type === 'fork') return node.properties.forkType === 'and' ? 'AndFork' : 'OrFork';
+    if (node.type === 'join') return node.properties.joinType === 'and' ? 'AndJoin' : 'OrJoin';
+    return XMI_NODE_TYPES[node.type] || 'EmptyPoint';
+}
+
+/**
+ * One element as indented lines; attributes without a value are left out
+ */
+function element(depth, name, attributes = {}, children = []) {
+    const indent = '  '.repeat(depth);
+    const attrs = Object.entries(attributes)
+        .filter(([, value]) => isSet(value))
+        .map(([key, value]) => ` ${key}="${escape(value)}"`)
+        .join('');
+    return children.length === 0
+        ? [`${indent}<${name}${attrs}/>`]
+        : [`${indent}<${name}${attrs}>`, ...children, `${indent}</${name}>`];
+}
+
+const metadataElements = (depth, entries, write = writeValue) => entries
+    .filter(([, value]) => isSet(value) && !(Array.isArray(value) && value.length === 0))
+    .flatMap(([name, value]) => element(depth, 'metadata', { name, value: write(value) }));
+
+const extraProperties = (properties, keys) => Object.entries(properties).filter(([key]) => !keys.includes(key));
+
+const conditionElement = (depth, name, expression) =>
+    expression ? element(depth, name, { label: expression, expression }) : [];
+
+/**
+ * The document as jUCMNav XMI
+ *
+ * Responsibilities with the same name, description and code share one
+ * definition, components their document-wide definition. A path that
+ * triggers a timer (any in-path but the first) reaches it through a Connect
+ * node, as jUCMNav draws it.
+ *
+ * @param {UCMDocument} [doc]
+ * @returns {string}
+ */
+export function toJUCM(doc = ucmDocument) {
+    let lastId = 0;
+    const nextId = () => String(++lastId);
+    const ids = new Map(); // mapId:elementId -> XMI id
+    const idOf = (mapId, elementId) => ids.get(`${mapId}:${elementId}`);
+
+    const maps = doc.getAllMaps().map((map, index) => {
+        const graph = doc.getMapGraph(map.id);
+        const id = nextId();
+        graph.getAllComponents().forEach(comp => ids.set(`${map.id}:${comp.id}`, nextId()));
+        graph.getAllNodes().forEach(node => ids.set(`${map.id}:${node.id}`, nextId()));
+        return { map, graph, index, id };
+    });
+
+    // Definitions, shared by the refs on every map
+    const responsibilities = new Map(); // name, description, code -> definition
+    const components = new Map();       // definition id -> definition
+    const definitionOf = new Map();     // mapId:elementId -> definition
+    maps.forEach(({ map, graph }) => {
+        graph.getNodesByType('responsibility').forEach(node => {
+            const { name, description = '', code = '' } = node.properties;
+            const key = JSON.stringify([name, description, code]);
+            if (!responsibilities.has(key)) responsibilities.set(key, { id: nextId(), name, description, code, refs: [] });
+            const def = responsibilities.get(key);
+            def.refs.push(idOf(map.id, node.id));
+            definitionOf.set(`${map.id}:${node.id}`, def);
+        });
+        graph.getAllComponents().forEach(comp => {
+            const shared = doc.getComponentDefinition(comp.properties.definitionId);
+            const key = shared?.id || `${comp.type}:${comp.properties.name}`;
+            if (!components.has(key)) {
+                const { name, type, description = '' } = shared || { ...comp.properties, type: comp.type };
+                components.set(key, { id: nextId(), name, type, description, refs: [] });
+            }
+            const def = components.get(key);
+            def.refs.push(idOf(map.id, comp.id));
+            definitionOf.set(`${map.id}:${comp.id}`, def);
+        });
+    });
+
+    const diagrams = maps.map(({ map, graph, index, id }) => {
+        const path = (i) => `//@urndef/@specDiagrams.${index}/@connections.${i}`;
+        const connections = [];        // { source, target, edge }
+        const connects = [];           // Connect nodes in front of timers
+        const entryPaths = new Map();  // edge id -> connection into its target
+        const exitPaths = new Map();   // edge id -> connection out of its source
+
+        graph.getAllEdges().forEach(edge => {
+            const source = graph.getNode(edge.sourceNodeId);
+            const target = graph.getNode(edge.targetNodeId);
+            exitPaths.set(edge.id, path(connections.length));
+            if (target.type === 'timer' && [...target.inEdges].indexOf(edge.id) > 0) {
+                const connect = {
+                    id: nextId(),
+                    x: Math.round((source.position.x + target.position.x) / 2),
+                    y: Math.round((source.position.y + target.position.y) / 2)
+                };
+                connects.push(connect);
+                connections.push({ source: idOf(map.id, source.id), target: connect.id });
+                connections.push({ source: connect.id, target: idOf(map.id, target.id), edge });
+            } else {
+                connections.push({ source: idOf(map.id, source.id), target: idOf(map.id, target.id), edge });
+            }
+            entryPaths.set(edge.id, path(connections.length - 1));
+        });
+
+        const links = (end) => {
+            const byNode = new Map();
+            connections.forEach((connection, i) => {
+                const nodeId = connection[end];
+                byNode.set(nodeId, [...(byNode.get(nodeId) || []), path(i)]);
+            });
+            return (nodeId) => (byNode.get(nodeId) || []).join(' ');
+        };
+        const succ = links('source');
+        const pred = links('target');
+
+        const bindings = (node) => (node.properties.plugins || []).flatMap(plugin => {
+            const pluginMap = maps.find(m => m.map.id === plugin.mapId);
+            if (!pluginMap) return [];
+            const ins = (plugin.inBindings || [])
+                .filter(bind => entryPaths.has(bind.edgeId) && idOf(plugin.mapId, bind.startNodeId))
+                .flatMap(bind => element(5, 'in', { startPoint: idOf(plugin.mapId, bind.startNodeId), stubEntry: entryPaths.get(bind.edgeId) }));
+            const outs = (plugin.outBindings || [])
+                .filter(bind => exitPaths.has(bind.edgeId) && idOf(plugin.mapId, bind.endNodeId))
+                .flatMap(bind => element(5, 'out', { endPoint: idOf(plugin.mapId, bind.endNodeId), stubExit: exitPaths.get(bind.edgeId) }));
+            return element(4, 'bindings', { plugin: pluginMap.id }, [...ins, ...outs, ...conditionElement(5, 'precondition', plugin.condition)]);
+        });
+
+        const nodes = graph.getAllNodes().flatMap(node => {
+            const nodeId = idOf(map.id, node.id);
+            const { properties } = node;
+            const outPaths = [...node.outEdges].map(edgeId => exitPaths.get(edgeId));
+            const isResponsibility = node.type === 'responsibility';
+            return element(3, 'nodes', {
+                'xsi:type': `ucm.map:${xmiType(node)}`,
+                id: nodeId,
+                name: properties.name,
+                description: isResponsibility ? '' : properties.description,
+                x: node.position.x,
+                y: node.position.y,
+                contRef: node.parentComponent ? idOf(map.id, node.parentComponent) : '',
+                succ: succ(nodeId),
+                pred: pred(nodeId),
+                respDef: isResponsibility ? definitionOf.get(`${map.id}:${node.id}`).id : '',
+                dynamic: node.type === 'stub' && properties.stubType === 'dynamic' ? 'true' : '',
+                timeoutPath: node.type === 'timer' ? outPaths[1] : ''
+            }, [
+                ...(node.type === 'start' ? conditionElement(4, 'precondition', properties.precondition) : []),
+                ...(node.type === 'end' ? conditionElement(4, 'postcondition', properties.postcondition) : []),
+                ...(node.type === 'stub' ? bindings(node) : []),
+                ...metadataElements(4, extraProperties(properties, isResponsibility ? NODE_KEYS : NODE_KEYS.filter(k => k !== 'code')))
+            ]);
+        });
+        connects.forEach(connect => {
+            nodes.push(...element(3, 'nodes', {
+                'xsi:type': 'ucm.map:Connect', id: connect.id, name: `Connect${connect.id}`, x: connect.x, y: connect.y,
+                succ: succ(connect.id), pred: pred(connect.id)
+            }));
+        });
+
+        const connectionLines = connections.flatMap(({ source, target, edge }) => element(3, 'connections', {
+            'xsi:type': 'ucm.map:NodeConnection', source, target
+        }, edge ? [
+            ...conditionElement(4, 'condition', edge.condition),
+            ...metadataElements(4, Object.entries(edge.properties || {}).filter(([key, value]) => value !== DEFAULT_EDGE_STYLE[key]))
+        ] : []));
+
+        const contRefs = graph.getAllComponents().flatMap(comp => element(3, 'contRefs', {
+            'xsi:type': 'ucm.map:ComponentRef',
+            id: idOf(map.id, comp.id),
+            x: comp.bounds.x,
+            y: comp.bounds.y,
+            width: comp.bounds.width,
+            height: comp.bounds.height,
+            contDef: definitionOf.get(`${map.id}:${comp.id}`).id,
+            parent: comp.parentComponent ? idOf(map.id, comp.parentComponent) : '',
+            children: [...(comp.childComponents || [])].map(childId => idOf(map.id, childId)).join(' '),
+            nodes: [...comp.childNodes].map(nodeId => idOf(map.id, nodeId)).join(' ')
+        }, metadataElements(4, extraProperties(comp.properties, COMPONENT_KEYS))));
+
+        const { author, version, tags, created, modified, description } = graph.metadata || {};
+        return element(2, 'specDiagrams', { 'xsi:type': 'ucm.map:UCMmap', id, name: map.name, description }, [
+            ...nodes,
+            ...connectionLines,
+            ...contRefs,
+            ...metadataElements(3, [['author', author], ['version', version], ['tags', (tags || []).join(', ')], ['created', created], ['modified', modified]], String)
+        ]);
+    });
+
+    // Variables of all maps, by name
+    const variables = new Map();
+    maps.forEach(({ graph }) => graph.getAllVariables().forEach(v => {
+        if (!variables.has(v.name)) variables.set(v.name, v);
+    }));
+    const ucmspec = [...variables.values()].flatMap(variable => {
+        const enumeration = variable.type === 'enum' ? nextId() : '';
+        const initial = variable.initial === defaultValue(variable) ? [] : [['initial', variable.initial]];
+        return [
+            ...(enumeration ? element(2, 'enumerationTypes', { id: enumeration, name: `${variable.name}Values`, values: variable.values.join(',') }) : []),
+            ...element(2, 'variables', {
+                id: nextId(),
+                name: variable.name,
+                type: variable.type === 'enum' ? 'enumeration' : variable.type,
+                enumerationType: enumeration
+            }, metadataElements(3, initial))
+        ];
+    });
+
+    const urndef = [
+        ...[...responsibilities.values()].flatMap(def => element(2, 'responsibilities', {
+            id: def.id, name: def.name, description: def.description, expression: def.code, respRefs: def.refs.join(' ')
+        })),
+        ...[...components.values()].flatMap(def => element(2, 'components', {
+            id: def.id, name: def.name, description: def.description, kind: XMI_COMPONENT_KINDS[def.type] || 'Team', contRefs: def.refs.join(' ')
+        })),
+        ...diagrams.flat()
+    ];
+
+    const root = maps[0]?.graph.metadata || {};
+    const lines = [
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        ...element(0, 'urn:URNspec', {
+            'xmi:version': '2.0',
+            'xmlns:xmi': 'http://www.omg.org/XMI',
+            'xmlns:xsi': 'http://www.w3.org/2001/XMLSchema-instance',
+            'xmlns:ucm.map': 'http:///ucm/map.ecore',
+            'xmlns:urn': 'http:///urn.ecore',
+            name: root.name || maps[0]?.map.name || 'URNspec',
+            description: root.description,
+            author: root.author,
+            created: root.created,
+            modified: root.modified,
+            specVersion: /^\d+$/.test(root.version || '') ? root.version : '',
+            nextGlobalID: lastId + 1
+        }, [
+            ...element(1, 'ucmspec', {}, ucmspec),
+            ...element(1, 'grlspec'),
+            ...element(1, 'urndef', {}, urndef)
+        ])
+    ];
+    return lines.join('\n') + '\n';
+}
@@ -0,0 +1,90 @@
+/**
+ * Mermaid Writer - Writes a map as a Mermaid flowchart
+ *
+ * Each UCM element gets the flowchart shape closest to its notation
+ * (start = circle, end = subroutine bar, responsibility = box,
+ * OR-fork/join = rhombus, AND-fork/join = filled bar, stub = hexagon)
+ * and guards become edge labels. Components become subgraphs, nested
+ * like the components, holding the nodes bound to them.
+ */
+
+import { NODE_TYPES } from './node-types.js';
+
+// Mermaid text in double quotes; # (which starts an entity) first, then quotes and angle brackets as entities
+const text = (value) => `"${String(value ?? '').replace(/#/g, '#35;').replace(/"/g, '#quot;').replace(/</g, '#lt;').replace(/>/g, '#gt;')}"`;
+
+// Mermaid ids: letters, digits and underscores
+const mermaidId = (id) => String(id).replace(/[^A-Za-z0-9_]/g, '_');
+
+const SHAPES = {
+    start: ['((', '))'],
+    end: ['[[', ']]'],
+    responsibility: ['[', ']'],
+    fork: ['{', '}'],
+    join: ['{', '}'],
+    timer: ['([', '])'],
+    stub: ['{{', '}}'],
+    empty: ['((', '))']
+};
+
+// Styles for what the shapes alone do not tell apart
+const CLASSES = {
+    andBar: 'fill:#000,stroke:#000,color:#fff',
+    dynamicStub: 'stroke-dasharray:5 5',
+    process: 'stroke-dasharray:5 5'
+};
+
+const isAnd = (node) => (node.type === 'fork' && node.properties.forkType === 'and') ||
+    (node.type === 'join' && node.properties.joinType === 'and');
+
+/**
+ * Write `graph` as a Mermaid flowchart
+ * @param {UCMGraph} graph - The map to write
+ * @param {Object} [options]
+ * @param {string} [options.direction] - Flowchart direction (LR, TD, ...)
+ * @returns {string}
+ */
+export function toMermaid(graph, { direction = 'LR' } = {}) {
+    const lines = [`flowchart ${direction}`];
+    const classes = new Map();
+    const addClass = (name, id) => {
+        if (!classes.has(name)) classes.set(name, []);
+        classes.get(name).push(mermaidId(id));
+    };
+
+    const nodes = graph.getAllNodes().filter(node => NODE_TYPES[node.type]);
+    const writeNode = (node, indent) => {
+        const [open, close] = isAnd(node) ? ['[', ']'] : SHAPES[node.type];
+        const label = node.type === 'empty' ? ' ' : (node.properties.name || node.type);
+        lines.push(`${indent}${mermaidId(node.id)}${open}${text(label)}${close}`);
+        if (isAnd(node)) addClass('andBar', node.id);
+        if (node.type === 'stub' && node.properties.stubType === 'dynamic') addClass('dynamicStub', node.id);
+    };
+
+    const writeComponent = (component, indent) => {
+        lines.push(`${indent}subgraph ${mermaidId(component.id)}[${text(component.properties.name || component.type)}]`);
+        nodes.filter(node => node.parentComponent === component.id).forEach(node => writeNode(node, indent + '    '));
+        component.childComponents.forEach(childId => {
+            const child = graph.getComponent(childId);
+            if (child) writeComponent(child, indent + '    ');
+        });
+        lines.push(`${indent}end`);
+        if (component.type === 'process') addClass('process', component.id);
+    };
+
+    graph.getRootComponents().forEach(component => writeComponent(component, '    '));
+    nodes.filter(node => !node.parentComponent || !graph.getComponent(node.parentComponent))
+        .forEach(node => writeNode(node, '    '));
+
+    graph.getAllEdges().forEach(edge => {
+        const label = edge.condition ? `|${text(`[${edge.condition}]`)}|` : '';
+        lines.push(`    ${mermaidId(edge.sourceNodeId)} -->${label} ${mermaidId(edge.targetNodeId)}`);
+    });
+
+    classes.forEach((ids, name) => {
+        lines.push(`    classDef ${name} ${CLASSES[name]}`);
+        lines.push(`    class ${ids.join(',')} ${name}`);
+    });
+
+    return lines.join('\n') + '\n';
+}
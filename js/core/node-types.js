@@ -31,7 +31,7 @@ export const NODE_TYPES = {
         radius: 10,
         canHaveMultipleOut: false,
         canHaveMultipleIn: false,
-        editable: ['name', 'description', 'precondition']
+        editable: ['name', 'description', 'precondition', 'arrivalRate']
     },
 
     end: {
@@ -54,7 +54,7 @@ export const NODE_TYPES = {
         size: 14,
         canHaveMultipleOut: false,
         canHaveMultipleIn: true,
-        editable: ['name', 'description', 'executionTime']
+        editable: ['name', 'description', 'executionTime', 'code']
     },
 
     empty: {
@@ -102,6 +102,18 @@ export const NODE_TYPES = {
         canHaveMultipleOut: false,
         canHaveMultipleIn: true,
         editable: ['name', 'description', 'timeout']
+    },
+
+    stub: {
+        name: 'Stub',
+        icon: '◇',
+        shape: 'stub',      // Diamond; dashed outline for dynamic stubs
+        color: '#000000',
+        size: 16,
+        canHaveMultipleOut: true,
+        canHaveMultipleIn: true,
+        editable: ['name', 'description', 'stubType', 'executionTime'], // stubType: 'static' | 'dynamic'
+        stubType: 'static'
     }
 };
 
@@ -258,6 +270,22 @@ export function createNodeSVG(node, incomingAngle = null) {
             shape.appendChild(minuteHand);
             break;
 
+        case 'stub':
+            // Static stub: solid diamond outline. Dynamic stub: dashed outline.
+            shape = document.createElementNS('http://www.w3.org/2000/svg', 'polygon');
+            const ss = typeInfo.size;
+            shape.setAttribute('points', `0,${-ss} ${ss},0 0,${ss} ${-ss},0`);
+            shape.setAttribute('fill', 'white');
+            shape.setAttribute('stroke', typeInfo.color);
+            shape.setAttribute('stroke-width', 2);
+            if (node.properties.stubType === 'dynamic') {
+                shape.setAttribute('stroke-dasharray', '4,3');
+                shape.setAttribute('class', 'ucm-stub ucm-stub-dynamic');
+            } else {
+                shape.setAttribute('class', 'ucm-stub');
+            }
+            break;
+
         case 'junction':
             const isAnd = (node.type === 'fork' && node.properties.forkType === 'and') ||
                 (node.type === 'join' && node.properties.joinType === 'and');
@@ -425,6 +453,11 @@ export function createEdgeSVG(edge, sourceNode, targetNode) {
         });
     }
 
+    // Guard label, e.g. [x > 5] on an OR-fork branch
+    if (edge.condition) {
+        group.appendChild(createConditionLabel(edge.condition, midPoint, angle));
+    }
+
     // Add invisible wide hit area for easier selection - ON TOP of visual elements
     // Use 'transparent' stroke with pointer-events: stroke to catch clicks on invisible path
     const hitPath = document.createElementNS('http://www.w3.org/2000/svg', 'path');
@@ -441,6 +474,24 @@ export function createEdgeSVG(edge, sourceNode, targetNode) {
     return group;
 }
 
+/**
+ * Create the `[condition]` label of an edge, placed beside the midpoint arrow
+ * on the left of the direction of flow
+ */
+export function createConditionLabel(condition, midPoint, angle) {
+    const rad = (angle - 90) * Math.PI / 180;
+    const offset = 12;
+
+    const label = document.createElementNS('http://www.w3.org/2000/svg', 'text');
+    label.setAttribute('class', 'edge-condition-label');
+    label.setAttribute('x', midPoint.x + Math.cos(rad) * offset);
+    label.setAttribute('y', midPoint.y + Math.sin(rad) * offset);
+    label.setAttribute('text-anchor', 'middle');
+    label.setAttribute('dominant-baseline', 'middle');
+    label.textContent = `[${condition}]`;
+    return label;
+}
+
 /**
  * Create an arrow marker at a given position
  * Supports multiple arrow styles: triangle, open, diamond, circle
@@ -666,7 +717,7 @@ export function calculateEdgePathWithWaypoints(source, target, controlPoints = [
  * @returns {Array} - Array of padding waypoints with position metadata
  */
 function addPaddingWaypoints(source, target, controlPoints, sourceType, targetType) {
-    const padTypes = ['responsibility', 'timer']; // Node types that need padding
+    const padTypes = ['responsibility', 'timer', 'stub']; // Node types that need padding
     const padding = NODE_EXIT_PADDING;
     const waypoints = [];
 
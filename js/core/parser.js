@@ -1,248 +1,1441 @@
 /**
  * UCM Parser - Converts DSL Text to Graph Operations
  *
- * Syntax v3 (Human Readable & Regex Friendly):
+ * Text is split into tokens (dsl-lexer.js) and parsed by recursive descent
+ * into an AST with source ranges, which ast-diff.js then applies to a graph.
+ * Syntax errors say what was expected; the parser skips to the next line
+ * and carries on, so one pass reports every problem.
+ *
+ * Syntax v3 (one statement per line):
  *   ucm "Name"
- *   component "Name" type <type> at (x, y) size (w, h) {
- *     <node_type> "Name" at (x, y)
+ *   meta <description|author|version|tags|created|modified> "value"
+ *   component "Name" type <type> at (x, y) size (w, h) [with key=value ...] {
+ *     <node_type> "Name" at (x, y) [with key=value ...]
  *   }
- *   link "Source" -> "Target"
+ *   link "Source" -> "Target" [guard: "x > 5"] via (x1, y1) (x2, y2) style { strokeColor: "#f00" } [with key=value ...]
+ *     (guard, via, style and with are all optional, in any order)
+ *
+ * Names are bare words or JSON strings ("Say \"hi\""). Attribute values are
+ * numbers, true/false/null, bare words, JSON strings or arrays/objects:
+ *   responsibility "Charge" at (200, 100) with executionTime=5 description="Bill the card"
+ *   responsibility "Retry" at (200, 100) with code="retries = retries + 1; approved = true"
+ *   fork "Check" at (300, 100) with forkType=and
+ *
+ * Stubs and plug-in maps (maps are referenced by name):
+ *   stub "Name" at (x, y) [static|dynamic]
+ *   plugin "Stub" -> "Map" [when "condition"]
+ *   bind "Stub" -> "Map" in "Source" -> "PluginStart"
+ *   bind "Stub" -> "Map" out "PluginEnd" -> "Target"
+ *
+ * Variables (declared once, scenarios override the initial value):
+ *   variable <name> : boolean|integer [= value]
+ *   variable <name> : enum { a, b, c } [= a]
+ *
+ * Scenarios (guards are keyed by link, "Source->Target"; `;` separates statements on one line):
+ *   scenario "Name" from "Start" [expect "End1", "End2"] [with description="..." highlightColor="#f00"] {
+ *     var x = 5
+ *     guard "Fork->A": "x > 3"
+ *     sequence "Check", "Ship"     (the responsibilities the run must pass, in order)
+ *   }
+ *
+ * A document with several maps wraps each map in a block (parseDocument):
+ *   ucm "Main" {
+ *     ...
+ *   }
+ *   ucm "Card Payment" {
+ *     ...
+ *   }
+ * Components with the same name and type on different maps share one definition.
+ *
+ * AST (parseToAst):
+ *   Document  { type, maps, range }
+ *   Map       { type, name, metadata, variables, components, nodes, links, stubStatements, scenarios, range }
+ *   Component { type, kind, name, bounds, attributes, parent, range, nameRange }
+ *   Node      { type, nodeType, name, position, stubType, attributes, component, range, nameRange }
+ *   Link      { type, source, target, condition, controlPoints, properties, range, sourceRange, targetRange }
+ *   Plugin    { type, stub, map, condition, range, stubRange, mapRange }
+ *   Bind      { type, stub, map, direction, from, to, range, stubRange, mapRange, fromRange, toRange }
+ *   Variable  { type, name, varType, values, initial, range, nameRange }
+ *   Scenario  { type, name, start, expect, sequence, description, highlightColor, variables, guards, range, nameRange, startRange }
+ *             guards: [{ source, target, condition, range }], variableRanges: { name: range }
+ * `parent`/`component` are indices into the map's components (null at top level).
+ * Ranges are { start: { line, column }, end: { line, column } }, 1-based, end exclusive.
  */
 
-// Regex patterns
-const PATTERNS = {
-    // ucm "Name" or ucm Name
-    ucm: /^ucm\s+(?:"([^"]+)"|(\S+))/i,
+import { UCMGraph, createMetadata } from './graph.js';
+import { ucmDocument } from './document.js';
+import { applyMapAst } from './ast-diff.js';
+import { tokenize, describeToken } from './dsl-lexer.js';
+import { detectDialect, convertV2ToV3 } from './ducm-v2.js';
+import { parseExpression, parseStatements, ExpressionError } from './expression.js';
+import { VARIABLE_TYPES, VARIABLE_NAME, createVariable, checkDeclaration, checkValue } from './variables.js';
+import { scenarioManager, DEFAULT_SCENARIO_COLOR } from './scenario.js';
 
-    // component "Name" type <type> at (x, y) size (w, h) {
-    // Allow negative coordinates with -?\d+
-    compStart: /^\s*component\s+(?:"([^"]+)"|(\S+))\s+type\s+(\w+)\s+at\s*\((-?\d+),\s*(-?\d+)\)\s+size\s*\((-?\d+),\s*(-?\d+)\)\s*\{/i,
+const NODE_KEYWORDS = ['start', 'end', 'responsibility', 'empty', 'fork', 'join', 'timer', 'stub'];
+const STATEMENT_KEYWORDS = ['component', ...NODE_KEYWORDS, 'link', 'plugin', 'bind', 'variable', 'scenario', 'meta'];
+const SCENARIO_ATTRIBUTES = ['description', 'highlightColor'];
 
-    // closing brace }
-    compEnd: /^\s*\}\s*$/,
+const MAX_COORD = 100000;
+const MIN_COORD = -100000;
+const MAX_SIZE = 50000;
+const MIN_SIZE = 10;
 
-    // <type> "Name" at (x, y)
-    // Allow negative coordinates with -?\d+
-    node: /^\s*(start|end|responsibility|fork|join|timer)\s+(?:"([^"]+)"|(\S+))\s+at\s*\((-?\d+),\s*(-?\d+)\)/i,
+/**
+ * Source range from the start of one token to the end of another
+ */
+const rangeOf = (first, last = first) => ({
+    start: { line: first.line, column: first.column },
+    end: { line: last.endLine, column: last.endColumn }
+});
 
-    // link "A" -> "B"
-    link: /^\s*link\s+(?:"([^"]+)"|(\S+))\s*->\s*(?:"([^"]+)"|(\S+))/i
-};
+/**
+ * Error/warning entry: `line` for the error list, the span for underlining
+ */
+const issue = (range, message) => ({
+    line: range.start.line,
+    column: range.start.column,
+    endLine: range.end.line,
+    endColumn: range.end.column,
+    message
+});
+
+class DslSyntaxError extends Error {
+    constructor(message, token) {
+        super(message);
+        this.token = token;
+    }
+}
+
+/**
+ * Recursive-descent parser over the token stream of one text
+ */
+class DslParser {
+    constructor(text, result) {
+        this.tokens = tokenize(text);
+        this.lines = text.split('\n');
+        this.pos = 0;
+        this.result = result;
+    }
+
+    // ============================================
+    // Token helpers
+    // ============================================
+
+    peek(offset = 0) {
+        return this.tokens[Math.min(this.pos + offset, this.tokens.length - 1)];
+    }
+
+    next() {
+        const token = this.peek();
+        if (token.type !== 'eof') this.pos++;
+        return token;
+    }
+
+    previous() {
+        return this.tokens[Math.max(this.pos - 1, 0)];
+    }
+
+    isWord(token, word) {
+        return token.type === 'word' && token.value.toLowerCase() === word;
+    }
+
+    isPunct(token, ch) {
+        return token.type === 'punct' && token.value === ch;
+    }
+
+    atStatementEnd() {
+        const token = this.peek();
+        return token.type === 'newline' || token.type === 'eof' || this.isPunct(token, '}');
+    }
+
+    fail(expected, token = this.peek()) {
+        const found = token.type === 'error' ? token.value : describeToken(token);
+        throw new DslSyntaxError(`Expected ${expected} but found ${found}`, token);
+    }
+
+    error(range, message) {
+        this.result.errors.push(issue(range, message));
+    }
+
+    warning(range, message) {
+        this.result.warnings.push(issue(range, message));
+    }
+
+    expectWord(word) {
+        if (!this.isWord(this.peek(), word)) this.fail(`"${word}"`);
+        return this.next();
+    }
+
+    expectPunct(ch) {
+        if (!this.isPunct(this.peek(), ch)) this.fail(`"${ch}"`);
+        return this.next();
+    }
+
+    expectArrow() {
+        if (this.peek().type !== 'arrow') this.fail('"->"');
+        return this.next();
+    }
 
-export const parser = {
     /**
-     * Validate coordinate values
+     * A bare word, number or quoted string used as a name
+     * @returns {{value: string, range}}
      */
-    validateCoordinates(x, y, lineNum, result, context = 'position') {
-        const MAX_COORD = 100000;
-        const MIN_COORD = -100000;
+    expectName(what) {
+        const token = this.peek();
+        if (!['word', 'number', 'string'].includes(token.type)) this.fail(what);
+        this.next();
+        return { value: token.type === 'string' ? token.value : token.text, range: rangeOf(token) };
+    }
 
-        if (x < MIN_COORD || y < MIN_COORD || x > MAX_COORD || y > MAX_COORD) {
-            result.errors.push({
-                line: lineNum,
-                message: `Invalid ${context}: coordinates (${x}, ${y}) out of range (${MIN_COORD} to ${MAX_COORD})`
-            });
+    expectString(what) {
+        if (this.peek().type !== 'string') this.fail(what);
+        return this.next();
+    }
+
+    /**
+     * Quoted condition expression - syntax errors are reported at the string
+     * but do not stop the statement
+     */
+    expectCondition(what, kind) {
+        const token = this.expectString(what);
+        this.checkCondition(token, kind);
+        return token.value;
+    }
+
+    checkCondition(token, kind) {
+        try {
+            parseExpression(token.value);
+        } catch (e) {
+            if (!(e instanceof ExpressionError)) throw e;
+            this.error(rangeOf(token), `Invalid ${kind} ${JSON.stringify(token.value)}: ${e.message}`);
+        }
+    }
+
+    /**
+     * Responsibility code (`with code="n = n + 1"`) - syntax errors are
+     * reported at the statement
+     */
+    checkCode(code, range) {
+        try {
+            parseStatements(code);
+        } catch (e) {
+            if (!(e instanceof ExpressionError)) throw e;
+            this.error(range, `Invalid code ${JSON.stringify(code)}: ${e.message}`);
+        }
+    }
+
+    expectNumber() {
+        if (this.peek().type !== 'number') this.fail('a number');
+        return this.next().value;
+    }
+
+    /**
+     * (x, y)
+     * @returns {{x: number, y: number, range}}
+     */
+    expectPoint() {
+        const open = this.peek();
+        if (!this.isPunct(open, '(')) this.fail('"(x, y)"');
+        this.next();
+        const x = this.expectNumber();
+        this.expectPunct(',');
+        const y = this.expectNumber();
+        const close = this.expectPunct(')');
+        return { x, y, range: rangeOf(open, close) };
+    }
+
+    expectEnd(expected = 'end of line') {
+        if (!this.atStatementEnd()) this.fail(expected);
+        if (this.peek().type === 'newline') this.next();
+    }
+
+    skipBlankLines() {
+        while (this.peek().type === 'newline') this.next();
+    }
+
+    /**
+     * Skip the rest of the line after a syntax error
+     * @returns {boolean} true when the skipped line opened a block with "{"
+     */
+    recover() {
+        let last = null;
+        while (!['newline', 'eof'].includes(this.peek().type)) last = this.next();
+        if (this.peek().type === 'newline') this.next();
+        return last !== null && this.isPunct(last, '{');
+    }
+
+    /**
+     * Source text from a token to the end of its line
+     */
+    restOfLine(token) {
+        return this.lines[token.line - 1].slice(token.column - 1).trim();
+    }
+
+    // ============================================
+    // Document and maps
+    // ============================================
+
+    parseDocument() {
+        const first = this.peek();
+        const maps = [];
+
+        if (!this.hasMapBlocks()) {
+            maps.push(this.parseMap(null, first));
+        } else {
+            for (this.skipBlankLines(); this.peek().type !== 'eof'; this.skipBlankLines()) {
+                const token = this.peek();
+                if (!this.isWord(token, 'ucm') || !this.isPunct(this.peek(2), '{')) {
+                    const range = rangeOf(token);
+                    const text = this.restOfLine(token);
+                    this.recover();
+                    this.warning(range, `Statement outside of a ucm block - ignored: "${text}"`);
+                    continue;
+                }
+
+                const header = this.next();
+                const name = this.expectName('a map name');
+                this.next(); // {
+                const map = this.parseMap(name.value, header);
+
+                if (maps.some(m => m.name === name.value)) {
+                    this.warning(name.range, `Duplicate map name "${name.value}" - previous definition will be used`);
+                } else {
+                    maps.push(map);
+                }
+            }
+        }
+
+        this.checkScenarioVariables(maps);
+        this.checkScenarioSequences(maps);
+        return { type: 'Document', maps, range: rangeOf(first, this.previous()) };
+    }
+
+    /**
+     * `ucm "Name" {` at the start of a line anywhere in the text
+     */
+    hasMapBlocks() {
+        return this.tokens.some((token, i) =>
+            this.isWord(token, 'ucm') &&
+            (i === 0 || this.tokens[i - 1].type === 'newline') &&
+            ['word', 'number', 'string'].includes(this.tokens[i + 1]?.type) &&
+            this.isPunct(this.tokens[i + 2], '{')
+        );
+    }
+
+    /**
+     * Statements of one map - a `ucm "Name" { ... }` block when `blockName`
+     * is given, otherwise the whole text
+     */
+    parseMap(blockName, first) {
+        const map = {
+            type: 'Map',
+            name: blockName,
+            metadata: {}, // meta statements, applied after everything else
+            variables: [],
+            components: [],
+            nodes: [],
+            links: [],
+            stubStatements: [], // plugin/bind statements, resolved once all maps exist
+            scenarios: [],
+            range: null
+        };
+        const inBlock = blockName !== null;
+        this.nodeNames = new Set();
+        this.componentNames = new Set();
+        this.scenarioNames = new Set();
+        this.variableNames = new Set();
+
+        const close = this.parseStatements(map, null, inBlock);
+        if (inBlock) {
+            if (close) {
+                this.tryStatement(() => this.expectEnd());
+            } else {
+                this.error(rangeOf(first), `Missing closing "}" for ucm "${blockName}"`);
+            }
+        }
+        map.range = rangeOf(first, close || this.previous());
+
+        // Links may only refer to nodes of this map
+        map.links = map.links.filter(link => {
+            if (!this.nodeNames.has(link.source)) {
+                this.error(link.sourceRange, `Link source unknown: "${link.source}"`);
+                return false;
+            }
+            if (!this.nodeNames.has(link.target)) {
+                this.error(link.targetRange, `Link target unknown: "${link.target}"`);
+                return false;
+            }
+            return true;
+        });
+
+        map.scenarios.forEach(scenario => this.resolveScenario(scenario, map));
+
+        return map;
+    }
+
+    /**
+     * Check a scenario's start and end points and turn its guard keys into
+     * links - all of them may be declared after the scenario
+     */
+    resolveScenario(scenario, map) {
+        if (!this.nodeNames.has(scenario.start)) {
+            this.error(scenario.startRange, `Scenario start unknown: "${scenario.start}"`);
+        }
+
+        scenario.expect = scenario.expect.filter(({ name, range }) => {
+            if (this.nodeNames.has(name)) return true;
+            this.error(range, `Scenario end point unknown: "${name}"`);
+            return false;
+        }).map(({ name }) => name);
+
+        scenario.guards = scenario.guards.flatMap(({ key, condition, range, keyRange }) => {
+            // Names may contain "->" themselves - try every split
+            for (let i = key.indexOf('->'); i !== -1; i = key.indexOf('->', i + 1)) {
+                const source = key.slice(0, i).trim();
+                const target = key.slice(i + 2).trim();
+                if (map.links.some(link => link.source === source && link.target === target)) {
+                    return [{ source, target, condition, range }];
+                }
+            }
+            this.error(keyRange, `Guard must name a link of this map as "Source->Target": ${JSON.stringify(key)}`);
+            return [];
+        });
+    }
+
+    /**
+     * Statements up to the "}" closing the enclosing block, or the end of the text
+     * @param {number|null} parent - Index of the enclosing component
+     * @param {boolean} closable - Whether a "}" may end the list
+     * @returns {Object|null} the closing "}" token, null at the end of the text
+     */
+    parseStatements(map, parent, closable) {
+        for (;;) {
+            this.skipBlankLines();
+            const token = this.peek();
+
+            if (token.type === 'eof') return null;
+
+            if (this.isPunct(token, '}')) {
+                this.next();
+                if (closable) return token;
+                this.error(rangeOf(token), 'Unexpected "}" - there is no open component');
+                this.tryStatement(() => this.expectEnd());
+                continue;
+            }
+
+            const opensBlock = this.tryStatement(() => this.parseStatement(map, parent));
+            if (opensBlock) {
+                // The broken line opened a block - its contents go to the enclosing component
+                if (!this.parseStatements(map, parent, true)) return null;
+                this.tryStatement(() => this.expectEnd());
+            }
+        }
+    }
+
+    /**
+     * Run a statement parser, turning a syntax error into a reported error
+     * followed by recovery at the next line
+     * @returns {boolean} true when recovery skipped an opening "{"
+     */
+    tryStatement(parse) {
+        try {
+            parse();
             return false;
+        } catch (e) {
+            if (!(e instanceof DslSyntaxError)) throw e;
+            this.error(rangeOf(e.token), e.message);
+            return this.recover();
         }
+    }
 
-        return true;
-    },
+    parseStatement(map, parent) {
+        const token = this.peek();
+        const keyword = token.type === 'word' ? token.value.toLowerCase() : null;
+
+        if (keyword === 'ucm') return this.parseHeader(map);
+        if (keyword === 'meta') return this.parseMeta(map);
+        if (keyword === 'component') return this.parseComponent(map, parent);
+        if (NODE_KEYWORDS.includes(keyword)) return this.parseNode(map, parent);
+        if (keyword === 'link') return this.parseLink(map);
+        if (keyword === 'plugin') return this.parsePlugin(map);
+        if (keyword === 'bind') return this.parseBind(map);
+        if (keyword === 'variable') return this.parseVariable(map);
+        if (keyword === 'scenario') return this.parseScenario(map);
+
+        return this.fail(`a statement (${STATEMENT_KEYWORDS.join(', ')})`);
+    }
+
+    // ============================================
+    // Statements
+    // ============================================
 
     /**
-     * Validate size values
+     * ucm "Name"
      */
-    validateSize(width, height, lineNum, result) {
-        const MAX_SIZE = 50000;
-        const MIN_SIZE = 10;
+    parseHeader(map) {
+        this.next();
+        const name = this.expectName('a map name');
+        this.expectEnd();
 
-        if (width <= 0 || height <= 0) {
-            result.errors.push({
-                line: lineNum,
-                message: `Invalid size: dimensions (${width}, ${height}) must be positive`
+        if (map.name === null) {
+            map.name = name.value;
+        } else if (map.name !== name.value) {
+            this.warning(name.range, `Map is already named "${map.name}" - header ignored`);
+        }
+    }
+
+    /**
+     * meta <key> "value" - tags are a comma separated list
+     */
+    parseMeta(map) {
+        this.next();
+        const keyToken = this.peek();
+        if (keyToken.type !== 'word') this.fail('a metadata field');
+        this.next();
+        const valueToken = this.expectString('a quoted metadata value');
+        this.expectEnd();
+
+        const key = keyToken.value.toLowerCase();
+        if (key === 'name' || !(key in createMetadata())) {
+            this.warning(rangeOf(keyToken), `Unknown metadata field "${key}"`);
+            return;
+        }
+
+        map.metadata[key] = key === 'tags'
+            ? valueToken.value.split(',').map(t => t.trim()).filter(Boolean)
+            : valueToken.value;
+    }
+
+    /**
+     * component "Name" type <type> at (x, y) size (w, h) [with ...] { ... }
+     */
+    parseComponent(map, parent) {
+        const keyword = this.next();
+        const name = this.expectName('a component name');
+        this.expectWord('type');
+        const kindToken = this.peek();
+        if (kindToken.type !== 'word') this.fail('a component type');
+        this.next();
+        this.expectWord('at');
+        const position = this.expectPoint();
+        this.expectWord('size');
+        const size = this.expectPoint();
+        const hasWith = this.isWord(this.peek(), 'with');
+        const attributes = hasWith ? this.parseWith(['{']) : {};
+        if (!this.isPunct(this.peek(), '{')) this.fail(hasWith ? '"{"' : '"with" or "{"');
+        this.next();
+
+        const coordsValid = this.validateCoordinates(position, 'component position');
+        const sizeValid = this.validateSize(size);
+
+        if (this.componentNames.has(name.value)) {
+            this.warning(name.range, `Duplicate component name "${name.value}" - previous definition will be used`);
+        }
+        this.componentNames.add(name.value);
+
+        // An invalid component still opens a block, its contents go to the parent
+        let component = null;
+        if (coordsValid && sizeValid) {
+            component = {
+                type: 'Component',
+                kind: kindToken.value.toLowerCase(),
+                name: name.value,
+                bounds: { x: position.x, y: position.y, width: size.x, height: size.y },
+                attributes,
+                parent,
+                range: rangeOf(keyword, this.previous()),
+                nameRange: name.range
+            };
+            map.components.push(component);
+        }
+
+        const close = this.parseStatements(map, component ? map.components.length - 1 : parent, true);
+        if (!close) {
+            this.error(rangeOf(keyword), `Missing closing "}" for component "${name.value}"`);
+            return;
+        }
+        if (component) component.range = rangeOf(keyword, close);
+        this.expectEnd();
+    }
+
+    /**
+     * <type> "Name" at (x, y) [static|dynamic] [with ...]
+     */
+    parseNode(map, parent) {
+        const keyword = this.next();
+        const type = keyword.value.toLowerCase();
+        const name = this.expectName(`a ${type} name`);
+        this.expectWord('at');
+        const position = this.expectPoint();
+
+        let stubTypeToken = null;
+        if (this.isWord(this.peek(), 'static') || this.isWord(this.peek(), 'dynamic')) {
+            stubTypeToken = this.next();
+        }
+        const attributes = this.isWord(this.peek(), 'with') ? this.parseWith([]) : {};
+        const last = this.previous();
+        this.expectEnd('"with" or end of line');
+
+        if (typeof attributes.code === 'string') this.checkCode(attributes.code, rangeOf(keyword, last));
+
+        const stubType = stubTypeToken ? stubTypeToken.value.toLowerCase() : null;
+        if (stubType && type !== 'stub') {
+            this.warning(rangeOf(stubTypeToken), `"${stubType}" only applies to stubs - ignored for ${type} "${name.value}"`);
+        }
+
+        const coordsValid = this.validateCoordinates(position, 'node position');
+
+        if (this.nodeNames.has(name.value)) {
+            this.warning(name.range, `Duplicate node name "${name.value}" - previous definition will be used`);
+            return;
+        }
+        if (!coordsValid) return;
+
+        // Without an explicit forkType/joinType, detect it from the name (AND_Fork, OrJoin, etc.)
+        const behaviorKey = type + 'Type';
+        if ((type === 'fork' || type === 'join') && !attributes[behaviorKey]) {
+            attributes[behaviorKey] = parser.detectForkJoinType(name.value);
+        }
+
+        const resolvedStubType = type === 'stub' ? stubType || attributes.stubType || 'static' : null;
+        if (type === 'stub') delete attributes.stubType;
+
+        map.nodes.push({
+            type: 'Node',
+            nodeType: type,
+            name: name.value,
+            position: { x: position.x, y: position.y },
+            stubType: resolvedStubType,
+            attributes,
+            component: parent,
+            range: rangeOf(keyword, last),
+            nameRange: name.range
+        });
+        this.nodeNames.add(name.value);
+    }
+
+    /**
+     * link "A" -> "B" followed by guard, via, style and with clauses in any order
+     */
+    parseLink(map) {
+        const keyword = this.next();
+        const source = this.expectName('a source node name');
+        this.expectArrow();
+        const target = this.expectName('a target node name');
+        const properties = {};
+        let condition = null;
+        let controlPoints = [];
+
+        while (!this.atStatementEnd()) {
+            const token = this.peek();
+
+            if (this.isPunct(token, '[')) {
+                this.next();
+                this.expectWord('guard');
+                this.expectPunct(':');
+                condition = this.expectCondition('a quoted guard condition', 'guard');
+                this.expectPunct(']');
+            } else if (this.isWord(token, 'via')) {
+                this.next();
+                controlPoints = [this.expectPoint()];
+                while (this.isPunct(this.peek(), '(')) controlPoints.push(this.expectPoint());
+                controlPoints = controlPoints.map(({ x, y }) => ({ x, y }));
+            } else if (this.isWord(token, 'style')) {
+                this.next();
+                this.expectPunct('{');
+                if (!this.isPunct(this.peek(), '}')) Object.assign(properties, this.parseAttributes(['}']));
+                this.expectPunct('}');
+            } else if (this.isWord(token, 'with')) {
+                Object.assign(properties, this.parseWith([]));
+            } else {
+                const text = this.restOfLine(token);
+                let last = token;
+                while (!['newline', 'eof'].includes(this.peek().type)) last = this.next();
+                this.warning(rangeOf(token, last),
+                    `Unrecognized link clause ignored: "${text}" (expected [guard: "..."], via, style or with)`);
+            }
+        }
+        const last = this.previous();
+        this.expectEnd();
+
+        map.links.push({
+            type: 'Link',
+            source: source.value,
+            target: target.value,
+            condition,
+            controlPoints,
+            properties,
+            range: rangeOf(keyword, last),
+            sourceRange: source.range,
+            targetRange: target.range
+        });
+    }
+
+    /**
+     * plugin "Stub" -> "Map" [when "condition"]
+     */
+    parsePlugin(map) {
+        const keyword = this.next();
+        const stub = this.expectName('a stub name');
+        this.expectArrow();
+        const mapName = this.expectName('a map name');
+        let condition = '';
+        if (this.isWord(this.peek(), 'when')) {
+            this.next();
+            condition = this.expectCondition('a quoted condition', 'plug-in condition');
+        }
+        const last = this.previous();
+        this.expectEnd('"when" or end of line');
+
+        map.stubStatements.push({
+            type: 'Plugin',
+            stub: stub.value,
+            map: mapName.value,
+            condition,
+            range: rangeOf(keyword, last),
+            stubRange: stub.range,
+            mapRange: mapName.range
+        });
+    }
+
+    /**
+     * bind "Stub" -> "Map" in|out "A" -> "B"
+     */
+    parseBind(map) {
+        const keyword = this.next();
+        const stub = this.expectName('a stub name');
+        this.expectArrow();
+        const mapName = this.expectName('a map name');
+        const direction = this.peek();
+        if (!this.isWord(direction, 'in') && !this.isWord(direction, 'out')) this.fail('"in" or "out"');
+        this.next();
+        const from = this.expectName('a node name');
+        this.expectArrow();
+        const to = this.expectName('a node name');
+        const last = this.previous();
+        this.expectEnd();
+
+        map.stubStatements.push({
+            type: 'Bind',
+            stub: stub.value,
+            map: mapName.value,
+            direction: direction.value.toLowerCase(),
+            from: from.value,
+            to: to.value,
+            range: rangeOf(keyword, last),
+            stubRange: stub.range,
+            mapRange: mapName.range,
+            fromRange: from.range,
+            toRange: to.range
+        });
+    }
+
+    /**
+     * variable <name> : <type> [{ literal, ... }] [= value]
+     */
+    parseVariable(map) {
+        const keyword = this.next();
+        const nameToken = this.peek();
+        if (nameToken.type !== 'word' || !VARIABLE_NAME.test(nameToken.value)) this.fail('a variable name');
+        this.next();
+        this.expectPunct(':');
+
+        const typeToken = this.peek();
+        const type = typeToken.type === 'word' ? typeToken.value.toLowerCase() : null;
+        if (!VARIABLE_TYPES.includes(type)) this.fail(`a variable type (${VARIABLE_TYPES.join(', ')})`);
+        this.next();
+
+        const values = [];
+        if (type === 'enum') {
+            this.expectPunct('{');
+            values.push(this.expectName('an enumeration value').value);
+            while (this.isPunct(this.peek(), ',')) {
+                this.next();
+                values.push(this.expectName('an enumeration value').value);
+            }
+            this.expectPunct('}');
+        }
+
+        let initial;
+        if (this.isPunct(this.peek(), '=')) {
+            this.next();
+            initial = this.parseValue();
+        }
+        const last = this.previous();
+        this.expectEnd('"=" or end of line');
+
+        const variable = createVariable({ name: nameToken.value, type, values, initial });
+        const problem = checkDeclaration(variable);
+        if (problem) {
+            this.error(rangeOf(keyword, last), problem);
+            return;
+        }
+        if (this.variableNames.has(variable.name)) {
+            this.warning(rangeOf(nameToken), `Variable "${variable.name}" declared twice - the first declaration is used`);
+            return;
+        }
+        this.variableNames.add(variable.name);
+
+        map.variables.push({
+            type: 'Variable',
+            name: variable.name,
+            varType: variable.type,
+            values: variable.values,
+            initial: variable.initial,
+            range: rangeOf(keyword, last),
+            nameRange: rangeOf(nameToken)
+        });
+    }
+
+    /**
+     * Once a document declares variables, scenarios may only set declared
+     * ones, to a value of their type
+     */
+    checkScenarioVariables(maps) {
+        const declared = new Map();
+        maps.forEach(map => map.variables.forEach(v => {
+            if (!declared.has(v.name)) declared.set(v.name, { name: v.name, type: v.varType, values: v.values });
+        }));
+        if (declared.size === 0) return;
+
+        maps.forEach(map => map.scenarios.forEach(scenario => {
+            Object.entries(scenario.variables).forEach(([name, value]) => {
+                const range = scenario.variableRanges[name];
+                const variable = declared.get(name);
+                const problem = variable
+                    ? checkValue(variable, value)
+                    : `Scenario "${scenario.name}" sets undeclared variable "${name}"`;
+                if (problem) this.error(range, problem);
             });
+        }));
+    }
+
+    /**
+     * Expected sequences name responsibilities of any map - those of plug-in
+     * maps count too
+     */
+    checkScenarioSequences(maps) {
+        const responsibilities = new Set(maps.flatMap(map =>
+            map.nodes.filter(node => node.nodeType === 'responsibility').map(node => node.name)));
+
+        maps.forEach(map => map.scenarios.forEach(scenario => {
+            scenario.sequence = scenario.sequence.filter(({ name, range }) => {
+                if (responsibilities.has(name)) return true;
+                this.error(range, `Scenario "${scenario.name}" expects unknown responsibility "${name}"`);
+                return false;
+            }).map(({ name }) => name);
+        }));
+    }
+
+    /**
+     * scenario "Name" from "Start" [expect "End", ...] [with ...] [{ ... }]
+     */
+    parseScenario(map) {
+        const keyword = this.next();
+        const name = this.expectName('a scenario name');
+        this.expectWord('from');
+        const start = this.expectName('a start point name');
+
+        const expect = [];
+        if (this.isWord(this.peek(), 'expect')) {
+            this.next();
+            expect.push(this.expectName('an end point name'));
+            while (this.isPunct(this.peek(), ',')) {
+                this.next();
+                expect.push(this.expectName('an end point name'));
+            }
+        }
+
+        const withToken = this.peek();
+        const attributes = this.isWord(withToken, 'with') ? this.parseWith(['{']) : {};
+        Object.keys(attributes).filter(key => !SCENARIO_ATTRIBUTES.includes(key)).forEach(key => {
+            this.warning(rangeOf(withToken, this.previous()), `Unknown scenario attribute "${key}" - expected ${SCENARIO_ATTRIBUTES.join(' or ')}`);
+        });
+
+        const scenario = {
+            type: 'Scenario',
+            name: name.value,
+            start: start.value,
+            expect: expect.map(({ value, range }) => ({ name: value, range })),
+            sequence: [], // { name, range } until checkScenarioSequences()
+            description: typeof attributes.description === 'string' ? attributes.description : '',
+            highlightColor: typeof attributes.highlightColor === 'string' ? attributes.highlightColor : null,
+            variables: {},
+            variableRanges: {},
+            guards: [], // { key, condition } until resolveScenario() finds the links
+            range: null,
+            nameRange: name.range,
+            startRange: start.range
+        };
+
+        let last = this.previous();
+        if (this.isPunct(this.peek(), '{')) {
+            this.next();
+            last = this.parseScenarioBody(scenario);
+            if (!last) {
+                this.error(rangeOf(keyword), `Missing closing "}" for scenario "${name.value}"`);
+                return;
+            }
+        }
+        scenario.range = rangeOf(keyword, last);
+        this.expectEnd('"expect", "with", "{" or end of line');
+
+        if (this.scenarioNames.has(name.value)) {
+            this.warning(name.range, `Duplicate scenario name "${name.value}" - previous definition will be used`);
+            return;
+        }
+        this.scenarioNames.add(name.value);
+        map.scenarios.push(scenario);
+    }
+
+    /**
+     * Statements of a scenario block up to its "}", one per line or separated by ";"
+     * @returns {Object|null} the closing "}" token, null at the end of the text
+     */
+    parseScenarioBody(scenario) {
+        const atSeparator = () => this.peek().type === 'newline' || this.isPunct(this.peek(), ';');
+
+        for (;;) {
+            while (atSeparator()) this.next();
+            const token = this.peek();
+
+            if (token.type === 'eof') return null;
+            if (this.isPunct(token, '}')) return this.next();
+
+            try {
+                this.parseScenarioStatement(scenario);
+            } catch (e) {
+                if (!(e instanceof DslSyntaxError)) throw e;
+                this.error(rangeOf(e.token), e.message);
+                // Skip to the next statement, keeping a "}" that closes the block
+                while (this.peek().type !== 'eof' && !atSeparator() && !this.isPunct(this.peek(), '}')) this.next();
+            }
+        }
+    }
+
+    /**
+     * var <name> = <value>  |  guard "Source->Target": "condition"  |  sequence "A", "B", ...
+     */
+    parseScenarioStatement(scenario) {
+        const keyword = this.next();
+
+        if (this.isWord(keyword, 'var')) {
+            const nameToken = this.peek();
+            if (nameToken.type !== 'word' || !/^[A-Za-z_]\w*$/.test(nameToken.value)) this.fail('a variable name');
+            this.next();
+            this.expectPunct('=');
+            const value = this.parseValue();
+            if (nameToken.value in scenario.variables) {
+                this.warning(rangeOf(nameToken), `Variable "${nameToken.value}" set twice - the last value is used`);
+            }
+            scenario.variables[nameToken.value] = value;
+            scenario.variableRanges[nameToken.value] = rangeOf(nameToken, this.previous());
+        } else if (this.isWord(keyword, 'guard')) {
+            const key = this.expectString('a quoted link as "Source->Target"');
+            this.expectPunct(':');
+            const valueToken = this.peek();
+            const condition = this.parseValue();
+            if (typeof condition !== 'string' && typeof condition !== 'boolean') {
+                this.fail('a quoted condition, true or false', valueToken);
+            }
+            if (typeof condition === 'string') this.checkCondition(valueToken, 'guard');
+            scenario.guards.push({ key: key.value, condition, range: rangeOf(keyword, this.previous()), keyRange: rangeOf(key) });
+        } else if (this.isWord(keyword, 'sequence')) {
+            if (scenario.sequence.length > 0) {
+                this.warning(rangeOf(keyword), `Scenario "${scenario.name}" has several sequences - they are joined`);
+            }
+            do {
+                if (this.isPunct(this.peek(), ',')) this.next();
+                const name = this.expectName('a responsibility name');
+                scenario.sequence.push({ name: name.value, range: name.range });
+            } while (this.isPunct(this.peek(), ','));
+        } else {
+            this.fail('"var", "guard", "sequence" or "}"', keyword);
+        }
+
+        if (this.isPunct(this.peek(), ';') || this.isPunct(this.peek(), '}')) return;
+        this.expectEnd('";" or end of line');
+    }
+
+    // ============================================
+    // Attributes
+    // ============================================
+
+    /**
+     * with key=value ...
+     */
+    parseWith(followers) {
+        this.next();
+        return this.parseAttributes(followers);
+    }
+
+    /**
+     * key=value pairs (or key: value), commas optional, up to the end of the
+     * statement or one of `followers`. A malformed list is reported and
+     * skipped, so the statement itself still counts.
+     */
+    parseAttributes(followers) {
+        const atFollower = () => followers.some(ch => this.isPunct(this.peek(), ch));
+        const first = this.peek();
+
+        try {
+            return this.parseAttributeList(atFollower);
+        } catch (e) {
+            if (!(e instanceof DslSyntaxError)) throw e;
+            const message = e.message.charAt(0).toLowerCase() + e.message.slice(1);
+            let last = e.token;
+            while (!this.atStatementEnd() && !atFollower()) last = this.next();
+            this.error(rangeOf(first.type === 'newline' ? e.token : first, last), `Invalid attributes: ${message}`);
+            return {};
+        }
+    }
+
+    parseAttributeList(atFollower) {
+        const attributes = {};
+        do {
+            const key = this.peek();
+            const separator = this.peek(1);
+            if (key.type !== 'word' || !(this.isPunct(separator, '=') || this.isPunct(separator, ':'))) {
+                this.fail('key=value', key);
+            }
+            this.next();
+            this.next();
+            attributes[key.value] = this.parseValue();
+            if (this.isPunct(this.peek(), ',')) this.next();
+        } while (!this.atStatementEnd() && !atFollower());
+        return attributes;
+    }
+
+    /**
+     * Number, true/false/null, bare word, string, [array] or {object}
+     */
+    parseValue() {
+        const token = this.next();
+
+        switch (token.type) {
+            case 'string':
+            case 'number':
+                return token.value;
+            case 'word':
+                if (token.value === 'true') return true;
+                if (token.value === 'false') return false;
+                if (token.value === 'null') return null;
+                return token.value;
+            case 'error':
+                throw new DslSyntaxError(token.value, token);
+            default:
+                break;
+        }
+
+        if (this.isPunct(token, '[')) {
+            const items = [];
+            while (!this.isPunct(this.peek(), ']')) {
+                items.push(this.parseValue());
+                if (!this.isPunct(this.peek(), ',')) break;
+                this.next();
+            }
+            this.expectPunct(']');
+            return items;
+        }
+
+        if (this.isPunct(token, '{')) {
+            const object = {};
+            while (!this.isPunct(this.peek(), '}')) {
+                const key = this.peek();
+                if (key.type !== 'string' && key.type !== 'word') this.fail('a key');
+                this.next();
+                this.expectPunct(':');
+                object[key.value] = this.parseValue();
+                if (!this.isPunct(this.peek(), ',')) break;
+                this.next();
+            }
+            this.expectPunct('}');
+            return object;
+        }
+
+        return this.fail('a value', token);
+    }
+
+    // ============================================
+    // Validation
+    // ============================================
+
+    validateCoordinates(point, context) {
+        const { x, y, range } = point;
+        if (x < MIN_COORD || y < MIN_COORD || x > MAX_COORD || y > MAX_COORD) {
+            this.error(range, `Invalid ${context}: coordinates (${x}, ${y}) out of range (${MIN_COORD} to ${MAX_COORD})`);
             return false;
         }
+        return true;
+    }
 
+    validateSize(size) {
+        const { x: width, y: height, range } = size;
+
+        if (width <= 0 || height <= 0) {
+            this.error(range, `Invalid size: dimensions (${width}, ${height}) must be positive`);
+            return false;
+        }
         if (width < MIN_SIZE || height < MIN_SIZE) {
-            result.warnings.push({
-                line: lineNum,
-                message: `Very small size (${width}, ${height}) - minimum recommended is ${MIN_SIZE}`
-            });
+            this.warning(range, `Very small size (${width}, ${height}) - minimum recommended is ${MIN_SIZE}`);
         }
-
         if (width > MAX_SIZE || height > MAX_SIZE) {
-            result.errors.push({
-                line: lineNum,
-                message: `Invalid size: dimensions (${width}, ${height}) exceed maximum ${MAX_SIZE}`
-            });
+            this.error(range, `Invalid size: dimensions (${width}, ${height}) exceed maximum ${MAX_SIZE}`);
             return false;
         }
-
         return true;
+    }
+}
+
+export const parser = {
+    /**
+     * Parse DSL text and apply it to graph. Elements are matched by name
+     * against what the graph already holds, so unchanged elements keep their IDs.
+     * @param {Object} [options] - { document } to resolve plug-in maps against (defaults to the shared document)
+     * @returns {Object} { success: boolean, errors: Array<{line, message}>, warnings, operations, dialect }
+     */
+    parse(text, graph, options = {}) {
+        const result = { success: true, errors: [], warnings: [], operations: [] };
+
+        if (!text || !text.trim()) {
+            return result;
+        }
+
+        const [ast, ...others] = this.parseToAst(text, result).maps;
+        others.forEach(map => {
+            result.warnings.push(issue(map.range, `Map "${map.name}" ignored - use parseDocument for several maps`));
+        });
+        if (!ast) {
+            result.success = false;
+            return result;
+        }
+
+        const applied = this.applyMap(ast, graph, result);
+
+        // Process stub plug-ins, then bindings
+        this.processStubStatements(ast.stubStatements, graph, applied.nodeMap, options.document || ucmDocument, result);
+
+        const metadata = ast.name ? { ...applied.metadata, name: ast.name } : applied.metadata;
+        this.applyMetadata(graph, metadata);
+
+        result.operations = applied.operations;
+        result.success = result.errors.length === 0;
+        return result;
     },
 
     /**
-     * Check for duplicate names
+     * Parse document text into a Document AST (see the top of this file).
+     * Text without `ucm "Name" {` blocks is a single map, named by its
+     * `ucm "Name"` header if there is one. Legacy DUCM v2 text is detected
+     * and converted first; `result.dialect` tells which one was read.
+     * Errors and warnings are added to `result`, each with its source span.
      */
-    checkDuplicateName(name, existingMap, lineNum, result, type = 'element') {
-        if (existingMap.has(name)) {
-            result.warnings.push({
-                line: lineNum,
-                message: `Duplicate ${type} name "${name}" - previous definition will be used`
-            });
-            return true;
+    parseToAst(text, result = { errors: [], warnings: [] }) {
+        result.dialect = detectDialect(text);
+        if (result.dialect === 'v3') {
+            return new DslParser(text, result).parseDocument();
         }
-        return false;
+
+        // Legacy v2: convert line for line, then parse as v3. Columns of the
+        // v3 parser's issues refer to the converted text, so only lines are kept.
+        const converted = convertV2ToV3(text);
+        const inner = { errors: [], warnings: [] };
+        const ast = new DslParser(converted.text, inner).parseDocument();
+        const lineOnly = ({ line, message }) => ({ line, message });
+
+        result.errors.push(...converted.errors, ...inner.errors.map(lineOnly));
+        result.warnings.push(...inner.warnings.map(lineOnly));
+        return ast;
     },
 
     /**
-     * Parse DSL text and update graph
-     * @returns {Object} { success: boolean, errors: Array<{line, message}> }
+     * Parse a whole document - one map, or several `ucm "Name" { ... }` blocks -
+     * and apply it to `doc`. Maps are matched by name (the first one is always
+     * the root map) and each is diffed against its current content, so the
+     * active map, map IDs and element IDs survive an edit.
+     * @param {Object} [options] - { replace: true } starts from an empty document (loading a file)
+     * @returns {Object} { success: boolean, errors: Array<{line, message}>, warnings, operations, dialect }
      */
-    parse(text, graph) {
-        const result = { success: true, errors: [], warnings: [] };
+    parseDocument(text, doc = ucmDocument, options = {}) {
+        const result = { success: true, errors: [], warnings: [], operations: [] };
 
         if (!text || !text.trim()) {
             return result;
         }
 
-        graph.clear();
+        const ast = this.parseToAst(text, result);
 
-        const lines = text.split('\n');
-        const nodeMap = new Map(); // name -> node object
-        const componentMap = new Map(); // name -> component object
-        const linkQueue = []; // store links to process after all nodes exist
-        let currentComponent = null;
-        this.compStack = []; // Stack for nested components
+        if (ast.maps.length === 0) {
+            result.success = false;
+            return result;
+        }
 
-        lines.forEach((rawLine, lineIndex) => {
-            const lineNum = lineIndex + 1;
-            const line = rawLine.trim();
+        const previousMapIds = doc.getAllMaps().map(map => map.id);
+        if (options.replace) {
+            doc.reset(ast.maps[0].name || 'Main');
+            doc.graph.clear();
+        }
 
-            if (!line || line.startsWith('#') || line.startsWith('//')) return;
+        const entries = this.syncMaps(ast.maps, doc);
 
-            // 1. UCM Name
-            let match = line.match(PATTERNS.ucm);
-            if (match) {
-                return; // Graph name not currently stored
-            }
+        // Maps first, so plug-in statements can refer to maps defined further down
+        entries.forEach(entry => {
+            const active = entry.map.id === doc.activeMapId;
+            entry.graph = active ? doc.graph : new UCMGraph();
+            if (!active && entry.map.data) entry.graph.fromJSON(entry.map.data);
 
-            // 2. Component Start
-            match = line.match(PATTERNS.compStart);
-            if (match) {
-                const name = match[1] || match[2];
-                const type = match[3];
-                const x = parseInt(match[4], 10);
-                const y = parseInt(match[5], 10);
-                const w = parseInt(match[6], 10);
-                const h = parseInt(match[7], 10);
+            entry.applied = this.applyMap(entry.ast, entry.graph, result);
+            if (!active) doc.setMapData(entry.map.id, entry.graph.toJSON());
+        });
 
-                const coordsValid = this.validateCoordinates(x, y, lineNum, result, 'component position');
-                const sizeValid = this.validateSize(w, h, lineNum, result);
+        entries.forEach(({ ast: mapAst, map, graph: mapGraph, applied }) => {
+            this.processStubStatements(mapAst.stubStatements, mapGraph, applied.nodeMap, doc, result);
+            this.applyMetadata(mapGraph, { ...applied.metadata, name: map.name });
+            if (mapGraph !== doc.graph) doc.setMapData(map.id, mapGraph.toJSON());
 
-                this.checkDuplicateName(name, componentMap, lineNum, result, 'component');
+            applied.operations.forEach(op => result.operations.push({ ...op, mapId: map.id }));
+        });
 
-                if (coordsValid && sizeValid) {
-                    const comp = graph.addComponent(type.toLowerCase(), {
-                        name: name,
-                        x, y, width: w, height: h
-                    });
+        // Scenarios belong to the shared document
+        if (doc === ucmDocument) {
+            const staleMapIds = options.replace ? previousMapIds : previousMapIds.filter(id => !doc.getMap(id));
+            this.syncScenarios(entries, staleMapIds, result);
+        }
 
-                    // Nesting logic using a stack
-                    if (!this.compStack) this.compStack = [];
-                    if (currentComponent) {
-                        graph.bindComponentToComponent(comp.id, currentComponent.id);
-                        this.compStack.push(currentComponent);
-                    }
+        doc.emit('document:loaded', { rootMapId: doc.rootMapId });
 
-                    currentComponent = comp;
-                    componentMap.set(name, comp);
-                }
-                return;
+        result.success = result.errors.length === 0;
+        return result;
+    },
+
+    /**
+     * Match the document's maps to the parsed ones by name: the first parsed
+     * map is the root map, missing maps are added, maps no longer in the text
+     * are removed and the rest is put in text order.
+     * @returns {Array<{ast, map}>}
+     */
+    syncMaps(mapAsts, doc) {
+        const root = doc.getRootMap();
+        const entries = mapAsts.map((mapAst, i) => {
+            if (i === 0) {
+                const name = mapAst.name || 'Main';
+                if (root.name !== name) doc.renameMap(root.id, name);
+                return { ast: mapAst, map: root };
             }
+            return { ast: mapAst, map: doc.getMapByName(mapAst.name) || doc.addMap(mapAst.name) };
+        });
 
-            // 3. Component End
-            if (PATTERNS.compEnd.test(line)) {
-                if (this.compStack && this.compStack.length > 0) {
-                    currentComponent = this.compStack.pop();
-                } else {
-                    currentComponent = null;
+        const kept = new Set(entries.map(entry => entry.map.id));
+        if (!kept.has(doc.activeMapId)) {
+            doc.openMap(doc.rootMapId);
+        } else if (doc.navigationStack.some(entry => !kept.has(entry.mapId))) {
+            doc.openMap(doc.activeMapId);
+        }
+        doc.getAllMaps()
+            .filter(map => !kept.has(map.id))
+            .forEach(map => doc.removeMap(map.id));
+
+        doc.reorderMaps(entries.map(entry => entry.map.id));
+        return entries;
+    },
+
+    /**
+     * Bring the scenario manager in line with the scenario statements.
+     * Scenarios are matched by name within their map, so they keep their IDs;
+     * those of maps that are gone (`staleMapIds`) are removed first.
+     */
+    syncScenarios(entries, staleMapIds, result) {
+        const record = (op, scenario) => result.operations.push({ op, id: scenario.id, mapId: scenario.mapId });
+        const remove = (scenario) => {
+            scenarioManager.deleteScenario(scenario.id);
+            record('scenario:removed', scenario);
+        };
+
+        scenarioManager.getAllScenarios().filter(s => staleMapIds.includes(s.mapId)).forEach(remove);
+
+        entries.forEach(({ ast: mapAst, map, applied }) => {
+            const existing = scenarioManager.getAllScenarios().filter(s => s.mapId === map.id);
+            const nodeId = (name) => applied.nodeMap.get(name)?.id || null;
+
+            mapAst.scenarios.forEach(def => {
+                const config = {
+                    name: def.name,
+                    description: def.description,
+                    mapId: map.id,
+                    startNodeId: nodeId(def.start),
+                    expectedEndNodeIds: def.expect.map(nodeId).filter(Boolean),
+                    expectedSequence: def.sequence,
+                    variables: def.variables,
+                    conditions: Object.fromEntries(def.guards.map(g => [`${g.source}->${g.target}`, g.condition])),
+                    highlightColor: def.highlightColor || DEFAULT_SCENARIO_COLOR
+                };
+
+                const index = existing.findIndex(s => s.name === def.name);
+                if (index === -1) {
+                    record('scenario:added', scenarioManager.createScenario(config));
+                    return;
                 }
-                return;
+
+                const [scenario] = existing.splice(index, 1);
+                const changed = Object.keys(config).some(key => JSON.stringify(scenario[key]) !== JSON.stringify(config[key]));
+                if (changed) record('scenario:updated', scenarioManager.updateScenario(scenario.id, config));
+            });
+
+            existing.forEach(remove);
+        });
+    },
+
+    /**
+     * Diff one map AST into graph; links the graph refuses are errors in `result`
+     * @returns {Object} { nodeMap, operations, metadata } - the metadata to apply
+     * once stubs are resolved. A graph built from scratch gets the stored
+     * timestamps, or none - building it is not a change - but an edit keeps
+     * the new modification time.
+     */
+    applyMap(mapAst, graph, result) {
+        const fresh = graph.nodes.size === 0 && graph.components.size === 0;
+        const { nodeMap, operations, rejected } = applyMapAst(mapAst, graph);
+        rejected.forEach(({ link, reason }) => {
+            result.errors.push(issue(link.range, `Link "${link.source}" -> "${link.target}" rejected: ${reason}`));
+        });
+
+        const metadata = fresh
+            ? { created: null, modified: null, ...mapAst.metadata }
+            : { ...mapAst.metadata };
+        if (!fresh && operations.length > 0) delete metadata.modified;
+
+        return { nodeMap, operations, metadata };
+    },
+
+    /**
+     * Set diagram metadata from parsed meta statements. Fields without a
+     * statement fall back to their defaults; name and timestamps only change
+     * when given. Unchanged fields are left alone.
+     */
+    applyMetadata(graph, metadata) {
+        const { description, author, version, tags } = createMetadata();
+        const desired = { description, author, version, tags, ...metadata };
+
+        const changes = {};
+        Object.entries(desired).forEach(([key, value]) => {
+            if (JSON.stringify(graph.metadata[key]) !== JSON.stringify(value)) changes[key] = value;
+        });
+        if (Object.keys(changes).length > 0) graph.updateMetadata(changes);
+    },
+
+    /**
+     * 'and' when the name contains AND as a word (AND_Fork, Fork AND, AndJoin), else 'or'
+     */
+    detectForkJoinType(name) {
+        const words = name.replace(/([a-z])([A-Z])/g, '$1 $2');
+        return /(^|[^a-z])and([^a-z]|$)/i.test(words) ? 'and' : 'or';
+    },
+
+    /**
+     * Parse a standalone `key=value key2="text" key3=[1, 2]` list into an object
+     * @throws {Error} on malformed input
+     */
+    parseAttributes(text) {
+        const result = { errors: [], warnings: [] };
+        const dsl = new DslParser(text, result);
+        const attributes = dsl.atStatementEnd() ? {} : dsl.parseAttributes([]);
+        if (result.errors.length === 0 && !dsl.atStatementEnd()) {
+            result.errors.push({ message: `Invalid attributes: unexpected ${describeToken(dsl.peek())}` });
+        }
+        if (result.errors.length > 0) throw new Error(result.errors[0].message);
+        return attributes;
+    },
+
+    /**
+     * Rebuild the plug-ins of the map's stubs from plugin statements and
+     * resolve in/out bindings by name. Stubs whose plug-ins come out the same
+     * are left untouched.
+     */
+    processStubStatements(statements, graph, nodeMap, doc, result) {
+        const pluginsByStub = new Map(); // stub id -> plug-ins being built
+        nodeMap.forEach(node => {
+            if (node.type === 'stub') pluginsByStub.set(node.id, []);
+        });
+        const findPlugin = (stub, map) => pluginsByStub.get(stub.id).findIndex(p => p.mapId === map.id);
+
+        const resolveStub = (statement) => {
+            const stub = nodeMap.get(statement.stub);
+            if (!stub || stub.type !== 'stub') {
+                result.errors.push(issue(statement.stubRange, `Unknown stub: "${statement.stub}"`));
+                return null;
             }
+            return stub;
+        };
 
-            // 4. Node
-            match = line.match(PATTERNS.node);
-            if (match) {
-                const type = match[1].toLowerCase();
-                const name = match[2] || match[3];
-                const x = parseInt(match[4], 10);
-                const y = parseInt(match[5], 10);
-
-                // Validate coordinates
-                const coordsValid = this.validateCoordinates(x, y, lineNum, result, 'node position');
-
-                // Check for duplicate node names
-                const isDuplicate = this.checkDuplicateName(name, nodeMap, lineNum, result, 'node');
-
-                // Only create node if validation passed and not a duplicate
-                if (coordsValid && !isDuplicate) {
-                    const node = graph.addNode(type, {
-                        name: name,
-                        x, y
-                    });
-
-                    // Auto-detect fork/join type from name (AND_Fork, OR_Join, etc.)
-                    if (type === 'fork' || type === 'join') {
-                        const upperName = name.toUpperCase();
-                        let detectedType = 'or'; // Default to OR
-                        if (upperName.includes('AND')) {
-                            detectedType = 'and';
-                        }
-                        graph.updateNode(node.id, {
-                            properties: { ...node.properties, [type + 'Type']: detectedType }
-                        });
-                    }
-
-                    nodeMap.set(name, node);
-
-                    if (currentComponent) {
-                        graph.bindNodeToComponent(node.id, currentComponent.id);
-                    }
-                }
-                return;
+        statements.filter(s => s.type === 'Plugin').forEach(statement => {
+            const { stub: stubName, map: mapName, condition } = statement;
+            const stub = resolveStub(statement);
+            if (!stub) return;
+
+            let map = doc.getMapByName(mapName);
+            if (!map) {
+                map = doc.addMap(mapName);
+                result.warnings.push(issue(statement.mapRange, `Plug-in map "${mapName}" not found - created an empty map`));
             }
 
-            // 5. Link
-            match = line.match(PATTERNS.link);
-            if (match) {
-                const srcName = match[1] || match[2];
-                const tgtName = match[3] || match[4];
-                linkQueue.push({ lineNum, srcName, tgtName });
+            if (findPlugin(stub, map) !== -1) {
+                result.warnings.push(issue(statement.range, `Duplicate plug-in "${mapName}" on stub "${stubName}"`));
                 return;
             }
 
-            result.warnings.push({ line: lineNum, message: `Syntax error or unrecognized: "${line}"` });
+            pluginsByStub.get(stub.id).push({ mapId: map.id, condition, inBindings: [], outBindings: [] });
         });
 
-        // Process Links
-        linkQueue.forEach(({ lineNum, srcName, tgtName }) => {
-            const fromNode = nodeMap.get(srcName);
-            const toNode = nodeMap.get(tgtName);
+        statements.filter(s => s.type === 'Bind').forEach(statement => {
+            const { stub: stubName, map: mapName, direction, from: fromName, to: toName } = statement;
+            const stub = resolveStub(statement);
+            if (!stub) return;
 
-            if (!fromNode) {
-                result.errors.push({ line: lineNum, message: `Link source unknown: "${srcName}"` });
-                return;
-            }
-            if (!toNode) {
-                result.errors.push({ line: lineNum, message: `Link target unknown: "${tgtName}"` });
+            const map = doc.getMapByName(mapName);
+            const pluginIndex = map ? findPlugin(stub, map) : -1;
+            if (pluginIndex === -1) {
+                result.errors.push(issue(statement.mapRange, `"${mapName}" is not a plug-in of stub "${stubName}"`));
                 return;
             }
 
-            graph.addEdge(fromNode.id, toNode.id);
+            const pluginGraph = doc.getMapGraph(map.id);
+            const findInPlugin = (name, type) => pluginGraph.getAllNodes().find(n => n.type === type && n.properties.name === name);
+            const plugin = pluginsByStub.get(stub.id)[pluginIndex];
+
+            if (direction === 'in') {
+                const source = nodeMap.get(fromName);
+                const edgeId = source ? [...stub.inEdges].find(id => graph.getEdge(id).sourceNodeId === source.id) : null;
+                const start = findInPlugin(toName, 'start');
+                if (!edgeId) {
+                    result.errors.push(issue(statement.fromRange, `No path from "${fromName}" into stub "${stubName}"`));
+                    return;
+                }
+                if (!start) {
+                    result.errors.push(issue(statement.toRange, `Start point "${toName}" not found in plug-in "${mapName}"`));
+                    return;
+                }
+                plugin.inBindings = [...plugin.inBindings, { edgeId, startNodeId: start.id }];
+            } else {
+                const target = nodeMap.get(toName);
+                const edgeId = target ? [...stub.outEdges].find(id => graph.getEdge(id).targetNodeId === target.id) : null;
+                const end = findInPlugin(fromName, 'end');
+                if (!end) {
+                    result.errors.push(issue(statement.fromRange, `End point "${fromName}" not found in plug-in "${mapName}"`));
+                    return;
+                }
+                if (!edgeId) {
+                    result.errors.push(issue(statement.toRange, `No path from stub "${stubName}" to "${toName}"`));
+                    return;
+                }
+                plugin.outBindings = [...plugin.outBindings, { endNodeId: end.id, edgeId }];
+            }
         });
 
-        result.success = result.errors.length === 0;
-        return result;
+        pluginsByStub.forEach((plugins, stubId) => {
+            const current = graph.getNode(stubId).properties.plugins || [];
+            if (JSON.stringify(current) !== JSON.stringify(plugins)) {
+                graph.updateNode(stubId, { properties: { plugins } });
+            }
+        });
     }
 };
@@ -0,0 +1,825 @@
+/**
+ * PDF Writer - Renders a map to a vector PDF from graph data alone
+ *
+ * Draws the same notation as svg-writer.js with PDF path operators, so the
+ * result does not depend on the browser's print dialog or on the UI around
+ * the canvas. Pages have a fixed size and orientation; a map that does not
+ * fit is scaled down, or - with tiling - split over several pages at its
+ * own scale. Each page gets a title block from the map metadata.
+ *
+ * Text uses the standard Helvetica faces (not embedded, WinAnsi only)
+ * unless a TrueType font is given; renderPDF() warns when none is. A given
+ * font is embedded as a subset - only the glyphs the document uses - in a
+ * Type0 font with Identity-H encoding: text is written as glyph IDs, with
+ * a ToUnicode map so it can be searched and copied, so every character the
+ * font has prints. The PDF is plain ASCII - the font file is hex encoded -
+ * so it can be handled as a string in the browser and on the command line
+ * alike.
+ */
+
+import { NODE_TYPES, COMPONENT_TYPES, calculateEdgePath, getMidpoint, getAngle, calculateIncomingAngle } from './node-types.js';
+import { calculateContentBounds } from './svg-writer.js';
+
+// Width x height in points (1/72 inch), portrait
+export const PAGE_SIZES = {
+    A4: [595.28, 841.89],
+    A3: [841.89, 1190.55],
+    A5: [419.53, 595.28],
+    letter: [612, 792],
+    legal: [612, 1008]
+};
+
+const TITLE_BLOCK_HEIGHT = 44;
+
+const round = (n) => String(Math.round(n * 100) / 100);
+
+// ============================================
+// Text encoding and metrics
+// ============================================
+
+// WinAnsi codes of the characters outside Latin-1
+const WIN_ANSI = {
+    0x20AC: 0x80, 0x201A: 0x82, 0x0192: 0x83, 0x201E: 0x84, 0x2026: 0x85, 0x2020: 0x86, 0x2021: 0x87,
+    0x02C6: 0x88, 0x2030: 0x89, 0x0160: 0x8A, 0x2039: 0x8B, 0x0152: 0x8C, 0x017D: 0x8E, 0x2018: 0x91,
+    0x2019: 0x92, 0x201C: 0x93, 0x201D: 0x94, 0x2022: 0x95, 0x2013: 0x96, 0x2014: 0x97, 0x02DC: 0x98,
+    0x2122: 0x99, 0x0161: 0x9A, 0x203A: 0x9B, 0x0153: 0x9C, 0x017E: 0x9E, 0x0178: 0x9F
+};
+
+/**
+ * WinAnsi codes of `text`; characters without one become "?"
+ */
+function winAnsiCodes(text) {
+    return [...String(text ?? '')].map(ch => {
+        const cp = ch.codePointAt(0);
+        if (cp === 0x09 || cp === 0x0A || cp === 0x0D) return 0x20;
+        if ((cp >= 0x20 && cp <= 0x7E) || (cp >= 0xA0 && cp <= 0xFF)) return cp;
+        return WIN_ANSI[cp] || 0x3F;
+    });
+}
+
+// A PDF string literal, non-ASCII as octal escapes
+const pdfString = (codes) => `(${codes.map(code => {
+    if (code === 0x28 || code === 0x29 || code === 0x5C) return `\\${String.fromCharCode(code)}`;
+    if (code < 0x20 || code > 0x7E) return `\\${code.toString(8).padStart(3, '0')}`;
+    return String.fromCharCode(code);
+}).join('')})`;
+
+// Advance widths of Helvetica (1/1000 em) for codes 32-126; others use 556
+const HELVETICA_WIDTHS = [
+    278, 278, 355, 556, 556, 889, 667, 191, 333, 333, 389, 584, 278, 333, 278, 278,
+    556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 278, 278, 584, 584, 584, 556,
+    1015, 667, 667, 722, 722, 667, 611, 778, 722, 278, 500, 667, 556, 833, 722, 778,
+    667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 278, 278, 278, 469, 556,
+    333, 556, 556, 500, 556, 556, 278, 556, 556, 222, 222, 500, 222, 833, 556, 556,
+    556, 556, 333, 500, 278, 556, 500, 722, 500, 500, 500, 334, 260, 334, 584
+];
+const helveticaWidth = (code) => HELVETICA_WIDTHS[code - 32] ?? 556;
+
+/**
+ * Text runs for the standard fonts: a WinAnsi string and its width (1/1000 em).
+ * The encoder collects the characters without a WinAnsi code in `missing`.
+ * @returns {Function} text => { operand, width } | null
+ */
+function helveticaEncoder() {
+    const missing = new Set();
+    const encode = (text) => {
+        const chars = [...String(text ?? '')];
+        const codes = winAnsiCodes(text);
+        if (codes.length === 0) return null;
+        codes.forEach((code, i) => {
+            if (code === 0x3F && chars[i] !== '?') missing.add(chars[i]);
+        });
+        return { operand: pdfString(codes), width: codes.reduce((sum, code) => sum + helveticaWidth(code), 0) };
+    };
+    encode.missing = missing;
+    return encode;
+}
+
+/**
+ * Text runs for an embedded font: two-byte glyph IDs (Identity-H). The
+ * encoder remembers which character each glyph was used for, in `used`.
+ * @returns {Function} text => { operand, width } | null
+ */
+function glyphEncoder(font) {
+    const used = new Map(); // glyph -> code point
+    const encode = (text) => {
+        const chars = [...String(text ?? '')].map(ch => /\s/.test(ch) ? ' ' : ch);
+        if (chars.length === 0) return null;
+        const glyphs = chars.map(ch => {
+            const cp = ch.codePointAt(0);
+            const glyph = font.glyph(cp);
+            if (glyph !== 0 && !used.has(glyph)) used.set(glyph, cp);
+            return glyph;
+        });
+        return {
+            operand: `<${glyphs.map(glyph => glyph.toString(16).padStart(4, '0')).join('').toUpperCase()}>`,
+            width: glyphs.reduce((sum, glyph) => sum + font.glyphAdvance(glyph) * 1000 / font.unitsPerEm, 0)
+        };
+    };
+    encode.used = used;
+    return encode;
+}
+
+// UTF-16BE hex of a code point, as a ToUnicode CMap wants it
+const utf16Hex = (cp) => (cp > 0xFFFF
+    ? [0xD800 + ((cp - 0x10000) >> 10), 0xDC00 + ((cp - 0x10000) & 0x3FF)]
+    : [cp]).map(unit => unit.toString(16).padStart(4, '0').toUpperCase()).join('');
+
+/**
+ * Add the objects of an embedded TrueType font as a Type0 font: the font
+ * file (a subset with the used glyphs), its descriptor, the CIDFontType2
+ * with the widths of the used glyphs and a ToUnicode map
+ * @param {Function} add - Adds an object, returns its number
+ * @param {Map<number, number>} used - Glyph -> code point
+ * @returns {number} the number of the Type0 font object
+ */
+function addType0Font(add, font, used) {
+    const glyphs = [...used.keys()].sort((a, b) => a - b);
+    const bytes = subsetTrueType(font, glyphs);
+    const hex = Array.from(bytes, byte => byte.toString(16).padStart(2, '0')).join('')
+        .replace(/(.{128})/g, '$1\n') + '>';
+    const file = add(`<< /Length ${hex.length} /Length1 ${bytes.length} /Filter /ASCIIHexDecode >>\nstream\n${hex}\nendstream`);
+
+    // A subset is named with a tag of six capitals that follows from its glyphs
+    let hash = glyphs.reduce((sum, glyph) => (sum * 31 + glyph) >>> 0, 7);
+    const tag = Array.from({ length: 6 }, () => {
+        const letter = String.fromCharCode(65 + hash % 26);
+        hash = Math.floor(hash / 26);
+        return letter;
+    }).join('');
+    const name = `${tag}+${font.name}`;
+
+    const em = (value) => Math.round(value * 1000 / font.unitsPerEm);
+    const descriptor = add(`<< /Type /FontDescriptor /FontName /${name} /Flags 4 ` +
+        `/FontBBox [${font.bbox.map(em).join(' ')}] /ItalicAngle ${round(font.italicAngle)} ` +
+        `/Ascent ${em(font.ascent)} /Descent ${em(font.descent)} /CapHeight ${em(font.capHeight)} ` +
+        `/StemV 80 /FontFile2 ${file} 0 R >>`);
+
+    const widths = glyphs.map(glyph => `${glyph} [${em(font.glyphAdvance(glyph))}]`).join(' ');
+    const cidFont = add(`<< /Type /Font /Subtype /CIDFontType2 /BaseFont /${name} ` +
+        '/CIDSystemInfo << /Registry (Adobe) /Ordering (Identity) /Supplement 0 >> ' +
+        `/FontDescriptor ${descriptor} 0 R /DW ${em(font.glyphAdvance(0))} /W [${widths}] /CIDToGIDMap /Identity >>`);
+
+    // bfchar blocks hold at most 100 entries
+    const blocks = [];
+    for (let i = 0; i < glyphs.length; i += 100) {
+        const chunk = glyphs.slice(i, i + 100);
+        blocks.push(`${chunk.length} beginbfchar`,
+            ...chunk.map(glyph => `<${glyph.toString(16).padStart(4, '0').toUpperCase()}> <${utf16Hex(used.get(glyph))}>`),
+            'endbfchar');
+    }
+    const cmap = [
+        '/CIDInit /ProcSet findresource begin',
+        '12 dict begin',
+        'begincmap',
+        '/CIDSystemInfo << /Registry (Adobe) /Ordering (UCS) /Supplement 0 >> def',
+        '/CMapName /Adobe-Identity-UCS def',
+        '/CMapType 2 def',
+        '1 begincodespacerange',
+        '<0000> <FFFF>',
+        'endcodespacerange',
+        ...blocks,
+        'endcmap',
+        'CMapName currentdict /CMap defineresource pop',
+        'end',
+        'end'
+    ].join('\n');
+    const toUnicode = add(`<< /Length ${cmap.length} >>\nstream\n${cmap}\nendstream`);
+
+    return add(`<< /Type /Font /Subtype /Type0 /BaseFont /${name} /Encoding /Identity-H ` +
+        `/DescendantFonts [${cidFont} 0 R] /ToUnicode ${toUnicode} 0 R >>`);
+}
+
+// ============================================
+// TrueType
+// ============================================
+
+/**
+ * Read the metrics a PDF needs from a TrueType font file
+ * @param {Uint8Array|ArrayBuffer} bytes - Contents of a .ttf file
+ * @returns {Object} { name, bytes, tables, unitsPerEm, ascent, descent, capHeight, bbox, italicAngle,
+ *   glyph(codePoint), glyphAdvance(glyph), advance(codePoint) } - advances in font units
+ * @throws {Error} when the file is not a TrueType font
+ */
+export function parseTrueType(bytes) {
+    const data = bytes instanceof Uint8Array ? bytes : new Uint8Array(bytes);
+    const view = new DataView(data.buffer, data.byteOffset, data.byteLength);
+    const fail = (message) => { throw new Error(`Not a TrueType font: ${message}`); };
+    if (data.length < 12) fail('file too short');
+
+    const version = view.getUint32(0);
+    if (version !== 0x00010000 && version !== 0x74727565) fail('unsupported outline format');
+
+    const tables = {};
+    const numTables = view.getUint16(4);
+    for (let i = 0; i < numTables; i++) {
+        const record = 12 + i * 16;
+        if (record + 16 > data.length) fail('truncated table directory');
+        const tag = String.fromCharCode(...data.subarray(record, record + 4));
+        tables[tag] = { offset: view.getUint32(record + 8), length: view.getUint32(record + 12) };
+    }
+    ['head', 'hhea', 'hmtx', 'maxp', 'cmap', 'loca', 'glyf'].forEach(tag => {
+        if (!tables[tag] || tables[tag].offset + tables[tag].length > data.length) fail(`missing ${tag} table`);
+    });
+
+    const head = tables.head.offset;
+    const unitsPerEm = view.getUint16(head + 18);
+    const bbox = [36, 38, 40, 42].map(at => view.getInt16(head + at));
+
+    const hhea = tables.hhea.offset;
+    const ascent = view.getInt16(hhea + 4);
+    const descent = view.getInt16(hhea + 6);
+    const metrics = view.getUint16(hhea + 34);
+    const hmtx = tables.hmtx.offset;
+    const advanceOf = (glyph) => view.getUint16(hmtx + Math.min(glyph, metrics - 1) * 4);
+
+    // Unicode BMP subtable (format 4)
+    const cmap = tables.cmap.offset;
+    let segments = null;
+    for (let i = 0; i < view.getUint16(cmap + 2); i++) {
+        const platform = view.getUint16(cmap + 4 + i * 8);
+        const encoding = view.getUint16(cmap + 6 + i * 8);
+        const offset = cmap + view.getUint32(cmap + 8 + i * 8);
+        if ((platform === 3 && encoding === 1) || platform === 0) {
+            if (view.getUint16(offset) === 4) {
+                segments = offset;
+                break;
+            }
+        }
+    }
+    if (segments === null) fail('no Unicode character map');
+    const segCount = view.getUint16(segments + 6) / 2;
+    const endCodes = segments + 14;
+    const startCodes = endCodes + segCount * 2 + 2;
+    const idDeltas = startCodes + segCount * 2;
+    const idRangeOffsets = idDeltas + segCount * 2;
+    const glyphOf = (codePoint) => {
+        for (let i = 0; i < segCount; i++) {
+            if (codePoint > view.getUint16(endCodes + i * 2)) continue;
+            const start = view.getUint16(startCodes + i * 2);
+            if (codePoint < start) return 0;
+            const delta = view.getUint16(idDeltas + i * 2);
+            const rangeOffset = view.getUint16(idRangeOffsets + i * 2);
+            if (rangeOffset === 0) return (codePoint + delta) & 0xFFFF;
+            const glyph = view.getUint16(idRangeOffsets + i * 2 + rangeOffset + (codePoint - start) * 2);
+            return glyph === 0 ? 0 : (glyph + delta) & 0xFFFF;
+        }
+        return 0;
+    };
+
+    const os2 = tables['OS/2'];
+    const capHeight = os2 && os2.length >= 90 && view.getUint16(os2.offset) >= 2 ? view.getInt16(os2.offset + 88) : ascent;
+    const italicAngle = tables.post ? view.getInt32(tables.post.offset + 4) / 65536 : 0;
+
+    return {
+        name: postScriptName(data, view, tables.name) || 'EmbeddedFont',
+        bytes: data,
+        tables,
+        unitsPerEm,
+        ascent,
+        descent,
+        capHeight,
+        bbox,
+        italicAngle,
+        glyph: glyphOf,
+        glyphAdvance: advanceOf,
+        advance: (codePoint) => advanceOf(glyphOf(codePoint))
+    };
+}
+
+// Tables a PDF viewer uses from an embedded TrueType font
+const SUBSET_TABLES = ['cvt ', 'fpgm', 'glyf', 'head', 'hhea', 'hmtx', 'loca', 'maxp', 'prep'];
+
+/**
+ * A TrueType file with only the outlines of `glyphs`, glyph 0 and the
+ * glyphs composite ones are built from. Glyph IDs stay the same (the
+ * other glyphs are left empty), so the PDF can map CIDs to glyphs with
+ * Identity. Only the tables a PDF viewer needs are kept.
+ * @param {Object} font - As returned by parseTrueType()
+ * @param {number[]} glyphs - Glyph IDs to keep
+ * @returns {Uint8Array}
+ */
+function subsetTrueType(font, glyphs) {
+    const { bytes: data, tables } = font;
+    const view = new DataView(data.buffer, data.byteOffset, data.byteLength);
+    const numGlyphs = view.getUint16(tables.maxp.offset + 4);
+    const longLoca = view.getInt16(tables.head.offset + 50) === 1;
+    const location = (glyph) => tables.glyf.offset + (longLoca
+        ? view.getUint32(tables.loca.offset + glyph * 4)
+        : view.getUint16(tables.loca.offset + glyph * 2) * 2);
+
+    // Composite glyphs (fewer than zero contours) list the glyphs they are built from
+    const components = (start, end) => {
+        if (end - start < 10 || view.getInt16(start) >= 0) return [];
+        const found = [];
+        let at = start + 10;
+        let flags;
+        do {
+            flags = view.getUint16(at);
+            found.push(view.getUint16(at + 2));
+            at += 4 + (flags & 0x1 ? 4 : 2) + (flags & 0x8 ? 2 : flags & 0x40 ? 4 : flags & 0x80 ? 8 : 0);
+        } while (flags & 0x20 && at + 4 <= end);
+        return found;
+    };
+
+    const keep = new Set();
+    const pending = [0, ...glyphs];
+    while (pending.length) {
+        const glyph = pending.pop();
+        if (keep.has(glyph) || glyph >= numGlyphs) continue;
+        keep.add(glyph);
+        pending.push(...components(location(glyph), location(glyph + 1)));
+    }
+
+    // glyf with the kept outlines (4-byte aligned), loca in the long format
+    const outlines = [];
+    const loca = new DataView(new ArrayBuffer((numGlyphs + 1) * 4));
+    let glyfLength = 0;
+    for (let glyph = 0; glyph < numGlyphs; glyph++) {
+        loca.setUint32(glyph * 4, glyfLength);
+        if (!keep.has(glyph)) continue;
+        const outline = data.subarray(location(glyph), location(glyph + 1));
+        outlines.push([glyfLength, outline]);
+        glyfLength += Math.ceil(outline.length / 4) * 4;
+    }
+    loca.setUint32(numGlyphs * 4, glyfLength);
+    const glyf = new Uint8Array(glyfLength);
+    outlines.forEach(([offset, outline]) => glyf.set(outline, offset));
+
+    const head = data.slice(tables.head.offset, tables.head.offset + tables.head.length);
+    const headView = new DataView(head.buffer);
+    headView.setUint32(8, 0);
+    headView.setInt16(50, 1);
+
+    const contents = {
+        glyf,
+        loca: new Uint8Array(loca.buffer),
+        head
+    };
+    const tags = SUBSET_TABLES.filter(tag => tables[tag]);
+    const table = (tag) => contents[tag] || data.subarray(tables[tag].offset, tables[tag].offset + tables[tag].length);
+
+    // Offset table and directory (tags sorted), then the tables
+    let offset = 12 + tags.length * 16;
+    const layout = tags.map(tag => {
+        const entry = { tag, bytes: table(tag), offset };
+        offset += Math.ceil(entry.bytes.length / 4) * 4;
+        return entry;
+    });
+    const file = new Uint8Array(offset);
+    const out = new DataView(file.buffer);
+    const checksum = (from, length) => {
+        let sum = 0;
+        for (let at = from; at < from + Math.ceil(length / 4) * 4; at += 4) sum = (sum + out.getUint32(at)) >>> 0;
+        return sum;
+    };
+    const power = 2 ** Math.floor(Math.log2(tags.length));
+    out.setUint32(0, 0x00010000);
+    out.setUint16(4, tags.length);
+    out.setUint16(6, power * 16);
+    out.setUint16(8, Math.log2(power));
+    out.setUint16(10, tags.length * 16 - power * 16);
+    layout.forEach((entry, i) => {
+        const record = 12 + i * 16;
+        file.set(entry.bytes, entry.offset);
+        [...entry.tag].forEach((ch, k) => { file[record + k] = ch.charCodeAt(0); });
+        out.setUint32(record + 4, checksum(entry.offset, entry.bytes.length));
+        out.setUint32(record + 8, entry.offset);
+        out.setUint32(record + 12, entry.bytes.length);
+    });
+    const headEntry = layout.find(entry => entry.tag === 'head');
+    out.setUint32(headEntry.offset + 8, (0xB1B0AFBA - checksum(0, file.length)) >>> 0);
+    return file;
+}
+
+// The PostScript name (name id 6), letters, digits and dashes only
+function postScriptName(data, view, table) {
+    if (!table) return null;
+    const base = table.offset;
+    const strings = base + view.getUint16(base + 4);
+    for (let i = 0; i < view.getUint16(base + 2); i++) {
+        const record = base + 6 + i * 12;
+        if (view.getUint16(record + 6) !== 6) continue;
+        const platform = view.getUint16(record);
+        const length = view.getUint16(record + 8);
+        const start = strings + view.getUint16(record + 10);
+        const raw = platform === 3
+            ? String.fromCharCode(...Array.from({ length: length / 2 }, (_, k) => view.getUint16(start + k * 2)))
+            : String.fromCharCode(...data.subarray(start, start + length));
+        const name = raw.replace(/[^A-Za-z0-9-]/g, '');
+        if (name) return name;
+    }
+    return null;
+}
+
+// ============================================
+// Drawing
+// ============================================
+
+/**
+ * Collects PDF content-stream operators in diagram coordinates (y down)
+ */
+class Painter {
+    constructor(fonts) {
+        this.fonts = fonts;
+        this.ops = [];
+    }
+
+    color(hex, fill = false) {
+        const match = /^#?([0-9a-f]{3}|[0-9a-f]{6})$/i.exec(String(hex || '').trim());
+        let value = match ? match[1] : '000000';
+        if (value.length === 3) value = value.replace(/./g, c => c + c);
+        const [r, g, b] = [0, 2, 4].map(i => round(parseInt(value.slice(i, i + 2), 16) / 255));
+        this.ops.push(`${r} ${g} ${b} ${fill ? 'rg' : 'RG'}`);
+    }
+
+    lineStyle(width, dash = null) {
+        this.ops.push(`${round(width)} w`, dash ? `[${dash.join(' ')}] 0 d` : '[] 0 d');
+    }
+
+    /**
+     * SVG path data (M, L, Q, C - absolute) as PDF path construction
+     */
+    svgPath(d) {
+        const tokens = d.match(/[MLQC]|-?\d*\.?\d+(?:e[-+]?\d+)?/gi) || [];
+        let command = null;
+        let current = { x: 0, y: 0 };
+        const read = () => Number(tokens.shift());
+        while (tokens.length) {
+            if (/[MLQC]/i.test(tokens[0])) command = tokens.shift().toUpperCase();
+            if (command === 'M' || command === 'L') {
+                current = { x: read(), y: read() };
+                this.ops.push(`${round(current.x)} ${round(current.y)} ${command === 'M' ? 'm' : 'l'}`);
+            } else if (command === 'Q') {
+                const q = { x: read(), y: read() };
+                const end = { x: read(), y: read() };
+                const c1 = { x: current.x + (q.x - current.x) * 2 / 3, y: current.y + (q.y - current.y) * 2 / 3 };
+                const c2 = { x: end.x + (q.x - end.x) * 2 / 3, y: end.y + (q.y - end.y) * 2 / 3 };
+                this.curve(c1, c2, end);
+                current = end;
+            } else if (command === 'C') {
+                const c1 = { x: read(), y: read() };
+                const c2 = { x: read(), y: read() };
+                current = { x: read(), y: read() };
+                this.curve(c1, c2, current);
+            } else {
+                tokens.shift();
+            }
+        }
+    }
+
+    curve(c1, c2, end) {
+        this.ops.push(`${round(c1.x)} ${round(c1.y)} ${round(c2.x)} ${round(c2.y)} ${round(end.x)} ${round(end.y)} c`);
+    }
+
+    polygon(points) {
+        points.forEach((p, i) => this.ops.push(`${round(p.x)} ${round(p.y)} ${i === 0 ? 'm' : 'l'}`));
+        this.ops.push('h');
+    }
+
+    circle(cx, cy, r) {
+        const k = r * 0.5523;
+        this.ops.push(`${round(cx + r)} ${round(cy)} m`);
+        this.curve({ x: cx + r, y: cy + k }, { x: cx + k, y: cy + r }, { x: cx, y: cy + r });
+        this.curve({ x: cx - k, y: cy + r }, { x: cx - r, y: cy + k }, { x: cx - r, y: cy });
+        this.curve({ x: cx - r, y: cy - k }, { x: cx - k, y: cy - r }, { x: cx, y: cy - r });
+        this.curve({ x: cx + k, y: cy - r }, { x: cx + r, y: cy - k }, { x: cx + r, y: cy });
+        this.ops.push('h');
+    }
+
+    rect(x, y, width, height) {
+        this.ops.push(`${round(x)} ${round(y)} ${round(width)} ${round(height)} re`);
+    }
+
+    /** Painting or state operator, e.g. 'S' (stroke), 'f' (fill), 'B' (both) */
+    op(operator) {
+        this.ops.push(operator);
+    }
+
+    /**
+     * Text with its baseline at y; `anchor` is 'start' or 'middle'
+     */
+    text(x, y, value, { size = 12, bold = false, anchor = 'start' } = {}) {
+        const font = bold ? this.fonts.bold : this.fonts.regular;
+        const run = font.encode(value);
+        if (!run) return;
+        const left = anchor === 'middle' ? x - run.width * size / 2000 : x;
+        // The diagram is drawn with y flipped; flip the text back upright
+        this.ops.push(`BT /${font.resource} ${size} Tf 1 0 0 -1 ${round(left)} ${round(y)} Tm ${run.operand} Tj ET`);
+    }
+}
+
+// Rotate (x, y) by `degrees` around the origin, then move to (cx, cy)
+const rotated = (cx, cy, degrees) => {
+    const rad = degrees * Math.PI / 180;
+    const cos = Math.cos(rad);
+    const sin = Math.sin(rad);
+    return (x, y) => ({ x: cx + x * cos - y * sin, y: cy + x * sin + y * cos });
+};
+
+function drawComponent(p, comp) {
+    const { x, y, width, height } = comp.bounds;
+    const dashed = COMPONENT_TYPES[comp.type]?.borderStyle === 'dashed';
+    p.color('#ffffff', true);
+    p.color('#000000');
+    p.lineStyle(1, dashed ? [5, 5] : null);
+    p.rect(x, y, width, height);
+    p.op('B');
+    p.color('#000000', true);
+    p.text(x + 8, y + 16, comp.properties.name, { bold: true });
+}
+
+function drawEdge(p, edge, source, target) {
+    const style = edge.properties || {};
+    const color = style.strokeColor || '#000000';
+    const d = calculateEdgePath(source.position, target.position, edge.controlPoints || [],
+        { sourceType: source.type, targetType: target.type });
+    const mid = getMidpoint(source.position, target.position, edge.controlPoints);
+    const angle = getAngle(source.position, target.position, edge.controlPoints);
+
+    p.color(color);
+    p.lineStyle(style.strokeWidth || 1.5, { dashed: [8, 4], dotted: [2, 4] }[style.strokeStyle] || null);
+    p.svgPath(d);
+    p.op('S');
+
+    const at = rotated(mid.x, mid.y, angle);
+    p.color(color, true);
+    p.polygon([at(-6, -4), at(4, 0), at(-6, 4)]);
+    p.op('f');
+
+    if (edge.condition) {
+        const rad = (angle - 90) * Math.PI / 180;
+        p.color('#000000', true);
+        p.text(mid.x + Math.cos(rad) * 12, mid.y + Math.sin(rad) * 12 + 4, `[${edge.condition}]`, { size: 11, anchor: 'middle' });
+    }
+}
+
+function drawNode(p, node, graph) {
+    const type = NODE_TYPES[node.type];
+    const { x, y } = node.position;
+    p.color(type.color);
+    p.color(type.color, true);
+
+    switch (type.shape) {
+        case 'circle':
+            p.circle(x, y, type.radius);
+            p.op('f');
+            break;
+        case 'bar': {
+            const inEdges = [...node.inEdges].map(id => graph.getEdge(id)).filter(Boolean);
+            const incoming = calculateIncomingAngle(node, inEdges, id => graph.getNode(id));
+            const at = rotated(x, y, incoming !== null ? Math.round(incoming / 45) * 45 : 0);
+            const w = type.width / 2;
+            const h = type.height / 2;
+            p.polygon([at(-w, -h), at(w, -h), at(w, h), at(-w, h)]);
+            p.op('f');
+            break;
+        }
+        case 'cross': {
+            const h = type.size / 2;
+            p.lineStyle(3);
+            p.op('1 J');
+            p.svgPath(`M ${x - h} ${y - h} L ${x + h} ${y + h} M ${x + h} ${y - h} L ${x - h} ${y + h}`);
+            p.op('S');
+            p.op('0 J');
+            break;
+        }
+        case 'clock':
+            p.color('#ffffff', true);
+            p.lineStyle(2);
+            p.circle(x, y, 12);
+            p.op('B');
+            p.svgPath(`M ${x} ${y} L ${x + 6} ${y} M ${x} ${y} L ${x} ${y - 8}`);
+            p.op('S');
+            break;
+        case 'stub': {
+            const s = type.size;
+            p.color('#ffffff', true);
+            p.lineStyle(2, node.properties.stubType === 'dynamic' ? [4, 3] : null);
+            p.polygon([{ x, y: y - s }, { x: x + s, y }, { x, y: y + s }, { x: x - s, y }]);
+            p.op('B');
+            break;
+        }
+        case 'junction': {
+            const isAnd = (node.type === 'fork' && node.properties.forkType === 'and') ||
+                (node.type === 'join' && node.properties.joinType === 'and');
+            if (isAnd) p.rect(x - 4, y - 15, 8, 30); else p.circle(x, y, 3.5);
+            p.op('f');
+            break;
+        }
+    }
+
+    if (node.type !== 'empty' && node.properties.name) {
+        p.color('#000000', true);
+        p.text(x, y + 25, node.properties.name, { anchor: 'middle' });
+    }
+}
+
+/**
+ * Operators drawing the whole map, in diagram coordinates
+ */
+function drawMap(graph, fonts) {
+    const p = new Painter(fonts);
+    const depth = (comp) => comp.parentComponent ? 1 + depth(graph.getComponent(comp.parentComponent) || {}) : 0;
+    [...graph.getAllComponents()].sort((a, b) => depth(a) - depth(b)).forEach(comp => drawComponent(p, comp));
+
+    graph.getAllEdges().forEach(edge => {
+        const source = graph.getNode(edge.sourceNodeId);
+        const target = graph.getNode(edge.targetNodeId);
+        if (source && target) drawEdge(p, edge, source, target);
+    });
+
+    graph.getAllNodes().filter(node => NODE_TYPES[node.type]).forEach(node => drawNode(p, node, graph));
+    return p.ops;
+}
+
+// ============================================
+// Document
+// ============================================
+
+const pdfDate = (iso) => {
+    const date = iso ? new Date(iso) : null;
+    if (!date || Number.isNaN(date.getTime())) return null;
+    return `D:${date.toISOString().replace(/[-:T]/g, '').slice(0, 14)}Z`;
+};
+
+// Info strings: Latin-1 as is, anything else as UTF-16 with a byte order mark
+const infoString = (text) => {
+    const value = String(text);
+    if (/^[\x20-\x7e\xa0-\xff]*$/.test(value)) return pdfString([...value].map(ch => ch.charCodeAt(0)));
+    return `<FEFF${[...value].map(ch => utf16Hex(ch.codePointAt(0))).join('')}>`;
+};
+
+/**
+ * Render a map as a PDF document
+ * @param {UCMGraph} graph - The map to draw
+ * @param {Object} [options]
+ * @param {string} [options.pageSize] - A key of PAGE_SIZES
+ * @param {string} [options.orientation] - 'portrait', 'landscape' or 'auto' (follows the map's shape)
+ * @param {boolean} [options.tile] - Split the map over several pages instead of scaling it down
+ * @param {number} [options.scale] - Drawing scale when tiling (1 = one pixel per point)
+ * @param {number} [options.margin] - Page margin in points
+ * @param {boolean} [options.titleBlock] - Draw the metadata block at the bottom of each page
+ * @param {Uint8Array|ArrayBuffer} [options.font] - TrueType font to embed instead of Helvetica
+ * @param {Function} [options.onWarning] - Called with a message when no font is given
+ * @returns {string} the PDF file (ASCII)
+ */
+export function renderPDF(graph, {
+    pageSize = 'A4',
+    orientation = 'auto',
+    tile = false,
+    scale = 1,
+    margin = 36,
+    titleBlock = true,
+    font = null,
+    onWarning = () => {}
+} = {}) {
+    if (!PAGE_SIZES[pageSize]) throw new Error(`Unknown page size "${pageSize}" - use ${Object.keys(PAGE_SIZES).join(', ')}`);
+    if (!['auto', 'portrait', 'landscape'].includes(orientation)) throw new Error(`Unknown orientation "${orientation}"`);
+    if (!(scale > 0)) throw new Error('The scale must be a positive number');
+
+    const padding = 20;
+    const content = calculateContentBounds(graph) || { minX: 0, minY: 0, width: 0, height: 0 };
+    const area = {
+        x: content.minX - padding,
+        y: content.minY - padding,
+        width: content.width + padding * 2,
+        height: content.height + padding * 2
+    };
+
+    const landscape = orientation === 'landscape' || (orientation === 'auto' && area.width > area.height);
+    const [short, long] = PAGE_SIZES[pageSize];
+    const [pageWidth, pageHeight] = landscape ? [long, short] : [short, long];
+    const frame = {
+        x: margin,
+        y: margin + (titleBlock ? TITLE_BLOCK_HEIGHT + 8 : 0),
+        width: pageWidth - margin * 2,
+        height: pageHeight - margin * 2 - (titleBlock ? TITLE_BLOCK_HEIGHT + 8 : 0)
+    };
+
+    // Fit on one page (never enlarged), or tile at the requested scale
+    const fit = Math.min(1, frame.width / area.width, frame.height / area.height);
+    const factor = tile ? scale : fit;
+    const columns = tile ? Math.max(1, Math.ceil(area.width * factor / frame.width - 1e-9)) : 1;
+    const rows = tile ? Math.max(1, Math.ceil(area.height * factor / frame.height - 1e-9)) : 1;
+
+    // Fonts; bold text is only ever left-aligned, so both faces share the regular widths
+    const embedded = font ? parseTrueType(font) : null;
+    const encode = embedded ? glyphEncoder(embedded) : helveticaEncoder();
+    const fonts = {
+        regular: { resource: 'F1', encode },
+        bold: { resource: embedded ? 'F1' : 'F2', encode }
+    };
+    const drawing = drawMap(graph, fonts);
+
+    // Objects: 1 catalog, 2 page tree, 3 info, then fonts, then page + contents pairs
+    const objects = [];
+    const add = (body) => {
+        objects.push(body);
+        return objects.length;
+    };
+    const catalog = add(null);
+    const pageTree = add(null);
+
+    const meta = graph.metadata || {};
+    const info = [
+        ['Title', meta.name],
+        ['Author', meta.author],
+        ['Subject', meta.description],
+        ['Keywords', (meta.tags || []).join(', ')]
+    ].filter(([, value]) => value).map(([key, value]) => `/${key} ${infoString(value)}`);
+    info.push('/Creator (UCM Editor)', '/Producer (UCM Editor PDF Writer)');
+    const created = pdfDate(meta.created);
+    const modified = pdfDate(meta.modified);
+    if (created) info.push(`/CreationDate (${created})`);
+    if (modified) info.push(`/ModDate (${modified})`);
+    add(`<< ${info.join(' ')} >>`);
+
+    // Page contents first: the embedded font lists only the glyphs they use
+    const streams = [];
+    const total = columns * rows;
+    for (let row = 0; row < rows; row++) {
+        for (let column = 0; column < columns; column++) {
+            const ops = ['q'];
+            // Clip to the frame, then map the diagram (y down) into it (PDF y up, from the top)
+            ops.push(`${round(frame.x)} ${round(frame.y)} ${round(frame.width)} ${round(frame.height)} re W n`);
+            // Tiles move the drawing by whole frames; a single page centers it
+            const shiftX = tile ? -column * frame.width : (frame.width - area.width * factor) / 2;
+            const shiftY = tile ? row * frame.height : -(frame.height - area.height * factor) / 2;
+            ops.push(`${round(factor)} 0 0 ${round(-factor)} ` +
+                `${round(frame.x - area.x * factor + shiftX)} ${round(frame.y + frame.height + area.y * factor + shiftY)} cm`);
+            ops.push('1 j', ...drawing, 'Q');
+
+            if (titleBlock) {
+                const page = total > 1 ? `Page ${streams.length + 1} of ${total} (row ${row + 1}, column ${column + 1})` : '';
+                ops.push(...titleBlockOps(meta, { x: margin, y: margin, width: pageWidth - margin * 2 }, page, fonts));
+            }
+            streams.push(ops.join('\n'));
+        }
+    }
+
+    const fontResources = [];
+    if (embedded) {
+        fontResources.push(`/F1 ${addType0Font(add, embedded, encode.used)} 0 R`);
+    } else {
+        const missing = [...encode.missing].map(ch => `"${ch}"`);
+        const list = missing.length > 10 ? `${missing.slice(0, 10).join(', ')} and ${missing.length - 10} more` : missing.join(', ');
+        onWarning(missing.length > 0
+            ? `No font embedded: Helvetica has no ${list} - printed as "?". Embed a TrueType font that has them.`
+            : 'No font embedded: the text uses the PDF viewer\'s Helvetica and may look different elsewhere. Embed a TrueType font to fix it.');
+        const regular = add('<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>');
+        const bold = add('<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding /WinAnsiEncoding >>');
+        fontResources.push(`/F1 ${regular} 0 R`, `/F2 ${bold} 0 R`);
+    }
+
+    const pages = streams.map(stream => {
+        const contents = add(`<< /Length ${stream.length} >>\nstream\n${stream}\nendstream`);
+        return add(`<< /Type /Page /Parent ${pageTree} 0 R /MediaBox [0 0 ${round(pageWidth)} ${round(pageHeight)}] ` +
+            `/Resources << /Font << ${fontResources.join(' ')} >> >> /Contents ${contents} 0 R >>`);
+    });
+
+    objects[catalog - 1] = `<< /Type /Catalog /Pages ${pageTree} 0 R >>`;
+    objects[pageTree - 1] = `<< /Type /Pages /Kids [${pages.map(id => `${id} 0 R`).join(' ')}] /Count ${pages.length} >>`;
+
+    let pdf = '%PDF-1.4\n';
+    const offsets = objects.map((body, i) => {
+        const offset = pdf.length;
+        pdf += `${i + 1} 0 obj\n${body}\nendobj\n`;
+        return offset;
+    });
+    const xref = pdf.length;
+    pdf += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`;
+    pdf += offsets.map(offset => `${String(offset).padStart(10, '0')} 00000 n \n`).join('');
+    pdf += `trailer\n<< /Size ${objects.length + 1} /Root ${catalog} 0 R /Info 3 0 R >>\nstartxref\n${xref}\n%%EOF\n`;
+    return pdf;
+}
+
+/**
+ * The title block in page coordinates: map name and description on the
+ * left, author, version and date on the right, page number below
+ */
+function titleBlockOps(meta, { x, y, width }, page, fonts) {
+    const ops = ['q', '0 0 0 RG 0 0 0 rg 0.75 w [] 0 d'];
+    ops.push(`${round(x)} ${round(y)} ${round(width)} ${TITLE_BLOCK_HEIGHT} re S`);
+    const line = (left, baseline, value, { size = 9, bold = false, anchor = 'start' } = {}) => {
+        const font = bold ? fonts.bold : fonts.regular;
+        const run = font.encode(value);
+        if (!run) return;
+        const at = anchor === 'end' ? left - run.width * size / 1000 : left;
+        ops.push(`BT /${font.resource} ${size} Tf ${round(at)} ${round(baseline)} Td ${run.operand} Tj ET`);
+    };
+
+    line(x + 8, y + TITLE_BLOCK_HEIGHT - 17, meta.name || 'Untitled map', { size: 13, bold: true });
+    line(x + 8, y + 9, meta.description ? meta.description.replace(/\s+/g, ' ') : '');
+
+    const date = (meta.modified || meta.created || '').slice(0, 10);
+    const details = [
+        meta.author && `Author: ${meta.author}`,
+        meta.version && `Version: ${meta.version}`,
+        date && `Date: ${date}`
+    ].filter(Boolean).join('   ');
+    line(x + width - 8, y + TITLE_BLOCK_HEIGHT - 17, details, { anchor: 'end' });
+    line(x + width - 8, y + 9, page, { anchor: 'end' });
+    ops.push('Q');
+    return ops;
+}
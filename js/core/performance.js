@@ -0,0 +1,352 @@
+/**
+ * Performance Analysis - Response times, utilization and LQN export
+ *
+ * Annotations (all optional, written as `with key=value` in the DSL):
+ *   - responsibility / stub  executionTime  service demand in ms per visit, or a
+ *                                            distribution of it (distributions.js)
+ *   - start point            arrivalRate    requests per second (open workload)
+ *   - edge out of an OR-fork probability    0..1; the edges left without one
+ *                                            share what remains equally
+ *   - component              multiplicity   servers (threads, replicas), default 1
+ *
+ * Each start point is a workload class. Its expected visits to every node
+ * follow from the branch probabilities (an AND-fork sends a copy down every
+ * branch, an AND-join passes on one request per set of arrivals; loops are
+ * solved iteratively). A responsibility charges its demand to the component
+ * it is bound to, which is served as an M/M/m queue:
+ *
+ *   U = Σ λ·D / m        R = D · (1 + C(m, λD) / (m · (1 − U)))
+ *
+ * with C the Erlang-C waiting probability. Responsibilities outside any
+ * component are pure delays. A class's response time adds up its residence
+ * times in every component and its delays - parallel branches are added
+ * too, so behind an AND-fork this is an upper bound. Stubs count their own
+ * executionTime; their plug-in maps are not expanded.
+ *
+ *   analysis = { errors, warnings, starts, components }
+ *   start = { id, name, arrivalRate, visits, flows, demands, delay, residence, responseTime }
+ *   component = { id, name, type, multiplicity, load, utilization, saturated }
+ * Times are in ms; visits/flows are keyed by node/edge id, demands/residence by component id.
+ */
+
+import { parseDistribution } from './distributions.js';
+
+const EPSILON = 1e-9;
+const MAX_ITERATIONS = 5000;
+
+const TIMED = ['responsibility', 'stub'];
+
+const nodeName = (node) => node?.properties.name || node?.id || '';
+
+const isAnd = (node) => (node.type === 'fork' && node.properties.forkType === 'and') ||
+    (node.type === 'join' && node.properties.joinType === 'and');
+
+/**
+ * Read a numeric annotation; a value that is not a number in range is
+ * reported and ignored
+ * @returns {number|null}
+ */
+function readNumber(value, { min = 0, max = Infinity, integer = false }, report) {
+    if (value === undefined || value === null || value === '') return null;
+    const n = typeof value === 'number' ? value : Number(String(value).trim());
+    if (!Number.isFinite(n) || n < min || n > max || (integer && !Number.isInteger(n))) {
+        report(value);
+        return null;
+    }
+    return n;
+}
+
+/**
+ * Erlang-C: probability that a request waits at an M/M/m queue
+ * @param {number} m - Servers
+ * @param {number} load - Offered load in Erlangs (λ · service time), below m
+ */
+export function erlangC(m, load) {
+    if (load <= 0) return 0;
+    let term = 1;
+    let sum = 1;
+    for (let k = 1; k < m; k++) {
+        term *= load / k;
+        sum += term;
+    }
+    const waiting = term * (load / m) / (1 - load / m);
+    return waiting / (sum + waiting);
+}
+
+// ============================================
+// Routing
+// ============================================
+
+/**
+ * Share of a node's visits that leaves along each outgoing edge
+ * @param {Function} [warn] - (type, message, ids) for unusable probabilities
+ * @returns {Array} [[edgeId, share], ...]
+ */
+export function branchShares(graph, node, warn = () => {}) {
+    const out = [...node.outEdges].map(id => graph.getEdge(id)).filter(Boolean);
+    if (out.length === 0) return [];
+    if (isAnd(node)) return out.map(edge => [edge.id, 1]);
+    if (out.length === 1) return [[out[0].id, 1]];
+
+    const edgeName = (edge) => `${nodeName(node)} -> ${nodeName(graph.getNode(edge.targetNodeId))}`;
+    const given = new Map();
+    out.forEach(edge => {
+        const p = readNumber(edge.properties?.probability, { max: 1 }, value =>
+            warn('invalid_probability', `Probability "${value}" of ${edgeName(edge)} is not between 0 and 1 - ignored`, { edgeId: edge.id }));
+        if (p !== null) given.set(edge.id, p);
+    });
+
+    const sum = [...given.values()].reduce((a, b) => a + b, 0);
+    const rest = out.length - given.size;
+
+    if (rest > 0) {
+        if (sum > 1 + EPSILON) {
+            warn('probability_sum', `Branch probabilities of "${nodeName(node)}" add up to ${Math.round(sum * 1000) / 1000} - the other branches get none`, { nodeId: node.id });
+        }
+        const share = Math.max(0, 1 - sum) / rest;
+        return out.map(edge => [edge.id, given.has(edge.id) ? given.get(edge.id) : share]);
+    }
+
+    if (Math.abs(sum - 1) > 1e-6) {
+        warn('probability_sum', `Branch probabilities of "${nodeName(node)}" add up to ${Math.round(sum * 1000) / 1000} - scaled to 1`, { nodeId: node.id });
+    }
+    return out.map(edge => [edge.id, sum > 0 ? given.get(edge.id) / sum : 1 / out.length]);
+}
+
+/**
+ * Expected visits per request entering at `startId`, by Gauss-Seidel sweeps
+ * @returns {Object} { visits: Map, flows: Map, converged }
+ */
+function expectedVisits(graph, startId, shares) {
+    const nodes = graph.getAllNodes();
+    const visits = new Map(nodes.map(node => [node.id, 0]));
+    const flows = new Map();
+
+    for (let i = 0; i < MAX_ITERATIONS; i++) {
+        let change = 0;
+        nodes.forEach(node => {
+            const inEdges = [...node.inEdges];
+            const inFlow = inEdges.reduce((sum, id) => sum + (flows.get(id) || 0), 0);
+            let v = isAnd(node) && node.type === 'join' ? inFlow / Math.max(inEdges.length, 1) : inFlow;
+            if (node.id === startId) v += 1;
+
+            change = Math.max(change, Math.abs(v - visits.get(node.id)) / Math.max(1, v));
+            visits.set(node.id, v);
+            shares.get(node.id).forEach(([edgeId, share]) => flows.set(edgeId, v * share));
+        });
+        if (change < EPSILON) return { visits, flows, converged: true };
+    }
+    return { visits, flows, converged: false };
+}
+
+// ============================================
+// Analysis
+// ============================================
+
+/**
+ * Analyze the performance annotations of a map
+ * @param {UCMGraph} graph - The map
+ * @returns {Object} analysis
+ */
+export function analyzePerformance(graph) {
+    const errors = [];
+    const warnings = [];
+    const warn = (type, message, ids = {}) => warnings.push({ type, message, ...ids });
+
+    const nodes = graph.getAllNodes();
+    const shares = new Map(nodes.map(node => [node.id, branchShares(graph, node, warn)]));
+
+    // Mean service demand per visit (ms)
+    const demand = new Map();
+    nodes.filter(node => TIMED.includes(node.type)).forEach(node => {
+        const distribution = parseDistribution(node.properties.executionTime);
+        if (Number.isNaN(distribution)) {
+            warn('invalid_execution_time', `Execution time "${node.properties.executionTime}" of "${nodeName(node)}" is not a number of ms or a distribution - ignored`, { nodeId: node.id });
+        } else if (distribution?.mean) {
+            demand.set(node.id, distribution.mean);
+        }
+    });
+
+    const components = graph.getAllComponents().map(comp => ({
+        id: comp.id,
+        name: comp.properties.name || comp.id,
+        type: comp.type,
+        multiplicity: readNumber(comp.properties.multiplicity, { min: 1, integer: true }, value =>
+            warn('invalid_multiplicity', `Multiplicity "${value}" of "${comp.properties.name || comp.id}" is not a whole number of at least 1 - using 1`, { componentId: comp.id })) ?? 1,
+        load: 0,
+        utilization: 0,
+        saturated: false
+    }));
+    const componentById = new Map(components.map(c => [c.id, c]));
+
+    const starts = nodes.filter(node => node.type === 'start').map(node => {
+        const arrivalRate = readNumber(node.properties.arrivalRate, {}, value =>
+            warn('invalid_arrival_rate', `Arrival rate "${value}" of "${nodeName(node)}" is not a number of requests/s - ignored`, { nodeId: node.id })) ?? 0;
+
+        const { visits, flows, converged } = expectedVisits(graph, node.id, shares);
+        if (!converged) {
+            warn('no_convergence', `Paths from "${nodeName(node)}" loop without a way out - visit counts did not converge`, { nodeId: node.id });
+        }
+
+        const demands = {};
+        let delay = 0;
+        demand.forEach((t, nodeId) => {
+            const d = visits.get(nodeId) * t;
+            if (d === 0) return;
+            const compId = graph.getNode(nodeId).parentComponent;
+            if (compId && componentById.has(compId)) {
+                demands[compId] = (demands[compId] || 0) + d;
+            } else {
+                delay += d;
+            }
+        });
+
+        return {
+            id: node.id,
+            name: nodeName(node),
+            arrivalRate,
+            visits: Object.fromEntries(visits),
+            flows: Object.fromEntries(flows),
+            demands,
+            delay,
+            residence: {},
+            responseTime: delay
+        };
+    });
+
+    if (starts.length > 0 && starts.every(start => start.arrivalRate === 0)) {
+        warn('no_workload', 'No start point has an arrival rate - utilizations are 0');
+    }
+
+    // Queueing at each component
+    components.forEach(comp => {
+        comp.load = starts.reduce((sum, start) => sum + start.arrivalRate * (start.demands[comp.id] || 0) / 1000, 0);
+        comp.utilization = comp.load / comp.multiplicity;
+        comp.saturated = comp.utilization >= 1;
+        if (comp.saturated) {
+            errors.push({
+                type: 'saturated',
+                message: `"${comp.name}" is saturated (utilization ${Math.round(comp.utilization * 100)}%) - it needs more than ${comp.multiplicity} server(s)`,
+                componentId: comp.id
+            });
+        }
+
+        const waitFactor = comp.saturated ? Infinity
+            : 1 + erlangC(comp.multiplicity, comp.load) / (comp.multiplicity * (1 - comp.utilization));
+        starts.forEach(start => {
+            const d = start.demands[comp.id];
+            if (!d) return;
+            start.residence[comp.id] = d * waitFactor;
+            start.responseTime += d * waitFactor;
+        });
+    });
+
+    return { errors, warnings, starts, components };
+}
+
+// ============================================
+// LQN Export
+// ============================================
+
+const ENVIRONMENT = 'Environment';
+
+const escape = (text) => String(text ?? '').replace(/[<>&'"]/g, c =>
+    ({ '<': '&lt;', '>': '&gt;', '&': '&amp;', "'": '&apos;', '"': '&quot;' })[c]);
+
+const number = (n) => String(Number(n.toPrecision(6)));
+
+/**
+ * Unique LQN identifiers for display names
+ */
+function nameRegistry() {
+    const used = new Set();
+    return (name, fallback) => {
+        let base = String(name || '').replace(/[^A-Za-z0-9_]+/g, '_').replace(/^_+|_+$/g, '') || fallback;
+        if (/^\d/.test(base)) base = `_${base}`;
+        let unique = base;
+        for (let i = 2; used.has(unique); i++) unique = `${base}_${i}`;
+        used.add(unique);
+        return unique;
+    };
+}
+
+/**
+ * The map as a Layered Queueing Network in LQNX (the XML format of the
+ * LQNS / lqsim solvers)
+ *
+ * Every component with demand becomes a processor and a FCFS task with its
+ * multiplicity. Each start point with an arrival rate becomes an entry of
+ * an infinite-server Environment task that receives the open arrivals,
+ * spends the class's delays and makes synchronous calls to an entry of
+ * each component it uses: calls-mean is the expected number of times the
+ * path enters the component, host-demand-mean the demand per call in
+ * seconds. The model is two layers deep - calls between components are
+ * not inferred.
+ *
+ * @param {UCMGraph} graph - The map
+ * @param {Object} [analysis] - analyzePerformance(graph), when already computed
+ * @returns {string}
+ */
+export function toLQNX(graph, analysis = analyzePerformance(graph)) {
+    const name = graph.metadata?.name || 'UCM';
+    const uniqueName = nameRegistry();
+    const starts = analysis.starts.filter(start => start.arrivalRate > 0);
+    const used = analysis.components.filter(comp => starts.some(start => start.demands[comp.id] > 0));
+
+    const taskNames = new Map([[ENVIRONMENT, uniqueName(ENVIRONMENT)]]);
+    used.forEach(comp => taskNames.set(comp.id, uniqueName(comp.name, comp.id)));
+    const classNames = new Map(starts.map(start => [start.id, uniqueName(start.name, start.id)]));
+    const entryName = (taskId, start) => `${taskNames.get(taskId)}_${classNames.get(start.id)}`;
+
+    // Times the path of `start` enters `compId` (the start point itself counts)
+    const entries = (start, compId) => {
+        const inside = (nodeId) => graph.getNode(nodeId)?.parentComponent === compId;
+        let calls = inside(start.id) ? 1 : 0;
+        graph.getAllEdges().forEach(edge => {
+            if (inside(edge.targetNodeId) && !inside(edge.sourceNodeId)) calls += start.flows[edge.id] || 0;
+        });
+        return calls > EPSILON ? calls : 1;
+    };
+
+    const entryXML = (entry, demandMs, calls = [], arrivalRate = null) => [
+        `      <entry name="${escape(entry)}" type="PH1PH2"${arrivalRate !== null ? ` open-arrival-rate="${number(arrivalRate)}"` : ''}>`,
+        '        <entry-phase-activities>',
+        `          <activity name="${escape(entry)}_ph1" phase="1" host-demand-mean="${number(demandMs / 1000)}"${calls.length ? '>' : '/>'}`,
+        ...calls.map(call => `            <synch-call dest="${escape(call.dest)}" calls-mean="${number(call.calls)}"/>`),
+        ...(calls.length ? ['          </activity>'] : []),
+        '        </entry-phase-activities>',
+        '      </entry>'
+    ];
+
+    const lines = [
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        `<lqn-model name="${escape(name)}" description="Generated from Use Case Map ${escape(name)}" ` +
+            'xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance" xsi:noNamespaceSchemaLocation="lqn.xsd">',
+        `  <solver-params comment="${escape(name)}" conv_val="1e-05" it_limit="50" underrelax_coeff="0.9" print_int="10"/>`
+    ];
+
+    if (starts.length > 0) {
+        const environment = taskNames.get(ENVIRONMENT);
+        lines.push(`  <processor name="${environment}_cpu" scheduling="inf">`);
+        lines.push(`    <task name="${environment}" scheduling="inf">`);
+        starts.forEach(start => {
+            const calls = used.filter(comp => start.demands[comp.id] > 0)
+                .map(comp => ({ dest: entryName(comp.id, start), calls: entries(start, comp.id) }));
+            lines.push(...entryXML(entryName(ENVIRONMENT, start), start.delay, calls, start.arrivalRate));
+        });
+        lines.push('    </task>', '  </processor>');
+    }
+
+    used.forEach(comp => {
+        const task = taskNames.get(comp.id);
+        lines.push(`  <processor name="${task}_cpu" scheduling="fcfs" multiplicity="${comp.multiplicity}">`);
+        lines.push(`    <task name="${task}" scheduling="fcfs" multiplicity="${comp.multiplicity}">`);
+        starts.filter(start => start.demands[comp.id] > 0).forEach(start => {
+            lines.push(...entryXML(entryName(comp.id, start), start.demands[comp.id] / entries(start, comp.id)));
+        });
+        lines.push('    </task>', '  </processor>');
+    });
+
+    lines.push('</lqn-model>');
+    return lines.join('\n') + '\n';
+}
@@ -0,0 +1,90 @@
+/**
+ * PlantUML Writer - Writes a map as a PlantUML component diagram
+ *
+ * Components become nested rectangles (with their UCM kind as stereotype)
+ * holding the nodes bound to them. Nodes keep their UCM meaning through
+ * the element and its colors (start = filled circle, end = bold circle,
+ * OR-fork/join = small circle, AND-fork/join = filled bar, stub = hexagon,
+ * dashed when dynamic); guards become arrow labels.
+ */
+
+import { NODE_TYPES } from './node-types.js';
+
+// PlantUML strings cannot hold double quotes or line breaks
+const quote = (value) => `"${String(value ?? '').replace(/"/g, "'").replace(/\r?\n/g, '\\n')}"`;
+const oneLine = (value) => String(value ?? '').replace(/\s*\r?\n\s*/g, ' ');
+
+// PlantUML aliases: letters, digits and underscores
+const alias = (id) => String(id).replace(/[^A-Za-z0-9_]/g, '_');
+
+const isAnd = (node) => (node.type === 'fork' && node.properties.forkType === 'and') ||
+    (node.type === 'join' && node.properties.joinType === 'and');
+
+/**
+ * PlantUML element and color that draw `node` in UCM notation
+ * @returns {{ element: string, color: string|null }}
+ */
+export function plantUMLElement(node) {
+    switch (node.type) {
+        case 'start':
+            return { element: 'circle', color: '#black' };
+        case 'end':
+            return { element: 'circle', color: '#white;line.bold' };
+        case 'responsibility':
+            return { element: 'rectangle', color: null };
+        case 'fork':
+        case 'join':
+            return isAnd(node)
+                ? { element: 'rectangle', color: '#black;text:white' }
+                : { element: '()', color: null };
+        case 'timer':
+            return { element: 'circle', color: null };
+        case 'stub':
+            return { element: 'hexagon', color: node.properties.stubType === 'dynamic' ? '#line.dashed' : null };
+        default:
+            return { element: '()', color: null };
+    }
+}
+
+/**
+ * Write `graph` as a PlantUML component diagram
+ * @param {UCMGraph} graph - The map to write
+ * @param {Object} [options]
+ * @param {string} [options.title] - Diagram title (defaults to the map name)
+ * @returns {string}
+ */
+export function toPlantUML(graph, { title = graph.metadata?.name } = {}) {
+    const lines = ['@startuml'];
+    if (title) lines.push(`title ${oneLine(title)}`);
+    lines.push('left to right direction');
+
+    const nodes = graph.getAllNodes().filter(node => NODE_TYPES[node.type]);
+    const writeNode = (node, indent) => {
+        const { element, color } = plantUMLElement(node);
+        const label = node.type === 'empty' ? ' ' : (node.properties.name || node.type);
+        lines.push(`${indent}${element} ${quote(label)} as ${alias(node.id)}${color ? ` ${color}` : ''}`);
+    };
+
+    const writeComponent = (component, indent) => {
+        const dashed = component.type === 'process' ? ' #line.dashed' : '';
+        lines.push(`${indent}rectangle ${quote(component.properties.name || component.type)} as ${alias(component.id)} <<${component.type}>>${dashed} {`);
+        nodes.filter(node => node.parentComponent === component.id).forEach(node => writeNode(node, indent + '  '));
+        component.childComponents.forEach(childId => {
+            const child = graph.getComponent(childId);
+            if (child) writeComponent(child, indent + '  ');
+        });
+        lines.push(`${indent}}`);
+    };
+
+    graph.getRootComponents().forEach(component => writeComponent(component, ''));
+    nodes.filter(node => !node.parentComponent || !graph.getComponent(node.parentComponent))
+        .forEach(node => writeNode(node, ''));
+
+    graph.getAllEdges().forEach(edge => {
+        const label = edge.condition ? ` : [${oneLine(edge.condition)}]` : '';
+        lines.push(`${alias(edge.sourceNodeId)} --> ${alias(edge.targetNodeId)}${label}`);
+    });
+
+    lines.push('@enduml');
+    return lines.join('\n') + '\n';
+}
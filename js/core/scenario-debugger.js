@@ -0,0 +1,297 @@
+/**
+ * Scenario Debugger - Step-through execution of one scenario
+ *
+ * Drives a TraversalEngine one step at a time and keeps a frame per step,
+ * so it can go back as well as forward:
+ *   frame = { step, time, entries, tokens, variables, errors, warnings, done }
+ * where `entries` are the trace entries of that step and `tokens` where
+ * every live token is afterwards (see TraversalEngine.tokens()).
+ *
+ * Stepping back only moves through frames already recorded - the engine
+ * itself never rewinds, and stepping forward again replays them. Play
+ * steps on a timer until the run is done or a token visits a node with a
+ * breakpoint. Once the run is complete its result is stored on the
+ * scenario like a normal run.
+ */
+
+import { ucmDocument } from './document.js';
+import { scenarioManager } from './scenario.js';
+import { TraversalEngine } from './traversal.js';
+
+export const DEFAULT_STEP_DELAY = 600;
+
+// Node IDs restart in every map, so a breakpoint is keyed by map and node
+const breakpointKey = (mapId, nodeId) => `${mapId}:${nodeId}`;
+
+export class ScenarioDebugger {
+    /**
+     * @param {Object} options
+     * @param {Object} options.document - UCMDocument holding the maps
+     * @param {Object} [options.manager] - ScenarioManager that receives the finished result
+     * @param {number} [options.delay] - Milliseconds between steps while playing
+     */
+    constructor({ document, manager = null, delay = DEFAULT_STEP_DELAY }) {
+        this.document = document;
+        this.manager = manager;
+        this.delay = delay;
+        this.breakpoints = new Set();
+        this.listeners = new Map();
+        this.reset();
+
+        // A session ends with its scenario
+        if (manager) {
+            manager.on('scenario:deleted', ({ id }) => {
+                if (this.scenario?.id === id) this.stop();
+            });
+            manager.on('scenarios:loaded', () => this.stop());
+            manager.on('scenarios:cleared', () => this.stop());
+        }
+    }
+
+    reset() {
+        this.scenario = null;
+        this.engine = null;
+        this.frames = [];
+        this.cursor = 0;
+        this.timer = null;
+        this.finished = false;
+    }
+
+    // ============================================
+    // Event System
+    // ============================================
+
+    on(event, callback) {
+        if (!this.listeners.has(event)) {
+            this.listeners.set(event, new Set());
+        }
+        this.listeners.get(event).add(callback);
+        return () => this.off(event, callback);
+    }
+
+    off(event, callback) {
+        if (this.listeners.has(event)) {
+            this.listeners.get(event).delete(callback);
+        }
+    }
+
+    emit(event, data) {
+        if (this.listeners.has(event)) {
+            this.listeners.get(event).forEach(cb => cb(data));
+        }
+    }
+
+    // ============================================
+    // Session
+    // ============================================
+
+    /**
+     * Start debugging `scenario` from its start point (before the first step)
+     * @returns {Object} the first frame
+     */
+    start(scenario) {
+        this.stop();
+        this.scenario = scenario;
+        this.engine = new TraversalEngine({
+            document: this.document,
+            evaluate: this.manager
+                ? (condition, variables) => this.manager.evaluateCondition(condition, variables)
+                : undefined
+        });
+        this.engine.start(scenario);
+        this.frames = [this.capture([])];
+        this.cursor = 0;
+
+        this.emit('debugger:started', this.state());
+        if (this.engine.isDone()) this.complete();
+        return this.current();
+    }
+
+    /**
+     * End the session (the canvas and panel drop the token display)
+     */
+    stop() {
+        if (!this.engine) return;
+        this.pause();
+        const scenario = this.scenario;
+        this.reset();
+        this.emit('debugger:stopped', { scenario });
+    }
+
+    isActive() {
+        return this.engine !== null;
+    }
+
+    isPlaying() {
+        return this.timer !== null;
+    }
+
+    current() {
+        return this.frames[this.cursor] || null;
+    }
+
+    /**
+     * Session state for the UI
+     */
+    state() {
+        return {
+            scenario: this.scenario,
+            frame: this.current(),
+            index: this.cursor,
+            canStepBack: this.cursor > 0,
+            canStepForward: this.canStepForward(),
+            playing: this.isPlaying()
+        };
+    }
+
+    capture(entries) {
+        const engine = this.engine;
+        return {
+            step: engine.steps,
+            time: engine.now,
+            entries,
+            tokens: engine.tokens(),
+            variables: { ...engine.variables },
+            errors: [...engine.errors],
+            warnings: [...engine.warnings],
+            done: engine.isDone()
+        };
+    }
+
+    // ============================================
+    // Stepping
+    // ============================================
+
+    canStepForward() {
+        if (!this.engine) return false;
+        return this.cursor < this.frames.length - 1 || !this.engine.isDone();
+    }
+
+    /**
+     * Move one step forward - replaying a recorded frame or running the engine
+     * @returns {Object|null} the new frame, null at the end of the run
+     */
+    stepForward() {
+        if (!this.canStepForward()) return null;
+
+        if (this.cursor === this.frames.length - 1) {
+            const entries = this.engine.step();
+            // null here means the step limit stopped the run
+            this.frames.push(this.capture(entries || []));
+        }
+        this.cursor++;
+        this.emit('debugger:step', this.state());
+
+        if (this.current().done && this.cursor === this.frames.length - 1) this.complete();
+        return this.current();
+    }
+
+    /**
+     * Move one step back through the recorded frames
+     * @returns {Object|null} the new frame, null at the start
+     */
+    stepBack() {
+        if (!this.engine || this.cursor === 0) return null;
+        this.pause();
+        this.cursor--;
+        this.emit('debugger:step', this.state());
+        return this.current();
+    }
+
+    /**
+     * Go back to the state before the first step
+     */
+    rewind() {
+        if (!this.engine) return;
+        this.pause();
+        this.cursor = 0;
+        this.emit('debugger:step', this.state());
+    }
+
+    /**
+     * Store the result of a complete run on the scenario (once per session)
+     */
+    complete() {
+        if (this.finished) return;
+        this.finished = true;
+        const result = this.engine.result();
+        if (this.manager) this.manager.recordResult(this.scenario, result);
+        this.emit('debugger:finished', { scenario: this.scenario, result });
+    }
+
+    // ============================================
+    // Play / Pause
+    // ============================================
+
+    /**
+     * Step on a timer until the run ends or a breakpoint is hit
+     */
+    play() {
+        if (!this.canStepForward() || this.isPlaying()) return;
+        this.timer = setTimeout(() => this.tick(), this.delay);
+        this.emit('debugger:playing', this.state());
+    }
+
+    pause() {
+        if (!this.isPlaying()) return;
+        clearTimeout(this.timer);
+        this.timer = null;
+        this.emit('debugger:paused', this.state());
+    }
+
+    tick() {
+        this.timer = null;
+        const frame = this.stepForward();
+
+        if (frame && this.canStepForward() && !this.hitsBreakpoint(frame)) {
+            this.timer = setTimeout(() => this.tick(), this.delay);
+            return;
+        }
+        this.emit('debugger:paused', { ...this.state(), breakpoint: frame ? this.hitsBreakpoint(frame) : null });
+    }
+
+    /**
+     * @param {number} delay - Milliseconds between steps while playing
+     */
+    setDelay(delay) {
+        this.delay = Math.max(0, delay);
+    }
+
+    // ============================================
+    // Breakpoints
+    // ============================================
+
+    toggleBreakpoint(mapId, nodeId) {
+        const key = breakpointKey(mapId, nodeId);
+        if (this.breakpoints.has(key)) this.breakpoints.delete(key);
+        else this.breakpoints.add(key);
+        this.emit('debugger:breakpoints', [...this.breakpoints]);
+        return this.breakpoints.has(key);
+    }
+
+    clearBreakpoints() {
+        this.breakpoints.clear();
+        this.emit('debugger:breakpoints', []);
+    }
+
+    /**
+     * IDs of the nodes of a map that have a breakpoint
+     * @returns {Array<string>}
+     */
+    breakpointsIn(mapId) {
+        const prefix = breakpointKey(mapId, '');
+        return [...this.breakpoints].filter(key => key.startsWith(prefix)).map(key => key.slice(prefix.length));
+    }
+
+    /**
+     * Node with a breakpoint that a token visited in `frame`, if any
+     * @returns {Object|null} { mapId, nodeId }
+     */
+    hitsBreakpoint(frame) {
+        const hit = frame.entries.find(e =>
+            e.event === 'visit' && this.breakpoints.has(breakpointKey(e.mapId, e.nodeId)));
+        return hit ? { mapId: hit.mapId, nodeId: hit.nodeId } : null;
+    }
+}
+
+export const scenarioDebugger = new ScenarioDebugger({ document: ucmDocument, manager: scenarioManager });
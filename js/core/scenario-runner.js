@@ -0,0 +1,190 @@
+/**
+ * Scenario Runner - Runs every scenario and checks it against its expectations
+ *
+ * A scenario passes when its run has no errors and
+ *   - it reached exactly the end points it expects (`expect` in the DSL),
+ *   - it passed exactly the responsibilities of its expected sequence, in
+ *     order (`sequence` in the DSL; responsibilities of plug-in maps count).
+ * Scenarios without expectations only have to run without errors.
+ *
+ * The report can be written as JUnit XML or JSON for CI:
+ *   report = { name, timestamp, duration, total, passed, failed, results, coverage }
+ *   result = { id, name, map, passed, failures, expectedEnds, reachedEnds,
+ *              expectedSequence, sequence, errors, warnings, duration }
+ * and `coverage` is what the runs exercised (see coverage.js).
+ */
+
+import { ucmDocument } from './document.js';
+import { scenarioManager } from './scenario.js';
+import { computeCoverage } from './coverage.js';
+
+/**
+ * Names of the responsibilities a run passed, in trace order
+ */
+export function responsibilitySequence(trace, document) {
+    return trace
+        .filter(entry => entry.event === 'visit')
+        .map(entry => document.getMapGraph(entry.mapId)?.getNode(entry.nodeId))
+        .filter(node => node && node.type === 'responsibility')
+        .map(node => node.properties.name);
+}
+
+/**
+ * Compare a run with what its scenario expects
+ * @returns {Object} { failures, expectedEnds, reachedEnds, sequence }
+ */
+export function checkScenario(scenario, result, document = ucmDocument) {
+    const mapGraph = document.getMapGraph(scenario.mapId);
+    const nameOf = (id) => mapGraph?.getNode(id)?.properties.name ?? id;
+    const expectedEnds = (scenario.expectedEndNodeIds || []).map(nameOf);
+    const reachedEnds = (result.reachedEnds || []).map(nameOf);
+    const sequence = responsibilitySequence(result.trace || [], document);
+    const failures = (result.errors || []).map(error => `Traversal error: ${error}`);
+
+    if (expectedEnds.length > 0) {
+        expectedEnds.filter(name => !reachedEnds.includes(name)).forEach(name => {
+            failures.push(`Expected end point ${name} was not reached`);
+        });
+        reachedEnds.filter(name => !expectedEnds.includes(name)).forEach(name => {
+            failures.push(`Reached end point ${name}, which is not expected`);
+        });
+    }
+
+    const expectedSequence = scenario.expectedSequence || [];
+    if (expectedSequence.length > 0 && expectedSequence.join('\n') !== sequence.join('\n')) {
+        failures.push(`Expected responsibilities ${expectedSequence.join(', ')} but the run passed ${sequence.join(', ') || 'none'}`);
+    }
+
+    return { failures, expectedEnds, reachedEnds, sequence };
+}
+
+/**
+ * Run scenarios (all of them by default) and check each one
+ * @param {Object} [options]
+ * @param {Object} [options.manager] - ScenarioManager holding the scenarios
+ * @param {Object} [options.document] - UCMDocument holding the maps
+ * @param {Array<string>} [options.scenarioIds] - Only these scenarios
+ * @returns {Object} report
+ */
+export function runAllScenarios({ manager = scenarioManager, document = ucmDocument, scenarioIds = null } = {}) {
+    const started = Date.now();
+    const scenarios = manager.getAllScenarios().filter(s => !scenarioIds || scenarioIds.includes(s.id));
+
+    const results = scenarios.map(scenario => {
+        const before = Date.now();
+        const result = manager.executeScenario(scenario.id);
+        const { failures, expectedEnds, reachedEnds, sequence } = checkScenario(scenario, result, document);
+
+        return {
+            id: scenario.id,
+            name: scenario.name,
+            map: document.getMap(scenario.mapId)?.name ?? '',
+            passed: failures.length === 0,
+            failures,
+            expectedEnds,
+            reachedEnds,
+            expectedSequence: [...(scenario.expectedSequence || [])],
+            sequence,
+            errors: result.errors,
+            warnings: result.warnings,
+            duration: Date.now() - before
+        };
+    });
+
+    const passed = results.filter(r => r.passed).length;
+    return {
+        name: document.getMap(document.rootMapId)?.name ?? 'UCM',
+        timestamp: new Date(started).toISOString(),
+        duration: Date.now() - started,
+        total: results.length,
+        passed,
+        failed: results.length - passed,
+        results,
+        coverage: computeCoverage({ manager, document, scenarioIds: scenarios.map(s => s.id) })
+    };
+}
+
+// ============================================
+// Reports
+// ============================================
+
+const xmlEscape = (text) => String(text).replace(/[<>&'"]/g, c =>
+    ({ '<': '&lt;', '>': '&gt;', '&': '&amp;', "'": '&apos;', '"': '&quot;' })[c]);
+
+const seconds = (ms) => (ms / 1000).toFixed(3);
+
+/**
+ * JUnit XML - one test suite per map, one test case per scenario. The
+ * suite's coverage goes in its properties, uncovered elements in system-out.
+ */
+export function toJUnitXml(report) {
+    const suites = new Map();
+    report.results.forEach(result => {
+        if (!suites.has(result.map)) suites.set(result.map, []);
+        suites.get(result.map).push(result);
+    });
+
+    const lines = [
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        `<testsuites name="${xmlEscape(report.name)}" tests="${report.total}" failures="${report.failed}" time="${seconds(report.duration)}">`
+    ];
+
+    suites.forEach((results, map) => {
+        const failed = results.filter(r => !r.passed).length;
+        const time = results.reduce((sum, r) => sum + r.duration, 0);
+        lines.push(`  <testsuite name="${xmlEscape(map)}" tests="${results.length}" failures="${failed}" errors="0" ` +
+            `time="${seconds(time)}" timestamp="${report.timestamp}">`);
+
+        const coverage = report.coverage?.maps.find(m => m.name === map);
+        if (coverage) {
+            lines.push('    <properties>');
+            ['nodes', 'edges', 'branches'].forEach(kind => {
+                const { covered, total, percent } = coverage[kind];
+                lines.push(`      <property name="coverage.${kind}" value="${covered}/${total} (${percent}%)"/>`);
+            });
+            lines.push('    </properties>');
+        }
+
+        results.forEach(result => {
+            const open = `    <testcase classname="${xmlEscape(map)}" name="${xmlEscape(result.name)}" time="${seconds(result.duration)}"`;
+            if (result.passed && result.warnings.length === 0) {
+                lines.push(`${open}/>`);
+                return;
+            }
+
+            lines.push(`${open}>`);
+            if (!result.passed) {
+                lines.push(`      <failure message="${xmlEscape(result.failures[0])}">${xmlEscape(result.failures.join('\n'))}</failure>`);
+            }
+            if (result.warnings.length > 0) {
+                lines.push(`      <system-out>${xmlEscape(result.warnings.join('\n'))}</system-out>`);
+            }
+            lines.push('    </testcase>');
+        });
+
+        const uncovered = coverage ? uncoveredElements(report.coverage, coverage.mapId) : [];
+        if (uncovered.length > 0) {
+            lines.push(`    <system-out>${xmlEscape(uncovered.join('\n'))}</system-out>`);
+        }
+        lines.push('  </testsuite>');
+    });
+
+    lines.push('</testsuites>');
+    return lines.join('\n') + '\n';
+}
+
+/**
+ * Lines naming the elements of a map no scenario exercised
+ */
+function uncoveredElements(coverage, mapId) {
+    return ['nodes', 'edges', 'branches'].flatMap(kind => coverage[kind].uncovered
+        .filter(item => item.mapId === mapId)
+        .map(item => `Uncovered ${item.type}: ${item.name}`));
+}
+
+/**
+ * JSON report
+ */
+export function toJsonReport(report) {
+    return JSON.stringify(report, null, 2);
+}
@@ -5,10 +5,19 @@
  * Based on jUCMNav's scenario traversal semantics:
  * - Define scenarios with start points, conditions, and expected end points
  * - Traverse paths and highlight the route taken
- * - Support for OR-fork decisions and AND-fork parallel paths
+ * - Support for OR-fork decisions, AND-fork parallel paths and AND-join synchronization
+ * - Stubs are entered through their in-path bindings and left through their out-path bindings
+ * The traversal itself runs in TraversalEngine (traversal.js).
  */
 
 import { graph } from './graph.js';
+import { ucmDocument } from './document.js';
+import { TraversalEngine } from './traversal.js';
+import { evaluateCondition } from './expression.js';
+
+export { edgeConditionKey } from './traversal.js';
+
+export const DEFAULT_SCENARIO_COLOR = '#ff6b6b';
 
 class ScenarioManager {
     constructor() {
@@ -59,20 +68,31 @@ class ScenarioManager {
             id,
             name: config.name || `Scenario ${this.idCounter}`,
             description: config.description || '',
+            // Map that contains the start node
+            mapId: config.mapId || ucmDocument.activeMapId,
             startNodeId: config.startNodeId || null,
             expectedEndNodeIds: config.expectedEndNodeIds || [],
+            // Responsibilities (by name) the run should pass, in this order - empty to not check
+            expectedSequence: config.expectedSequence || [],
             // Variables for conditional paths (OR-forks)
             variables: config.variables || {},
-            // Conditions for OR-fork decisions (edgeId -> boolean expression)
+            // Conditions for OR-fork decisions ("Source->Target" -> boolean expression)
             conditions: config.conditions || {},
             // Color for highlighting this scenario's path
-            highlightColor: config.highlightColor || '#ff6b6b',
+            highlightColor: config.highlightColor || DEFAULT_SCENARIO_COLOR,
             // Traversal state
             traversed: false,
             traversedNodes: [],
             traversedEdges: [],
             reachedEndNodes: [],
-            errors: []
+            // Paths taken inside plug-in maps: [{ stubId, mapId, nodes, edges }]
+            stubTraversals: [],
+            // Ordered execution trace of the last run (see traversal.js)
+            trace: [],
+            // Variable values after every step: [{ step, time, variables }]
+            snapshots: [],
+            errors: [],
+            warnings: []
         };
 
         this.scenarios.set(id, scenario);
@@ -183,9 +203,10 @@ class ScenarioManager {
     // ============================================
 
     /**
-     * Execute a scenario - traverse from start to end following conditions
+     * Execute a scenario - push a token from its start point through the
+     * map (see traversal.js for the semantics of each node type)
      * @param {string} scenarioId - The scenario to execute
-     * @returns {Object} Traversal result with path and any errors
+     * @returns {Object} Traversal result with the trace and any errors
      */
     executeScenario(scenarioId) {
         const scenario = this.scenarios.get(scenarioId);
@@ -193,23 +214,33 @@ class ScenarioManager {
             return { success: false, error: 'Scenario not found' };
         }
 
-        // Reset traversal state
-        scenario.traversedNodes = [];
-        scenario.traversedEdges = [];
-        scenario.reachedEndNodes = [];
-        scenario.errors = [];
-
-        const startNode = graph.getNode(scenario.startNodeId);
-        if (!startNode) {
-            scenario.errors.push('Start node not found');
-            return { success: false, error: 'Start node not found' };
-        }
+        const engine = new TraversalEngine({
+            document: ucmDocument,
+            evaluate: (condition, variables) => this.evaluateCondition(condition, variables)
+        });
+        return this.recordResult(scenario, engine.run(scenario));
+    }
 
-        // Perform traversal
-        const result = this.traverse(startNode, scenario, new Set());
+    /**
+     * Store a traversal result on its scenario and make it the active one
+     * (also used by the step-through debugger once a run is complete)
+     * @returns {Object} the result, with `error` set to the first error
+     */
+    recordResult(scenario, result) {
+        Object.assign(scenario, {
+            traversed: true,
+            traversedNodes: result.path.nodes,
+            traversedEdges: result.path.edges,
+            reachedEndNodes: result.reachedEnds,
+            stubTraversals: result.stubTraversals,
+            trace: result.trace,
+            snapshots: result.snapshots,
+            errors: result.errors,
+            warnings: result.warnings
+        });
+        this.activeScenario = scenario.id;
 
-        scenario.traversed = true;
-        this.activeScenario = scenarioId;
+        if (!result.success) result.error = result.errors[0];
 
         // Emit traversal complete event
         this.emit('scenario:traversed', {
@@ -221,157 +252,11 @@ class ScenarioManager {
     }
 
     /**
-     * Recursive traversal algorithm
-     */
-    traverse(node, scenario, visited) {
-        if (visited.has(node.id)) {
-            // Cycle detected
-            scenario.errors.push(`Cycle detected at node: ${node.properties.name}`);
-            return { success: false, cycleDetected: true };
-        }
-
-        visited.add(node.id);
-        scenario.traversedNodes.push(node.id);
-
-        // Check if we reached an end node
-        if (node.type === 'end') {
-            scenario.reachedEndNodes.push(node.id);
-            return { success: true, reachedEnd: true };
-        }
-
-        // Get outgoing edges
-        const outEdges = Array.from(node.outEdges || [])
-            .map(id => graph.getEdge(id))
-            .filter(Boolean);
-
-        if (outEdges.length === 0) {
-            // Dead end (not an end node)
-            scenario.errors.push(`Dead end at node: ${node.properties.name}`);
-            return { success: false, deadEnd: true };
-        }
-
-        // Handle different node types
-        if (node.type === 'fork') {
-            return this.handleFork(node, outEdges, scenario, visited);
-        }
-
-        // For regular nodes (responsibility, timer, empty, join)
-        // Follow the first available edge (or condition-selected edge)
-        const selectedEdge = this.selectEdge(outEdges, scenario);
-        if (!selectedEdge) {
-            scenario.errors.push(`No valid edge from node: ${node.properties.name}`);
-            return { success: false, noValidEdge: true };
-        }
-
-        scenario.traversedEdges.push(selectedEdge.id);
-        const targetNode = graph.getNode(selectedEdge.targetNodeId);
-        if (!targetNode) {
-            scenario.errors.push(`Target node not found for edge: ${selectedEdge.id}`);
-            return { success: false, missingTarget: true };
-        }
-
-        return this.traverse(targetNode, scenario, visited);
-    }
-
-    /**
-     * Handle fork node traversal
-     */
-    handleFork(forkNode, outEdges, scenario, visited) {
-        const forkType = forkNode.properties.forkType || 'or';
-
-        if (forkType === 'and') {
-            // AND-fork: traverse ALL branches (parallel)
-            const results = [];
-            for (const edge of outEdges) {
-                scenario.traversedEdges.push(edge.id);
-                const targetNode = graph.getNode(edge.targetNodeId);
-                if (targetNode) {
-                    // Clone visited set for parallel branches
-                    const branchVisited = new Set(visited);
-                    results.push(this.traverse(targetNode, scenario, branchVisited));
-                }
-            }
-            // AND-fork succeeds if ALL branches succeed
-            const allSuccess = results.every(r => r.success);
-            return { success: allSuccess, parallel: true, results };
-        } else {
-            // OR-fork: select ONE branch based on conditions
-            const selectedEdge = this.selectEdgeWithCondition(outEdges, scenario);
-            if (!selectedEdge) {
-                // Default to first edge if no condition matches
-                const defaultEdge = outEdges[0];
-                scenario.traversedEdges.push(defaultEdge.id);
-                const targetNode = graph.getNode(defaultEdge.targetNodeId);
-                if (targetNode) {
-                    return this.traverse(targetNode, scenario, visited);
-                }
-            } else {
-                scenario.traversedEdges.push(selectedEdge.id);
-                const targetNode = graph.getNode(selectedEdge.targetNodeId);
-                if (targetNode) {
-                    return this.traverse(targetNode, scenario, visited);
-                }
-            }
-            return { success: false, noValidBranch: true };
-        }
-    }
-
-    /**
-     * Select an edge based on scenario conditions
-     */
-    selectEdge(edges, scenario) {
-        // Check if any edge has a matching condition
-        for (const edge of edges) {
-            const condition = scenario.conditions[edge.id];
-            if (condition === undefined || this.evaluateCondition(condition, scenario.variables)) {
-                return edge;
-            }
-        }
-        // Return first edge as default
-        return edges[0];
-    }
-
-    /**
-     * Select edge at OR-fork with condition evaluation
-     */
-    selectEdgeWithCondition(edges, scenario) {
-        for (const edge of edges) {
-            const condition = scenario.conditions[edge.id];
-            if (condition !== undefined && this.evaluateCondition(condition, scenario.variables)) {
-                return edge;
-            }
-        }
-        return null;
-    }
-
-    /**
-     * Evaluate a condition expression
-     * Simple boolean evaluation with variable substitution
+     * Evaluate a condition expression (see expression.js) with the given variables
+     * @throws {ExpressionError} when it is malformed, uses unknown variables or is not boolean
      */
     evaluateCondition(condition, variables) {
-        if (typeof condition === 'boolean') {
-            return condition;
-        }
-        if (typeof condition === 'string') {
-            // Simple variable lookup
-            if (condition in variables) {
-                return !!variables[condition];
-            }
-            // Try to evaluate as expression (careful with security)
-            try {
-                // Only allow simple comparisons
-                const safeExpr = condition.replace(/[^a-zA-Z0-9_<>=!&|() ]/g, '');
-                // Create variable context
-                const varContext = Object.entries(variables)
-                    .map(([k, v]) => `const ${k} = ${JSON.stringify(v)};`)
-                    .join('');
-                // eslint-disable-next-line no-new-func
-                return new Function(varContext + `return (${safeExpr});`)();
-            } catch {
-                return false;
-            }
-        }
-        return false;
+        return evaluateCondition(condition, variables);
     }
 
     // ============================================
@@ -387,12 +272,24 @@ class ScenarioManager {
         const scenario = this.scenarios.get(this.activeScenario);
         if (!scenario) return null;
 
+        let nodes = scenario.traversedNodes;
+        let edges = scenario.traversedEdges;
+        let endNodes = scenario.reachedEndNodes;
+
+        // When a plug-in map is open, show the part of the path that ran inside it
+        if (scenario.mapId && scenario.mapId !== ucmDocument.activeMapId) {
+            const traces = (scenario.stubTraversals || []).filter(t => t.mapId === ucmDocument.activeMapId);
+            nodes = traces.flatMap(t => t.nodes);
+            edges = traces.flatMap(t => t.edges);
+            endNodes = [];
+        }
+
         return {
             scenarioId: this.activeScenario,
-            nodes: scenario.traversedNodes,
-            edges: scenario.traversedEdges,
+            nodes,
+            edges,
             color: scenario.highlightColor,
-            endNodes: scenario.reachedEndNodes,
+            endNodes,
             errors: scenario.errors
         };
     }
@@ -431,8 +328,10 @@ class ScenarioManager {
                 id,
                 name: scenario.name,
                 description: scenario.description,
+                mapId: scenario.mapId,
                 startNodeId: scenario.startNodeId,
                 expectedEndNodeIds: scenario.expectedEndNodeIds,
+                expectedSequence: scenario.expectedSequence,
                 variables: scenario.variables,
                 conditions: scenario.conditions,
                 highlightColor: scenario.highlightColor
@@ -442,7 +341,8 @@ class ScenarioManager {
     }
 
     /**
-     * Import scenarios from JSON
+     * Import scenarios from JSON. Scenarios of a map the document does not
+     * have (e.g. a single-map file, which gets a fresh map ID) go to the root map.
      */
     fromJSON(data) {
         this.scenarios.clear();
@@ -462,11 +362,17 @@ class ScenarioManager {
             this.scenarios.set(id, {
                 ...scenarioData,
                 id,
+                expectedSequence: scenarioData.expectedSequence || [],
+                mapId: ucmDocument.getMap(scenarioData.mapId) ? scenarioData.mapId : ucmDocument.rootMapId,
                 traversed: false,
                 traversedNodes: [],
                 traversedEdges: [],
                 reachedEndNodes: [],
-                errors: []
+                stubTraversals: [],
+                trace: [],
+                snapshots: [],
+                errors: [],
+                warnings: []
             });
         }
 
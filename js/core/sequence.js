@@ -0,0 +1,243 @@
+/**
+ * Sequence Diagrams - Message Sequence Charts from scenario runs
+ *
+ * The trace of a scenario's run (scenario.trace, see traversal.js) is read
+ * token by token against the components the visited nodes are bound to
+ * (node.parentComponent), so the branches of an AND-fork each move on
+ * from the fork's lifeline and never hand off to one another:
+ *   - components become lifelines, in order of first use; start points,
+ *     responsibilities, stubs, timers and end points outside any component
+ *     belong to an "Environment" lifeline
+ *   - responsibilities, stubs and timers become actions on their lifeline
+ *   - a path that moves into another component becomes a message to it,
+ *     named after the node it arrives at
+ *   - the start point is a message found from outside, each reached end
+ *     point a message lost to the outside
+ * Forks, joins and empty points outside components stay on the token's
+ * current lifeline - they only route the path.
+ *
+ *   sequence = { title, lifelines: [{ id, name, type }], events }
+ *   event = { type: 'start'|'end', lifeline, label }
+ *         | { type: 'action', lifeline, label, nodeType }
+ *         | { type: 'message', from, to, label }
+ */
+
+import { ucmDocument } from './document.js';
+
+export const ENVIRONMENT = 'environment';
+
+const ROUTING = ['fork', 'join', 'empty'];
+const ACTIONS = ['responsibility', 'stub', 'timer'];
+
+/**
+ * Build the sequence diagram of a scenario's last run
+ * @param {Object} scenario - A traversed scenario
+ * @param {Object} [document] - UCMDocument holding its map
+ * @returns {Object} sequence
+ */
+export function buildSequence(scenario, document = ucmDocument) {
+    const mapId = scenario.mapId || document.rootMapId;
+    const mapGraph = document.getMapGraph(mapId);
+    const lifelines = [];
+    const events = [];
+    const current = new Map();      // token -> lifeline it is on
+    const lifelineAt = new Map();   // node -> lifeline it was last visited on
+
+    const lifelineOf = (node, from) => {
+        const comp = node.parentComponent ? mapGraph.getComponent(node.parentComponent) : null;
+        if (!comp && ROUTING.includes(node.type) && from) return from;
+
+        const id = comp ? comp.id : ENVIRONMENT;
+        if (!lifelines.some(l => l.id === id)) {
+            lifelines.push(comp
+                ? { id, name: comp.properties.name || comp.id, type: comp.type }
+                : { id, name: 'Environment', type: 'environment' });
+        }
+        return id;
+    };
+
+    (scenario.trace || []).forEach(entry => {
+        if (entry.event !== 'visit' || entry.mapId !== mapId) return;
+        const node = mapGraph?.getNode(entry.nodeId);
+        if (!node) return;
+
+        // A token an AND-fork created starts out on the fork's lifeline
+        const edge = entry.edgeId ? mapGraph.getEdge(entry.edgeId) : null;
+        const from = current.get(entry.token) ?? (edge ? lifelineAt.get(edge.sourceNodeId) : undefined);
+        const lifeline = lifelineOf(node, from);
+        const label = node.properties.name || '';
+
+        if (node.type === 'start') {
+            events.push({ type: 'start', lifeline, label });
+        } else if (from && lifeline !== from) {
+            events.push({ type: 'message', from, to: lifeline, label });
+        }
+        current.set(entry.token, lifeline);
+        lifelineAt.set(node.id, lifeline);
+
+        if (ACTIONS.includes(node.type)) {
+            events.push({ type: 'action', lifeline, label, nodeType: node.type });
+        } else if (node.type === 'end') {
+            events.push({ type: 'end', lifeline, label });
+        }
+    });
+
+    return { title: scenario.name, lifelines, events };
+}
+
+// ============================================
+// Text Formats
+// ============================================
+
+const oneLine = (text) => String(text ?? '').replace(/\s+/g, ' ').trim();
+
+/**
+ * PlantUML sequence diagram
+ */
+export function toPlantUML(sequence) {
+    const alias = (id) => `L${sequence.lifelines.findIndex(l => l.id === id) + 1}`;
+    const lines = ['@startuml', `title ${oneLine(sequence.title)}`];
+
+    sequence.lifelines.forEach(lifeline => {
+        const kind = lifeline.type === 'actor' ? 'actor' : 'participant';
+        lines.push(`${kind} "${oneLine(lifeline.name).replace(/"/g, "'")}" as ${alias(lifeline.id)}`);
+    });
+
+    sequence.events.forEach(event => {
+        const label = oneLine(event.label);
+        switch (event.type) {
+            case 'start':
+                lines.push(`[-> ${alias(event.lifeline)} : ${label}`);
+                break;
+            case 'end':
+                lines.push(`${alias(event.lifeline)} ->] : ${label}`);
+                break;
+            case 'action':
+                lines.push(`hnote over ${alias(event.lifeline)} : ${label}`);
+                break;
+            case 'message':
+                lines.push(`${alias(event.from)} -> ${alias(event.to)} : ${label}`);
+                break;
+        }
+    });
+
+    lines.push('@enduml');
+    return lines.join('\n') + '\n';
+}
+
+/**
+ * Mermaid `sequenceDiagram` text
+ */
+export function toMermaidSequence(sequence) {
+    const alias = (id) => `L${sequence.lifelines.findIndex(l => l.id === id) + 1}`;
+    // Semicolons and # end statements / start entities in Mermaid
+    const text = (value) => oneLine(value).replace(/#/g, '#35;').replace(/;/g, '#59;');
+    const lines = ['sequenceDiagram', `    title ${text(sequence.title)}`];
+
+    sequence.lifelines.forEach(lifeline => {
+        const kind = lifeline.type === 'actor' ? 'actor' : 'participant';
+        lines.push(`    ${kind} ${alias(lifeline.id)} as ${text(lifeline.name)}`);
+    });
+
+    sequence.events.forEach(event => {
+        switch (event.type) {
+            case 'start':
+                lines.push(`    Note left of ${alias(event.lifeline)}: start ${text(event.label)}`);
+                break;
+            case 'end':
+                lines.push(`    Note right of ${alias(event.lifeline)}: end ${text(event.label)}`);
+                break;
+            case 'action':
+                lines.push(`    Note over ${alias(event.lifeline)}: ${text(event.label)}`);
+                break;
+            case 'message':
+                lines.push(`    ${alias(event.from)}->>${alias(event.to)}: ${text(event.label)}`);
+                break;
+        }
+    });
+
+    return lines.join('\n') + '\n';
+}
+
+// ============================================
+// SVG
+// ============================================
+
+const LAYOUT = {
+    column: 160,    // Distance between lifelines
+    margin: 20,
+    header: 30,     // Lifeline head height
+    top: 80,        // First row
+    row: 36,        // Row height
+    stub: 60        // Length of found/lost messages
+};
+
+const escape = (text) => String(text ?? '').replace(/[<>&'"]/g, c =>
+    ({ '<': '&lt;', '>': '&gt;', '&': '&amp;', "'": '&apos;', '"': '&quot;' })[c]);
+
+/**
+ * Draw a sequence diagram as a standalone SVG document
+ */
+export function renderSequenceSVG(sequence) {
+    const { column, margin, header, top, row, stub } = LAYOUT;
+    const xOf = (id) => margin + stub + column / 2 + sequence.lifelines.findIndex(l => l.id === id) * column;
+    const width = margin * 2 + stub * 2 + Math.max(sequence.lifelines.length, 1) * column;
+    const height = top + sequence.events.length * row + margin * 2;
+    const bottom = height - margin;
+
+    const arrow = (x1, x2, y) => {
+        const dir = x2 > x1 ? -1 : 1;
+        return `  <line x1="${x1}" y1="${y}" x2="${x2}" y2="${y}" stroke="black"/>\n` +
+            `  <path d="M ${x2} ${y} L ${x2 + dir * 8} ${y - 4} L ${x2 + dir * 8} ${y + 4} Z" fill="black"/>`;
+    };
+    const label = (x, y, text) =>
+        `  <text x="${x}" y="${y - 5}" font-size="11" text-anchor="middle">${escape(text)}</text>`;
+
+    const lines = [
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        `<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 ${width} ${height}" width="${width}" height="${height}" font-family="sans-serif">`,
+        `  <rect width="${width}" height="${height}" fill="white"/>`,
+        `  <text x="${margin}" y="${margin + 4}" font-size="13" font-weight="bold">${escape(sequence.title)}</text>`
+    ];
+
+    sequence.lifelines.forEach(lifeline => {
+        const x = xOf(lifeline.id);
+        lines.push(`  <rect x="${x - column / 2 + 10}" y="${top - header - 16}" width="${column - 20}" height="${header}" ` +
+            `fill="white" stroke="black"${lifeline.type === 'environment' ? ' stroke-dasharray="4 3"' : ''}/>`);
+        lines.push(`  <text x="${x}" y="${top - header + 3}" font-size="12" text-anchor="middle">${escape(lifeline.name)}</text>`);
+        lines.push(`  <line x1="${x}" y1="${top - 16}" x2="${x}" y2="${bottom}" stroke="#888" stroke-dasharray="5 4"/>`);
+    });
+
+    sequence.events.forEach((event, i) => {
+        const y = top + i * row + row / 2;
+        switch (event.type) {
+            case 'start': {
+                const x = xOf(event.lifeline);
+                lines.push(`  <circle cx="${x - stub}" cy="${y}" r="5" fill="black"/>`);
+                lines.push(arrow(x - stub, x, y), label(x - stub / 2, y, event.label));
+                break;
+            }
+            case 'end': {
+                const x = xOf(event.lifeline);
+                lines.push(arrow(x, x + stub, y), label(x + stub / 2, y, event.label));
+                lines.push(`  <rect x="${x + stub}" y="${y - 8}" width="4" height="16" fill="black"/>`);
+                break;
+            }
+            case 'action': {
+                const x = xOf(event.lifeline);
+                lines.push(`  <rect x="${x - 55}" y="${y - 12}" width="110" height="24" rx="3" fill="#f1f3f5" stroke="black"/>`);
+                lines.push(`  <text x="${x}" y="${y + 4}" font-size="11" text-anchor="middle">${escape(event.label)}</text>`);
+                break;
+            }
+            case 'message': {
+                const x1 = xOf(event.from);
+                const x2 = xOf(event.to);
+                lines.push(arrow(x1, x2, y), label((x1 + x2) / 2, y, event.label));
+                break;
+            }
+        }
+    });
+
+    lines.push('</svg>');
+    return lines.join('\n') + '\n';
+}
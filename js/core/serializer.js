@@ -1,23 +1,148 @@
 /**
  * UCM Serializer - Converts Graph to DSL Text
- * Format v3: Human & Regex Friendly
+ * Format v3: Human readable, one statement per line
+ *
+ * serialize() writes a single map, serializeDocument() writes every map of
+ * a document as `ucm "Name" { ... }` blocks. Both can target the legacy
+ * DUCM v2 dialect instead (options.dialect = 'v2', see ducm-v2.js).
  */
 
-const quote = (str) => {
-    // If string has spaces or special chars, quote it
+import { ucmDocument } from './document.js';
+import { DEFAULT_EDGE_STYLE } from './graph.js';
+import { defaultValue } from './variables.js';
+import { scenarioManager, edgeConditionKey, DEFAULT_SCENARIO_COLOR } from './scenario.js';
+
+export const quoteName = (str) => {
+    // Bare word unless the DSL lexer would split it - then a JSON string
     if (!str) return '""';
-    if (/[\s(){},]/.test(str)) {
-        return `"${str}"`;
+    if (/[\s"(){}[\],=:;]|->|^\/\//.test(str)) {
+        return JSON.stringify(str);
     }
     return str;
 };
 
+// Properties written by dedicated syntax (or derived), never as attributes
+const NODE_SYNTAX_KEYS = ['name', 'stubType', 'plugins'];
+const COMPONENT_SYNTAX_KEYS = ['name', 'definitionId'];
+
+const formatValue = (value) => {
+    if (typeof value === 'string') {
+        const bare = /^[A-Za-z_][\w.-]*$/.test(value) && !['true', 'false', 'null'].includes(value);
+        return bare ? value : JSON.stringify(value);
+    }
+    return JSON.stringify(value);
+};
+
+/**
+ * ` with key=value ...` for the properties not covered by the statement itself.
+ * Empty strings and undefined values are skipped.
+ */
+const withAttributes = (properties, skipKeys) => {
+    const entries = Object.entries(properties).filter(([key, value]) =>
+        !skipKeys.includes(key) && value !== undefined && value !== ''
+    );
+    if (entries.length === 0) return '';
+    return ' with ' + entries.map(([key, value]) => `${key}=${formatValue(value)}`).join(' ');
+};
+
+/**
+ * link "A" -> "B" [guard: "..."] via (x, y) ... style { ... } with ...
+ */
+const linkLine = (edge, srcName, tgtName) => {
+    let line = `link ${srcName} -> ${tgtName}`;
+
+    if (edge.condition) {
+        line += ` [guard: ${JSON.stringify(edge.condition)}]`;
+    }
+
+    const points = edge.controlPoints || [];
+    if (points.length > 0) {
+        line += ' via ' + points.map(p => `(${Math.round(p.x)}, ${Math.round(p.y)})`).join(' ');
+    }
+
+    const props = edge.properties || {};
+    const styleEntries = Object.keys(DEFAULT_EDGE_STYLE)
+        .filter(key => props[key] !== undefined && props[key] !== DEFAULT_EDGE_STYLE[key])
+        .map(key => `${key}: ${formatValue(props[key])}`);
+    if (styleEntries.length > 0) {
+        line += ` style { ${styleEntries.join(', ')} }`;
+    }
+
+    return line + withAttributes(props, Object.keys(DEFAULT_EDGE_STYLE));
+};
+
+const nodeLine = (node) => {
+    const nName = quoteName(node.properties.name);
+    const nx = Math.round(node.position.x);
+    const ny = Math.round(node.position.y);
+    const suffix = node.type === 'stub' && node.properties.stubType === 'dynamic' ? ' dynamic' : '';
+    return `${node.type} ${nName} at (${nx}, ${ny})${suffix}${withAttributes(node.properties, NODE_SYNTAX_KEYS)}`;
+};
+
+// node type -> DUCM v2 keyword (anything else is the upper-cased type)
+const V2_KEYWORDS = { responsibility: 'RESP' };
+
+// v2 names are single bare words
+const v2Name = (str) => String(str || '').trim().replace(/\s+/g, '_') || '_';
+
 export const serializer = {
-    serialize(graph) {
+    /**
+     * @param {Object} [options] - { document } used to name plug-in maps (defaults to the shared document),
+     *                             { name } of the map, { mapId } whose scenarios to write
+     *                             (the active map for the document's live graph),
+     *                             { dialect: 'v2' } for the legacy syntax
+     */
+    serialize(graph, options = {}) {
         // 1. Definition
-        let lines = ['ucm "Untitled"'];
-        lines.push('');
+        const name = options.name || (graph.metadata && graph.metadata.name) || 'Untitled';
+        if (options.dialect === 'v2') {
+            return this.serializeV2(graph, name);
+        }
+        const doc = options.document || ucmDocument;
+        const mapId = options.mapId || (graph === doc.graph ? doc.activeMapId : null);
+        const lines = [`ucm ${JSON.stringify(name)}`, ''];
+        lines.push(...this.serializeMap(graph, doc, mapId));
 
+        return lines.join('\n').trim();
+    },
+
+    /**
+     * Serialize all maps of a document. A document with a single map is
+     * written in the plain single-map form. v2 has no map blocks, so with
+     * { dialect: 'v2' } only the root map is written.
+     */
+    serializeDocument(doc = ucmDocument, options = {}) {
+        const maps = doc.getAllMaps();
+        if (options.dialect === 'v2') {
+            const root = doc.getRootMap() || maps[0];
+            return this.serializeV2(doc.getMapGraph(root.id), root.name);
+        }
+        if (maps.length === 1) {
+            return this.serialize(doc.getMapGraph(maps[0].id), { document: doc, name: maps[0].name, mapId: maps[0].id });
+        }
+
+        const lines = [];
+        maps.forEach(map => {
+            lines.push(`ucm ${JSON.stringify(map.name)} {`);
+            this.serializeMap(doc.getMapGraph(map.id), doc, map.id).forEach(line => {
+                lines.push(line ? `  ${line}` : '');
+            });
+            while (lines[lines.length - 1] === '') lines.pop();
+            lines.push('}');
+            lines.push('');
+        });
+
+        return lines.join('\n').trim();
+    },
+
+    /**
+     * Statement lines of one map (metadata, components, nodes, links, stub plug-ins, scenarios)
+     */
+    serializeMap(graph, doc, mapId = null) {
+        const lines = this.serializeMetadata(graph.metadata);
+        if (lines.length > 0) lines.push('');
+        const variables = this.serializeVariables(graph);
+        if (variables.length > 0) lines.push(...variables, '');
         const nodesInComponents = new Set();
         const nodeIdToName = new Map();
 
@@ -34,13 +159,14 @@ export const serializer = {
             const indent = '  '.repeat(depth);
             const childIndent = '  '.repeat(depth + 1);
 
-            const name = quote(comp.properties.name);
+            const name = quoteName(comp.properties.name);
             const x = Math.round(comp.bounds.x);
             const y = Math.round(comp.bounds.y);
             const w = Math.round(comp.bounds.width);
             const h = Math.round(comp.bounds.height);
 
-            lines.push(`${indent}component ${name} type ${comp.type} at (${x}, ${y}) size (${w}, ${h}) {`);
+            const attrs = withAttributes(comp.properties, COMPONENT_SYNTAX_KEYS);
+            lines.push(`${indent}component ${name} type ${comp.type} at (${x}, ${y}) size (${w}, ${h})${attrs} {`);
 
             // Serialize child nodes
             // Note: In this graph model, nodes are bound to components.
@@ -49,10 +175,7 @@ export const serializer = {
                     const node = graph.getNode(nodeId);
                     if (node) {
                         nodesInComponents.add(nodeId);
-                        const nName = quote(node.properties.name);
-                        const nx = Math.round(node.position.x);
-                        const ny = Math.round(node.position.y);
-                        lines.push(`${childIndent}${node.type} ${nName} at (${nx}, ${ny})`);
+                        lines.push(`${childIndent}${nodeLine(node)}`);
                     }
                 });
             }
@@ -81,10 +204,7 @@ export const serializer = {
 
         if (standaloneNodes.length > 0) {
             standaloneNodes.forEach(node => {
-                const nName = quote(node.properties.name);
-                const nx = Math.round(node.position.x);
-                const ny = Math.round(node.position.y);
-                lines.push(`${node.type} ${nName} at (${nx}, ${ny})`);
+                lines.push(nodeLine(node));
             });
             lines.push('');
         }
@@ -93,12 +213,186 @@ export const serializer = {
         const edges = graph.getAllEdges();
         if (edges.length > 0) {
             edges.forEach(edge => {
-                const srcName = quote(nodeIdToName.get(edge.sourceNodeId) || edge.sourceNodeId);
-                const tgtName = quote(nodeIdToName.get(edge.targetNodeId) || edge.targetNodeId);
-                lines.push(`link ${srcName} -> ${tgtName}`);
+                const srcName = quoteName(nodeIdToName.get(edge.sourceNodeId) || edge.sourceNodeId);
+                const tgtName = quoteName(nodeIdToName.get(edge.targetNodeId) || edge.targetNodeId);
+                lines.push(linkLine(edge, srcName, tgtName));
+            });
+        }
+
+        // 5. Stub plug-ins and bindings
+        const stubLines = this.serializeStubs(graph, doc, nodeIdToName);
+        if (stubLines.length > 0) {
+            lines.push('');
+            lines.push(...stubLines);
+        }
+
+        // 6. Scenarios - they live with the shared document
+        const scenarioLines = mapId && doc === ucmDocument ? this.serializeScenarios(graph, mapId) : [];
+        if (scenarioLines.length > 0) {
+            lines.push('');
+            lines.push(...scenarioLines);
+        }
+
+        return lines;
+    },
+
+    /**
+     * `scenario` blocks of one map. Scenarios whose start point no longer
+     * exists cannot be written and are left out.
+     */
+    serializeScenarios(graph, mapId) {
+        const lines = [];
+        const nodeName = (id) => graph.getNode(id)?.properties.name;
+
+        scenarioManager.getAllScenarios()
+            .filter(scenario => scenario.mapId === mapId && nodeName(scenario.startNodeId))
+            .forEach(scenario => {
+                let header = `scenario ${quoteName(scenario.name)} from ${quoteName(nodeName(scenario.startNodeId))}`;
+
+                const ends = (scenario.expectedEndNodeIds || []).map(nodeName).filter(Boolean);
+                if (ends.length > 0) header += ` expect ${ends.map(quoteName).join(', ')}`;
+
+                const attributes = {
+                    description: scenario.description,
+                    highlightColor: scenario.highlightColor !== DEFAULT_SCENARIO_COLOR ? scenario.highlightColor : undefined
+                };
+                header += withAttributes(attributes, []);
+
+                const body = [];
+                Object.entries(scenario.variables || {}).forEach(([name, value]) => {
+                    body.push(`  var ${name} = ${formatValue(value)}`);
+                });
+                Object.entries(scenario.conditions || {}).forEach(([key, condition]) => {
+                    // Older scenarios keyed their conditions by edge ID
+                    const edge = graph.getEdge(key);
+                    const link = edge ? edgeConditionKey(edge, graph) : key;
+                    body.push(`  guard ${JSON.stringify(link)}: ${JSON.stringify(condition)}`);
+                });
+                if ((scenario.expectedSequence || []).length > 0) {
+                    body.push(`  sequence ${scenario.expectedSequence.map(quoteName).join(', ')}`);
+                }
+
+                if (body.length === 0) {
+                    lines.push(header);
+                } else {
+                    lines.push(`${header} {`, ...body, '}');
+                }
+            });
+
+        return lines;
+    },
+
+    /**
+     * One map in the legacy DUCM v2 syntax. v2 only knows components, nodes
+     * and plain links: spaces in names become underscores, and metadata,
+     * attributes, guards, waypoints, styles and plug-ins are left out.
+     */
+    serializeV2(graph, name) {
+        const lines = [`ucm ${v2Name(name)}`, ''];
+        const nodeIdToName = new Map(graph.getAllNodes().map(n => [n.id, v2Name(n.properties.name || n.id)]));
+        const nodeLineV2 = (node) => {
+            const keyword = V2_KEYWORDS[node.type] || node.type.toUpperCase();
+            return `${keyword} ${nodeIdToName.get(node.id)} at ${Math.round(node.position.x)} ${Math.round(node.position.y)}`;
+        };
+
+        const writeComponent = (comp, depth) => {
+            const indent = '  '.repeat(depth);
+            const { x, y, width, height } = comp.bounds;
+            const bounds = [x, y, width, height].map(Math.round);
+            lines.push(`${indent}COMP ${comp.type} ${v2Name(comp.properties.name)} at ${bounds[0]} ${bounds[1]} size ${bounds[2]} ${bounds[3]}`);
+
+            comp.childNodes.forEach(nodeId => {
+                const node = graph.getNode(nodeId);
+                if (node) lines.push(`${indent}  ${nodeLineV2(node)}`);
             });
+            comp.childComponents.forEach(childId => {
+                const child = graph.getComponent(childId);
+                if (child) writeComponent(child, depth + 1);
+            });
+
+            lines.push(`${indent}END`);
+            if (depth === 0) lines.push('');
+        };
+
+        graph.getAllComponents().filter(c => !c.parentComponent).forEach(c => writeComponent(c, 0));
+
+        const standalone = graph.getAllNodes().filter(n => !n.parentComponent);
+        if (standalone.length > 0) {
+            standalone.forEach(node => lines.push(nodeLineV2(node)));
+            lines.push('');
         }
 
+        graph.getAllEdges().forEach(edge => {
+            lines.push(`LINK ${nodeIdToName.get(edge.sourceNodeId)} TO ${nodeIdToName.get(edge.targetNodeId)}`);
+        });
+
         return lines.join('\n').trim();
+    },
+
+    /**
+     * `meta` lines for the non-empty metadata fields (the name goes into the ucm header)
+     */
+    serializeMetadata(metadata) {
+        if (!metadata) return [];
+
+        const fields = ['description', 'author', 'version', 'tags', 'created', 'modified'];
+        return fields
+            .map(key => [key, key === 'tags' ? (metadata.tags || []).join(', ') : metadata[key]])
+            .filter(([, value]) => value)
+            .map(([key, value]) => `meta ${key} ${JSON.stringify(value)}`);
+    },
+
+    /**
+     * variable declarations - the initial value is left out when it is the default
+     */
+    serializeVariables(graph) {
+        return graph.getAllVariables().map(variable => {
+            const literals = variable.type === 'enum'
+                ? ` { ${variable.values.map(formatValue).join(', ')} }`
+                : '';
+            const initial = variable.initial === defaultValue(variable) ? '' : ` = ${formatValue(variable.initial)}`;
+            return `variable ${variable.name} : ${variable.type}${literals}${initial}`;
+        });
+    },
+
+        serializeStubs(graph, doc, nodeIdToName) {
+        const lines = [];
+
+        graph.getNodesByType('stub').forEach(stub => {
+            const stubName = quoteName(stub.properties.name);
+
+            (stub.properties.plugins || []).forEach(plugin => {
+                const map = doc.getMap(plugin.mapId);
+                if (!map) return;
+
+                const mapName = quoteName(map.name);
+                const when = plugin.condition ? ` when ${JSON.stringify(plugin.condition)}` : '';
+                lines.push(`plugin ${stubName} -> ${mapName}${when}`);
+
+                const pluginGraph = doc.getMapGraph(plugin.mapId);
+                const pluginNodeName = (id) => {
+                    const node = pluginGraph && pluginGraph.getNode(id);
+                    return node ? quoteName(node.properties.name) : null;
+                };
+
+                (plugin.inBindings || []).forEach(({ edgeId, startNodeId }) => {
+                    const edge = graph.getEdge(edgeId);
+                    const startName = pluginNodeName(startNodeId);
+                    if (edge && startName) {
+                        lines.push(`bind ${stubName} -> ${mapName} in ${quoteName(nodeIdToName.get(edge.sourceNodeId))} -> ${startName}`);
+                    }
+                });
+
+                (plugin.outBindings || []).forEach(({ endNodeId, edgeId }) => {
+                    const edge = graph.getEdge(edgeId);
+                    const endName = pluginNodeName(endNodeId);
+                    if (edge && endName) {
+                        lines.push(`bind ${stubName} -> ${mapName} out ${endName} -> ${quoteName(nodeIdToName.get(edge.targetNodeId))}`);
+                    }
+                });
+            });
+        });
+
+        return lines;
     }
 };
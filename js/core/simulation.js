@@ -0,0 +1,239 @@
+/**
+ * Monte Carlo Simulation - Thousands of timed runs of a scenario
+ *
+ * Every run is a regular traversal (traversal.js) of the scenario with two
+ * differences:
+ *   - time passes: a token leaves a responsibility or stub after a duration
+ *     drawn from its executionTime (see distributions.js), so AND-joins wait
+ *     for the slowest branch and timers fire on their timeout unless a
+ *     trigger arrives first
+ *   - OR-forks whose branches carry a `probability` pick one at random by
+ *     those probabilities (see branchShares); other forks follow their guards
+ * A stub without plug-ins simply passes the token on after its own time.
+ *
+ * The runs are summed up as
+ *   simulation = { scenarioId, name, mapId, runs, completed, reached, latency,
+ *                  endPoints, paths, criticalPath, errors, warnings }
+ *   completed/reached = runs without errors / that reached an end point
+ *   latency = { min, mean, max, p50, p90, p95, p99 }   (ms until the last end point)
+ *   endPoints = [{ nodeId, name, count, share, latency }]
+ *   paths = [{ nodes, label, count, share }]   (the distinct nodes a run passed)
+ *   criticalPath = { nodes, edges, count, share }   (the most frequent one)
+ *   errors = [{ message, count }]
+ * The critical path of a run is the chain of visits that led to its last
+ * end point - through the last token to arrive at every AND-join.
+ */
+
+import { ucmDocument } from './document.js';
+import { TraversalEngine } from './traversal.js';
+import { branchShares } from './performance.js';
+import { parseDistribution, sample, seededRandom } from './distributions.js';
+
+export const DEFAULT_RUNS = 1000;
+
+const TIMED = ['responsibility', 'stub'];
+
+const hasProbability = (edge) => edge.properties?.probability !== undefined && edge.properties.probability !== '';
+
+/**
+ * Traversal engine with sampled durations and probabilistic OR-forks
+ */
+class SimulationEngine extends TraversalEngine {
+    constructor({ document, random, maxVisits }) {
+        super({ document, maxVisits });
+        this.random = random;
+        this.durations = new Map();  // mapId:nodeId -> distribution | null
+        this.shares = new Map();     // mapId:nodeId -> [[edgeId, share], ...]
+        this.notes = new Set();      // warnings that hold for every run
+    }
+
+    durationOf(frame, node) {
+        if (!node || !TIMED.includes(node.type)) return 0;
+        const key = `${frame.mapId}:${node.id}`;
+        if (!this.durations.has(key)) {
+            let distribution = parseDistribution(node.properties.executionTime);
+            if (Number.isNaN(distribution)) {
+                this.notes.add(`Unreadable execution time "${node.properties.executionTime}" at: ${node.properties.name}`);
+                distribution = null;
+            }
+            this.durations.set(key, distribution);
+        }
+        const distribution = this.durations.get(key);
+        return distribution ? sample(distribution, this.random) : 0;
+    }
+
+    /**
+     * Tokens leave timed nodes once their sampled duration has passed
+     */
+    move(token, edge) {
+        const source = token.frame.graph.getNode(edge.sourceNodeId);
+        token.frame.path.edges.push(edge.id);
+        this.schedule(this.now + this.durationOf(token.frame, source), { token, nodeId: edge.targetNodeId, edgeId: edge.id });
+    }
+
+    chooseBranch(token, node, edges) {
+        if (!edges.some(hasProbability)) return super.chooseBranch(token, node, edges);
+
+        const key = `${token.frame.mapId}:${node.id}`;
+        if (!this.shares.has(key)) {
+            this.shares.set(key, branchShares(token.frame.graph, node, (type, message) => this.notes.add(message)));
+        }
+
+        let r = this.random();
+        const choices = this.shares.get(key).filter(([, share]) => share > 0);
+        for (const [edgeId, share] of choices) {
+            r -= share;
+            if (r < 0) return token.frame.graph.getEdge(edgeId);
+        }
+        return choices.length > 0 ? token.frame.graph.getEdge(choices[choices.length - 1][0]) : null;
+    }
+
+    handleStub(token, stub, inEdgeId) {
+        if ((stub.properties.plugins || []).length === 0) {
+            this.handlePassThrough(token, stub);
+            return;
+        }
+        super.handleStub(token, stub, inEdgeId);
+    }
+}
+
+// ============================================
+// Statistics
+// ============================================
+
+/**
+ * Nearest-rank percentile of sorted values
+ */
+const percentile = (sorted, p) => sorted[Math.max(0, Math.ceil(p / 100 * sorted.length) - 1)];
+
+/**
+ * Summary of a list of durations
+ * @returns {Object|null} { min, mean, max, p50, p90, p95, p99 }, null when empty
+ */
+export function latencyStats(values) {
+    if (values.length === 0) return null;
+    const sorted = [...values].sort((a, b) => a - b);
+    return {
+        min: sorted[0],
+        mean: sorted.reduce((sum, v) => sum + v, 0) / sorted.length,
+        max: sorted[sorted.length - 1],
+        p50: percentile(sorted, 50),
+        p90: percentile(sorted, 90),
+        p95: percentile(sorted, 95),
+        p99: percentile(sorted, 99)
+    };
+}
+
+/**
+ * Chain of visits that led to the run's last end point
+ * @returns {Object|null} { nodes, edges }
+ */
+export function criticalPath(trace, mapGraph, mapId) {
+    const visits = trace.filter(entry => entry.event === 'visit' && entry.mapId === mapId);
+    const ends = trace.filter(entry => entry.event === 'end' && entry.mapId === mapId);
+    if (ends.length === 0) return null;
+
+    const last = ends.reduce((latest, entry) => entry.time >= latest.time ? entry : latest);
+    let i = visits.findLastIndex(v => v.nodeId === last.nodeId && v.token === last.token && v.time <= last.time);
+    const nodes = [];
+    const edges = [];
+
+    while (i >= 0) {
+        const visit = visits[i];
+        nodes.unshift(visit.nodeId);
+        const edge = visit.edgeId ? mapGraph.getEdge(visit.edgeId) : null;
+        if (!edge) break;
+        edges.unshift(edge.id);
+        // The latest earlier visit of the edge's source released this token
+        do { i--; } while (i >= 0 && visits[i].nodeId !== edge.sourceNodeId);
+    }
+    return { nodes, edges };
+}
+
+const countBy = (map, key, create) => {
+    if (!map.has(key)) map.set(key, { ...create(), count: 0 });
+    const entry = map.get(key);
+    entry.count++;
+    return entry;
+};
+
+// ============================================
+// Simulation
+// ============================================
+
+/**
+ * Run a scenario many times with sampled durations and branch choices
+ * @param {Object} scenario - Scenario definition (start point, variables, conditions)
+ * @param {Object} [options]
+ * @param {Object} [options.document] - UCMDocument holding the maps
+ * @param {number} [options.runs] - Number of runs
+ * @param {number} [options.seed] - Seed for repeatable results (random when omitted)
+ * @param {number} [options.maxVisits] - Visits per node before a run's token is stopped
+ * @returns {Object} simulation
+ */
+export function simulateScenario(scenario, { document = ucmDocument, runs = DEFAULT_RUNS, seed = null, maxVisits } = {}) {
+    const random = seed === null || seed === undefined ? Math.random : seededRandom(seed);
+    const engine = new SimulationEngine({ document, random, maxVisits });
+    const mapId = scenario.mapId || document.rootMapId;
+    const mapGraph = document.getMapGraph(mapId);
+    const nodeName = (id) => mapGraph.getNode(id)?.properties.name || id;
+
+    const latencies = [];
+    const endTimes = new Map();
+    const paths = new Map();
+    const critical = new Map();
+    const errors = new Map();
+    const warnings = new Set();
+    let completed = 0;
+
+    for (let run = 0; run < runs; run++) {
+        const result = engine.run({ ...scenario, mapId });
+        result.warnings.forEach(w => warnings.add(w));
+        new Set(result.errors).forEach(message => countBy(errors, message, () => ({ message })));
+        if (result.errors.length === 0) completed++;
+
+        const ends = result.trace.filter(entry => entry.event === 'end' && entry.mapId === mapId);
+        ends.forEach(entry => {
+            if (!endTimes.has(entry.nodeId)) endTimes.set(entry.nodeId, []);
+            endTimes.get(entry.nodeId).push(entry.time);
+        });
+        if (ends.length > 0) latencies.push(Math.max(...ends.map(entry => entry.time)));
+
+        const visited = [...new Set(result.path.nodes)];
+        countBy(paths, [...visited].sort().join(','), () => ({ nodes: visited }));
+
+        const path = criticalPath(result.trace, mapGraph, mapId);
+        if (path) countBy(critical, path.edges.join(',') || path.nodes.join(','), () => path);
+    }
+    engine.notes.forEach(w => warnings.add(w));
+
+    const share = (count) => runs > 0 ? count / runs : 0;
+    const byCount = (a, b) => b.count - a.count;
+    const [topCritical] = [...critical.values()].sort(byCount);
+
+    return {
+        scenarioId: scenario.id,
+        name: scenario.name,
+        mapId,
+        runs,
+        completed,
+        reached: latencies.length,
+        latency: latencyStats(latencies),
+        endPoints: [...endTimes].map(([nodeId, times]) => ({
+            nodeId,
+            name: nodeName(nodeId),
+            count: times.length,
+            share: share(times.length),
+            latency: latencyStats(times)
+        })).sort(byCount),
+        paths: [...paths.values()].sort(byCount).map(({ nodes, count }) => ({
+            nodes,
+            label: nodes.map(id => mapGraph.getNode(id)?.properties.name).filter(Boolean).join(' → '),
+            count,
+            share: share(count)
+        })),
+        criticalPath: topCritical ? { ...topCritical, share: share(topCritical.count) } : null,
+        errors: [...errors.values()].sort(byCount),
+        warnings: [...warnings]
+    };
+}
@@ -0,0 +1,188 @@
+/**
+ * UCM Stub Logic
+ * Handles static/dynamic stubs, their plug-in maps and path bindings
+ *
+ * A stub's in-paths (incoming edges) are bound to start points of the plug-in
+ * map, and end points of the plug-in map are bound to the stub's out-paths
+ * (outgoing edges). Bindings are stored per plug-in on the stub node.
+ */
+
+import { graph, UCMGraph } from './graph.js';
+import { ucmDocument } from './document.js';
+
+export const StubTypes = {
+    STATIC: 'static',   // Exactly one plug-in
+    DYNAMIC: 'dynamic'  // Several plug-ins, selected at run time by condition
+};
+
+/**
+ * Convert a node (usually an empty point or responsibility) to a stub
+ */
+export function convertToStub(nodeId, stubType = StubTypes.STATIC) {
+    const node = graph.getNode(nodeId);
+    if (!node) return null;
+
+    graph.updateNode(nodeId, {
+        type: 'stub',
+        properties: {
+            ...node.properties,
+            stubType,
+            plugins: node.properties.plugins || []
+        }
+    });
+
+    return graph.getNode(nodeId);
+}
+
+/**
+ * Toggle stub type between static and dynamic
+ */
+export function toggleStubType(stubId) {
+    const node = graph.getNode(stubId);
+    if (!node || node.type !== 'stub') return null;
+
+    const newType = node.properties.stubType === StubTypes.DYNAMIC ? StubTypes.STATIC : StubTypes.DYNAMIC;
+    graph.updateNode(stubId, {
+        properties: { stubType: newType }
+    });
+
+    return graph.getNode(stubId);
+}
+
+/**
+ * Get the plug-in list of a stub
+ */
+export function getPlugins(stub) {
+    return (stub && stub.properties.plugins) || [];
+}
+
+/**
+ * Attach an existing map as plug-in of a stub
+ * @returns {Object|null} The plug-in entry
+ */
+export function addPlugin(stubId, mapId, condition = '') {
+    const stub = graph.getNode(stubId);
+    if (!stub || stub.type !== 'stub' || !ucmDocument.getMap(mapId)) return null;
+
+    const plugin = { mapId, condition, inBindings: [], outBindings: [] };
+    graph.updateNode(stubId, {
+        properties: { plugins: [...getPlugins(stub), plugin] }
+    });
+
+    return plugin;
+}
+
+/**
+ * Remove a plug-in from a stub (the map itself stays in the document)
+ */
+export function removePlugin(stubId, pluginIndex) {
+    const stub = graph.getNode(stubId);
+    if (!stub || stub.type !== 'stub') return false;
+
+    const plugins = getPlugins(stub).filter((_, i) => i !== pluginIndex);
+    graph.updateNode(stubId, { properties: { plugins } });
+    return true;
+}
+
+/**
+ * Update plug-in fields (condition, bindings)
+ */
+export function updatePlugin(stubId, pluginIndex, updates) {
+    const stub = graph.getNode(stubId);
+    if (!stub || stub.type !== 'stub') return null;
+
+    const plugins = getPlugins(stub).map((p, i) => i === pluginIndex ? { ...p, ...updates } : p);
+    graph.updateNode(stubId, { properties: { plugins } });
+    return plugins[pluginIndex] || null;
+}
+
+/**
+ * Create a new plug-in map seeded with one start and one end point,
+ * attach it to the stub and bind the stub's paths to it.
+ */
+export function createPluginMap(stubId, name = null) {
+    const stub = graph.getNode(stubId);
+    if (!stub || stub.type !== 'stub') return null;
+
+    const seed = new UCMGraph();
+    const start = seed.addNode('start', { name: 'IN1', x: 100, y: 200 });
+    const end = seed.addNode('end', { name: 'OUT1', x: 500, y: 200 });
+    seed.addEdge(start.id, end.id);
+
+    const map = ucmDocument.addMap(name || `${stub.properties.name} Plug-in`, seed.toJSON());
+    addPlugin(stubId, map.id);
+    autoBind(stubId, getPlugins(graph.getNode(stubId)).length - 1);
+
+    return map;
+}
+
+/**
+ * Bind stub in-paths to plug-in start points and plug-in end points to stub
+ * out-paths, pairing them in order. Existing bindings are kept.
+ */
+export function autoBind(stubId, pluginIndex = 0) {
+    const stub = graph.getNode(stubId);
+    const plugin = getPlugins(stub)[pluginIndex];
+    if (!plugin) return null;
+
+    const pluginGraph = ucmDocument.getMapGraph(plugin.mapId);
+    if (!pluginGraph) return null;
+
+    const inBindings = [...(plugin.inBindings || [])];
+    const outBindings = [...(plugin.outBindings || [])];
+
+    const freeStarts = pluginGraph.getNodesByType('start')
+        .filter(n => !inBindings.some(b => b.startNodeId === n.id));
+    [...stub.inEdges]
+        .filter(edgeId => !inBindings.some(b => b.edgeId === edgeId))
+        .forEach((edgeId, i) => {
+            if (freeStarts[i]) inBindings.push({ edgeId, startNodeId: freeStarts[i].id });
+        });
+
+    const freeEnds = pluginGraph.getNodesByType('end')
+        .filter(n => !outBindings.some(b => b.endNodeId === n.id));
+    [...stub.outEdges]
+        .filter(edgeId => !outBindings.some(b => b.edgeId === edgeId))
+        .forEach((edgeId, i) => {
+            if (freeEnds[i]) outBindings.push({ endNodeId: freeEnds[i].id, edgeId });
+        });
+
+    return updatePlugin(stubId, pluginIndex, { inBindings, outBindings });
+}
+
+/**
+ * Find the plug-in start point bound to the stub in-path `inEdgeId`.
+ * Falls back to the only start point when the plug-in has exactly one.
+ */
+export function resolveInBinding(plugin, inEdgeId, pluginGraph) {
+    const binding = (plugin.inBindings || []).find(b => b.edgeId === inEdgeId);
+    if (binding) return pluginGraph.getNode(binding.startNodeId) || null;
+
+    const starts = pluginGraph.getNodesByType('start');
+    return starts.length === 1 ? starts[0] : null;
+}
+
+/**
+ * Find the stub out-path bound to plug-in end point `endNodeId`.
+ * Falls back to the only out-path when the stub has exactly one.
+ */
+export function resolveOutBinding(plugin, endNodeId, stub) {
+    const binding = (plugin.outBindings || []).find(b => b.endNodeId === endNodeId);
+    if (binding && stub.outEdges.has(binding.edgeId)) return binding.edgeId;
+
+    return stub.outEdges.size === 1 ? [...stub.outEdges][0] : null;
+}
+
+/**
+ * Drill down into a stub's plug-in, creating a plug-in map first if it has none
+ */
+export function openStub(stubId, pluginIndex = 0) {
+    const stub = graph.getNode(stubId);
+    if (!stub || stub.type !== 'stub') return false;
+
+    if (getPlugins(stub).length === 0) {
+        createPluginMap(stubId);
+    }
+
+    return ucmDocument.enterStub(stubId, pluginIndex);
+}
@@ -0,0 +1,200 @@
+/**
+ * SVG Writer - Renders a map to an SVG string from graph data alone
+ *
+ * The canvas export (exporter.exportSVG) clones the live DOM; this writer
+ * draws the same notation without a browser, for the CLI and for formats
+ * that need the drawing as text. Shapes follow createNodeSVG().
+ */
+
+import { NODE_TYPES, COMPONENT_TYPES, calculateEdgePath, getMidpoint, getAngle, calculateIncomingAngle } from './node-types.js';
+
+const escape = (text) => String(text ?? '').replace(/[<>&'"]/g, c =>
+    ({ '<': '&lt;', '>': '&gt;', '&': '&amp;', "'": '&apos;', '"': '&quot;' })[c]);
+
+const attrs = (values) => Object.entries(values)
+    .filter(([, value]) => value !== null && value !== undefined)
+    .map(([key, value]) => `${key}="${escape(value)}"`)
+    .join(' ');
+
+const round = (n) => Math.round(n * 100) / 100;
+
+/**
+ * Bounding box of all content, from graph data (ignores pan/zoom)
+ * @returns {Object|null} { minX, minY, maxX, maxY, width, height }, null when empty
+ */
+export function calculateContentBounds(graph) {
+    const nodes = graph.getAllNodes();
+    const components = graph.getAllComponents();
+    const edges = graph.getAllEdges();
+
+    if (nodes.length === 0 && components.length === 0) {
+        return null;
+    }
+
+    let minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
+
+    // Include all nodes
+    nodes.forEach(node => {
+        const x = node.position.x;
+        const y = node.position.y;
+        // Assume node radius of ~15 for bounds
+        minX = Math.min(minX, x - 15);
+        minY = Math.min(minY, y - 15);
+        maxX = Math.max(maxX, x + 15);
+        maxY = Math.max(maxY, y + 50); // Extra for labels below
+    });
+
+    // Include all components
+    components.forEach(comp => {
+        const b = comp.bounds;
+        minX = Math.min(minX, b.x);
+        minY = Math.min(minY, b.y);
+        maxX = Math.max(maxX, b.x + b.width);
+        maxY = Math.max(maxY, b.y + b.height);
+    });
+
+    // Include all edge waypoints/control points
+    edges.forEach(edge => {
+        (edge.controlPoints || []).forEach(cp => {
+            minX = Math.min(minX, cp.x - 5);
+            minY = Math.min(minY, cp.y - 5);
+            maxX = Math.max(maxX, cp.x + 5);
+            maxY = Math.max(maxY, cp.y + 5);
+        });
+    });
+
+    return {
+        minX,
+        minY,
+        maxX,
+        maxY,
+        width: maxX - minX,
+        height: maxY - minY
+    };
+}
+
+// ============================================
+// Elements
+// ============================================
+
+function componentSVG(comp) {
+    const { x, y, width, height } = comp.bounds;
+    const dashed = COMPONENT_TYPES[comp.type]?.borderStyle === 'dashed';
+    return [
+        `  <g class="ucm-component type-${comp.type}" transform="translate(${x}, ${y})">`,
+        `    <rect ${attrs({ width, height, fill: 'white', stroke: 'black', 'stroke-width': 1, 'stroke-dasharray': dashed ? '5 5' : null })}/>`,
+        `    <text x="8" y="16" font-size="12" font-weight="bold">${escape(comp.properties.name)}</text>`,
+        '  </g>'
+    ].join('\n');
+}
+
+function edgeSVG(edge, source, target) {
+    const style = edge.properties || {};
+    const color = style.strokeColor || '#000000';
+    const d = calculateEdgePath(source.position, target.position, edge.controlPoints || [],
+        { sourceType: source.type, targetType: target.type });
+    const mid = getMidpoint(source.position, target.position, edge.controlPoints);
+    const angle = getAngle(source.position, target.position, edge.controlPoints);
+    const dash = { dashed: '8 4', dotted: '2 4' }[style.strokeStyle] || null;
+
+    const lines = [
+        '  <g class="ucm-edge-group">',
+        `    <path ${attrs({ d, fill: 'none', stroke: color, 'stroke-width': style.strokeWidth || 1.5, 'stroke-dasharray': dash })}/>`,
+        `    <path d="M -6 -4 L 4 0 L -6 4 Z" transform="translate(${round(mid.x)}, ${round(mid.y)}) rotate(${round(angle)})" fill="${escape(color)}"/>`
+    ];
+    if (edge.condition) {
+        // Beside the midpoint arrow, left of the direction of flow (createConditionLabel)
+        const rad = (angle - 90) * Math.PI / 180;
+        lines.push(`    <text x="${round(mid.x + Math.cos(rad) * 12)}" y="${round(mid.y + Math.sin(rad) * 12)}" ` +
+            `font-size="11" text-anchor="middle" dominant-baseline="middle">[${escape(edge.condition)}]</text>`);
+    }
+    lines.push('  </g>');
+    return lines.join('\n');
+}
+
+function nodeShape(node, incomingAngle) {
+    const type = NODE_TYPES[node.type];
+    const color = type.color;
+
+    switch (type.shape) {
+        case 'circle':
+            return `<circle r="${type.radius}" fill="${color}"/>`;
+        case 'bar': {
+            const rotate = incomingAngle !== null ? ` transform="rotate(${Math.round(incomingAngle / 45) * 45})"` : '';
+            return `<rect x="${-type.width / 2}" y="${-type.height / 2}" width="${type.width}" height="${type.height}" rx="2" fill="${color}"${rotate}/>`;
+        }
+        case 'cross': {
+            const h = type.size / 2;
+            return `<path d="M ${-h} ${-h} L ${h} ${h} M ${h} ${-h} L ${-h} ${h}" stroke="${color}" stroke-width="3" stroke-linecap="round"/>`;
+        }
+        case 'clock':
+            return `<circle r="12" fill="white" stroke="${color}" stroke-width="2"/>` +
+                `<path d="M 0 0 L 6 0 M 0 0 L 0 -8" stroke="${color}" stroke-width="2"/>`;
+        case 'stub': {
+            const s = type.size;
+            const dash = node.properties.stubType === 'dynamic' ? ' stroke-dasharray="4,3"' : '';
+            return `<polygon points="0,${-s} ${s},0 0,${s} ${-s},0" fill="white" stroke="${color}" stroke-width="2"${dash}/>`;
+        }
+        case 'junction': {
+            const isAnd = (node.type === 'fork' && node.properties.forkType === 'and') ||
+                (node.type === 'join' && node.properties.joinType === 'and');
+            return isAnd
+                ? '<rect x="-4" y="-15" width="8" height="30" fill="#000000"/>'
+                : '<circle r="3.5" fill="#000000"/>';
+        }
+        default:
+            return '';
+    }
+}
+
+function nodeSVG(node, graph) {
+    let incomingAngle = null;
+    if (node.type === 'end') {
+        const inEdges = [...node.inEdges].map(id => graph.getEdge(id)).filter(Boolean);
+        incomingAngle = calculateIncomingAngle(node, inEdges, id => graph.getNode(id));
+    }
+
+    const { x, y } = node.position;
+    const lines = [`  <g class="ucm-node node-${node.type}" transform="translate(${x}, ${y})">${nodeShape(node, incomingAngle)}</g>`];
+    if (node.type !== 'empty' && node.properties.name) {
+        lines.push(`  <text class="node-label" x="${x}" y="${y + 25}" font-size="12" text-anchor="middle">${escape(node.properties.name)}</text>`);
+    }
+    return lines.join('\n');
+}
+
+// ============================================
+// Document
+// ============================================
+
+/**
+ * Render a map as a standalone SVG document
+ * @param {UCMGraph} graph - The map to draw
+ * @param {Object} [options]
+ * @param {number} [options.padding] - Margin around the content
+ * @returns {string}
+ */
+export function renderSVG(graph, { padding = 40 } = {}) {
+    const bounds = calculateContentBounds(graph) || { minX: 0, minY: 0, width: 0, height: 0 };
+    const x = bounds.minX - padding;
+    const y = bounds.minY - padding;
+    const width = bounds.width + padding * 2;
+    const height = bounds.height + padding * 2;
+
+    // Outer components first so nested ones are drawn on top
+    const depth = (comp) => comp.parentComponent ? 1 + depth(graph.getComponent(comp.parentComponent) || {}) : 0;
+    const components = [...graph.getAllComponents()].sort((a, b) => depth(a) - depth(b));
+
+    const edges = graph.getAllEdges()
+        .map(edge => [edge, graph.getNode(edge.sourceNodeId), graph.getNode(edge.targetNodeId)])
+        .filter(([, source, target]) => source && target);
+
+    return [
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        `<svg xmlns="http://www.w3.org/2000/svg" viewBox="${x} ${y} ${width} ${height}" width="${width}" height="${height}" font-family="sans-serif">`,
+        `  <rect x="${x}" y="${y}" width="${width}" height="${height}" fill="white"/>`,
+        ...components.map(componentSVG),
+        ...edges.map(([edge, source, target]) => edgeSVG(edge, source, target)),
+        ...graph.getAllNodes().filter(node => NODE_TYPES[node.type]).map(node => nodeSVG(node, graph)),
+        '</svg>'
+    ].join('\n') + '\n';
+}
@@ -0,0 +1,644 @@
+/**
+ * UCM Traversal Engine - Token-based scenario execution
+ *
+ * Follows the Z.151 / jUCMNav traversal semantics: tokens are pushed along
+ * the paths of a map and every path node is processed according to its type.
+ *   start             puts the token on its outgoing path if its precondition holds
+ *   responsibility    runs its code (assignments to scenario variables), then
+ *                     passes the token on
+ *   empty, or-join    pass the token on
+ *   or-fork           the token follows the first branch whose condition holds;
+ *                     unguarded branches are the default, several true
+ *                     branches are reported as nondeterminism
+ *   and-fork          one token per branch
+ *   and-join          waits until a token arrived on every incoming path, then
+ *                     continues with a single token
+ *   timer             waiting place: the token waits until a token arrives on
+ *                     another incoming path (the trigger) or its timeout
+ *                     expires; a second outgoing path is the timeout path
+ *   stub              the token continues in the selected plug-in map and
+ *                     leaves through the out-path bound to the end point it reaches
+ *   end               the token is consumed; a postcondition that does not hold is an error
+ *
+ * Conditions are expressions of expression.js over the scenario's variables;
+ * one that cannot be evaluated is an error and stops the token there. The
+ * variables are shared by all tokens, so a guard sees every update made
+ * before it on any path; `snapshots` holds their values after every step.
+ *
+ * Tokens run on a logical clock. A timer that waits resumes at `now + timeout`;
+ * one without a timeout expires once nothing else can move. Tokens due at the
+ * same time run in the order they were scheduled, so the trace is the same on
+ * every run. Loops are allowed - a node visited more than `maxVisits` times
+ * stops the token that got there, and the whole run stops after `maxSteps`.
+ */
+
+import { resolveInBinding, resolveOutBinding } from './stubs.js';
+import {
+    evaluateCondition,
+    executeStatements,
+    checkExpression,
+    checkStatements,
+    variableTypes,
+    ExpressionError
+} from './expression.js';
+import { declaredVariables, declaredTypes, initialValues } from './variables.js';
+
+// Guards against plug-in maps that (directly or indirectly) contain themselves
+const MAX_STUB_DEPTH = 16;
+
+export const DEFAULT_MAX_VISITS = 100;
+export const DEFAULT_MAX_STEPS = 10000;
+
+const DURATION_UNITS = { ms: 1, s: 1000, sec: 1000, m: 60000, min: 60000, h: 3600000 };
+
+/**
+ * Key of an edge in `scenario.conditions`: "Source->Target" by node name,
+ * so conditions survive edits that give the edge a new ID
+ */
+export function edgeConditionKey(edge, mapGraph) {
+    const source = mapGraph.getNode(edge.sourceNodeId);
+    const target = mapGraph.getNode(edge.targetNodeId);
+    return `${source?.properties.name ?? edge.sourceNodeId}->${target?.properties.name ?? edge.targetNodeId}`;
+}
+
+/**
+ * Timer timeout in milliseconds ("250", "250ms", "2s", "1.5 min", "1h")
+ * @returns {number|null} null when empty, NaN when unreadable
+ */
+export function parseDuration(value) {
+    if (value === undefined || value === null || value === '') return null;
+    if (typeof value === 'number') return value >= 0 ? value : NaN;
+
+    const match = String(value).trim().match(/^(\d+(?:\.\d+)?)\s*(ms|s|sec|m|min|h)?$/i);
+    if (!match) return NaN;
+    return Number(match[1]) * DURATION_UNITS[(match[2] || 'ms').toLowerCase()];
+}
+
+/**
+ * One run of one scenario. Call step() until it returns null (or run() to
+ * do that at once); `trace` grows by one or more entries per step.
+ *
+ * Trace entries: { step, time, token, mapId, nodeId, edgeId, event } where
+ * event is one of
+ *   visit    a token arrived at the node (over edgeId)
+ *   wait     it blocks at an AND-join or timer
+ *   sync     an AND-join released its token
+ *   trigger  a timer was released by a token on another path
+ *   timeout  a timer expired
+ *   enter    the token entered the plug-in map of a stub (recorded in the stub's map)
+ *   exit     it left the plug-in map through an out-path (likewise)
+ *   end      it reached an end point of the scenario's map
+ *   update   a responsibility's code ran; `changes` holds the new values
+ */
+export class TraversalEngine {
+    /**
+     * @param {Object} options
+     * @param {Object} options.document - UCMDocument holding the maps
+     * @param {Function} [options.evaluate] - (condition, variables) => boolean,
+     *                                        throws ExpressionError when it cannot tell
+     * @param {number} [options.maxVisits] - Visits per node before a token is stopped
+     * @param {number} [options.maxSteps] - Steps before the run is stopped
+     */
+    constructor({ document, evaluate = evaluateCondition, maxVisits = DEFAULT_MAX_VISITS, maxSteps = DEFAULT_MAX_STEPS }) {
+        this.document = document;
+        this.evaluate = evaluate;
+        this.maxVisits = maxVisits;
+        this.maxSteps = maxSteps;
+    }
+
+    /**
+     * Prepare a run of `scenario` from its start point
+     * @returns {boolean} false when the start point cannot be found
+     */
+    start(scenario) {
+        this.scenario = scenario;
+        this.now = 0;
+        this.steps = 0;
+        this.seq = 0;
+        this.tokenCounter = 0;
+        this.frameCounter = 0;
+        this.queue = [];
+        this.visits = new Map();  // frameId:nodeId -> count
+        this.joins = new Map();   // frameId:nodeId -> Map<edgeId, tokens[]>
+        this.timers = new Map();  // frameId:nodeId -> [{ token, edgeId }]
+        this.trace = [];
+        this.snapshots = [];
+        this.errors = [];
+        this.warnings = [];
+        this.reachedEnds = [];
+        this.root = {
+            id: ++this.frameCounter,
+            graph: this.document.getMapGraph(scenario.mapId),
+            mapId: scenario.mapId,
+            depth: 0,
+            parent: null,
+            path: { nodes: [], edges: [] }
+        };
+        this.stubTraversals = [];
+
+        // Declared variables start at their initial values, which the scenario may override
+        this.declared = declaredVariables(this.root.graph, this.document);
+        this.variables = initialValues(this.declared, scenario.variables);
+        this.types = { ...variableTypes(scenario.variables), ...declaredTypes(this.declared) };
+        this.snapshot();
+
+        const startNode = this.root.graph && this.root.graph.getNode(scenario.startNodeId);
+        if (!startNode) {
+            this.errors.push('Start node not found');
+            return false;
+        }
+
+        this.checkConditions(this.root.graph);
+        this.schedule(this.now, { token: this.newToken(this.root), nodeId: startNode.id, edgeId: null });
+        return true;
+    }
+
+    /**
+     * Process the next due token
+     * @returns {Array|null} the trace entries of this step, null once done
+     */
+    step() {
+        if (this.queue.length === 0) return null;
+
+        if (this.steps >= this.maxSteps) {
+            this.errors.push(`Traversal stopped after ${this.maxSteps} steps`);
+            this.queue = [];
+            return null;
+        }
+
+        const task = this.queue.shift();
+        if (task.time !== null) this.now = task.time;
+        this.steps++;
+        const before = this.trace.length;
+
+        if (task.timeout) {
+            this.expireTimer(task);
+        } else {
+            this.arrive(task.token, task.nodeId, task.edgeId);
+        }
+
+        this.snapshot();
+        if (this.queue.length === 0) this.finish();
+        return this.trace.slice(before);
+    }
+
+    /**
+     * Run `scenario` to completion
+     * @returns {Object} { success, reachedEnds, trace, snapshots, errors, warnings, path, stubTraversals, variables }
+     */
+    run(scenario) {
+        if (this.start(scenario)) {
+            while (this.step() !== null);
+        }
+        return this.result();
+    }
+
+    result() {
+        return {
+            success: this.errors.length === 0,
+            reachedEnds: this.reachedEnds,
+            trace: this.trace,
+            snapshots: this.snapshots,
+            errors: this.errors,
+            warnings: this.warnings,
+            path: this.root.path,
+            stubTraversals: this.stubTraversals,
+            variables: this.variables
+        };
+    }
+
+    isDone() {
+        return this.queue.length === 0;
+    }
+
+    /**
+     * Where the live tokens are: moving along an edge towards a node (or
+     * about to start at it), or waiting at an AND-join or timer
+     * @returns {Array} [{ id, mapId, nodeId, edgeId, state: 'moving'|'waiting' }]
+     */
+    tokens() {
+        const position = (token, nodeId, edgeId, state) =>
+            ({ id: token.id, mapId: token.frame.mapId, nodeId, edgeId, state });
+        const tokens = this.queue
+            .filter(task => !task.timeout)
+            .map(task => position(task.token, task.nodeId, task.edgeId, 'moving'));
+
+        [...this.joins, ...this.timers].forEach(([key, held]) => {
+            const nodeId = key.split(':').slice(1).join(':');
+            const waiting = held instanceof Map
+                ? [...held].flatMap(([edgeId, list]) => list.map(token => ({ token, edgeId })))
+                : held;
+            waiting.forEach(({ token, edgeId }) => tokens.push(position(token, nodeId, edgeId, 'waiting')));
+        });
+        return tokens.sort((a, b) => a.id - b.id);
+    }
+
+    // ============================================
+    // Scheduling
+    // ============================================
+
+    newToken(frame) {
+        return { id: ++this.tokenCounter, frame };
+    }
+
+    /**
+     * Queue a task, ordered by time then by scheduling order. A null time
+     * runs once nothing with a time is left.
+     */
+    schedule(time, task) {
+        const entry = { ...task, time, seq: ++this.seq };
+        const index = time === null
+            ? -1
+            : this.queue.findIndex(other => other.time === null || other.time > time);
+        if (index === -1) this.queue.push(entry);
+        else this.queue.splice(index, 0, entry);
+    }
+
+    record(event, token, nodeId, edgeId = null, details = {}) {
+        this.trace.push({
+            step: this.steps,
+            time: this.now,
+            token: token.id,
+            mapId: token.frame.mapId,
+            nodeId,
+            edgeId,
+            event,
+            ...details
+        });
+    }
+
+    snapshot() {
+        this.snapshots.push({ step: this.steps, time: this.now, variables: { ...this.variables } });
+    }
+
+    /**
+     * Send a token along an edge of its map
+     */
+    move(token, edge) {
+        token.frame.path.edges.push(edge.id);
+        this.schedule(this.now, { token, nodeId: edge.targetNodeId, edgeId: edge.id });
+    }
+
+    // ============================================
+    // Path nodes
+    // ============================================
+
+    arrive(token, nodeId, edgeId) {
+        const { frame } = token;
+        const node = frame.graph.getNode(nodeId);
+        if (!node) {
+            this.errors.push(`Target node not found for edge: ${edgeId}`);
+            return;
+        }
+
+        const key = `${frame.id}:${node.id}`;
+        const visits = (this.visits.get(key) || 0) + 1;
+        this.visits.set(key, visits);
+        if (visits > this.maxVisits) {
+            this.errors.push(`Loop limit reached at node: ${node.properties.name} (more than ${this.maxVisits} visits)`);
+            return;
+        }
+
+        frame.path.nodes.push(node.id);
+        this.record('visit', token, node.id, edgeId);
+
+        switch (node.type) {
+            case 'start':
+                if (!this.holds(node, 'precondition')) return;
+                return this.handlePassThrough(token, node);
+            case 'responsibility':
+                if (!this.execute(token, node)) return;
+                return this.handlePassThrough(token, node);
+            case 'end': return this.handleEnd(token, node);
+            case 'stub': return this.handleStub(token, node, edgeId);
+            case 'fork': return this.handleFork(token, node);
+            case 'join': return this.handleJoin(token, node, edgeId, key);
+            case 'timer': return this.handleTimer(token, node, edgeId, key);
+            default: return this.handlePassThrough(token, node);
+        }
+    }
+
+    outEdges(frame, node) {
+        return [...(node.outEdges || [])].map(id => frame.graph.getEdge(id)).filter(Boolean);
+    }
+
+    /**
+     * Responsibilities, empty points, start points and OR-joins
+     */
+    handlePassThrough(token, node) {
+        const edges = this.outEdges(token.frame, node);
+        if (edges.length === 0) {
+            this.errors.push(`Dead end at node: ${node.properties.name}`);
+            return;
+        }
+
+        const edge = edges.length === 1 ? edges[0] : this.chooseBranch(token, node, edges);
+        if (edge) this.move(token, edge);
+    }
+
+    handleFork(token, node) {
+        const edges = this.outEdges(token.frame, node);
+        if (edges.length === 0) {
+            this.errors.push(`Dead end at node: ${node.properties.name}`);
+            return;
+        }
+
+        if (node.properties.forkType === 'and') {
+            edges.forEach((edge, i) => this.move(i === 0 ? token : this.newToken(token.frame), edge));
+            return;
+        }
+
+        const edge = this.chooseBranch(token, node, edges);
+        if (edge) this.move(token, edge);
+    }
+
+    /**
+     * OR choice: the first branch whose condition holds, else the first
+     * unguarded branch. A scenario condition overrides the edge's own guard.
+     */
+    chooseBranch(token, node, edges) {
+        const guarded = [];
+        const unguarded = [];
+        edges.forEach(edge => {
+            const condition = this.conditionOf(edge, token.frame);
+            (condition === undefined || condition === '' ? unguarded : guarded).push({ edge, condition });
+        });
+
+        const results = guarded.map(({ edge, condition }) =>
+            this.test(condition, `Guard ${JSON.stringify(condition)} of ${edgeConditionKey(edge, token.frame.graph)}`));
+        // The token stops at a guard that cannot be evaluated
+        if (results.includes(null)) return null;
+        const open = guarded.filter((_, i) => results[i]);
+
+        if (open.length > 1) {
+            this.warnings.push(`Several branches of ${node.properties.name} are true - taking the first`);
+        }
+        if (open.length > 0) return open[0].edge;
+        if (unguarded.length > 0) return unguarded[0].edge;
+
+        this.errors.push(`No branch of ${node.properties.name} is true`);
+        return null;
+    }
+
+    conditionOf(edge, frame) {
+        const conditions = this.scenario.conditions || {};
+        // Older scenarios key their conditions by edge ID
+        if (conditions[edge.id] !== undefined) return conditions[edge.id];
+        const byName = conditions[edgeConditionKey(edge, frame.graph)];
+        return byName !== undefined ? byName : (edge.condition || undefined);
+    }
+
+    /**
+     * AND-joins wait for a token on every incoming path, OR-joins pass through
+     */
+    handleJoin(token, node, edgeId, key) {
+        if (node.properties.joinType !== 'and') {
+            this.handlePassThrough(token, node);
+            return;
+        }
+
+        if (!this.joins.has(key)) this.joins.set(key, new Map());
+        const arrivals = this.joins.get(key);
+        if (!arrivals.has(edgeId)) arrivals.set(edgeId, []);
+        arrivals.get(edgeId).push(token);
+
+        const incoming = [...(node.inEdges || [])];
+        if (!incoming.every(id => (arrivals.get(id) || []).length > 0)) {
+            this.record('wait', token, node.id, edgeId);
+            return;
+        }
+
+        incoming.forEach(id => arrivals.get(id).shift());
+        this.record('sync', token, node.id);
+        this.handlePassThrough(token, node);
+    }
+
+    /**
+     * Timers: released by a token on another incoming path, or by their timeout
+     */
+    handleTimer(token, node, edgeId, key) {
+        const waiting = this.timers.get(key) || [];
+        const index = waiting.findIndex(w => w.edgeId !== edgeId);
+
+        if (index !== -1) {
+            // The arriving token is the trigger - it merges into the waiting one
+            const [released] = waiting.splice(index, 1);
+            this.record('trigger', released.token, node.id, edgeId);
+            this.leaveTimer(released.token, node, false);
+            return;
+        }
+
+        let timeout = parseDuration(node.properties.timeout);
+        if (Number.isNaN(timeout)) {
+            this.warnings.push(`Unreadable timeout "${node.properties.timeout}" at timer: ${node.properties.name}`);
+            timeout = null;
+        }
+
+        waiting.push({ token, edgeId });
+        this.timers.set(key, waiting);
+        this.record('wait', token, node.id, edgeId);
+        this.schedule(timeout === null ? null : this.now + timeout, { timeout: true, token, nodeId: node.id, key });
+    }
+
+    expireTimer({ token, nodeId, key }) {
+        const waiting = this.timers.get(key) || [];
+        const index = waiting.findIndex(w => w.token === token);
+        if (index === -1) return; // triggered in the meantime
+
+        waiting.splice(index, 1);
+        const node = token.frame.graph.getNode(nodeId);
+        this.record('timeout', token, nodeId);
+        this.leaveTimer(token, node, true);
+    }
+
+    leaveTimer(token, node, timedOut) {
+        const edges = this.outEdges(token.frame, node);
+        const edge = timedOut && edges.length > 1 ? edges[1] : edges[0];
+        if (!edge) {
+            this.errors.push(`Dead end at node: ${node.properties.name}`);
+            return;
+        }
+        this.move(token, edge);
+    }
+
+    handleEnd(token, node) {
+        const { frame } = token;
+        if (!this.holds(node, 'postcondition')) return;
+
+        if (!frame.parent) {
+            this.reachedEnds.push(node.id);
+            this.record('end', token, node.id);
+            return;
+        }
+
+        // Leave the plug-in map through the out-path bound to this end point
+        const stubName = frame.stub.properties.name;
+        const outEdge = frame.parent.graph.getEdge(resolveOutBinding(frame.plugin, node.id, frame.stub));
+        if (!outEdge) {
+            this.errors.push(`Unbound out-path at stub: ${stubName} (end point ${node.properties.name})`);
+            return;
+        }
+
+        token.frame = frame.parent;
+        this.record('exit', token, frame.stub.id, outEdge.id);
+        this.move(token, outEdge);
+    }
+
+    /**
+     * Enter the selected plug-in map at the start point bound to the incoming path
+     */
+    handleStub(token, stub, inEdgeId) {
+        const { frame } = token;
+        const stubName = stub.properties.name;
+
+        if (frame.depth >= MAX_STUB_DEPTH) {
+            this.errors.push(`Stub nesting too deep at: ${stubName}`);
+            return;
+        }
+
+        const plugin = this.selectPlugin(stub);
+        if (!plugin) {
+            this.errors.push(`No plug-in selected for stub: ${stubName}`);
+            return;
+        }
+
+        const pluginGraph = this.document.getMapGraph(plugin.mapId);
+        if (!pluginGraph) {
+            this.errors.push(`Plug-in map not found for stub: ${stubName}`);
+            return;
+        }
+
+        const startNode = resolveInBinding(plugin, inEdgeId, pluginGraph);
+        if (!startNode) {
+            this.errors.push(`Unbound in-path at stub: ${stubName}`);
+            return;
+        }
+
+        const trace = { stubId: stub.id, mapId: plugin.mapId, nodes: [], edges: [] };
+        this.stubTraversals.push(trace);
+
+        // Recorded in the stub's map, where the stub and its in-path are
+        this.record('enter', token, stub.id, inEdgeId);
+        token.frame = {
+            id: ++this.frameCounter,
+            graph: pluginGraph,
+            mapId: plugin.mapId,
+            depth: frame.depth + 1,
+            parent: frame,
+            stub,
+            plugin,
+            path: trace
+        };
+        this.schedule(this.now, { token, nodeId: startNode.id, edgeId: null });
+    }
+
+    /**
+     * Pick the plug-in of a stub. Static stubs use their only plug-in; dynamic
+     * stubs use the first plug-in whose condition holds, falling back to the
+     * first unconditional one.
+     */
+    selectPlugin(stub) {
+        const plugins = stub.properties.plugins || [];
+        if (stub.properties.stubType !== 'dynamic') {
+            return plugins[0] || null;
+        }
+
+        const mapName = (plugin) => this.document.getMap(plugin.mapId)?.name ?? plugin.mapId;
+        const matching = plugins.find(p => p.condition &&
+            this.test(p.condition, `Condition ${JSON.stringify(p.condition)} of plug-in ${mapName(p)} at stub ${stub.properties.name}`));
+        return matching || plugins.find(p => !p.condition) || null;
+    }
+
+    /**
+     * Evaluate a condition with the scenario's variables
+     * @returns {boolean|null} null when it cannot be evaluated (reported as an error)
+     */
+    test(condition, what) {
+        try {
+            const value = this.evaluate(condition, this.variables);
+            if (typeof value !== 'boolean') throw new ExpressionError(`${JSON.stringify(value)} is not a boolean`);
+            return value;
+        } catch (e) {
+            if (!(e instanceof ExpressionError)) throw e;
+            this.errors.push(`${what}: ${e.message}`);
+            return null;
+        }
+    }
+
+    /**
+     * Run a responsibility's code; all of it or nothing takes effect
+     * @returns {boolean} false when it failed (reported as an error)
+     */
+    execute(token, node) {
+        const code = node.properties.code;
+        if (typeof code !== 'string' || code.trim() === '') return true;
+
+        try {
+            const changes = executeStatements(code, this.variables, this.types);
+            Object.assign(this.variables, changes);
+            this.record('update', token, node.id, null, { changes });
+            return true;
+        } catch (e) {
+            if (!(e instanceof ExpressionError)) throw e;
+            this.errors.push(`Code of ${node.properties.name}: ${e.message}`);
+            return false;
+        }
+    }
+
+    /**
+     * Pre- and postconditions: empty ones always hold
+     */
+    holds(node, kind) {
+        const condition = node.properties[kind];
+        if (condition === undefined || condition === null || String(condition).trim() === '') return true;
+
+        const label = kind === 'precondition' ? 'Precondition' : 'Postcondition';
+        const result = this.test(condition, `${label} of ${node.properties.name}`);
+        if (result === false) this.errors.push(`${label} of ${node.properties.name} does not hold: ${condition}`);
+        return result === true;
+    }
+
+    /**
+     * Type-check every condition and piece of code the scenario may run on
+     * its map, so unknown variables show up even on branches the run does not take
+     */
+    checkConditions(mapGraph) {
+        const check = (condition, what, statements = false) => {
+            if (typeof condition !== 'string' || condition.trim() === '') return;
+            const { errors, unknown } = statements
+                ? checkStatements(condition, this.types)
+                : checkExpression(condition, this.types);
+            unknown.forEach(name => this.warnings.push(`${what}: Unknown variable "${name}"`));
+            errors.forEach(message => this.warnings.push(`${what}: ${message}`));
+        };
+
+        mapGraph.getAllEdges().forEach(edge => {
+            const condition = this.conditionOf(edge, this.root);
+            check(condition, `Guard ${JSON.stringify(condition)} of ${edgeConditionKey(edge, mapGraph)}`);
+        });
+        mapGraph.getAllNodes().forEach(node => {
+            const name = node.properties.name;
+            if (node.type === 'start') check(node.properties.precondition, `Precondition of ${name}`);
+            if (node.type === 'end') check(node.properties.postcondition, `Postcondition of ${name}`);
+            if (node.type === 'responsibility') check(node.properties.code, `Code of ${name}`, true);
+            if (node.type === 'stub' && node.properties.stubType === 'dynamic') {
+                (node.properties.plugins || []).forEach(p => check(p.condition, `Plug-in condition of stub ${name}`));
+            }
+        });
+    }
+
+    /**
+     * Tokens still held when nothing can move any more are deadlocked
+     */
+    finish() {
+        this.joins.forEach((arrivals, key) => {
+            const waiting = [...arrivals.values()].filter(tokens => tokens.length > 0).length;
+            if (waiting === 0) return;
+
+            const [token] = [...arrivals.values()].find(tokens => tokens.length > 0);
+            const node = token.frame.graph.getNode(key.split(':').slice(1).join(':'));
+            const total = node.inEdges.size;
+            this.errors.push(`AND-join ${node.properties.name} never synchronized - tokens arrived on ${waiting} of ${total} incoming paths`);
+        });
+    }
+}
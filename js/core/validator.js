@@ -3,6 +3,9 @@
  * Validates UCM structural constraints and best practices
  */
 
+import { checkExpression, checkStatements } from './expression.js';
+import { declaredVariables, declaredTypes } from './variables.js';
+
 export class UCMValidator {
     constructor() {
         this.issues = {
@@ -15,9 +18,10 @@ export class UCMValidator {
     /**
      * Validate the entire graph
      * @param {UCMGraph} graph - The graph to validate
+     * @param {UCMDocument} [document] - Document holding plug-in maps (enables stub plug-in checks)
      * @returns {Object} { valid: boolean, errors: [], warnings: [], info: [] }
      */
-    validate(graph) {
+    validate(graph, document = null) {
         // Reset issues
         this.issues = {
             errors: [],
@@ -32,6 +36,8 @@ export class UCMValidator {
         this.validateComponents(graph);
         this.validateEdgeConstraints(graph);
         this.validateOrphanedNodes(graph);
+        this.validateStubs(graph, document);
+        this.validateConditions(graph, document);
 
         return {
             valid: this.issues.errors.length === 0,
@@ -404,6 +410,123 @@ export class UCMValidator {
         });
     }
 
+    /**
+     * Validate stubs: plug-in presence and in/out path bindings
+     */
+    validateStubs(graph, document) {
+        const stubs = graph.getAllNodes().filter(n => n.type === 'stub');
+
+        stubs.forEach(stub => {
+            const name = stub.properties.name;
+            const plugins = stub.properties.plugins || [];
+
+            if (plugins.length === 0) {
+                this.issues.warnings.push({
+                    type: 'stub_no_plugin',
+                    nodeId: stub.id,
+                    nodeName: name,
+                    message: `Stub "${name}" has no plug-in map`,
+                    suggestion: 'Double-click the stub to create a plug-in map'
+                });
+                return;
+            }
+
+            if (stub.properties.stubType !== 'dynamic' && plugins.length > 1) {
+                this.issues.warnings.push({
+                    type: 'static_stub_multiple_plugins',
+                    nodeId: stub.id,
+                    nodeName: name,
+                    message: `Static stub "${name}" has ${plugins.length} plug-ins (only the first is used)`,
+                    suggestion: 'Make the stub dynamic or remove the extra plug-ins'
+                });
+            }
+
+            plugins.forEach(plugin => {
+                if (document && !document.getMap(plugin.mapId)) {
+                    this.issues.errors.push({
+                        type: 'stub_missing_plugin',
+                        nodeId: stub.id,
+                        nodeName: name,
+                        message: `Stub "${name}" references a missing plug-in map (${plugin.mapId})`,
+                        suggestion: 'Remove the plug-in or restore the map'
+                    });
+                    return;
+                }
+
+                const boundIn = new Set((plugin.inBindings || []).map(b => b.edgeId));
+                const boundOut = new Set((plugin.outBindings || []).map(b => b.edgeId));
+                const unboundIn = [...stub.inEdges].filter(id => !boundIn.has(id));
+                const unboundOut = [...stub.outEdges].filter(id => !boundOut.has(id));
+
+                // A single in/out path is bound implicitly
+                if (unboundIn.length > 0 && stub.inEdges.size > 1) {
+                    this.issues.warnings.push({
+                        type: 'stub_unbound_in',
+                        nodeId: stub.id,
+                        nodeName: name,
+                        message: `Stub "${name}" has ${unboundIn.length} unbound in-path(s)`,
+                        suggestion: 'Bind each incoming path to a start point of the plug-in map'
+                    });
+                }
+                if (unboundOut.length > 0 && stub.outEdges.size > 1) {
+                    this.issues.warnings.push({
+                        type: 'stub_unbound_out',
+                        nodeId: stub.id,
+                        nodeName: name,
+                        message: `Stub "${name}" has ${unboundOut.length} unbound out-path(s)`,
+                        suggestion: 'Bind each outgoing path to an end point of the plug-in map'
+                    });
+                }
+            });
+        });
+    }
+
+    /**
+     * Validate guards, plug-in conditions, pre/postconditions and
+     * responsibility code against the declared variables (of every map of
+     * the document)
+     */
+    validateConditions(graph, document) {
+        const types = declaredTypes(declaredVariables(graph, document));
+
+        const check = (condition, label, target, statements = false) => {
+            if (typeof condition !== 'string' || !condition.trim()) return;
+            const { errors, unknown } = statements ? checkStatements(condition, types) : checkExpression(condition, types);
+
+            unknown.forEach(name => {
+                this.issues.warnings.push({
+                    type: 'undeclared_variable',
+                    ...target,
+                    message: `${label} uses undeclared variable "${name}"`,
+                    suggestion: `Declare it, e.g. \`variable ${name} : boolean\``
+                });
+            });
+            errors.forEach(error => {
+                this.issues.errors.push({
+                    type: 'invalid_condition',
+                    ...target,
+                    message: `${label}: ${error}`,
+                    suggestion: 'Check the expression against the declared variable types'
+                });
+            });
+        };
+
+        const nameOf = (id) => graph.getNode(id)?.properties.name ?? id;
+        graph.getAllEdges().forEach(edge => {
+            check(edge.condition, `Guard of ${nameOf(edge.sourceNodeId)} -> ${nameOf(edge.targetNodeId)}`, { edgeId: edge.id });
+        });
+
+        graph.getAllNodes().forEach(node => {
+            const target = { nodeId: node.id, nodeName: node.properties.name };
+            check(node.properties.precondition, `Precondition of "${node.properties.name}"`, target);
+            check(node.properties.postcondition, `Postcondition of "${node.properties.name}"`, target);
+            if (node.type === 'responsibility') check(node.properties.code, `Code of "${node.properties.name}"`, target, true);
+            (node.properties.plugins || []).forEach(plugin => {
+                check(plugin.condition, `Plug-in condition of stub "${node.properties.name}"`, target);
+            });
+        });
+    }
+
     /**
      * Generate a human-readable report
      */
@@ -0,0 +1,115 @@
+/**
+ * UCM Variables - Typed, diagram-level variable declarations
+ *
+ * Like jUCMNav's URN variables, a variable is declared once on a map with a
+ * type and an initial value; scenarios only override initial values.
+ *   boolean   true / false (initially false)
+ *   integer   whole numbers (initially 0)
+ *   enum      one of a fixed list of literals (initially the first one)
+ *
+ * DSL:
+ *   variable paid : boolean = false
+ *   variable attempts : integer = 0
+ *   variable method : enum { card, cash } = card
+ *
+ * Declarations of all maps of a document are visible everywhere - the values
+ * travel with the scenario through stubs and plug-in maps.
+ */
+
+export const VARIABLE_TYPES = ['boolean', 'integer', 'enum'];
+
+export const VARIABLE_NAME = /^[A-Za-z_]\w*$/;
+
+/**
+ * Normalized declaration { name, type, values, initial } - a missing initial
+ * value becomes the type's default
+ */
+export function createVariable({ name, type, values = [], initial }) {
+    const variable = { name, type, values: type === 'enum' ? [...values] : [] };
+    variable.initial = initial === undefined || initial === null ? defaultValue(variable) : initial;
+    return variable;
+}
+
+export function defaultValue(variable) {
+    if (variable.type === 'integer') return 0;
+    if (variable.type === 'enum') return variable.values[0] ?? '';
+    return false;
+}
+
+/**
+ * Problem with a declaration itself (type, literals, initial value)
+ * @returns {string|null}
+ */
+export function checkDeclaration(variable) {
+    if (!VARIABLE_NAME.test(variable.name)) {
+        return `Invalid variable name "${variable.name}" (letters, digits and _ only)`;
+    }
+    if (!VARIABLE_TYPES.includes(variable.type)) {
+        return `Unknown type "${variable.type}" for variable ${variable.name} (expected ${VARIABLE_TYPES.join(', ')})`;
+    }
+    if (variable.type === 'enum') {
+        if (variable.values.length === 0) return `Enumeration ${variable.name} needs at least one value`;
+        const duplicate = variable.values.find((value, i) => variable.values.indexOf(value) !== i);
+        if (duplicate !== undefined) return `Enumeration ${variable.name} lists "${duplicate}" twice`;
+    }
+    return checkValue(variable, variable.initial);
+}
+
+/**
+ * Whether `value` fits the variable's type
+ * @returns {string|null} a message when it does not
+ */
+export function checkValue(variable, value) {
+    switch (variable.type) {
+        case 'boolean':
+            return typeof value === 'boolean' ? null : `${variable.name} is boolean - expected true or false, not ${JSON.stringify(value)}`;
+        case 'integer':
+            return Number.isInteger(value) ? null : `${variable.name} is integer - expected a whole number, not ${JSON.stringify(value)}`;
+        case 'enum':
+            return variable.values.includes(value) ? null
+                : `${variable.name} is one of ${variable.values.join(', ')} - not ${JSON.stringify(value)}`;
+        default:
+            return null;
+    }
+}
+
+/**
+ * Variables visible on a map: its own declarations, then those of the
+ * other maps of `document`
+ * @returns {Map<string, Object>} name -> declaration
+ */
+export function declaredVariables(mapGraph, document = null) {
+    const declared = new Map();
+    const add = (variables) => variables.forEach(v => {
+        if (!declared.has(v.name)) declared.set(v.name, v);
+    });
+
+    if (mapGraph) add(mapGraph.getAllVariables());
+    if (document) {
+        document.getAllMaps().forEach(map => {
+            const other = document.getMapGraph(map.id);
+            if (other && other !== mapGraph) add(other.getAllVariables());
+        });
+    }
+    return declared;
+}
+
+/**
+ * Types for checkExpression(): name -> 'boolean' | 'integer' | { type: 'enum', values }
+ */
+export function declaredTypes(declared) {
+    const types = {};
+    declared.forEach(v => {
+        types[v.name] = v.type === 'enum' ? { type: 'enum', values: v.values } : v.type;
+    });
+    return types;
+}
+
+/**
+ * Initial values of the declared variables with a scenario's overrides applied
+ */
+export function initialValues(declared, overrides = {}) {
+    const values = {};
+    declared.forEach(v => { values[v.name] = v.initial; });
+    return { ...values, ...overrides };
+}
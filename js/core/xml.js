@@ -0,0 +1,175 @@
+/**
+ * XML Reader - A small non-validating XML parser for model files
+ *
+ * Reads XMI (.jucm) files the same way in the browser and under plain Node:
+ * elements, attributes, character data, CDATA sections and the predefined
+ * and numeric character references. Comments, processing instructions and
+ * the DOCTYPE are skipped; namespace prefixes stay part of the names.
+ *
+ *   element = { name, attributes: { name: value }, children: [element], text, line }
+ * `text` is the element's own character data, `line` is 1-based.
+ */
+
+const ENTITIES = { lt: '<', gt: '>', amp: '&', quot: '"', apos: "'" };
+
+const NAME = /[A-Za-z_:][\w.:-]*/y;
+
+export class XmlError extends Error {
+    /**
+     * @param {string} message
+     * @param {number} line - 1-based line of the problem
+     */
+    constructor(message, line) {
+        super(`Line ${line}: ${message}`);
+        this.line = line;
+    }
+}
+
+/**
+ * Parse an XML document
+ * @returns {Object} the root element
+ * @throws {XmlError} on malformed XML
+ */
+export function parseXml(text) {
+    const lineStarts = [0];
+    for (let i = 0; i < text.length; i++) {
+        if (text[i] === '\n') lineStarts.push(i + 1);
+    }
+    const lineAt = (index) => {
+        let lo = 0;
+        let hi = lineStarts.length - 1;
+        while (lo < hi) {
+            const mid = (lo + hi + 1) >> 1;
+            if (lineStarts[mid] <= index) lo = mid; else hi = mid - 1;
+        }
+        return lo + 1;
+    };
+    const fail = (message, index) => {
+        throw new XmlError(message, lineAt(index));
+    };
+
+    const decode = (raw, index) => raw.replace(/&([^;&\s]*);?/g, (match, entity) => {
+        if (!match.endsWith(';')) fail('Unescaped "&"', index);
+        const numeric = entity.match(/^#(x[0-9a-f]+|\d+)$/i);
+        if (numeric) {
+            const value = numeric[1][0].toLowerCase() === 'x' ? parseInt(numeric[1].slice(1), 16) : parseInt(numeric[1], 10);
+            if (value > 0x10FFFF) fail(`Invalid character reference "${match}"`, index);
+            return String.fromCodePoint(value);
+        }
+        if (!(entity in ENTITIES)) fail(`Unknown entity "${match}"`, index);
+        return ENTITIES[entity];
+    });
+
+    let pos = 0;
+    const readName = () => {
+        NAME.lastIndex = pos;
+        const match = NAME.exec(text);
+        if (!match) fail('Expected a name', pos);
+        pos = NAME.lastIndex;
+        return match[0];
+    };
+    const skipSpace = () => {
+        while (pos < text.length && /\s/.test(text[pos])) pos++;
+    };
+    const skipPast = (terminator, what) => {
+        const end = text.indexOf(terminator, pos);
+        if (end === -1) fail(`Unterminated ${what}`, pos);
+        pos = end + terminator.length;
+        return end;
+    };
+
+    const stack = [];
+    let root = null;
+
+    while (pos < text.length) {
+        const tag = text.indexOf('<', pos);
+        const chunkEnd = tag === -1 ? text.length : tag;
+        if (chunkEnd > pos) {
+            const chunk = text.slice(pos, chunkEnd);
+            if (stack.length > 0) {
+                stack[stack.length - 1].text += decode(chunk, pos);
+            } else if (chunk.trim()) {
+                fail('Text outside of the root element', pos);
+            }
+        }
+        if (tag === -1) break;
+        pos = tag;
+
+        if (text.startsWith('<!--', pos)) {
+            skipPast('-->', 'comment');
+        } else if (text.startsWith('<![CDATA[', pos)) {
+            const start = pos + 9;
+            const end = skipPast(']]>', 'CDATA section');
+            if (stack.length === 0) fail('CDATA outside of the root element', start);
+            stack[stack.length - 1].text += text.slice(start, end);
+        } else if (text.startsWith('<?', pos)) {
+            skipPast('?>', 'processing instruction');
+        } else if (text.startsWith('<!', pos)) {
+            // DOCTYPE - its internal subset may contain '>' inside brackets
+            const subset = text.indexOf('[', pos);
+            const close = text.indexOf('>', pos);
+            if (subset !== -1 && subset < close) {
+                pos = subset;
+                skipPast(']', 'DOCTYPE');
+            }
+            skipPast('>', 'DOCTYPE');
+        } else if (text.startsWith('</', pos)) {
+            const start = pos;
+            pos += 2;
+            const name = readName();
+            skipSpace();
+            if (text[pos] !== '>') fail(`Expected ">" to close </${name}`, pos);
+            pos++;
+            const open = stack.pop();
+            if (!open) fail(`Unexpected closing tag </${name}>`, start);
+            if (open.name !== name) fail(`Closing tag </${name}> does not match <${open.name}> (line ${open.line})`, start);
+        } else {
+            const start = pos;
+            pos++;
+            const element = { name: readName(), attributes: {}, children: [], text: '', line: lineAt(start) };
+
+            for (;;) {
+                skipSpace();
+                if (text.startsWith('/>', pos) || text[pos] === '>') break;
+                if (pos >= text.length) fail(`Unterminated tag <${element.name}>`, start);
+
+                const attrStart = pos;
+                const name = readName();
+                skipSpace();
+                if (text[pos] !== '=') fail(`Expected "=" after attribute ${name}`, pos);
+                pos++;
+                skipSpace();
+                const quote = text[pos];
+                if (quote !== '"' && quote !== "'") fail(`Expected a quoted value for attribute ${name}`, pos);
+                const valueStart = ++pos;
+                const end = skipPast(quote, `value of attribute ${name}`);
+                if (name in element.attributes) fail(`Duplicate attribute ${name}`, attrStart);
+                const raw = text.slice(valueStart, end);
+                if (raw.includes('<')) fail(`"<" in the value of attribute ${name}`, attrStart);
+                element.attributes[name] = decode(raw.replace(/[\t\n\r]/g, ' '), attrStart);
+            }
+
+            if (stack.length > 0) {
+                stack[stack.length - 1].children.push(element);
+            } else if (root) {
+                fail('More than one root element', start);
+            } else {
+                root = element;
+            }
+
+            if (text[pos] === '/') {
+                pos += 2;
+            } else {
+                pos++;
+                stack.push(element);
+            }
+        }
+    }
+
+    if (stack.length > 0) {
+        const open = stack[stack.length - 1];
+        throw new XmlError(`Unclosed element <${open.name}>`, open.line);
+    }
+    if (!root) throw new XmlError('No root element', 1);
+    return root;
+}
@@ -12,6 +12,7 @@ import { graph } from '../core/graph.js';
 import { selection } from './selection.js';
 import { transforms } from './canvas-transforms.js';
 import { renderer } from './canvas-renderer.js';
+import { openStub } from '../core/stubs.js';
 
 class CanvasInteractions {
     constructor() {
@@ -407,7 +408,7 @@ class CanvasInteractions {
             return;
         }
 
-        // Double-click on empty node to convert to responsibility
+        // Double-click on empty node to convert to responsibility, on a stub to drill down
         const nodeElement = e.target.closest('.ucm-node');
         if (nodeElement) {
             const nodeId = nodeElement.getAttribute('data-node-id');
@@ -416,6 +417,8 @@ class CanvasInteractions {
             if (node && node.type === 'empty') {
                 graph.updateNode(nodeId, { type: 'responsibility' });
                 renderer.renderNode(node);
+            } else if (node && node.type === 'stub') {
+                openStub(nodeId);
             }
         }
     }
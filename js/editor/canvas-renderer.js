@@ -7,10 +7,11 @@
  * - Selection highlighting
  * - Resize handles
  * - Ghost elements (path creation preview)
+ * - Scenario highlighting, debugger tokens, the coverage heatmap and critical paths
  */
 
 import { graph } from '../core/graph.js';
-import { createNodeSVG, createNodeLabel, createEdgeSVG, calculateEdgePath, getMidpoint, getAngle, NODE_TYPES, COMPONENT_TYPES, calculateIncomingAngle, createArrowMarker } from '../core/node-types.js';
+import { createNodeSVG, createNodeLabel, createEdgeSVG, calculateEdgePath, getMidpoint, getAngle, NODE_TYPES, COMPONENT_TYPES, calculateIncomingAngle, createArrowMarker, createConditionLabel } from '../core/node-types.js';
 import { tracing } from '../core/tracing.js';
 
 class CanvasRenderer {
@@ -202,8 +203,8 @@ class CanvasRenderer {
      * @param {Object} node - Node to update
      */
     updateNodeRender(node) {
-        // For end nodes, re-render to update bar rotation
-        if (node.type === 'end') {
+        // For end nodes, re-render to update bar rotation (stubs: static/dynamic outline)
+        if (node.type === 'end' || node.type === 'stub') {
             this.renderNode(node);
         } else {
             const nodeSVG = this.layers.nodes.querySelector(`[data-node-id="${node.id}"]`);
@@ -321,6 +322,12 @@ class CanvasRenderer {
             arrow.setAttribute('fill', strokeColor);
         }
 
+        // Update Guard Label (kept below the hit area so it doesn't block selection)
+        group.querySelectorAll('.edge-condition-label').forEach(el => el.remove());
+        if (edge.condition) {
+            group.insertBefore(createConditionLabel(edge.condition, midPoint, angle), hitPath);
+        }
+
         // Update Start/End Arrow Markers
         const startArrow = style.startArrow || 'none';
         const endArrow = style.endArrow || 'none';
@@ -696,6 +703,200 @@ class CanvasRenderer {
             this.highlightScenarioPath(pathData);
         }
     }
+
+    // ============================================
+    // Scenario Debugger
+    // ============================================
+
+    /**
+     * Get (or create) a group on top of the selection layer
+     */
+    getOverlayGroup(className) {
+        let group = this.layers.selection.querySelector(`.${className}`);
+        if (!group) {
+            group = document.createElementNS('http://www.w3.org/2000/svg', 'g');
+            group.setAttribute('class', className);
+            this.layers.selection.appendChild(group);
+        }
+        return group;
+    }
+
+    /**
+     * Show the debugger's tokens: moving tokens glide along their edge to
+     * the node they are heading for, waiting ones sit on their node
+     * @param {Array} tokens - [{ id, nodeId, edgeId, state }] on the current map
+     * @param {Object} options - { color, duration } (duration of the move in ms)
+     */
+    showTokens(tokens, { color = '#ff6b6b', duration = 400 } = {}) {
+        const group = this.getOverlayGroup('scenario-token-group');
+        group.innerHTML = '';
+
+        tokens.forEach(token => {
+            const node = graph.getNode(token.nodeId);
+            if (!node) return;
+
+            const circle = document.createElementNS('http://www.w3.org/2000/svg', 'circle');
+            circle.setAttribute('class', `scenario-token ${token.state}`);
+            circle.setAttribute('r', '7');
+            circle.setAttribute('fill', color);
+            circle.setAttribute('data-token-id', token.id);
+
+            const title = document.createElementNS('http://www.w3.org/2000/svg', 'title');
+            title.textContent = `Token ${token.id} (${token.state})`;
+            circle.appendChild(title);
+
+            const edgePath = token.state === 'moving' && token.edgeId
+                ? this.layers.edges.querySelector(`[data-edge-id="${token.edgeId}"] .ucm-edge`)
+                : null;
+
+            if (edgePath && duration > 0) {
+                // Move from the source node along the edge's path, ending on the target
+                const motion = document.createElementNS('http://www.w3.org/2000/svg', 'animateMotion');
+                motion.setAttribute('path', edgePath.getAttribute('d'));
+                motion.setAttribute('dur', `${duration}ms`);
+                motion.setAttribute('begin', 'indefinite');
+                motion.setAttribute('fill', 'freeze');
+                circle.appendChild(motion);
+                group.appendChild(circle);
+                motion.beginElement?.();
+            } else {
+                // Waiting tokens are offset so several at one node stay visible
+                const offset = token.state === 'waiting' ? 10 : 0;
+                circle.setAttribute('cx', node.position.x + offset);
+                circle.setAttribute('cy', node.position.y - offset);
+                group.appendChild(circle);
+            }
+        });
+    }
+
+    /**
+     * Remove the debugger's tokens
+     */
+    clearTokens() {
+        const group = this.layers.selection.querySelector('.scenario-token-group');
+        if (group) group.innerHTML = '';
+    }
+
+    /**
+     * Mark the nodes that have a breakpoint
+     * @param {Array<string>} nodeIds
+     */
+    showBreakpoints(nodeIds) {
+        const group = this.getOverlayGroup('scenario-breakpoint-group');
+        group.innerHTML = '';
+
+        nodeIds.forEach(nodeId => {
+            const node = graph.getNode(nodeId);
+            if (!node) return;
+
+            const marker = document.createElementNS('http://www.w3.org/2000/svg', 'circle');
+            marker.setAttribute('class', 'scenario-breakpoint');
+            marker.setAttribute('cx', node.position.x - 14);
+            marker.setAttribute('cy', node.position.y - 14);
+            marker.setAttribute('r', '5');
+            marker.setAttribute('data-breakpoint-node', nodeId);
+            group.appendChild(marker);
+        });
+    }
+
+    // ============================================
+    // Scenario Coverage
+    // ============================================
+
+    /**
+     * Heatmap of the current map: uncovered elements in red, covered ones
+     * from pale to deep green by the number of scenarios that passed them
+     * @param {Object} hits - { nodes: { id: n }, edges: { id: n } } for this map
+     * @param {number} scenarioCount - Scenarios the counts are out of
+     */
+    showCoverage(hits, scenarioCount) {
+        const group = this.getOverlayGroup('coverage-heatmap-group');
+        group.innerHTML = '';
+
+        const heat = (count) => {
+            if (!count) return '#e03131';
+            const share = scenarioCount > 0 ? Math.min(count / scenarioCount, 1) : 1;
+            return `hsl(140, 60%, ${Math.round(70 - share * 40)}%)`;
+        };
+
+        graph.getAllEdges().forEach(edge => {
+            const edgePath = this.layers.edges.querySelector(`[data-edge-id="${edge.id}"] .ucm-edge`);
+            if (!edgePath) return;
+
+            const count = hits.edges[edge.id] || 0;
+            const path = document.createElementNS('http://www.w3.org/2000/svg', 'path');
+            path.setAttribute('class', `coverage-edge ${count ? 'covered' : 'uncovered'}`);
+            path.setAttribute('d', edgePath.getAttribute('d'));
+            path.setAttribute('stroke', heat(count));
+            path.setAttribute('data-coverage-edge', edge.id);
+            group.appendChild(path);
+        });
+
+        graph.getAllNodes().filter(node => node.type !== 'empty').forEach(node => {
+            const count = hits.nodes[node.id] || 0;
+            const ring = document.createElementNS('http://www.w3.org/2000/svg', 'circle');
+            ring.setAttribute('class', `coverage-node ${count ? 'covered' : 'uncovered'}`);
+            ring.setAttribute('cx', node.position.x);
+            ring.setAttribute('cy', node.position.y);
+            ring.setAttribute('r', '14');
+            ring.setAttribute('stroke', heat(count));
+            ring.setAttribute('data-coverage-node', node.id);
+            group.appendChild(ring);
+        });
+    }
+
+    /**
+     * Remove the coverage heatmap
+     */
+    clearCoverage() {
+        const group = this.layers.selection.querySelector('.coverage-heatmap-group');
+        if (group) group.innerHTML = '';
+    }
+
+    // ============================================
+    // Simulation Critical Path
+    // ============================================
+
+    /**
+     * Trace a critical path of the current map over its edges and nodes
+     * @param {Object} path - { nodes: [ids], edges: [ids] }
+     */
+    showCriticalPath({ nodes, edges }) {
+        const group = this.getOverlayGroup('critical-path-group');
+        group.innerHTML = '';
+
+        edges.forEach(edgeId => {
+            const edgePath = this.layers.edges.querySelector(`[data-edge-id="${edgeId}"] .ucm-edge`);
+            if (!edgePath) return;
+
+            const path = document.createElementNS('http://www.w3.org/2000/svg', 'path');
+            path.setAttribute('class', 'critical-path-edge');
+            path.setAttribute('d', edgePath.getAttribute('d'));
+            path.setAttribute('data-critical-edge', edgeId);
+            group.appendChild(path);
+        });
+
+        nodes.forEach(nodeId => {
+            const node = graph.getNode(nodeId);
+            if (!node || node.type === 'empty') return;
+
+            const ring = document.createElementNS('http://www.w3.org/2000/svg', 'circle');
+            ring.setAttribute('class', 'critical-path-node');
+            ring.setAttribute('cx', node.position.x);
+            ring.setAttribute('cy', node.position.y);
+            ring.setAttribute('r', '14');
+            ring.setAttribute('data-critical-node', nodeId);
+            group.appendChild(ring);
+        });
+    }
+
+    /**
+     * Remove the critical path
+     */
+    clearCriticalPath() {
+        const group = this.layers.selection.querySelector('.critical-path-group');
+        if (group) group.innerHTML = '';
+    }
 }
 
 export const renderer = new CanvasRenderer();
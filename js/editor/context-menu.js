@@ -7,6 +7,7 @@ import { graph } from '../core/graph.js';
 import { selection } from './selection.js';
 import { canvas } from './canvas.js';
 import { convertToFork, convertToJoin, addBranch, toggleForkType, toggleJoinType } from '../core/fork-join.js';
+import { convertToStub, toggleStubType, openStub } from '../core/stubs.js';
 
 class ContextMenu {
     constructor() {
@@ -118,11 +119,25 @@ class ContextMenu {
                     items.push({ label: '◆ Convert to AND-Fork', action: 'to-and-fork' });
                     items.push({ label: '◇ Convert to OR-Join', action: 'to-or-join' });
                     items.push({ label: '◆ Convert to AND-Join', action: 'to-and-join' });
+                    items.push({ label: '◇ Convert to Stub', action: 'to-stub' });
                     break;
 
                 case 'responsibility':
                     items.push({ label: '○ Convert to Empty', action: 'to-empty' });
                     items.push({ label: '⏰ Convert to Timer', action: 'to-timer' });
+                    items.push({ label: '◇ Convert to Stub', action: 'to-stub' });
+                    break;
+
+                case 'stub':
+                    items.push({ label: '⤵ Open Plug-in', action: 'open-stub' });
+                    items.push({
+                        label: node.properties.stubType === 'dynamic'
+                            ? '◇ Make Static Stub'
+                            : '◇ Make Dynamic Stub',
+                        action: 'toggle-stub-type'
+                    });
+                    items.push({ separator: true });
+                    items.push({ label: '○ Convert to Empty', action: 'to-empty' });
                     break;
 
                 case 'timer':
@@ -165,6 +180,7 @@ class ContextMenu {
         if (this.targetEdge) {
             items.push({ label: '✕ Insert Responsibility', action: 'insert-resp-on-edge' });
             items.push({ label: '○ Add Waypoint', action: 'insert-empty-on-edge' });
+            items.push({ label: '◇ Insert Stub', action: 'insert-stub-on-edge' });
             items.push({ separator: true });
             items.push({ label: '◇ Insert OR-Fork', action: 'insert-or-fork' });
             items.push({ label: '◆ Insert AND-Fork', action: 'insert-and-fork' });
@@ -231,6 +247,20 @@ class ContextMenu {
                 canvas.renderAll();
                 break;
 
+            case 'to-stub':
+                convertToStub(this.targetNode.id);
+                canvas.renderAll();
+                break;
+
+            case 'toggle-stub-type':
+                toggleStubType(this.targetNode.id);
+                canvas.renderAll();
+                break;
+
+            case 'open-stub':
+                openStub(this.targetNode.id);
+                break;
+
             case 'add-branch':
                 // Add branch with offset from fork position
                 addBranch(this.targetNode.id,
@@ -270,6 +300,10 @@ class ContextMenu {
                 this.insertNodeOnEdge(this.targetEdge, 'timer');
                 break;
 
+            case 'insert-stub-on-edge':
+                this.insertNodeOnEdge(this.targetEdge, 'stub');
+                break;
+
             case 'straighten-edge':
                 graph.updateEdge(this.targetEdge.id, { controlPoints: [] });
                 canvas.renderAll();
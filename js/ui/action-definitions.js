@@ -117,11 +117,30 @@ function getNodeConversionActions(node) {
                 { id: 'convert-to-or-fork', label: 'Convert to OR-Fork', icon: '◇', category: 'Convert' },
                 { id: 'convert-to-and-fork', label: 'Convert to AND-Fork', icon: '◆', category: 'Convert' },
                 { id: 'convert-to-or-join', label: 'Convert to OR-Join', icon: '◇', category: 'Convert' },
-                { id: 'convert-to-and-join', label: 'Convert to AND-Join', icon: '◆', category: 'Convert' }
+                { id: 'convert-to-and-join', label: 'Convert to AND-Join', icon: '◆', category: 'Convert' },
+                { id: 'convert-to-stub', label: 'Convert to Stub', icon: '◇', category: 'Convert' }
             );
             break;
 
         case 'responsibility':
+            actions.push({ id: 'convert-to-empty', label: 'Convert to Empty', icon: '○', category: 'Convert' });
+            actions.push({ id: 'convert-to-stub', label: 'Convert to Stub', icon: '◇', category: 'Convert' });
+            break;
+
+        case 'stub':
+            actions.push({
+                id: 'open-stub',
+                label: 'Open Plug-in',
+                icon: '⤵',
+                category: 'Stub',
+                tooltip: 'Drill down into the plug-in map (creates one if missing)'
+            });
+            actions.push({
+                id: 'toggle-stub-type',
+                label: node.properties.stubType === 'dynamic' ? 'Make Static' : 'Make Dynamic',
+                icon: '◇',
+                category: 'Convert'
+            });
             actions.push({ id: 'convert-to-empty', label: 'Convert to Empty', icon: '○', category: 'Convert' });
             break;
 
@@ -180,6 +199,14 @@ export function getEdgeActions(edge, getNode) {
         tooltip: 'Add a waypoint to bend the path'
     });
 
+    actions.push({
+        id: 'insert-stub-on-edge',
+        label: 'Insert Stub',
+        icon: '◇',
+        category: 'Insert',
+        tooltip: 'Insert a stub that refines this path with a plug-in map'
+    });
+
     // Fork insertion
     actions.push({
         id: 'insert-or-fork-on-edge',
@@ -6,9 +6,11 @@
  */
 
 import { graph } from '../core/graph.js';
+import { ucmDocument } from '../core/document.js';
 import { selection } from '../editor/selection.js';
 import { convertToFork, convertToJoin, addBranch, toggleForkType, toggleJoinType, insertForkOnPath } from '../core/fork-join.js';
 import { validator } from '../core/validator.js';
+import { convertToStub, toggleStubType, openStub } from '../core/stubs.js';
 
 /**
  * Execute an action by ID
@@ -67,6 +69,15 @@ export function executeAction(actionId, context) {
         case 'toggle-join-type':
             if (node) toggleJoinType(node.id);
             break;
+        case 'convert-to-stub':
+            if (node) convertToStub(node.id);
+            break;
+        case 'toggle-stub-type':
+            if (node) toggleStubType(node.id);
+            break;
+        case 'open-stub':
+            if (node) openStub(node.id);
+            break;
         case 'add-branch':
             if (node) addBranch(node.id, node.position.x + 100, node.position.y + 80);
             break;
@@ -78,6 +89,9 @@ export function executeAction(actionId, context) {
         case 'insert-timer-on-edge':
             if (edge) insertNodeOnEdge(edge, 'timer');
             break;
+        case 'insert-stub-on-edge':
+            if (edge) insertNodeOnEdge(edge, 'stub');
+            break;
         case 'insert-waypoint-on-edge':
             if (edge) insertNodeOnEdge(edge, 'empty');
             break;
@@ -314,7 +328,7 @@ function addComponentAtCenter(compType) {
  * Validate the diagram and show results
  */
 function validateDiagram() {
-    const result = validator.validate(graph);
+    const result = validator.validate(graph, ucmDocument);
     const report = validator.generateReport(result);
 
     // Log to console
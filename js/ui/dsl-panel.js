@@ -1,11 +1,14 @@
 /**
  * DSL Panel - Live Code Editor for UCM DSL
+ * Edits the whole document: with several maps, each map is a `ucm "Name" { }` block
  */
 
 import { graph } from '../core/graph.js';
+import { ucmDocument } from '../core/document.js';
 import { canvas } from '../editor/canvas.js';
 import { serializer } from '../core/serializer.js';
 import { parser } from '../core/parser.js';
+import { scenarioManager } from '../core/scenario.js';
 import { notifications } from './notifications.js';
 import { debounce } from '../utils/debounce.js';
 
@@ -15,6 +18,8 @@ class DslPanel {
         this.applyBtn = null;
         this.statusEl = null;
         this.errorListEl = null;
+        this.highlightEl = null;
+        this.issues = [];
         this.isUpdatingFromGraph = false;
 
         // Debounce the update to avoid lagging during drag operations
@@ -25,6 +30,7 @@ class DslPanel {
         this.editor = document.getElementById('dsl-editor');
         this.applyBtn = document.getElementById('btn-apply-dsl');
         this.statusEl = document.getElementById('editor-status');
+        this.highlightEl = document.getElementById('dsl-highlights');
 
         if (!this.editor || !this.applyBtn) return;
 
@@ -33,6 +39,14 @@ class DslPanel {
 
         this.applyBtn.addEventListener('click', () => this.applyDsl());
 
+        // Underlines refer to the text they were computed for - drop them on edit
+        this.editor.addEventListener('input', () => this.renderMarks([]));
+        this.editor.addEventListener('scroll', () => {
+            if (!this.highlightEl) return;
+            this.highlightEl.scrollTop = this.editor.scrollTop;
+            this.highlightEl.scrollLeft = this.editor.scrollLeft;
+        });
+
         // Keyboard shortcut: Ctrl+Enter to apply
         this.editor.addEventListener('keydown', (e) => {
             if (e.ctrlKey && e.key === 'Enter') {
@@ -50,8 +64,15 @@ class DslPanel {
         graph.on('component:removed', () => this.updateFromGraphDebounced());
         graph.on('edge:added', () => this.updateFromGraphDebounced());
         graph.on('edge:removed', () => this.updateFromGraphDebounced());
+        ['variable:added', 'variable:updated', 'variable:removed']
+            .forEach(event => graph.on(event, () => this.updateFromGraphDebounced()));
         graph.on('graph:loaded', () => this.updateFromGraphDebounced());
         graph.on('graph:cleared', () => this.updateFromGraphDebounced());
+        ucmDocument.on('map:added', () => this.updateFromGraphDebounced());
+        ucmDocument.on('map:updated', () => this.updateFromGraphDebounced());
+        ucmDocument.on('map:removed', () => this.updateFromGraphDebounced());
+        ['scenario:created', 'scenario:updated', 'scenario:deleted', 'scenarios:loaded', 'scenarios:cleared']
+            .forEach(event => scenarioManager.on(event, () => this.updateFromGraphDebounced()));
 
         // Setup drag & drop for .ucm files
         this.setupDragDrop();
@@ -62,17 +83,17 @@ class DslPanel {
 
     createErrorList() {
         // Insert error list after the editor
-        const container = this.editor.parentElement;
+        const anchor = this.editor.closest('.dsl-editor-wrap') || this.editor;
         this.errorListEl = document.createElement('div');
         this.errorListEl.id = 'dsl-errors';
         this.errorListEl.className = 'dsl-error-list';
-        container.insertBefore(this.errorListEl, this.editor.nextSibling);
+        anchor.parentElement.insertBefore(this.errorListEl, anchor.nextSibling);
     }
 
     updateFromGraph() {
         if (this.isUpdatingFromGraph) return;
 
-        const dsl = this.serialize(graph);
+        const dsl = this.serialize();
         this.editor.value = dsl;
         this.setStatus('Synced', 'synced');
         this.clearErrors();
@@ -88,12 +109,22 @@ class DslPanel {
 
         try {
             this.isUpdatingFromGraph = true;
-            const result = parser.parse(text, graph);
+            // Only what changed is applied - IDs, the active map and scenarios survive
+            const result = parser.parseDocument(text, ucmDocument);
+            const changeCount = result.operations.length;
 
             if (result.success) {
                 this.setStatus('Applied', 'success');
                 this.clearErrors();
-                notifications.success('DSL applied successfully');
+                notifications.success(changeCount > 0
+                    ? `DSL applied - ${changeCount} change${changeCount > 1 ? 's' : ''}`
+                    : 'DSL applied - no changes');
+
+                // Legacy v2 text is only read - the editor continues in v3
+                if (result.dialect === 'v2') {
+                    this.editor.value = this.serialize();
+                    notifications.info('Converted from DUCM v2 to the current syntax');
+                }
 
                 // Show warnings if any
                 if (result.warnings.length > 0) {
@@ -128,30 +159,104 @@ class DslPanel {
             this.errorListEl.style.display = 'none';
         }
         this.editor.classList.remove('has-errors');
+        this.renderMarks([]);
     }
 
     showErrors(errors, type = 'error') {
         if (!this.errorListEl || errors.length === 0) return;
 
-        this.errorListEl.innerHTML = errors.map(err => `
-            <div class="dsl-error-item ${type}" data-line="${err.line}">
-                <span class="error-line">Line ${err.line}:</span>
-                <span class="error-message">${err.message}</span>
+        this.issues = errors.map(err => ({ ...err, type }));
+        this.errorListEl.innerHTML = this.issues.map((err, i) => `
+            <div class="dsl-error-item ${type}" data-index="${i}">
+                <span class="error-line">Line ${err.line}${err.column ? `:${err.column}` : ''}:</span>
+                <span class="error-message">${this.escapeHtml(err.message)}</span>
             </div>
         `).join('');
 
         this.errorListEl.style.display = 'block';
         this.editor.classList.add('has-errors');
+        this.renderMarks(this.issues);
 
-        // Click to jump to line
+        // Click to select the offending span
         this.errorListEl.querySelectorAll('.dsl-error-item').forEach(item => {
             item.addEventListener('click', () => {
-                const line = parseInt(item.dataset.line, 10);
-                this.goToLine(line);
+                const issue = this.issues[parseInt(item.dataset.index, 10)];
+                if (issue.column) {
+                    this.selectSpan(issue);
+                } else {
+                    this.goToLine(issue.line);
+                }
             });
         });
     }
 
+    /**
+     * Character offsets of an issue's span in the editor text. Spans that
+     * cover no visible text (a missing token at the end of a line) move to
+     * the last character before them.
+     */
+    spanOffsets(issue, text, lineStarts) {
+        const offsetOf = (line, column) =>
+            Math.min((lineStarts[line - 1] ?? text.length) + column - 1, text.length);
+
+        let start = offsetOf(issue.line, issue.column);
+        let end = offsetOf(issue.endLine ?? issue.line, issue.endColumn ?? issue.column + 1);
+
+        if (!text.slice(start, end).trim()) {
+            while (start > 0 && /\s/.test(text[start - 1])) start--;
+            start = Math.max(start - 1, 0);
+            end = start + 1;
+        }
+        return { start, end };
+    }
+
+    lineStarts(text) {
+        const starts = [0];
+        for (let i = 0; i < text.length; i++) {
+            if (text[i] === '\n') starts.push(i + 1);
+        }
+        return starts;
+    }
+
+    /**
+     * Underline issue spans on the layer behind the editor
+     */
+    renderMarks(issues) {
+        if (!this.highlightEl) return;
+
+        const text = this.editor.value;
+        const starts = this.lineStarts(text);
+        const spans = issues
+            .filter(issue => issue.column)
+            .map(issue => ({ ...this.spanOffsets(issue, text, starts), issue }))
+            .sort((a, b) => a.start - b.start);
+
+        let html = '';
+        let pos = 0;
+        spans.forEach(({ start, end, issue }) => {
+            if (start < pos) return; // overlapping spans keep the first
+            html += this.escapeHtml(text.slice(pos, start));
+            html += `<mark class="dsl-mark ${issue.type}" title="${this.escapeHtml(issue.message)}">`
+                + `${this.escapeHtml(text.slice(start, end))}</mark>`;
+            pos = end;
+        });
+        // A trailing space keeps the layer as tall as the textarea after a final newline
+        this.highlightEl.innerHTML = html + this.escapeHtml(text.slice(pos)) + ' ';
+        this.highlightEl.scrollTop = this.editor.scrollTop;
+    }
+
+    selectSpan(issue) {
+        const text = this.editor.value;
+        const { start, end } = this.spanOffsets(issue, text, this.lineStarts(text));
+        this.editor.focus();
+        this.editor.setSelectionRange(start, end);
+    }
+
+    escapeHtml(text) {
+        const entities = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;' };
+        return String(text).replace(/[&<>"]/g, ch => entities[ch]);
+    }
+
     goToLine(lineNum) {
         const lines = this.editor.value.split('\n');
         let pos = 0;
@@ -201,8 +306,8 @@ class DslPanel {
         });
     }
 
-    serialize(graph) {
-        return serializer.serialize(graph);
+    serialize() {
+        return serializer.serializeDocument(ucmDocument);
     }
 
     // Load DSL from text (used by import)
@@ -11,11 +11,13 @@
  */
 
 import { graph } from '../core/graph.js';
+import { ucmDocument } from '../core/document.js';
 import { selection } from '../editor/selection.js';
 import { buildPathTree, getPathCount, getComponentCount } from './hierarchy-tree-builder.js';
 import {
     renderPathsSection,
     renderComponentsSection,
+    renderStubsSection,
     renderNodeItem,
     renderComponentItem
 } from './hierarchy-renderer.js';
@@ -23,7 +25,8 @@ import {
 class HierarchyPanel {
     constructor() {
         this.container = null;
-        this.expandedGroups = new Set(['paths', 'components']);
+        this.expandedGroups = new Set(['paths', 'components', 'stubs']);
+        this.stubSignature = '';
     }
 
     init() {
@@ -60,6 +63,10 @@ class HierarchyPanel {
         graph.on('node:bound', (data) => this.handleNodeBinding(data));
         graph.on('node:unbound', () => this.render());
 
+        // Plug-in map renames/removals change stub children
+        ucmDocument.on('map:updated', () => this.render());
+        ucmDocument.on('map:removed', () => this.render());
+
         selection.on('selection:changed', () => this.updateSelectionState());
     }
 
@@ -83,6 +90,13 @@ class HierarchyPanel {
             html += renderComponentsSection(components, this.expandedGroups);
         }
 
+        // Stubs Section
+        const stubs = graph.getNodesByType('stub');
+        this.stubSignature = this.getStubSignature(stubs);
+        if (stubs.length > 0) {
+            html += renderStubsSection(stubs, this.expandedGroups);
+        }
+
         this.container.innerHTML = html;
         this.attachEventListeners();
         this.updateSelectionState();
@@ -95,8 +109,8 @@ class HierarchyPanel {
     handleNodeAdded(node) {
         if (!this.container) return;
 
-        // Start nodes affect path structure - need full re-render
-        if (node.type === 'start') {
+        // Start nodes affect path structure, stubs add a section - need full re-render
+        if (node.type === 'start' || node.type === 'stub') {
             this.render();
             return;
         }
@@ -112,6 +126,13 @@ class HierarchyPanel {
     updateNodeInTree(node) {
         if (!this.container) return;
 
+        // Stub plug-ins/type changed (or a node became a stub) - rebuild the stubs section
+        const stubSignature = this.getStubSignature(graph.getNodesByType('stub'));
+        if (stubSignature !== this.stubSignature) {
+            this.render();
+            return;
+        }
+
         const nodeElement = this.container.querySelector(`[data-node-id="${node.id}"]`);
         if (nodeElement) {
             // Optimization: If simple property update, just update text/icon
@@ -148,6 +169,11 @@ class HierarchyPanel {
     removeNodeFromTree(nodeId) {
         if (!this.container) return;
 
+        if (this.stubSignature.includes(`"${nodeId}"`)) {
+            this.render();
+            return;
+        }
+
         const nodeElement = this.container.querySelector(`[data-node-id="${nodeId}"]`);
         if (nodeElement) {
             nodeElement.remove();
@@ -270,6 +296,16 @@ class HierarchyPanel {
         this.updateComponentChildren(componentId);
     }
 
+    /**
+     * Cheap fingerprint of everything the stubs section displays
+     */
+    getStubSignature(stubs) {
+        return JSON.stringify(stubs.map(s => [
+            s.id, s.properties.name, s.properties.stubType,
+            (s.properties.plugins || []).map(p => [p.mapId, p.condition])
+        ]));
+    }
+
     // ============================================
     // Count Updates
     // ============================================
@@ -333,6 +369,14 @@ class HierarchyPanel {
         this.container.querySelectorAll('.tree-item[data-edge-id]').forEach(item => {
             this.attachEdgeEventListener(item, item.dataset.edgeId);
         });
+
+        // Drill down into plug-in maps
+        this.container.querySelectorAll('.tree-item[data-stub-id]').forEach(item => {
+            item.addEventListener('click', (e) => {
+                e.stopPropagation();
+                ucmDocument.enterStub(item.dataset.stubId, parseInt(item.dataset.pluginIndex, 10));
+            });
+        });
     }
 
     attachEdgeEventListener(element, edgeId) {
@@ -5,11 +5,19 @@
  * - Rendering path tree items
  * - Rendering component tree items
  * - Rendering node items
+ * - Rendering stubs with their plug-in maps
  */
 
 import { graph } from '../core/graph.js';
+import { ucmDocument } from '../core/document.js';
 import { NODE_TYPES, COMPONENT_TYPES } from '../core/node-types.js';
 
+function escapeHtml(text) {
+    const div = document.createElement('div');
+    div.textContent = text;
+    return div.innerHTML;
+}
+
 /**
  * Render the paths section of the hierarchy tree
  * @param {Array} pathTrees - Array of path tree structures
@@ -69,6 +77,76 @@ export function renderComponentsSection(components, expandedGroups) {
     return html;
 }
 
+/**
+ * Render the stubs section of the hierarchy tree
+ * @param {Array} stubs - Array of stub nodes
+ * @param {Set} expandedGroups - Set of expanded group IDs
+ * @returns {string} HTML string
+ */
+export function renderStubsSection(stubs, expandedGroups) {
+    const isExpanded = expandedGroups.has('stubs');
+
+    let html = `
+        <div class="tree-node">
+            <div class="tree-item" data-group="stubs">
+                <span class="tree-toggle ${isExpanded ? 'expanded' : ''}">▶</span>
+                <span class="tree-icon stub">◇</span>
+                <span class="tree-label">Stubs (${stubs.length})</span>
+            </div>
+            <div class="tree-children ${isExpanded ? '' : 'collapsed'}">
+    `;
+
+    stubs.forEach(stub => {
+        html += renderStubItem(stub, expandedGroups);
+    });
+
+    html += `   </div>
+        </div>`;
+
+    return html;
+}
+
+/**
+ * Render a stub with its plug-in maps as children
+ * @param {Object} stub - The stub node
+ * @param {Set} expandedGroups - Set of expanded group IDs
+ * @returns {string} HTML string
+ */
+export function renderStubItem(stub, expandedGroups) {
+    const plugins = stub.properties.plugins || [];
+    const isExpanded = expandedGroups.has(`stub_${stub.id}`);
+    const kind = stub.properties.stubType === 'dynamic' ? 'dynamic' : 'static';
+
+    let html = `
+        <div class="tree-node">
+            <div class="tree-item" data-group="stub_${stub.id}" data-node-id="${stub.id}">
+                <span class="tree-toggle ${isExpanded ? 'expanded' : ''}"
+                      style="${plugins.length > 0 ? '' : 'visibility: hidden;'}">▶</span>
+                <span class="tree-icon stub">◇</span>
+                <span class="tree-label">${escapeHtml(stub.properties.name || stub.id)}</span>
+                <span class="stub-kind" title="${kind} stub">${kind === 'dynamic' ? 'dyn' : ''}</span>
+            </div>
+            <div class="tree-children ${isExpanded ? '' : 'collapsed'}">
+    `;
+
+    plugins.forEach((plugin, index) => {
+        const map = ucmDocument.getMap(plugin.mapId);
+        const condition = plugin.condition
+            ? `<span class="plugin-condition" title="Selection condition">[${escapeHtml(plugin.condition)}]</span>`
+            : '';
+        html += `
+            <div class="tree-item plugin-item ${map ? '' : 'disabled'}" data-stub-id="${stub.id}" data-plugin-index="${index}">
+                <span class="tree-toggle" style="visibility: hidden;">▶</span>
+                <span class="tree-icon plugin">⤵</span>
+                <span class="tree-label">${map ? escapeHtml(map.name) : 'Missing map'}</span>
+                ${condition}
+            </div>`;
+    });
+
+    html += `</div></div>`;
+    return html;
+}
+
 /**
  * Render a path tree item (recursive)
  * @param {Object} item - Path tree item
@@ -117,21 +117,8 @@ class KeyboardManager {
     }
 
     save() {
-        // Trigger save (download JSON)
-        const data = {
-            nodes: graph.getAllNodes(),
-            edges: graph.getAllEdges(),
-            components: graph.getAllComponents()
-        };
-
-        const json = JSON.stringify(data, null, 2);
-        const blob = new Blob([json], { type: 'application/json' });
-        const url = URL.createObjectURL(blob);
-        const a = document.createElement('a');
-        a.href = url;
-        a.download = `ucm-diagram-${Date.now()}.json`;
-        a.click();
-        URL.revokeObjectURL(url);
+        // Trigger save (download JSON) - the whole document with its scenarios
+        exporter.exportJSON(`ucm-diagram-${Date.now()}.json`);
 
         console.log('💾 Saved diagram');
     }
@@ -0,0 +1,73 @@
+/**
+ * Map Breadcrumb - Shows where the canvas is while drilled down into stubs
+ *
+ * Rendered on top of the canvas: Main › Stub (Plug-in) › ...
+ * Clicking an ancestor (or "Up") walks back up the stub navigation stack.
+ */
+
+import { ucmDocument } from '../core/document.js';
+
+class MapBreadcrumb {
+    constructor() {
+        this.container = null;
+    }
+
+    init() {
+        this.container = document.getElementById('map-breadcrumb');
+        if (!this.container) return;
+
+        ucmDocument.on('navigation:changed', () => this.render());
+        ucmDocument.on('document:reset', () => this.render());
+        ucmDocument.on('document:loaded', () => this.render());
+        ucmDocument.on('map:updated', () => this.render());
+
+        this.container.addEventListener('click', (e) => {
+            const target = e.target.closest('[data-depth]');
+            if (!target) return;
+            this.goToDepth(parseInt(target.dataset.depth, 10));
+        });
+
+        this.render();
+    }
+
+    /**
+     * Pop the navigation stack until `depth` levels remain
+     */
+    goToDepth(depth) {
+        while (ucmDocument.navigationStack.length > depth) {
+            ucmDocument.exitStub();
+        }
+    }
+
+    render() {
+        if (!this.container) return;
+
+        const path = ucmDocument.getNavigationPath();
+        if (path.length <= 1) {
+            this.container.classList.add('hidden');
+            this.container.innerHTML = '';
+            return;
+        }
+
+        const items = path.map((entry, i) => {
+            const label = entry.stubName ? `${this.escapeHtml(entry.stubName)} (${this.escapeHtml(entry.name)})` : this.escapeHtml(entry.name);
+            return i === path.length - 1
+                ? `<span class="crumb current">${label}</span>`
+                : `<button class="crumb" data-depth="${i}">${label}</button>`;
+        });
+
+        this.container.innerHTML = `
+            <button class="crumb-up" data-depth="${path.length - 2}" title="Back to parent map">↑ Up</button>
+            ${items.join('<span class="crumb-sep">›</span>')}
+        `;
+        this.container.classList.remove('hidden');
+    }
+
+    escapeHtml(text) {
+        const div = document.createElement('div');
+        div.textContent = text;
+        return div.innerHTML;
+    }
+}
+
+export const mapBreadcrumb = new MapBreadcrumb();
@@ -0,0 +1,112 @@
+/**
+ * Map Tabs - Tab strip for switching between the maps of a document
+ *
+ * Click a tab to open the map, double-click to rename it,
+ * "+" adds a new empty map and "×" removes one (the root map stays).
+ */
+
+import { ucmDocument } from '../core/document.js';
+import { notifications } from './notifications.js';
+
+class MapTabs {
+    constructor() {
+        this.container = null;
+    }
+
+    init() {
+        this.container = document.getElementById('map-tabs');
+        if (!this.container) return;
+
+        ['document:reset', 'document:loaded', 'map:added', 'map:updated', 'map:removed', 'map:activated']
+            .forEach(event => ucmDocument.on(event, () => this.render()));
+
+        this.container.addEventListener('click', (e) => {
+            if (e.target.closest('.map-tab-add')) {
+                this.addMap();
+                return;
+            }
+
+            const closeBtn = e.target.closest('.map-tab-close');
+            if (closeBtn) {
+                e.stopPropagation();
+                this.removeMap(closeBtn.dataset.mapId);
+                return;
+            }
+
+            const tab = e.target.closest('.map-tab');
+            if (tab) ucmDocument.openMap(tab.dataset.mapId);
+        });
+
+        this.container.addEventListener('dblclick', (e) => {
+            const tab = e.target.closest('.map-tab');
+            if (tab) this.renameMap(tab.dataset.mapId);
+        });
+
+        this.render();
+    }
+
+    addMap() {
+        const map = ucmDocument.addMap(this.nextMapName());
+        ucmDocument.openMap(map.id);
+    }
+
+    nextMapName() {
+        let i = ucmDocument.getAllMaps().length + 1;
+        while (ucmDocument.getMapByName(`Map${i}`)) i++;
+        return `Map${i}`;
+    }
+
+    renameMap(mapId) {
+        const map = ucmDocument.getMap(mapId);
+        if (!map) return;
+
+        const name = prompt('Map name:', map.name);
+        if (!name || name === map.name) return;
+
+        if (ucmDocument.getMapByName(name)) {
+            notifications.warning(`A map named "${name}" already exists`);
+            return;
+        }
+        ucmDocument.renameMap(mapId, name);
+    }
+
+    removeMap(mapId) {
+        const map = ucmDocument.getMap(mapId);
+        if (!map || mapId === ucmDocument.rootMapId) return;
+        if (!confirm(`Delete map "${map.name}"?`)) return;
+
+        if (mapId === ucmDocument.activeMapId) {
+            ucmDocument.openMap(ucmDocument.rootMapId);
+        }
+        if (!ucmDocument.removeMap(mapId)) {
+            notifications.warning(`Map "${map.name}" could not be deleted`);
+        }
+    }
+
+    render() {
+        if (!this.container) return;
+
+        const tabs = ucmDocument.getAllMaps().map(map => {
+            const active = map.id === ucmDocument.activeMapId ? ' active' : '';
+            const close = map.id === ucmDocument.rootMapId
+                ? ''
+                : `<span class="map-tab-close" data-map-id="${map.id}" title="Delete map">×</span>`;
+            return `<div class="map-tab${active}" data-map-id="${map.id}" title="Double-click to rename">
+                <span class="map-tab-name">${this.escapeHtml(map.name)}</span>${close}
+            </div>`;
+        });
+
+        this.container.innerHTML = `
+            ${tabs.join('')}
+            <button class="map-tab-add" title="Add map">+</button>
+        `;
+    }
+
+    escapeHtml(text) {
+        const div = document.createElement('div');
+        div.textContent = text;
+        return div.innerHTML;
+    }
+}
+
+export const mapTabs = new MapTabs();
@@ -33,6 +33,8 @@ class NotificationManager {
      * @param {Object} options - Optional settings
      * @param {number} options.duration - Duration in ms before auto-dismiss (0 = no auto-dismiss)
      * @param {boolean} options.dismissible - Whether clicking dismisses (default: true)
+     * @param {Object} options.details - A table under the message: { columns: [...], rows: [[...], ...] }.
+     *   Notifications with details stay until closed.
      * @returns {HTMLElement} The notification element
      */
     show(message, type = 'info', options = {}) {
@@ -42,8 +44,9 @@ class NotificationManager {
         }
 
         const {
-            duration = this.defaultDuration,
-            dismissible = true
+            details = null,
+            duration = details ? 0 : this.defaultDuration,
+            dismissible = !details
         } = options;
 
         // Create notification element
@@ -54,9 +57,12 @@ class NotificationManager {
         const icon = this.getIcon(type);
 
         // Create message element
-        const messageEl = document.createElement('span');
+        const messageEl = document.createElement('div');
         messageEl.className = 'notification-message';
         messageEl.textContent = message;
+        if (details) {
+            messageEl.appendChild(this.createDetails(details));
+        }
 
         // Create close button
         const closeBtn = document.createElement('button');
@@ -139,6 +145,34 @@ class NotificationManager {
         [...this.notifications].forEach(n => this.dismiss(n));
     }
 
+    /**
+     * Build the scrollable details table of a notification
+     * @param {Object} details - { columns: [...], rows: [[...], ...] }
+     * @returns {HTMLElement}
+     */
+    createDetails({ columns = [], rows = [] }) {
+        const wrapper = document.createElement('div');
+        wrapper.className = 'notification-details';
+        const table = document.createElement('table');
+
+        const addRow = (parent, cells, tag) => {
+            const tr = document.createElement('tr');
+            cells.forEach(cell => {
+                const el = document.createElement(tag);
+                el.textContent = cell ?? '';
+                tr.appendChild(el);
+            });
+            parent.appendChild(tr);
+        };
+
+        if (columns.length > 0) addRow(table.createTHead(), columns, 'th');
+        const body = table.createTBody();
+        rows.forEach(row => addRow(body, row, 'td'));
+
+        wrapper.appendChild(table);
+        return wrapper;
+    }
+
     /**
      * Get the icon SVG for a notification type
      * @param {string} type - The notification type
@@ -0,0 +1,118 @@
+/**
+ * Performance Panel - Response times and utilization of the open map
+ *
+ * Re-runs analyzePerformance (performance.js) as the map changes and
+ * exports the map as an LQN model for external solvers.
+ */
+
+import { graph } from '../core/graph.js';
+import { analyzePerformance } from '../core/performance.js';
+import { exporter } from '../core/exporter.js';
+
+// Graph events that can change the analysis
+const EVENTS = [
+    'node:added', 'node:removed', 'node:updated', 'node:bound', 'node:unbound',
+    'edge:added', 'edge:removed', 'edge:updated',
+    'component:added', 'component:removed', 'component:updated',
+    'graph:loaded', 'graph:cleared'
+];
+
+const formatTime = (ms) => {
+    if (!Number.isFinite(ms)) return '∞';
+    return ms >= 1000 ? `${(ms / 1000).toFixed(2)} s` : `${Math.round(ms * 10) / 10} ms`;
+};
+
+class PerformancePanel {
+    constructor() {
+        this.container = null;
+        this.renderTimer = null;
+    }
+
+    init() {
+        this.container = document.getElementById('performance-analysis');
+        if (!this.container) return;
+
+        // Node drags update on every move - analyze once they settle
+        EVENTS.forEach(event => graph.on(event, () => this.scheduleRender()));
+        this.render();
+    }
+
+    scheduleRender() {
+        clearTimeout(this.renderTimer);
+        this.renderTimer = setTimeout(() => this.render(), 200);
+    }
+
+    render() {
+        if (!this.container) return;
+
+        const analysis = analyzePerformance(graph);
+        if (analysis.starts.length === 0) {
+            this.container.innerHTML = `
+                <div class="empty-state">
+                    <p>No start points</p>
+                    <p class="hint">Add execution times to responsibilities and arrival rates to start points</p>
+                </div>
+            `;
+            return;
+        }
+
+        const issues = [
+            ...analysis.errors.map(issue => ({ ...issue, severity: 'error' })),
+            ...analysis.warnings.map(issue => ({ ...issue, severity: 'warning' }))
+        ];
+
+        this.container.innerHTML = `
+            <div class="performance-toolbar">
+                <span class="performance-title">Open workload</span>
+                <button class="btn-small" id="btn-performance-lqnx" title="Download LQN model (.lqnx)">LQNX</button>
+            </div>
+
+            <table class="performance-table">
+                <thead><tr><th>Start point</th><th>Arrivals</th><th>Response</th></tr></thead>
+                <tbody>
+                    ${analysis.starts.map(start => `
+                    <tr>
+                        <td>${this.escapeHtml(start.name)}</td>
+                        <td>${start.arrivalRate ? `${start.arrivalRate}/s` : '—'}</td>
+                        <td>${formatTime(start.responseTime)}</td>
+                    </tr>`).join('')}
+                </tbody>
+            </table>
+
+            ${analysis.components.length > 0 ? `
+            <table class="performance-table">
+                <thead><tr><th>Component</th><th>Servers</th><th>Utilization</th></tr></thead>
+                <tbody>
+                    ${analysis.components.map(comp => {
+                        const percent = Math.round(comp.utilization * 100);
+                        return `
+                    <tr class="${comp.saturated ? 'saturated' : ''}">
+                        <td>${this.escapeHtml(comp.name)}</td>
+                        <td>${comp.multiplicity}</td>
+                        <td>
+                            <div class="utilization-bar"><span style="width: ${Math.min(percent, 100)}%"></span></div>
+                            ${percent}%
+                        </td>
+                    </tr>`;
+                    }).join('')}
+                </tbody>
+            </table>` : ''}
+
+            ${issues.length > 0 ? `
+            <ul class="performance-issues">
+                ${issues.map(issue => `<li class="${issue.severity}">${this.escapeHtml(issue.message)}</li>`).join('')}
+            </ul>` : ''}
+        `;
+
+        this.container.querySelector('#btn-performance-lqnx')
+            .addEventListener('click', () => exporter.exportLQNX());
+    }
+
+    escapeHtml(text) {
+        const div = document.createElement('div');
+        div.textContent = text || '';
+        return div.innerHTML;
+    }
+}
+
+export const performancePanel = new PerformancePanel();
@@ -5,17 +5,20 @@
 import { graph } from '../core/graph.js';
 import { selection } from '../editor/selection.js';
 import { NODE_TYPES, COMPONENT_TYPES } from '../core/node-types.js';
+import { ucmDocument } from '../core/document.js';
+import { addPlugin, removePlugin, updatePlugin, createPluginMap, autoBind, openStub } from '../core/stubs.js';
 
 class PropertiesPanel {
     constructor() {
         this.container = null;
         this.currentElement = null;
-        this.currentType = null; // 'node' | 'edge' | 'component'
+        this.currentType = null; // 'node' | 'edge' | 'component' | 'diagram'
     }
 
     init() {
         this.container = document.getElementById('properties-content');
         this.subscribeToEvents();
+        this.showPlaceholder();
     }
 
     subscribeToEvents() {
@@ -44,14 +47,91 @@ class PropertiesPanel {
                 this.showComponentProperties(comp.id);
             }
         });
+
+        ['metadata:updated', 'graph:loaded', 'graph:cleared'].forEach(event => {
+            graph.on(event, () => {
+                if (this.currentType === 'diagram') this.showDiagramProperties();
+            });
+        });
     }
 
+    /**
+     * Nothing selected: show the diagram metadata
+     */
     showPlaceholder() {
+        this.showDiagramProperties();
+    }
+
+    showDiagramProperties() {
         this.currentElement = null;
-        this.currentType = null;
+        this.currentType = 'diagram';
+
+        const meta = graph.metadata;
+        const formatDate = (iso) => iso ? new Date(iso).toLocaleString() : '—';
+        const textRow = (label, id, value, placeholder) => `
+                <div class="property-row">
+                    <label class="property-label">${label}</label>
+                    <div class="property-value">
+                        <input type="text" class="property-input" id="${id}" value="${this.escapeHtml(value || '')}" placeholder="${placeholder}">
+                    </div>
+                </div>`;
+
         this.container.innerHTML = `
-            <p class="placeholder-text">Select an element to view properties</p>
+            <!-- Header: Diagram Name -->
+            <div style="margin-bottom: 12px;">
+                <input type="text"
+                       class="panel-header-input"
+                       id="prop-meta-name"
+                       value="${this.escapeHtml(meta.name || '')}"
+                       placeholder="Untitled">
+
+                <div class="panel-quick-info">
+                    <span class="type-badge">Diagram</span>
+                </div>
+            </div>
+
+            <div class="property-group">
+                <div class="property-row">
+                    <textarea class="property-input property-textarea"
+                              id="prop-meta-description"
+                              placeholder="Description..."
+                              style="min-height: 60px;">${this.escapeHtml(meta.description || '')}</textarea>
+                </div>
+            </div>
+
+            <div class="property-group">
+                <div class="property-group-header">Metadata</div>
+                ${textRow('Author', 'prop-meta-author', meta.author, 'Name')}
+                ${textRow('Version', 'prop-meta-version', meta.version, '1.0')}
+                ${textRow('Tags', 'prop-meta-tags', meta.tags.join(', '), 'tag1, tag2')}
+                <div class="property-row">
+                    <label class="property-label">Created</label>
+                    <div class="property-value" style="font-size: 11px; color: var(--text-secondary);">${formatDate(meta.created)}</div>
+                </div>
+                <div class="property-row">
+                    <label class="property-label">Modified</label>
+                    <div class="property-value" style="font-size: 11px; color: var(--text-secondary);">${formatDate(meta.modified)}</div>
+                </div>
+            </div>
+
+            <p class="placeholder-text">Select an element to view its properties</p>
         `;
+
+        const fields = {
+            'prop-meta-name': 'name',
+            'prop-meta-description': 'description',
+            'prop-meta-author': 'author',
+            'prop-meta-version': 'version',
+            'prop-meta-tags': 'tags'
+        };
+        Object.entries(fields).forEach(([id, key]) => {
+            const input = document.getElementById(id);
+            if (!input) return;
+            input.addEventListener('change', () => {
+                const value = key === 'name' ? (input.value.trim() || 'Untitled') : input.value;
+                graph.updateMetadata({ [key]: value });
+            });
+        });
     }
 
     showMultiSelection(nodeCount, edgeCount, compCount) {
@@ -133,6 +213,8 @@ class PropertiesPanel {
                 </div>
             </div>` : ''}
 
+            ${editableFields.includes('stubType') ? this.renderStubGroup(node) : ''}
+
             <!-- Conditions (Advanced) -->
             ${(editableFields.includes('precondition') || editableFields.includes('postcondition')) ? `
             <div class="property-group">
@@ -153,6 +235,38 @@ class PropertiesPanel {
                 </div>` : ''}
             </div>` : ''}
 
+            <!-- Code (responsibilities) -->
+            ${editableFields.includes('code') ? `
+            <div class="property-group">
+                <div class="property-group-header">Code</div>
+                <div class="property-row">
+                    <label class="property-label">Updates</label>
+                    <div class="property-value">
+                        <input type="text" class="property-input" id="prop-code" value="${this.escapeHtml(node.properties.code || '')}" placeholder="retries = retries + 1">
+                    </div>
+                </div>
+            </div>` : ''}
+
+            <!-- Performance -->
+            ${(editableFields.includes('executionTime') || editableFields.includes('arrivalRate')) ? `
+            <div class="property-group">
+                <div class="property-group-header">Performance</div>
+                ${editableFields.includes('executionTime') ? `
+                <div class="property-row">
+                    <label class="property-label">Demand (ms)</label>
+                    <div class="property-value">
+                        <input type="text" class="property-input" id="prop-executionTime" value="${this.escapeHtml(node.properties.executionTime ?? '')}" placeholder="20 or uniform(10, 30)" title="Service time per visit: ms, fixed(), uniform(), exponential() or normal()">
+                    </div>
+                </div>` : ''}
+                ${editableFields.includes('arrivalRate') ? `
+                <div class="property-row">
+                    <label class="property-label">Arrivals (/s)</label>
+                    <div class="property-value">
+                        <input type="number" class="property-input" id="prop-arrivalRate" min="0" step="any" value="${this.escapeHtml(node.properties.arrivalRate ?? '')}" placeholder="Requests per second">
+                    </div>
+                </div>` : ''}
+            </div>` : ''}
+
             <!-- Timer Properties -->
             ${editableFields.includes('timeout') ? `
             <div class="property-group">
@@ -202,6 +316,60 @@ class PropertiesPanel {
         this.attachPropertyListeners(nodeId);
     }
 
+    /**
+     * Stub type and plug-in map list
+     */
+    renderStubGroup(node) {
+        const isDynamic = node.properties.stubType === 'dynamic';
+        const plugins = node.properties.plugins || [];
+        const attached = new Set(plugins.map(p => p.mapId));
+        const available = ucmDocument.getPluginMaps().filter(m => !attached.has(m.id));
+
+        const pluginRows = plugins.map((plugin, index) => {
+            const map = ucmDocument.getMap(plugin.mapId);
+            return `
+                <div class="property-row">
+                    <label class="property-label" title="${this.escapeHtml(map ? map.name : plugin.mapId)}">${this.escapeHtml(map ? map.name : 'Missing map')}</label>
+                    <div class="property-value" style="display: flex; gap: 4px;">
+                        ${isDynamic ? `<input type="text" class="property-input prop-plugin-condition" data-plugin-index="${index}"
+                               value="${this.escapeHtml(plugin.condition || '')}" placeholder="condition" style="flex: 1;">` : '<span style="flex: 1;"></span>'}
+                        <button class="secondary-btn btn-open-plugin" data-plugin-index="${index}" title="Open plug-in map">⤵</button>
+                        <button class="secondary-btn btn-remove-plugin" data-plugin-index="${index}" title="Detach plug-in">×</button>
+                    </div>
+                </div>`;
+        }).join('');
+
+        return `
+            <div class="property-group">
+                <div class="property-group-header">Stub</div>
+                <div class="property-row">
+                    <label class="property-label">Type</label>
+                    <div class="property-value">
+                        <select class="property-input property-select" id="prop-stubType">
+                            <option value="static" ${!isDynamic ? 'selected' : ''}>Static (one plug-in)</option>
+                            <option value="dynamic" ${isDynamic ? 'selected' : ''}>Dynamic (selected by condition)</option>
+                        </select>
+                    </div>
+                </div>
+                ${pluginRows || '<p class="placeholder-text">No plug-in maps yet</p>'}
+                ${(isDynamic || plugins.length === 0) ? `
+                <div class="property-row">
+                    <label class="property-label">Add</label>
+                    <div class="property-value" style="display: flex; gap: 4px;">
+                        <select class="property-input property-select" id="prop-plugin-add" style="flex: 1;">
+                            <option value="">New plug-in map</option>
+                            ${available.map(m => `<option value="${m.id}">${this.escapeHtml(m.name)}</option>`).join('')}
+                        </select>
+                        <button class="secondary-btn" id="btn-add-plugin">+</button>
+                    </div>
+                </div>` : ''}
+                ${plugins.length > 0 ? `
+                <button class="secondary-btn" id="btn-autobind-plugins" style="width: 100%; margin-top: 6px;" title="Bind unbound in/out paths to plug-in start/end points in order">
+                    Auto-bind Paths
+                </button>` : ''}
+            </div>`;
+    }
+
     showEdgeProperties(edgeId) {
         const edge = graph.getEdge(edgeId);
         if (!edge) {
@@ -238,6 +406,18 @@ class PropertiesPanel {
                 </div>
             </div>
 
+            ${this.isBranch(sourceNode) ? `
+            <!-- Branch Probability -->
+            <div class="property-group">
+                <div class="property-row">
+                    <label class="property-label">Probability</label>
+                    <div class="property-value">
+                        <input type="number" class="property-input" id="prop-edge-probability" min="0" max="1" step="any"
+                               value="${this.escapeHtml(props.probability ?? '')}" placeholder="Share of the other branches">
+                    </div>
+                </div>
+            </div>` : ''}
+
             <!-- Line Style -->
             <div class="property-group">
                 <div class="property-group-header">Line Style</div>
@@ -328,18 +508,18 @@ class PropertiesPanel {
                 </div>
             </div>
 
-            <!-- Condition -->
+            <!-- Guard -->
             <div class="property-group">
                 <div class="property-group-header">Logic</div>
                 <div class="property-row">
-                    <label class="property-label">Condition</label>
+                    <label class="property-label">Guard</label>
                     <div class="property-value">
                         <input type="text"
                                class="property-input panel-header-input"
                                style="font-size: 14px; font-weight: 400;"
                                id="prop-condition"
                                value="${this.escapeHtml(edge.condition || '')}"
-                               placeholder="true">
+                               placeholder="e.g. x > 5">
                     </div>
                 </div>
             </div>
@@ -367,6 +547,7 @@ class PropertiesPanel {
 
         const typeInfo = COMPONENT_TYPES[comp.type] || COMPONENT_TYPES.team;
         const nameValue = comp.properties.name || '';
+        const usage = ucmDocument.getDefinitionUsage(comp.properties.definitionId);
         const namePlaceholder = typeInfo.name;
 
         let html = `
@@ -400,6 +581,18 @@ class PropertiesPanel {
                 </div>
             </div>
 
+            ${usage.length > 1 ? `
+            <!-- Shared Definition -->
+            <div class="property-group">
+                <div class="property-row">
+                    <label class="property-label">Shared</label>
+                    <div class="property-value" style="font-size: 11px; color: var(--text-secondary);"
+                         title="Renaming or changing the kind updates all maps">
+                        ${usage.map(u => this.escapeHtml(u.name)).join(', ')}
+                    </div>
+                </div>
+            </div>` : ''}
+
             <!-- Dimensions -->
             <div class="property-group">
                 <div class="property-group-header">Dimensions</div>
@@ -413,6 +606,18 @@ class PropertiesPanel {
                 </div>
             </div>
             
+            <!-- Performance -->
+            <div class="property-group">
+                <div class="property-group-header">Performance</div>
+                <div class="property-row">
+                    <label class="property-label">Multiplicity</label>
+                    <div class="property-value">
+                        <input type="number" class="property-input" id="prop-comp-multiplicity" min="1" step="1"
+                               value="${this.escapeHtml(comp.properties.multiplicity ?? '')}" placeholder="1" title="Servers (threads or replicas) that share the work">
+                    </div>
+                </div>
+            </div>
+
             <!-- Bound Elements -->
             <div class="property-group">
                 <div class="property-group-header">Contents</div>
@@ -471,6 +676,13 @@ class PropertiesPanel {
             });
         }
 
+        const multiplicityInput = document.getElementById('prop-comp-multiplicity');
+        if (multiplicityInput) {
+            multiplicityInput.addEventListener('change', () => {
+                graph.updateComponent(compId, { properties: { multiplicity: this.readNumber(multiplicityInput) } });
+            });
+        }
+
         const deleteBtn = document.getElementById('btn-delete-comp');
         if (deleteBtn) {
             deleteBtn.addEventListener('click', () => {
@@ -528,6 +740,22 @@ class PropertiesPanel {
             });
         }
 
+        // Code
+        const codeInput = document.getElementById('prop-code');
+        if (codeInput) {
+            codeInput.addEventListener('change', () => {
+                graph.updateNode(nodeId, { properties: { code: codeInput.value } });
+            });
+        }
+
+        // Performance annotations
+        ['executionTime', 'arrivalRate'].forEach(key => {
+            const input = document.getElementById(`prop-${key}`);
+            input?.addEventListener('change', () => {
+                graph.updateNode(nodeId, { properties: { [key]: this.readNumber(input) } });
+            });
+        });
+
         // Timeout
         const timeoutInput = document.getElementById('prop-timeout');
         if (timeoutInput) {
@@ -549,6 +777,53 @@ class PropertiesPanel {
             });
         }
 
+        // Stub type and plug-ins
+        const stubTypeSelect = document.getElementById('prop-stubType');
+        if (stubTypeSelect) {
+            stubTypeSelect.addEventListener('change', () => {
+                graph.updateNode(nodeId, { properties: { stubType: stubTypeSelect.value } });
+            });
+        }
+
+        this.container.querySelectorAll('.prop-plugin-condition').forEach(input => {
+            input.addEventListener('change', () => {
+                updatePlugin(nodeId, parseInt(input.dataset.pluginIndex, 10), { condition: input.value });
+            });
+        });
+
+        this.container.querySelectorAll('.btn-open-plugin').forEach(btn => {
+            btn.addEventListener('click', () => {
+                openStub(nodeId, parseInt(btn.dataset.pluginIndex, 10));
+            });
+        });
+
+        this.container.querySelectorAll('.btn-remove-plugin').forEach(btn => {
+            btn.addEventListener('click', () => {
+                removePlugin(nodeId, parseInt(btn.dataset.pluginIndex, 10));
+            });
+        });
+
+        const addPluginBtn = document.getElementById('btn-add-plugin');
+        if (addPluginBtn) {
+            addPluginBtn.addEventListener('click', () => {
+                const mapId = document.getElementById('prop-plugin-add').value;
+                if (mapId) {
+                    addPlugin(nodeId, mapId);
+                    autoBind(nodeId, graph.getNode(nodeId).properties.plugins.length - 1);
+                } else {
+                    createPluginMap(nodeId);
+                }
+            });
+        }
+
+        const autoBindBtn = document.getElementById('btn-autobind-plugins');
+        if (autoBindBtn) {
+            autoBindBtn.addEventListener('click', () => {
+                const plugins = graph.getNode(nodeId).properties.plugins || [];
+                plugins.forEach((_, index) => autoBind(nodeId, index));
+            });
+        }
+
         // Convert to responsibility
         const convertBtn = document.getElementById('btn-convert-responsibility');
         if (convertBtn) {
@@ -572,6 +847,14 @@ class PropertiesPanel {
     }
 
     attachEdgePropertyListeners(edgeId) {
+        // Branch probability
+        const probabilityInput = document.getElementById('prop-edge-probability');
+        if (probabilityInput) {
+            probabilityInput.addEventListener('change', () => {
+                graph.updateEdge(edgeId, { properties: { probability: this.readNumber(probabilityInput) } });
+            });
+        }
+
         // Stroke Color (color picker and text input)
         const colorPicker = document.getElementById('prop-stroke-color');
         const colorText = document.getElementById('prop-stroke-color-text');
@@ -633,11 +916,11 @@ class PropertiesPanel {
             });
         }
 
-        // Condition
+        // Guard condition
         const conditionInput = document.getElementById('prop-condition');
         if (conditionInput) {
             conditionInput.addEventListener('change', () => {
-                graph.updateEdge(edgeId, { condition: conditionInput.value });
+                graph.updateEdge(edgeId, { condition: conditionInput.value.trim() || null });
             });
         }
 
@@ -652,6 +935,25 @@ class PropertiesPanel {
         }
     }
 
+    /**
+     * Whether the edges leaving `node` are alternatives (they take probabilities)
+     */
+    isBranch(node) {
+        if (!node || node.outEdges.size < 2) return false;
+        return !(node.type === 'fork' && node.properties.forkType === 'and');
+    }
+
+    /**
+     * Value of a number input as a property: blank removes it, anything
+     * unparsable is kept as typed so the analysis can report it
+     */
+    readNumber(input) {
+        const text = input.value.trim();
+        if (text === '') return undefined;
+        const n = Number(text);
+        return Number.isFinite(n) ? n : text;
+    }
+
     escapeHtml(text) {
         const div = document.createElement('div');
         div.textContent = text;
@@ -4,11 +4,19 @@
  * Based on jUCMNav's scenario management:
  * - List and manage scenario definitions
  * - Execute scenarios to highlight paths
+ * - Step through a scenario with the debugger (tokens animate on the canvas)
+ * - Run all scenarios against their expectations (pass/fail table, JUnit/JSON reports)
+ * - Coverage of the scenario runs (heatmap on the canvas, uncovered elements)
  * - View traversal results
  */
 
 import { graph } from '../core/graph.js';
+import { ucmDocument } from '../core/document.js';
 import { scenarioManager } from '../core/scenario.js';
+import { scenarioDebugger } from '../core/scenario-debugger.js';
+import { runAllScenarios, checkScenario, toJUnitXml, toJsonReport } from '../core/scenario-runner.js';
+import { computeCoverage } from '../core/coverage.js';
+import { exporter } from '../core/exporter.js';
 import { selection } from '../editor/selection.js';
 import { renderer } from '../editor/canvas-renderer.js';
 import { notifications } from './notifications.js';
@@ -17,6 +25,10 @@ class ScenarioPanel {
     constructor() {
         this.container = null;
         this.isInitialized = false;
+        // Report of the last "Run all"
+        this.report = null;
+        // Coverage section and heatmap shown
+        this.coverageVisible = false;
     }
 
     init() {
@@ -79,17 +91,53 @@ class ScenarioPanel {
         scenarioManager.on('scenario:traversed', ({ scenario }) => {
             this.render();
             this.updateHighlighting();
+            this.updateCoverage();
         });
         scenarioManager.on('scenario:activated', () => this.updateHighlighting());
         scenarioManager.on('scenario:cleared', () => {
             renderer.clearScenarioHighlight();
             this.render();
         });
-        scenarioManager.on('scenarios:loaded', () => this.render());
+        scenarioManager.on('scenarios:loaded', () => {
+            this.render();
+            this.updateCoverage();
+        });
+
+        // The canvas is redrawn when another map is opened
+        graph.on('graph:loaded', () => this.updateCoverage());
 
         // Update highlighting when graph changes
-        graph.on('node:updated', () => this.updateHighlightingIfActive());
-        graph.on('edge:updated', () => this.updateHighlightingIfActive());
+        graph.on('node:updated', () => {
+            this.updateHighlightingIfActive();
+            this.updateCoverage();
+        });
+        graph.on('edge:updated', () => {
+            this.updateHighlightingIfActive();
+            this.updateCoverage();
+        });
+
+        // Debugger
+        scenarioDebugger.on('debugger:started', () => {
+            renderer.clearScenarioHighlight();
+            this.render();
+            this.showDebuggerTokens();
+        });
+        scenarioDebugger.on('debugger:step', () => this.updateDebugger());
+        scenarioDebugger.on('debugger:playing', () => this.updateDebugger());
+        scenarioDebugger.on('debugger:paused', ({ breakpoint }) => {
+            this.updateDebugger();
+            if (breakpoint) {
+                const node = ucmDocument.getMapGraph(breakpoint.mapId)?.getNode(breakpoint.nodeId);
+                notifications.show(`Breakpoint at ${node?.properties.name ?? breakpoint.nodeId}`, 'info');
+            }
+        });
+        scenarioDebugger.on('debugger:stopped', () => {
+            renderer.clearTokens();
+            this.render();
+        });
+        const showBreakpoints = () => renderer.showBreakpoints(scenarioDebugger.breakpointsIn(ucmDocument.activeMapId));
+        scenarioDebugger.on('debugger:breakpoints', showBreakpoints);
+        ucmDocument.on('map:activated', showBreakpoints);
     }
 
     updateHighlightingIfActive() {
@@ -119,10 +167,16 @@ class ScenarioPanel {
                     <h3>Scenarios</h3>
                     <div class="panel-actions">
                         <button class="btn-icon" id="btn-add-scenario" title="Create scenario from selected start">+</button>
+                        <button class="btn-icon" id="btn-run-all" title="Run all scenarios">⏩</button>
+                        <button class="btn-icon ${this.coverageVisible ? 'active' : ''}" id="btn-coverage" title="Scenario coverage heatmap">▦</button>
                         <button class="btn-icon" id="btn-clear-highlight" title="Clear highlighting">✕</button>
                     </div>
                 </div>
 
+                ${scenarioDebugger.isActive() ? this.renderDebugger() : ''}
+                ${this.report ? this.renderReport() : ''}
+                ${this.coverageVisible ? this.renderCoverage() : ''}
+
                 <div class="scenario-list">
         `;
 
@@ -152,6 +206,7 @@ class ScenarioPanel {
                         </div>
                         <div class="scenario-actions">
                             <button class="btn-small btn-run" data-action="run" title="Run scenario">▶</button>
+                            <button class="btn-small btn-debug" data-action="debug" title="Step through scenario">⏯</button>
                             <button class="btn-small btn-edit" data-action="edit" title="Edit">✎</button>
                             <button class="btn-small btn-delete" data-action="delete" title="Delete">🗑</button>
                         </div>
@@ -194,11 +249,324 @@ class ScenarioPanel {
             info += `</div>`;
         }
 
+        if ((scenario.warnings || []).length > 0) {
+            info += `<div class="traversal-errors">`;
+            scenario.warnings.forEach(warning => {
+                info += `<span class="warning">${this.escapeHtml(warning)}</span>`;
+            });
+            info += `</div>`;
+        }
+
         info += `</div>`;
         return info;
     }
 
+    // ============================================
+    // Debugger
+    // ============================================
+
+    renderDebugger() {
+        const { scenario } = scenarioDebugger.state();
+        const stepsPerSecond = Math.round(1000 / Math.max(scenarioDebugger.delay, 50));
+
+        return `
+            <div class="scenario-debugger" style="border-color: ${scenario.highlightColor}">
+                <div class="debugger-title">Debugging <strong>${this.escapeHtml(scenario.name)}</strong></div>
+                <div class="debugger-controls">
+                    <button class="btn-small" data-debug="rewind" title="Back to the start">⏮</button>
+                    <button class="btn-small" data-debug="back" title="Step back">◀</button>
+                    <button class="btn-small btn-run" data-debug="play" title="Play / pause">▶</button>
+                    <button class="btn-small" data-debug="forward" title="Step forward">⏭</button>
+                    <button class="btn-small" data-debug="breakpoint" title="Toggle a breakpoint on the selected nodes">●</button>
+                    <button class="btn-small btn-delete" data-debug="stop" title="Stop debugging">⏹</button>
+                </div>
+                <label class="debugger-speed">
+                    Speed
+                    <input type="range" id="debugger-speed" min="1" max="20" value="${stepsPerSecond}">
+                    <span id="debugger-speed-value">${stepsPerSecond} steps/s</span>
+                </label>
+                <div class="debugger-state" id="debugger-state">${this.renderDebuggerState()}</div>
+            </div>
+        `;
+    }
+
+    renderDebuggerState() {
+        const { frame, index } = scenarioDebugger.state();
+        if (!frame) return '';
+
+        const previous = scenarioDebugger.frames[index - 1];
+        const nameOf = (mapId, nodeId) =>
+            ucmDocument.getMapGraph(mapId)?.getNode(nodeId)?.properties.name ?? nodeId;
+
+        let html = `<div class="debugger-status">Step ${index} · t = ${frame.time} ms · ` +
+            `${frame.tokens.length} token${frame.tokens.length === 1 ? '' : 's'}` +
+            `${frame.done ? ' · finished' : ''}</div>`;
+
+        if (frame.entries.length > 0) {
+            html += `<div class="debugger-events">`;
+            frame.entries.forEach(entry => {
+                const changes = entry.changes
+                    ? ' ' + Object.entries(entry.changes).map(([name, value]) => `${name} = ${JSON.stringify(value)}`).join(', ')
+                    : '';
+                html += `<span>#${entry.token} ${entry.event} ${this.escapeHtml(nameOf(entry.mapId, entry.nodeId) + changes)}</span>`;
+            });
+            html += `</div>`;
+        }
+
+        const variables = Object.entries(frame.variables);
+        if (variables.length > 0) {
+            html += `<table class="debugger-variables">`;
+            variables.forEach(([name, value]) => {
+                const changed = previous && previous.variables[name] !== value;
+                html += `<tr class="${changed ? 'changed' : ''}"><td>${this.escapeHtml(name)}</td>` +
+                    `<td>${this.escapeHtml(JSON.stringify(value))}</td></tr>`;
+            });
+            html += `</table>`;
+        }
+
+        if (frame.errors.length > 0) {
+            html += `<div class="traversal-errors">`;
+            frame.errors.forEach(err => {
+                html += `<span class="error">⚠ ${this.escapeHtml(err)}</span>`;
+            });
+            html += `</div>`;
+        }
+        return html;
+    }
+
+    /**
+     * Refresh the debugger's state and buttons without rebuilding the panel
+     */
+    updateDebugger() {
+        const state = scenarioDebugger.state();
+        const stateEl = this.container?.querySelector('#debugger-state');
+        if (!stateEl) return;
+
+        stateEl.innerHTML = this.renderDebuggerState();
+        const button = (name) => this.container.querySelector(`[data-debug="${name}"]`);
+        button('rewind').disabled = !state.canStepBack;
+        button('back').disabled = !state.canStepBack;
+        button('forward').disabled = !state.canStepForward;
+        button('play').disabled = !state.canStepForward && !state.playing;
+        button('play').textContent = state.playing ? '⏸' : '▶';
+
+        this.showDebuggerTokens();
+    }
+
+    showDebuggerTokens() {
+        const { scenario, frame } = scenarioDebugger.state();
+        if (!frame) return;
+
+        const tokens = frame.tokens.filter(t => t.mapId === ucmDocument.activeMapId);
+        const duration = scenarioDebugger.isPlaying() ? Math.min(scenarioDebugger.delay * 0.8, 600) : 300;
+        renderer.showTokens(tokens, { color: scenario.highlightColor, duration });
+        renderer.showBreakpoints(scenarioDebugger.breakpointsIn(ucmDocument.activeMapId));
+    }
+
+    attachDebuggerListeners() {
+        const actions = {
+            rewind: () => scenarioDebugger.rewind(),
+            back: () => scenarioDebugger.stepBack(),
+            forward: () => {
+                scenarioDebugger.pause();
+                scenarioDebugger.stepForward();
+            },
+            play: () => scenarioDebugger.isPlaying() ? scenarioDebugger.pause() : scenarioDebugger.play(),
+            breakpoint: () => this.toggleBreakpoints(),
+            stop: () => scenarioDebugger.stop()
+        };
+        Object.entries(actions).forEach(([name, action]) => {
+            this.container.querySelector(`[data-debug="${name}"]`)?.addEventListener('click', action);
+        });
+
+        const speed = this.container.querySelector('#debugger-speed');
+        speed?.addEventListener('input', () => {
+            scenarioDebugger.setDelay(1000 / Number(speed.value));
+            this.container.querySelector('#debugger-speed-value').textContent = `${speed.value} steps/s`;
+        });
+
+        this.updateDebugger();
+    }
+
+    toggleBreakpoints() {
+        const nodeIds = [...selection.selectedNodes];
+        if (nodeIds.length === 0) {
+            notifications.show('Select the nodes to break at first', 'warning');
+            return;
+        }
+        nodeIds.forEach(id => scenarioDebugger.toggleBreakpoint(ucmDocument.activeMapId, id));
+    }
+
+    debugScenario(scenarioId) {
+        const scenario = scenarioManager.getScenario(scenarioId);
+        if (!scenario) return;
+        scenarioDebugger.start(scenario);
+    }
+
+    // ============================================
+    // Run All
+    // ============================================
+
+    runAll() {
+        scenarioDebugger.stop();
+        const report = runAllScenarios();
+        if (report.total === 0) {
+            notifications.show('No scenarios to run', 'warning');
+            return;
+        }
+
+        this.report = report;
+        this.render();
+        notifications.show(`${report.passed} of ${report.total} scenarios passed`, report.failed > 0 ? 'error' : 'success');
+    }
+
+    renderReport() {
+        const report = this.report;
+        let html = `
+            <div class="scenario-report">
+                <div class="report-summary ${report.failed > 0 ? 'failed' : 'passed'}">
+                    ${report.passed}/${report.total} passed
+                    <span class="report-actions">
+                        <button class="btn-small" data-report="junit" title="Download JUnit XML report">JUnit</button>
+                        <button class="btn-small" data-report="json" title="Download JSON report">JSON</button>
+                        <button class="btn-small" data-report="close" title="Close report">✕</button>
+                    </span>
+                </div>
+                <div class="report-coverage">
+                    Coverage: nodes ${report.coverage.nodes.percent}%,
+                    edges ${report.coverage.edges.percent}%,
+                    OR branches ${report.coverage.branches.percent}%
+                </div>
+                <table class="report-table">
+        `;
+
+        report.results.forEach(result => {
+            html += `
+                <tr class="${result.passed ? 'passed' : 'failed'}" data-scenario-id="${result.id}">
+                    <td>${result.passed ? '✓' : '✗'}</td>
+                    <td>${this.escapeHtml(result.name)}
+                        ${result.failures.map(f => `<div class="report-failure">${this.escapeHtml(f)}</div>`).join('')}
+                    </td>
+                </tr>
+            `;
+        });
+
+        html += `</table></div>`;
+        return html;
+    }
+
+    attachReportListeners() {
+        const download = {
+            junit: () => exporter.downloadFile(toJUnitXml(this.report), 'ucm_scenarios.xml', 'application/xml'),
+            json: () => exporter.downloadFile(toJsonReport(this.report), 'ucm_scenarios.json', 'application/json'),
+            close: () => {
+                this.report = null;
+                this.render();
+            }
+        };
+        Object.entries(download).forEach(([name, action]) => {
+            this.container.querySelector(`[data-report="${name}"]`)?.addEventListener('click', action);
+        });
+
+        // Click a row to show that scenario's path
+        this.container.querySelectorAll('.report-table tr').forEach(row => {
+            row.addEventListener('click', () => {
+                scenarioManager.setActiveScenario(row.dataset.scenarioId);
+                this.render();
+            });
+        });
+    }
+
+    // ============================================
+    // Coverage
+    // ============================================
+
+    toggleCoverage() {
+        this.coverageVisible = !this.coverageVisible;
+        this.render();
+        this.updateCoverage();
+    }
+
+    /**
+     * Redraw the heatmap for the open map (or remove it when hidden)
+     */
+    updateCoverage() {
+        if (!this.coverageVisible) {
+            renderer.clearCoverage();
+            return;
+        }
+        const coverage = computeCoverage();
+        renderer.showCoverage(coverage.hits[ucmDocument.activeMapId] || { nodes: {}, edges: {} }, coverage.scenarios);
+    }
+
+    renderCoverage() {
+        const coverage = computeCoverage();
+        const labels = { nodes: 'Nodes', edges: 'Edges', branches: 'OR branches' };
+
+        if (coverage.scenarios === 0) {
+            return `
+                <div class="scenario-coverage">
+                    <p class="hint">Run scenarios to see which elements they cover.</p>
+                </div>
+            `;
+        }
+
+        let html = `
+            <div class="scenario-coverage">
+                <div class="coverage-title">Coverage of ${coverage.scenarios} scenario run(s)</div>
+        `;
+        Object.entries(labels).forEach(([kind, label]) => {
+            const { covered, total, percent } = coverage[kind];
+            html += `
+                <div class="coverage-row">
+                    <span class="coverage-label">${label}</span>
+                    <span class="coverage-bar"><span style="width: ${percent}%"></span></span>
+                    <span class="coverage-value">${covered}/${total}</span>
+                </div>
+            `;
+        });
+
+        const uncovered = [...coverage.nodes.uncovered, ...coverage.branches.uncovered,
+            ...coverage.edges.uncovered.filter(e => !coverage.branches.uncovered.some(b => b.id === e.id))];
+        if (uncovered.length > 0) {
+            html += '<ul class="coverage-uncovered">';
+            uncovered.forEach(item => {
+                const where = item.mapId === ucmDocument.rootMapId ? '' : `${this.escapeHtml(item.map)} / `;
+                html += `
+                    <li data-map-id="${item.mapId}" data-element-id="${item.id}" data-kind="${item.type === 'edge' || item.type === 'branch' ? 'edge' : 'node'}">
+                        <span class="coverage-type">${item.type}</span> ${where}${this.escapeHtml(item.name)}
+                    </li>
+                `;
+            });
+            html += '</ul>';
+        } else {
+            html += '<p class="hint">Every element is covered.</p>';
+        }
+
+        html += '</div>';
+        return html;
+    }
+
+    attachCoverageListeners() {
+        // Click an uncovered element to select it (opening its map first)
+        this.container.querySelectorAll('.coverage-uncovered li').forEach(item => {
+            item.addEventListener('click', () => {
+                const { mapId, elementId, kind } = item.dataset;
+                if (mapId !== ucmDocument.activeMapId) ucmDocument.openMap(mapId);
+                if (kind === 'edge') selection.selectEdge(elementId);
+                else selection.selectNode(elementId);
+            });
+        });
+    }
+
     attachEventListeners() {
+        if (scenarioDebugger.isActive()) this.attachDebuggerListeners();
+        if (this.report) this.attachReportListeners();
+        if (this.coverageVisible) this.attachCoverageListeners();
+
+        this.container.querySelector('#btn-run-all')?.addEventListener('click', () => this.runAll());
+        this.container.querySelector('#btn-coverage')?.addEventListener('click', () => this.toggleCoverage());
+
         // Add scenario button
         const addBtn = this.container.querySelector('#btn-add-scenario');
         if (addBtn) {
@@ -235,6 +603,12 @@ class ScenarioPanel {
                 this.runScenario(scenarioId);
             });
 
+            // Debug button
+            item.querySelector('[data-action="debug"]')?.addEventListener('click', (e) => {
+                e.stopPropagation();
+                this.debugScenario(scenarioId);
+            });
+
             // Edit button
             item.querySelector('[data-action="edit"]')?.addEventListener('click', (e) => {
                 e.stopPropagation();
@@ -289,8 +663,14 @@ class ScenarioPanel {
 
     runScenario(scenarioId) {
         const result = scenarioManager.executeScenario(scenarioId);
+        const scenario = scenarioManager.getScenario(scenarioId);
+        const { failures } = scenario ? checkScenario(scenario, result) : { failures: [] };
 
-        if (result.success) {
+        if (result.success && failures.length > 0) {
+            notifications.show(`Scenario failed: ${failures[0]}`, 'error');
+        } else if (result.success && result.warnings.length > 0) {
+            notifications.show(`Scenario completed with ${result.warnings.length} warning(s)`, 'warning');
+        } else if (result.success) {
             notifications.show('Scenario completed successfully', 'success');
         } else if (result.error) {
             notifications.show(`Scenario error: ${result.error}`, 'error');
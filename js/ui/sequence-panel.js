@@ -0,0 +1,117 @@
+/**
+ * Sequence Panel - Sequence diagram (MSC) of a scenario run
+ *
+ * Shows the diagram built by sequence.js for a traversed scenario (the
+ * active one by default) and exports it as SVG, PlantUML or Mermaid.
+ */
+
+import { scenarioManager } from '../core/scenario.js';
+import { buildSequence, renderSequenceSVG, toPlantUML, toMermaidSequence } from '../core/sequence.js';
+import { exporter } from '../core/exporter.js';
+
+const EXPORTS = {
+    svg: { write: renderSequenceSVG, extension: 'svg', type: 'image/svg+xml' },
+    plantuml: { write: toPlantUML, extension: 'puml', type: 'text/plain' },
+    mermaid: { write: toMermaidSequence, extension: 'mmd', type: 'text/plain' }
+};
+
+class SequencePanel {
+    constructor() {
+        this.container = null;
+        // Scenario shown; null follows the active scenario
+        this.scenarioId = null;
+    }
+
+    init() {
+        this.container = document.getElementById('sequence-diagram');
+        if (!this.container) return;
+
+        scenarioManager.on('scenario:traversed', () => this.render());
+        scenarioManager.on('scenario:activated', () => this.render());
+        scenarioManager.on('scenario:updated', () => this.render());
+        scenarioManager.on('scenario:deleted', ({ id }) => {
+            if (this.scenarioId === id) this.scenarioId = null;
+            this.render();
+        });
+        scenarioManager.on('scenarios:loaded', () => {
+            this.scenarioId = null;
+            this.render();
+        });
+        this.render();
+    }
+
+    /**
+     * Scenario to show: the chosen one, else the active one, else the first traversed
+     */
+    getScenario() {
+        const traversed = scenarioManager.getAllScenarios().filter(s => s.traversed);
+        return traversed.find(s => s.id === this.scenarioId)
+            || traversed.find(s => s.id === scenarioManager.activeScenario)
+            || traversed[0]
+            || null;
+    }
+
+    render() {
+        if (!this.container) return;
+
+        const traversed = scenarioManager.getAllScenarios().filter(s => s.traversed);
+        const scenario = this.getScenario();
+
+        if (!scenario) {
+            this.container.innerHTML = `
+                <div class="empty-state">
+                    <p>No scenario runs yet</p>
+                    <p class="hint">Run a scenario to see its sequence diagram</p>
+                </div>
+            `;
+            return;
+        }
+
+        const sequence = buildSequence(scenario);
+        const options = traversed.map(s =>
+            `<option value="${s.id}" ${s.id === scenario.id ? 'selected' : ''}>${this.escapeHtml(s.name)}</option>`).join('');
+
+        this.container.innerHTML = `
+            <div class="sequence-toolbar">
+                <select id="sequence-scenario" class="setting-select">${options}</select>
+                <span class="sequence-exports">
+                    <button class="btn-small" data-export="svg" title="Download SVG">SVG</button>
+                    <button class="btn-small" data-export="plantuml" title="Download PlantUML">PlantUML</button>
+                    <button class="btn-small" data-export="mermaid" title="Download Mermaid">Mermaid</button>
+                </span>
+            </div>
+            <div class="sequence-view">
+                ${renderSequenceSVG(sequence).replace(/^<\?xml[^>]*>\s*/, '')}
+            </div>
+        `;
+
+        this.container.querySelector('#sequence-scenario').addEventListener('change', (e) => {
+            this.scenarioId = e.target.value;
+            this.render();
+        });
+        this.container.querySelectorAll('[data-export]').forEach(btn => {
+            btn.addEventListener('click', () => this.export(btn.dataset.export));
+        });
+    }
+
+    /**
+     * Download the shown diagram
+     * @param {string} format - 'svg', 'plantuml' or 'mermaid'
+     */
+    export(format) {
+        const scenario = this.getScenario();
+        const target = EXPORTS[format];
+        if (!scenario || !target) return;
+
+        const fileName = `${scenario.name.replace(/[^\w-]+/g, '_')}_sequence.${target.extension}`;
+        exporter.downloadFile(target.write(buildSequence(scenario)), fileName, target.type);
+    }
+
+    escapeHtml(text) {
+        const div = document.createElement('div');
+        div.textContent = text || '';
+        return div.innerHTML;
+    }
+}
+
+export const sequencePanel = new SequencePanel();
@@ -14,6 +14,10 @@ class SettingsPanel {
         this.autoLayoutToggle = null;
         this.routingModeSelect = null;
         this.showAutoWaypointsToggle = null;
+        this.pdfPageSelect = null;
+        this.pdfOrientationSelect = null;
+        this.pdfTileToggle = null;
+        this.pdfFontInput = null;
 
         // Global settings state
         this.settings = {
@@ -25,7 +29,9 @@ class SettingsPanel {
             observability: false,
             showAutoWaypoints: false,
             gridSize: 20,
-            routingMode: 'octilinear'
+            routingMode: 'octilinear',
+            // Options for exporter.exportPDF(); font holds the bytes of a .ttf file
+            pdf: { pageSize: 'A4', orientation: 'auto', tile: false, font: null }
         };
     }
 
@@ -38,6 +44,10 @@ class SettingsPanel {
         this.observabilityToggle = document.getElementById('setting-observability');
         this.routingModeSelect = document.getElementById('setting-routing-mode');
         this.showAutoWaypointsToggle = document.getElementById('setting-show-auto-waypoints');
+        this.pdfPageSelect = document.getElementById('setting-pdf-page');
+        this.pdfOrientationSelect = document.getElementById('setting-pdf-orientation');
+        this.pdfTileToggle = document.getElementById('setting-pdf-tile');
+        this.pdfFontInput = document.getElementById('setting-pdf-font');
 
         if (!this.transitModeToggle) return;
 
@@ -73,6 +83,23 @@ class SettingsPanel {
             this.setShowAutoWaypoints(e.target.checked);
         });
 
+        this.pdfPageSelect?.addEventListener('change', (e) => {
+            this.setPdfOptions({ pageSize: e.target.value });
+        });
+
+        this.pdfOrientationSelect?.addEventListener('change', (e) => {
+            this.setPdfOptions({ orientation: e.target.value });
+        });
+
+        this.pdfTileToggle?.addEventListener('change', (e) => {
+            this.setPdfOptions({ tile: e.target.checked });
+        });
+
+        this.pdfFontInput?.addEventListener('change', async (e) => {
+            const file = e.target.files[0];
+            this.setPdfOptions({ font: file ? new Uint8Array(await file.arrayBuffer()) : null });
+        });
+
         // Apply initial settings
         this.setTransitMode(this.transitModeToggle.checked);
         this.setGridVisibility(this.showGridToggle.checked);
@@ -131,6 +158,10 @@ class SettingsPanel {
         canvas.renderAll();
     }
 
+    setPdfOptions(options) {
+        this.settings.pdf = { ...this.settings.pdf, ...options };
+    }
+
     setShowAutoWaypoints(enabled) {
         this.settings.showAutoWaypoints = enabled;
         document.body.classList.toggle('show-auto-waypoints', enabled);
@@ -197,7 +228,7 @@ class SettingsPanel {
 
     // Get current settings (for use by other modules)
     getSettings() {
-        return { ...this.settings };
+        return { ...this.settings, pdf: { ...this.settings.pdf } };
     }
 }
 
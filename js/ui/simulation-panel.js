@@ -0,0 +1,186 @@
+/**
+ * Simulation Panel - Monte Carlo runs of a scenario
+ *
+ * Runs simulateScenario (simulation.js) for the chosen scenario and shows
+ * latency percentiles per end point, how often each path was taken, and
+ * the most frequent critical path, which can be highlighted on the canvas.
+ */
+
+import { graph } from '../core/graph.js';
+import { ucmDocument } from '../core/document.js';
+import { scenarioManager } from '../core/scenario.js';
+import { simulateScenario, DEFAULT_RUNS } from '../core/simulation.js';
+import { renderer } from '../editor/canvas-renderer.js';
+
+const MAX_RUNS = 100000;
+const SHOWN_PATHS = 8;
+
+const formatTime = (ms) => ms >= 1000 ? `${(ms / 1000).toFixed(2)} s` : `${Math.round(ms * 10) / 10} ms`;
+const formatShare = (share) => `${Math.round(share * 1000) / 10}%`;
+
+class SimulationPanel {
+    constructor() {
+        this.container = null;
+        this.scenarioId = null;
+        this.runs = DEFAULT_RUNS;
+        this.result = null;
+        this.criticalVisible = false;
+    }
+
+    init() {
+        this.container = document.getElementById('simulation-results');
+        if (!this.container) return;
+
+        ['scenario:created', 'scenario:updated', 'scenario:deleted', 'scenarios:loaded', 'scenarios:cleared'].forEach(event => {
+            scenarioManager.on(event, () => {
+                if (!scenarioManager.getScenario(this.scenarioId)) this.scenarioId = null;
+                if (this.result && !scenarioManager.getScenario(this.result.scenarioId)) this.reset();
+                this.render();
+            });
+        });
+        // The canvas re-renders on map changes; put the highlight back
+        graph.on('graph:loaded', () => this.updateHighlight());
+        this.render();
+    }
+
+    reset() {
+        this.result = null;
+        this.criticalVisible = false;
+        renderer.clearCriticalPath();
+    }
+
+    render() {
+        if (!this.container) return;
+
+        const scenarios = scenarioManager.getAllScenarios();
+        if (scenarios.length === 0) {
+            this.container.innerHTML = `
+                <div class="simulation-header">Monte Carlo Simulation</div>
+                <p class="hint">Define a scenario to simulate it</p>
+            `;
+            return;
+        }
+
+        const selected = this.scenarioId || this.result?.scenarioId || scenarioManager.activeScenario || scenarios[0].id;
+        this.container.innerHTML = `
+            <div class="simulation-header">Monte Carlo Simulation</div>
+            <div class="simulation-controls">
+                <select id="simulation-scenario" class="setting-select">
+                    ${scenarios.map(s => `<option value="${s.id}" ${s.id === selected ? 'selected' : ''}>${this.escapeHtml(s.name)}</option>`).join('')}
+                </select>
+                <input type="number" id="simulation-runs" class="property-input" min="1" max="${MAX_RUNS}" value="${this.runs}" title="Runs">
+                <button class="btn-small" id="btn-simulate" title="Run the simulation">Run</button>
+            </div>
+            ${this.result ? this.renderResult(this.result) : ''}
+        `;
+
+        this.container.querySelector('#simulation-scenario').addEventListener('change', (e) => {
+            this.scenarioId = e.target.value;
+        });
+        this.container.querySelector('#simulation-runs').addEventListener('change', (e) => {
+            const runs = Math.round(Number(e.target.value));
+            this.runs = Number.isFinite(runs) ? Math.min(Math.max(runs, 1), MAX_RUNS) : DEFAULT_RUNS;
+            e.target.value = this.runs;
+        });
+        this.container.querySelector('#btn-simulate').addEventListener('click', () => {
+            this.simulate(this.container.querySelector('#simulation-scenario').value);
+        });
+        this.container.querySelector('#btn-critical-path')?.addEventListener('click', () => {
+            this.criticalVisible = !this.criticalVisible;
+            this.updateHighlight();
+            this.render();
+        });
+    }
+
+    renderResult(result) {
+        const latencyRow = (label, stats, share) => `
+                    <tr>
+                        <td>${this.escapeHtml(label)}</td>
+                        <td>${formatShare(share)}</td>
+                        <td>${formatTime(stats.p50)}</td>
+                        <td>${formatTime(stats.p90)}</td>
+                        <td>${formatTime(stats.p99)}</td>
+                    </tr>`;
+        const critical = result.criticalPath;
+
+        return `
+            <div class="simulation-summary">
+                ${result.runs} runs, ${result.completed} without errors
+                ${result.latency ? ` · mean ${formatTime(result.latency.mean)}` : ''}
+            </div>
+
+            ${result.endPoints.length > 0 ? `
+            <table class="performance-table">
+                <thead><tr><th>End point</th><th>Runs</th><th>p50</th><th>p90</th><th>p99</th></tr></thead>
+                <tbody>
+                    ${result.endPoints.map(end => latencyRow(end.name, end.latency, end.share)).join('')}
+                    ${result.endPoints.length > 1 ? latencyRow('Last end point', result.latency, result.reached / result.runs) : ''}
+                </tbody>
+            </table>` : '<p class="hint">No run reached an end point</p>'}
+
+            <table class="performance-table">
+                <thead><tr><th>Path</th><th>Runs</th></tr></thead>
+                <tbody>
+                    ${result.paths.slice(0, SHOWN_PATHS).map(path => `
+                    <tr>
+                        <td class="simulation-path">${this.escapeHtml(path.label)}</td>
+                        <td>${formatShare(path.share)}</td>
+                    </tr>`).join('')}
+                </tbody>
+            </table>
+            ${result.paths.length > SHOWN_PATHS ? `<p class="hint">${result.paths.length - SHOWN_PATHS} more paths</p>` : ''}
+
+            ${critical ? `
+            <div class="simulation-critical">
+                <span>Critical path in ${formatShare(critical.share)} of runs</span>
+                <button class="btn-small ${this.criticalVisible ? 'active' : ''}" id="btn-critical-path"
+                        title="Highlight the most frequent critical path on the canvas">${this.criticalVisible ? 'Hide' : 'Show'}</button>
+            </div>` : ''}
+
+            ${result.errors.length || result.warnings.length ? `
+            <ul class="performance-issues">
+                ${result.errors.map(e => `<li class="error">${this.escapeHtml(e.message)} (${e.count} runs)</li>`).join('')}
+                ${result.warnings.map(w => `<li class="warning">${this.escapeHtml(w)}</li>`).join('')}
+            </ul>` : ''}
+        `;
+    }
+
+    /**
+     * Simulate a scenario; the panel shows "Running..." until it is done
+     */
+    simulate(scenarioId) {
+        const scenario = scenarioManager.getScenario(scenarioId);
+        if (!scenario) return;
+
+        this.scenarioId = scenarioId;
+        const button = this.container.querySelector('#btn-simulate');
+        if (button) {
+            button.disabled = true;
+            button.textContent = 'Running…';
+        }
+
+        // Let the button repaint before the runs block the page
+        setTimeout(() => {
+            this.result = simulateScenario(scenario, { runs: this.runs });
+            this.updateHighlight();
+            this.render();
+        }, 0);
+    }
+
+    updateHighlight() {
+        const critical = this.result?.criticalPath;
+        if (this.criticalVisible && critical && this.result.mapId === ucmDocument.activeMapId) {
+            renderer.showCriticalPath(critical);
+        } else {
+            renderer.clearCriticalPath();
+        }
+    }
+
+    escapeHtml(text) {
+        const div = document.createElement('div');
+        div.textContent = text || '';
+        return div.innerHTML;
+    }
+}
+
+export const simulationPanel = new SimulationPanel();
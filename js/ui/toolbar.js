@@ -8,7 +8,9 @@ import { history } from '../core/history.js';
 import { fileLoader } from '../core/file-loader.js';
 import { validator } from '../core/validator.js';
 import { graph } from '../core/graph.js';
+import { ucmDocument } from '../core/document.js';
 import { notifications } from './notifications.js';
+import { settingsPanel } from './settings-panel.js';
 
 class Toolbar {
     constructor() {
@@ -28,8 +30,13 @@ class Toolbar {
             zoomOut: document.getElementById('btn-zoom-out'),
             save: document.getElementById('btn-save'),
             exportDSL: document.getElementById('btn-export-dsl'),
+            exportDSLv2: document.getElementById('btn-export-dsl-v2'),
             exportPDF: document.getElementById('btn-export-pdf'),
             exportJUCM: document.getElementById('btn-export-jucm'),
+            exportLQNX: document.getElementById('btn-export-lqnx'),
+            exportDot: document.getElementById('btn-export-dot'),
+            exportMermaid: document.getElementById('btn-export-mermaid'),
+            exportPlantUML: document.getElementById('btn-export-plantuml'),
             exportD3: document.getElementById('btn-export-d3'),
             exportCy: document.getElementById('btn-export-cy'),
             exportSVG: document.getElementById('btn-export-svg'),
@@ -74,15 +81,20 @@ class Toolbar {
         // Saving and Exporting
         this.buttons.save?.addEventListener('click', () => exporter.exportJSON());
         this.buttons.exportDSL?.addEventListener('click', () => exporter.exportDSL());
+        this.buttons.exportDSLv2?.addEventListener('click', () => exporter.exportDSL('v2'));
         this.buttons.exportPNG?.addEventListener('click', () => exporter.exportPNG(2)); // New
-        this.buttons.exportPDF?.addEventListener('click', () => exporter.exportPDF());
+        this.buttons.exportPDF?.addEventListener('click', () => exporter.exportPDF(settingsPanel.getSettings().pdf));
         this.buttons.exportJUCM?.addEventListener('click', () => exporter.exportJUCM());
+        this.buttons.exportLQNX?.addEventListener('click', () => exporter.exportLQNX());
+        this.buttons.exportDot?.addEventListener('click', () => exporter.exportDot());
+        this.buttons.exportMermaid?.addEventListener('click', () => exporter.exportMermaid());
+        this.buttons.exportPlantUML?.addEventListener('click', () => exporter.exportPlantUML());
         this.buttons.exportD3?.addEventListener('click', () => exporter.exportD3());
         this.buttons.exportCy?.addEventListener('click', () => exporter.exportCytoscape());
         this.buttons.exportSVG?.addEventListener('click', () => exporter.exportSVG());
 
         this.buttons.validate?.addEventListener('click', () => {
-            const result = validator.validate(graph);
+            const result = validator.validate(graph, ucmDocument);
             const report = validator.generateReport(result);
             alert(report);
         });
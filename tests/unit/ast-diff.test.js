@@ -0,0 +1,179 @@
+/**
+ * Unit tests for incremental DSL apply (AST + diff)
+ */
+import { graph, UCMGraph } from '../../js/core/graph.js';
+import { ucmDocument, UCMDocument } from '../../js/core/document.js';
+import { parser } from '../../js/core/parser.js';
+import { serializer } from '../../js/core/serializer.js';
+import { scenarioManager } from '../../js/core/scenario.js';
+
+const BASE_DSL = `ucm "Checkout"
+component Shop type team at (0, 0) size (400, 200) {
+  start Order at (50, 100)
+  responsibility Charge at (200, 100) with cost=5
+}
+end Ship at (500, 100)
+link Order -> Charge
+link Charge -> Ship [guard: "paid"]`;
+
+const idsByName = (g) => Object.fromEntries(g.getAllNodes().map(n => [n.properties.name, n.id]));
+
+describe('Map AST', () => {
+    test('should describe nodes, components and links without touching a graph', () => {
+        const result = { errors: [], warnings: [] };
+        const ast = parser.parseToAst(BASE_DSL, result);
+
+        expect(result.errors).toEqual([]);
+        expect(ast.maps).toHaveLength(1);
+
+        const [map] = ast.maps;
+        expect(map.name).toBe('Checkout');
+        expect(map.components[0]).toMatchObject({ kind: 'team', name: 'Shop', parent: null });
+        expect(map.nodes.map(n => [n.name, n.component])).toEqual([['Order', 0], ['Charge', 0], ['Ship', null]]);
+        expect(map.links[1]).toMatchObject({ source: 'Charge', target: 'Ship', condition: 'paid' });
+    });
+});
+
+describe('Incremental apply', () => {
+    let target;
+
+    beforeEach(() => {
+        target = new UCMGraph();
+        parser.parse(BASE_DSL, target);
+    });
+
+    test('should keep IDs when re-applying the same text', () => {
+        const before = idsByName(target);
+        const edgeIds = target.getAllEdges().map(e => e.id);
+
+        const result = parser.parse(BASE_DSL, target);
+
+        expect(result.operations).toEqual([]);
+        expect(idsByName(target)).toEqual(before);
+        expect(target.getAllEdges().map(e => e.id)).toEqual(edgeIds);
+    });
+
+    test('should only update what changed', () => {
+        const before = idsByName(target);
+        const events = [];
+        ['node:added', 'node:updated', 'node:removed', 'edge:added', 'edge:removed'].forEach(event =>
+            target.on(event, () => events.push(event)));
+
+        const result = parser.parse(BASE_DSL.replace('Charge at (200, 100) with cost=5', 'Charge at (220, 100)'), target);
+
+        expect(result.operations).toEqual([{ op: 'node:updated', id: before.Charge }]);
+        expect(events).toEqual(['node:updated']);
+
+        const charge = target.getNode(before.Charge);
+        expect(charge.position).toEqual({ x: 220, y: 100 });
+        expect('cost' in charge.properties).toBe(false);
+    });
+
+    test('should retarget a start point without tripping its single-path rule', () => {
+        const dsl = `${BASE_DSL}\nresponsibility Review at (200, 300)\nlink Review -> Ship`
+            .replace('link Order -> Charge', 'link Order -> Review');
+        const result = parser.parse(dsl, target);
+        expect(result.errors).toEqual([]);
+
+        const ids = idsByName(target);
+        const out = [...target.getNode(ids.Order).outEdges].map(id => target.getEdge(id).targetNodeId);
+        expect(out).toEqual([ids.Review]);
+    });
+
+    test('should report links the graph rejects where they are written', () => {
+        const result = parser.parse(`${BASE_DSL}\nlink Ship -> Charge\nlink Order -> Ship\nlink Charge -> Order`, target);
+
+        expect(result.success).toBe(false);
+        expect(result.errors.map(({ line, column, message }) => ({ line, column, message }))).toEqual([
+            { line: 9, column: 1, message: 'Link "Ship" -> "Charge" rejected: End nodes cannot have outgoing edges.' },
+            { line: 10, column: 1, message: 'Link "Order" -> "Ship" rejected: Start nodes can only have one outgoing path. Use a Fork for branching.' },
+            { line: 11, column: 1, message: 'Link "Charge" -> "Order" rejected: Start nodes cannot have incoming edges.' }
+        ]);
+        expect(target.getAllEdges()).toHaveLength(2);
+    });
+
+    test('should remove deleted nodes without healing the path around them', () => {
+        const dsl = BASE_DSL.replace(/.*Charge at.*\n/, '').replace('link Order -> Charge\n', '')
+            .replace('link Charge -> Ship [guard: "paid"]', '');
+        parser.parse(dsl, target);
+
+        expect(target.getAllNodes().map(n => n.properties.name)).toEqual(['Order', 'Ship']);
+        expect(target.getAllEdges()).toHaveLength(0);
+    });
+
+    test('should move nodes between components and drop removed components', () => {
+        const before = idsByName(target);
+        const dsl = BASE_DSL.replace('component Shop', 'component Store');
+        parser.parse(dsl, target);
+
+        const [store] = target.getAllComponents();
+        expect(store.properties.name).toBe('Store');
+        expect(target.getNode(before.Order).parentComponent).toBe(store.id);
+        expect(store.childNodes.size).toBe(2);
+    });
+
+    test('should round-trip after incremental edits', () => {
+        const edited = BASE_DSL.replace('end Ship at (500, 100)', 'end Ship at (600, 100)');
+        parser.parse(edited, target);
+
+        const fresh = new UCMGraph();
+        parser.parse(edited, fresh);
+        // The edit stamps the timestamps; building from scratch does not
+        const withoutTimestamps = (g) => serializer.serialize(g).replace(/^meta (created|modified) .*\n/gm, '').replace(/\n{3,}/g, '\n\n');
+        expect(withoutTimestamps(target)).toBe(withoutTimestamps(fresh));
+    });
+});
+
+describe('Incremental document apply', () => {
+    beforeEach(() => {
+        ucmDocument.reset();
+        graph.clear();
+        scenarioManager.clear();
+    });
+
+    test('should keep scenarios and map IDs across DSL edits', () => {
+        const dsl = `ucm "Main" {\n${BASE_DSL.split('\n').slice(1).join('\n')}\n}\n\nucm "Other" {\n  start Begin at (0, 0)\n}`;
+        parser.parseDocument(dsl, ucmDocument);
+
+        const other = ucmDocument.getMapByName('Other');
+        const orderId = idsByName(graph).Order;
+        const scenario = scenarioManager.createScenario({ startNodeId: orderId, variables: { paid: true } });
+
+        // The scenario is part of the document text now
+        const text = serializer.serializeDocument(ucmDocument);
+        expect(text).toContain('scenario "Scenario 1" from Order {');
+        const result = parser.parseDocument(text.replace('end Ship at (500, 100)', 'end Ship at (520, 100)'), ucmDocument);
+        expect(result.errors).toEqual([]);
+        expect(ucmDocument.getMapByName('Other').id).toBe(other.id);
+        expect(result.operations).toEqual([{ op: 'node:updated', id: idsByName(graph).Ship, mapId: ucmDocument.rootMapId }]);
+
+        expect(scenarioManager.getScenario(scenario.id).startNodeId).toBe(orderId);
+        expect(scenarioManager.executeScenario(scenario.id).success).toBe(true);
+    });
+
+    test('should stay on the active map and remove maps no longer in the text', () => {
+        const doc = new UCMDocument(new UCMGraph());
+        parser.parseDocument('ucm "A" {\n  start S at (0, 0)\n}\nucm "B" {\n}\nucm "C" {\n}', doc);
+        const b = doc.getMapByName('B');
+        doc.openMap(b.id);
+
+        parser.parseDocument('ucm "A" {\n  start S at (0, 0)\n}\nucm "B" {\n  end E at (10, 0)\n}', doc);
+
+        expect(doc.getAllMaps().map(m => m.name)).toEqual(['A', 'B']);
+        expect(doc.activeMapId).toBe(b.id);
+        expect(doc.graph.getAllNodes().map(n => n.properties.name)).toEqual(['E']);
+    });
+
+    test('should start over when replacing the document', () => {
+        const doc = new UCMDocument(new UCMGraph());
+        parser.parseDocument('ucm "A" {\n  start S at (0, 0)\n}\nucm "X" {\n}', doc);
+        const resets = [];
+        doc.on('document:reset', () => resets.push(true));
+
+        parser.parseDocument('ucm "B"\nstart S at (0, 0)', doc, { replace: true });
+
+        expect(resets).toHaveLength(1);
+        expect(doc.getAllMaps().map(m => m.name)).toEqual(['B']);
+        expect(doc.graph.getAllNodes()).toHaveLength(1);
+    });
+});
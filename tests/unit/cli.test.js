@@ -0,0 +1,206 @@
+/**
+ * Unit tests for the headless CLI and the text writers it uses
+ */
+import { main } from '../../js/cli/cli.js';
+
+const ORDERS = `ucm "Orders"
+variable paid : boolean
+start Order at (0, 100)
+responsibility Check at (100, 100)
+fork Paid at (200, 100)
+responsibility Ship at (300, 50)
+end Shipped at (400, 50)
+end Held at (400, 150)
+link Order -> Check
+link Check -> Paid
+link Paid -> Ship [guard: "paid"]
+link Paid -> Held [guard: "!paid"]
+link Ship -> Shipped
+scenario "Happy" from Order expect Shipped { var paid = true }
+scenario "Unpaid" from Order expect Shipped
+`;
+
+/**
+ * Run the CLI against an in-memory file system
+ */
+function run(args, files = {}) {
+    const io = {
+        out: '',
+        err: '',
+        files: { ...files },
+        stdout(text) { this.out += text; },
+        stderr(text) { this.err += text; },
+        readFile(path) {
+            if (!(path in this.files)) throw new Error('no such file');
+            return this.files[path];
+        },
+        writeFile(path, text) { this.files[path] = text; }
+    };
+    const code = main(args, io);
+    return { code, out: io.out, err: io.err, files: io.files };
+}
+
+describe('ucm CLI', () => {
+    test('should print usage and reject unknown commands', () => {
+        expect(run(['--help'])).toMatchObject({ code: 0, out: expect.stringContaining('Usage: ucm') });
+        expect(run(['explode', 'a.ducm'])).toMatchObject({ code: 2, err: expect.stringContaining('unknown command "explode"') });
+        expect(run(['stats', 'missing.ducm']).err).toBe('ucm: cannot read missing.ducm: no such file\n');
+    });
+
+    test('should validate with file:line:column diagnostics', () => {
+        expect(run(['validate', 'orders.ducm'], { 'orders.ducm': ORDERS })).toMatchObject({
+            code: 0,
+            out: 'orders.ducm: map "Orders": warning: 1 fork(s) but only 0 join(s)\n' +
+                'orders.ducm: 0 error(s), 1 warning(s)\n'
+        });
+
+        const broken = run(['validate', 'orders.ducm'], { 'orders.ducm': ORDERS.replace('link Ship -> Shipped', 'link Ship -> Nowhere') });
+        expect(broken.code).toBe(1);
+        expect(broken.out).toMatch(/^orders\.ducm:13:\d+: error: .*Nowhere/m);
+    });
+
+    test('should report model errors per map', () => {
+        const { code, out } = run(['validate', 'orders.ducm'], { 'orders.ducm': ORDERS.replace('link Ship -> Shipped\n', '') });
+        expect(code).toBe(1);
+        expect(out).toContain('orders.ducm: map "Orders": error: ');
+    });
+
+    test('should format, check and rewrite DSL files', () => {
+        const messy = ORDERS.replace('start Order at (0, 100)', 'start   Order   at (0,100)');
+        const formatted = run(['format', 'orders.ducm'], { 'orders.ducm': messy });
+        expect(formatted.code).toBe(0);
+        expect(formatted.out).toContain('start Order at (0, 100)');
+
+        expect(run(['format', 'orders.ducm', '--check'], { 'orders.ducm': messy }).code).toBe(1);
+        expect(run(['format', 'orders.ducm', '--check'], { 'orders.ducm': formatted.out }).code).toBe(0);
+        expect(run(['format', 'orders.ducm', '--write'], { 'orders.ducm': messy }).files['orders.ducm']).toBe(formatted.out);
+
+        // Formatted text ends with exactly one newline and adds no timestamps
+        expect(formatted.out).toMatch(/[^\n]\n$/);
+        expect(formatted.out).not.toContain('meta created');
+        expect(run(['format', 'orders.ducm', '--check'], { 'orders.ducm': formatted.out.trimEnd() }).code).toBe(1);
+    });
+
+    test('should convert between formats', () => {
+        const files = { 'orders.ducm': ORDERS };
+        const json = run(['convert', 'orders.ducm', '--to', 'json', '-o', 'orders.json'], files).files['orders.json'];
+        expect(JSON.parse(json).scenarios).toHaveLength(2);
+
+        // ... and back from JSON
+        const ducm = run(['convert', 'orders.json', '--to', 'ducm'], { 'orders.json': json });
+        expect(ducm.out).toContain('link Paid -> Ship [guard: "paid"]');
+
+        expect(run(['convert', 'orders.ducm', '--to', 'jucm'], files).out).toContain('<urn:URNspec');
+        expect(run(['convert', 'flow.gv', '--to', 'ducm'], { 'flow.gv': 'digraph Flow { a -> b }' }).out).toContain('link a -> b');
+        expect(run(['validate', 'flow.dot'], { 'flow.dot': 'digraph {\n  a -> ' }).out).toContain('flow.dot:2:1: error: Expected a name but found end of file');
+        expect(run(['convert', 'orders.ducm', '--to', 'png'], files)).toMatchObject({ code: 2 });
+    });
+
+    test('should read jUCMNav files and warn about dropped constructs', () => {
+        const jucm = `<urn:URNspec xmlns:urn="http:///urn.ecore" xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance" name="Orders">
+  <urndef>
+    <specDiagrams xsi:type="ucm.map:UCMmap" id="2" name="Orders">
+      <nodes xsi:type="ucm.map:StartPoint" id="3" name="Order" x="0" y="100"/>
+      <nodes xsi:type="ucm.map:EndPoint" id="4" name="Shipped" x="100" y="100"/>
+      <connections xsi:type="ucm.map:NodeConnection" source="3" target="4"/>
+      <comments id="5" description="todo"/>
+    </specDiagrams>
+  </urndef>
+</urn:URNspec>`;
+        const { code, out, err } = run(['convert', 'orders.jucm', '--to', 'ducm'], { 'orders.jucm': jucm });
+        expect(code).toBe(0);
+        expect(out).toContain('link Order -> Shipped');
+        expect(err).toBe('orders.jucm:7:1: warning: comments: Comments are not supported\n');
+
+        expect(run(['validate', 'orders.jucm'], { 'orders.jucm': '<urn:URNspec>' }).out)
+            .toContain('orders.jucm:1:1: error: Unclosed element <urn:URNspec>');
+    });
+
+    test('should write SVG, PDF, DOT, Mermaid and PlantUML from graph data', () => {
+        const files = { 'orders.ducm': ORDERS };
+
+        const svg = run(['convert', 'orders.ducm', '--to', 'svg'], files).out;
+        expect(svg).toMatch(/<svg xmlns="http:\/\/www.w3.org\/2000\/svg" viewBox="-55 -5 510 245"/);
+        expect(svg.match(/class="ucm-node /g)).toHaveLength(6);
+        expect(svg).toContain('>[!paid]</text>');
+
+        const dot = run(['convert', 'orders.ducm', '--to', 'dot'], files).out;
+        expect(dot).toMatch(/^digraph "Orders" \{/);
+        expect(dot).toMatch(/"node_\d+" -> "node_\d+" \[label="\[paid\]"\];/);
+
+        const mermaid = run(['convert', 'orders.ducm', '--to', 'mermaid'], files).out;
+        expect(mermaid).toMatch(/^flowchart LR\n/);
+        expect(mermaid).toMatch(/node_\d+\(\("Order"\)\)/);
+        expect(mermaid).toMatch(/node_\d+ -->\|"\[!paid\]"\| node_\d+/);
+
+        const converted = run(['convert', 'orders.ducm', '--to', 'pdf', '--page', 'letter', '--orientation', 'portrait'], files);
+        const pdf = converted.out;
+        expect(converted.err).toMatch(/^ucm: warning: No font embedded: /);
+        expect(pdf).toMatch(/^%PDF-1\.4\n/);
+        expect(pdf).toContain('/MediaBox [0 0 612 792]');
+        expect(run(['convert', 'orders.ducm', '--to', 'pdf', '--page', 'B7'], files).err).toContain('--page must be one of A4, A3');
+
+        const plantuml = run(['convert', 'orders.ducm', '--to', 'plantuml'], files).out;
+        expect(plantuml).toMatch(/^@startuml\ntitle Orders\n/);
+        expect(plantuml).toMatch(/node_\d+ --> node_\d+ : \[paid\]/);
+    });
+
+    test('should run scenarios and write reports', () => {
+        const { code, out, files } = run(['scenarios', 'run', 'orders.ducm', '--junit', 'junit.xml', '--json', 'report.json'],
+            { 'orders.ducm': ORDERS });
+
+        expect(code).toBe(1);
+        expect(out).toBe([
+            'PASS  Orders / Happy',
+            'FAIL  Orders / Unpaid',
+            '      Expected end point Shipped was not reached',
+            '      Reached end point Held, which is not expected',
+            '1 passed, 1 failed, 2 total',
+            'Coverage: nodes 6/6 (100%), edges 5/5 (100%), branches 2/2 (100%)',
+            ''
+        ].join('\n'));
+        expect(files['junit.xml']).toContain('<testsuites name="Orders" tests="2" failures="1"');
+        expect(JSON.parse(files['report.json']).passed).toBe(1);
+    });
+
+    test('should analyze performance annotations', () => {
+        const annotated = ORDERS
+            .replace('start Order at (0, 100)', 'start Order at (0, 100) with arrivalRate=10')
+            .replace('responsibility Check at (100, 100)', 'responsibility Check at (100, 100) with executionTime=50');
+        const { code, out } = run(['perf', 'orders.ducm'], { 'orders.ducm': annotated });
+        expect(code).toBe(0);
+        expect(out).toBe('Start Order: 10/s, response time 50 ms\n');
+
+        const lqnx = run(['convert', 'orders.ducm', '--to', 'lqnx'], { 'orders.ducm': annotated }).out;
+        expect(lqnx).toContain('<entry name="Environment_Order" type="PH1PH2" open-arrival-rate="10">');
+    });
+
+    test('should simulate scenarios', () => {
+        const timed = ORDERS.replace('responsibility Ship at (300, 50)', 'responsibility Ship at (300, 50) with executionTime=20');
+        const { code, out } = run(['simulate', 'orders.ducm', '--scenario', 'Happy', '--runs', '10', '--seed', '1'],
+            { 'orders.ducm': timed });
+        expect(code).toBe(0);
+        expect(out).toBe([
+            'Happy: 10 runs, 10 without errors',
+            '  end Shipped: 100%, p50 20 ms, p90 20 ms, p99 20 ms',
+            '  path 100%: Order → Check → Paid → Ship → Shipped',
+            '  critical path 100%: Order → Check → Paid → Ship → Shipped',
+            ''
+        ].join('\n'));
+
+        expect(run(['simulate', 'orders.ducm', '--runs', 'many'], { 'orders.ducm': timed })).toMatchObject({ code: 2 });
+    });
+
+    test('should count elements', () => {
+        const { out } = run(['stats', 'orders.ducm', '--json'], { 'orders.ducm': ORDERS });
+        expect(JSON.parse(out)).toEqual({
+            maps: 1,
+            nodes: 6,
+            nodeTypes: { start: 1, responsibility: 2, fork: 1, end: 2 },
+            edges: 5,
+            components: 0,
+            variables: 1,
+            scenarios: 2
+        });
+    });
+});
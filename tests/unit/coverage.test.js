@@ -0,0 +1,148 @@
+/**
+ * Unit tests for scenario coverage
+ */
+import { graph } from '../../js/core/graph.js';
+import { ucmDocument } from '../../js/core/document.js';
+import { parser } from '../../js/core/parser.js';
+import { scenarioManager } from '../../js/core/scenario.js';
+import { computeCoverage } from '../../js/core/coverage.js';
+import { runAllScenarios, toJUnitXml } from '../../js/core/scenario-runner.js';
+
+const ORDERS = `ucm "Orders"
+variable paid : boolean
+start Order at (0, 100)
+responsibility Check at (100, 100)
+fork Paid at (200, 100)
+responsibility Ship at (300, 50)
+responsibility Remind at (300, 150)
+end Shipped at (400, 50)
+end Held at (400, 150)
+link Order -> Check
+link Check -> Paid
+link Paid -> Ship [guard: "paid"]
+link Paid -> Remind [guard: "!paid"]
+link Ship -> Shipped
+link Remind -> Held
+scenario "Happy" from Order { var paid = true }
+scenario "Unpaid" from Order`;
+
+const load = (text) => parser.parseDocument(text, ucmDocument, { replace: true });
+const names = (items) => items.map(item => item.name);
+
+describe('Scenario coverage', () => {
+    beforeEach(() => {
+        ucmDocument.reset();
+        graph.clear();
+        scenarioManager.clear();
+    });
+
+    test('should count nothing before any run', () => {
+        load(ORDERS);
+        const coverage = computeCoverage();
+
+        expect(coverage.scenarios).toBe(0);
+        expect(coverage.nodes).toMatchObject({ total: 7, covered: 0, percent: 0 });
+        expect(coverage.branches.total).toBe(2);
+    });
+
+    test('should list the nodes, edges and OR branches no run exercised', () => {
+        load(ORDERS);
+        const [happy] = scenarioManager.getAllScenarios();
+        scenarioManager.executeScenario(happy.id);
+        const coverage = computeCoverage();
+
+        expect(coverage.nodes).toMatchObject({ total: 7, covered: 5, percent: 71.4 });
+        expect(names(coverage.nodes.uncovered)).toEqual(['Remind', 'Held']);
+        expect(names(coverage.edges.uncovered)).toEqual(['Paid -> Remind', 'Remind -> Held']);
+        expect(coverage.branches).toMatchObject({ total: 2, covered: 1, percent: 50 });
+        expect(coverage.branches.uncovered).toEqual([
+            { mapId: ucmDocument.rootMapId, map: 'Orders', id: expect.any(String), name: 'Paid -> Remind [!paid]', type: 'branch' }
+        ]);
+    });
+
+    test('should count the scenarios that passed each element', () => {
+        load(ORDERS);
+        scenarioManager.getAllScenarios().forEach(s => scenarioManager.executeScenario(s.id));
+        const coverage = computeCoverage();
+        const hits = coverage.hits[ucmDocument.rootMapId];
+        const id = (name) => graph.getAllNodes().find(n => n.properties.name === name).id;
+
+        expect(coverage.nodes.percent).toBe(100);
+        expect(coverage.branches.uncovered).toEqual([]);
+        expect(hits.nodes[id('Check')]).toBe(2);
+        expect(hits.nodes[id('Ship')]).toBe(1);
+    });
+
+    test('should cover plug-in maps through their stubs', () => {
+        load(`ucm "Root" {
+  start S at (0, 0)
+  stub Pay at (100, 0)
+  end E at (200, 0)
+  link S -> Pay
+  link Pay -> E
+  plugin Pay -> "Payment"
+  scenario "Run" from S
+}
+ucm "Payment" {
+  start In at (0, 0)
+  responsibility Charge at (100, 0)
+  end Out at (200, 0)
+  link In -> Charge
+  link Charge -> Out
+}`);
+        runAllScenarios();
+        const coverage = computeCoverage();
+        const payment = coverage.maps.find(m => m.name === 'Payment');
+
+        expect(payment.nodes).toMatchObject({ total: 3, covered: 3 });
+        expect(coverage.nodes.uncovered).toEqual([]);
+    });
+
+    test('should not credit a plug-in map with the IDs of its stub', () => {
+        load(`ucm "Root" {
+  start S at (0, 0)
+  responsibility Log at (50, 0)
+  stub Pay at (100, 0)
+  end E at (200, 0)
+  link S -> Log
+  link Log -> Pay
+  link Pay -> E
+  plugin Pay -> "Payment"
+  scenario "Run" from S
+}
+ucm "Payment" {
+  start In at (0, 0)
+  responsibility Charge at (100, 0)
+  responsibility Unused at (100, 100)
+  end Out at (200, 0)
+  link In -> Charge
+  link Unused -> Out
+  link Charge -> Out
+}`);
+        runAllScenarios();
+        const coverage = computeCoverage();
+        const payment = ucmDocument.getMapByName('Payment');
+        const pluginGraph = ucmDocument.getMapGraph(payment.id);
+        const unused = pluginGraph.getAllNodes().find(n => n.properties.name === 'Unused');
+
+        // The stub and its in-path have the same IDs as the unvisited node and edge
+        const stub = graph.getAllNodes().find(n => n.properties.name === 'Pay');
+        expect(unused.id).toBe(stub.id);
+        expect(pluginGraph.getEdge([...stub.inEdges][0]).sourceNodeId).toBe(unused.id);
+
+        expect(names(coverage.nodes.uncovered)).toEqual(['Unused']);
+        expect(names(coverage.edges.uncovered)).toEqual(['Unused -> Out']);
+        expect(coverage.maps.find(m => m.name === 'Payment').nodes).toMatchObject({ total: 4, covered: 3 });
+    });
+
+    test('should add coverage to the scenario report', () => {
+        load(ORDERS);
+        const report = runAllScenarios({ scenarioIds: [scenarioManager.getAllScenarios()[0].id] });
+        const xml = toJUnitXml(report);
+
+        expect(report.coverage.branches.percent).toBe(50);
+        expect(xml).toContain('<property name="coverage.branches" value="1/2 (50%)"/>');
+        expect(xml).toContain('<system-out>Uncovered responsibility: Remind\nUncovered end: Held\n' +
+            'Uncovered edge: Paid -&gt; Remind\nUncovered edge: Remind -&gt; Held\nUncovered branch: Paid -&gt; Remind [!paid]</system-out>');
+    });
+});
@@ -0,0 +1,185 @@
+/**
+ * Unit tests for multi-map documents and shared component definitions
+ */
+import { UCMGraph, graph } from '../../js/core/graph.js';
+import { UCMDocument, ucmDocument } from '../../js/core/document.js';
+import { parser } from '../../js/core/parser.js';
+import { serializer } from '../../js/core/serializer.js';
+import { exporter } from '../../js/core/exporter.js';
+import { fromDot } from '../../js/core/dot.js';
+
+const MULTI_MAP_DSL = `ucm "Main" {
+  component Shop type team at (0, 0) size (400, 200) {
+    start Order at (50, 100)
+    stub Pay at (200, 100)
+  }
+  end Ship at (500, 100)
+
+  link Order -> Pay
+  link Pay -> Ship
+
+  plugin Pay -> "Card Payment"
+  bind Pay -> "Card Payment" in Order -> Begin
+  bind Pay -> "Card Payment" out Done -> Ship
+}
+
+ucm "Card Payment" {
+  component Shop type team at (0, 0) size (300, 200) {
+    start Begin at (50, 100)
+    end Done at (250, 100)
+  }
+
+  link Begin -> Done
+}`;
+
+describe('Multi-map DSL', () => {
+    let target;
+    let doc;
+
+    beforeEach(() => {
+        target = new UCMGraph();
+        doc = new UCMDocument(target);
+    });
+
+    test('should parse one map per ucm block', () => {
+        const result = parser.parseDocument(MULTI_MAP_DSL, doc);
+        expect(result.errors).toEqual([]);
+
+        expect(doc.getAllMaps().map(m => m.name)).toEqual(['Main', 'Card Payment']);
+        expect(doc.getRootMap().name).toBe('Main');
+        expect(target.getAllNodes()).toHaveLength(3);
+
+        const card = doc.getMapByName('Card Payment');
+        expect(doc.getMapGraph(card.id).getAllNodes()).toHaveLength(2);
+    });
+
+    test('should bind stubs to maps defined further down', () => {
+        parser.parseDocument(MULTI_MAP_DSL, doc);
+
+        const stub = target.getNodesByType('stub')[0];
+        const [plugin] = stub.properties.plugins;
+        expect(plugin.mapId).toBe(doc.getMapByName('Card Payment').id);
+        expect(plugin.inBindings).toHaveLength(1);
+        expect(plugin.outBindings).toHaveLength(1);
+    });
+
+    test('should report line numbers relative to the whole text', () => {
+        const dsl = `ucm "A" {
+  start S at (0, 0)
+}
+
+ucm "B" {
+  link X -> Y
+}`;
+        const result = parser.parseDocument(dsl, doc);
+        expect(result.errors[0].line).toBe(6);
+    });
+
+    test('should report unclosed blocks', () => {
+        const result = parser.parseDocument('ucm "A" {\n  start S at (0, 0)', doc);
+        expect(result.success).toBe(false);
+        expect(result.errors[0].message).toContain('Missing closing');
+    });
+
+    test('should name the root map from a single-map header', () => {
+        parser.parseDocument('ucm "Checkout"\nstart S at (0, 0)', doc);
+        expect(doc.getAllMaps()).toHaveLength(1);
+        expect(doc.getRootMap().name).toBe('Checkout');
+    });
+
+    test('should round-trip a multi-map document', () => {
+        parser.parseDocument(MULTI_MAP_DSL, doc);
+        const text = serializer.serializeDocument(doc);
+
+        expect(text).toContain('ucm "Main" {');
+        expect(text).toContain('ucm "Card Payment" {');
+
+        const other = new UCMDocument(new UCMGraph());
+        const result = parser.parseDocument(text, other);
+        expect(result.errors).toEqual([]);
+        expect(serializer.serializeDocument(other)).toBe(text);
+    });
+
+    test('should serialize a single-map document without blocks', () => {
+        parser.parseDocument('ucm "Checkout"\nstart S at (0, 0)', doc);
+        const text = serializer.serializeDocument(doc);
+
+        expect(text.startsWith('ucm "Checkout"\n')).toBe(true);
+        expect(text).not.toContain('{');
+    });
+});
+
+describe('Shared component definitions', () => {
+    let target;
+    let doc;
+
+    beforeEach(() => {
+        target = new UCMGraph();
+        doc = new UCMDocument(target);
+        parser.parseDocument(MULTI_MAP_DSL, doc);
+    });
+
+    test('should share one definition per component name and kind', () => {
+        const shop = target.getAllComponents()[0];
+        const card = doc.getMapByName('Card Payment');
+        const cardShop = doc.getMapGraph(card.id).getAllComponents()[0];
+
+        expect(doc.getComponentDefinitions()).toHaveLength(1);
+        expect(cardShop.properties.definitionId).toBe(shop.properties.definitionId);
+        expect(doc.getDefinitionUsage(shop.properties.definitionId).map(u => u.name))
+            .toEqual(['Main', 'Card Payment']);
+    });
+
+    test('should propagate renames to other maps', () => {
+        const shop = target.getAllComponents()[0];
+        target.updateComponent(shop.id, { type: 'object', properties: { name: 'Store' } });
+
+        const card = doc.getMapByName('Card Payment');
+        const cardShop = doc.getMapGraph(card.id).getAllComponents()[0];
+        expect(cardShop.properties.name).toBe('Store');
+        expect(cardShop.type).toBe('object');
+    });
+
+    test('should keep definitions when switching maps', () => {
+        const card = doc.getMapByName('Card Payment');
+        doc.openMap(card.id);
+
+        const cardShop = target.getAllComponents()[0];
+        target.updateComponent(cardShop.id, { properties: { name: 'Store' } });
+        doc.openMap(doc.rootMapId);
+
+        expect(target.getAllComponents()[0].properties.name).toBe('Store');
+    });
+
+    test('should survive a JSON round-trip', () => {
+        const json = JSON.parse(JSON.stringify(doc.toJSON()));
+        const other = new UCMDocument(new UCMGraph());
+        other.fromJSON(json);
+
+        expect(other.getComponentDefinitions()).toEqual(doc.getComponentDefinitions());
+        expect(other.getAllMaps()).toHaveLength(2);
+    });
+});
+
+describe('Saved files', () => {
+    beforeEach(() => {
+        ucmDocument.reset();
+        graph.clear();
+    });
+
+    test('should keep the diagram name through a JSON save and reload', () => {
+        parser.parseDocument('ucm "Checkout"\nstart Order at (0, 0)\n', ucmDocument, { replace: true });
+        const saved = JSON.parse(JSON.stringify(exporter.toJSON()));
+
+        ucmDocument.reset();
+        graph.clear();
+        exporter.fromJSON(saved);
+        expect(ucmDocument.getMap(ucmDocument.rootMapId).name).toBe('Checkout');
+        expect(serializer.serializeDocument(ucmDocument).split('\n')[0]).toBe('ucm "Checkout"');
+    });
+
+    test('should name the map after an imported DOT graph', () => {
+        exporter.fromJSON(fromDot('digraph Shipping { a -> b }'));
+        expect(serializer.serializeDocument(ucmDocument).split('\n')[0]).toBe('ucm "Shipping"');
+    });
+});
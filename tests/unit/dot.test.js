@@ -0,0 +1,196 @@
+/**
+ * Unit tests for the Graphviz DOT writer and reader
+ */
+import { UCMGraph, graph } from '../../js/core/graph.js';
+import { ucmDocument } from '../../js/core/document.js';
+import { parser } from '../../js/core/parser.js';
+import { serializer } from '../../js/core/serializer.js';
+import { toDot, fromDot, DotError } from '../../js/core/dot.js';
+
+const read = (text) => {
+    const map = new UCMGraph();
+    map.fromJSON(fromDot(text));
+    const byName = (name) => map.getAllNodes().find(n => n.properties.name === name);
+    return { map, byName };
+};
+
+const targets = (map, node) => [...node.outEdges].map(id => map.getNode(map.getEdge(id).targetNodeId).properties.name);
+
+describe('DOT writer', () => {
+    test('should write components as nested clusters', () => {
+        ucmDocument.reset();
+        graph.clear();
+        parser.parseDocument(`ucm "Shop"
+component Shop type team at (0, 0) size (400, 300) {
+  component Warehouse type process at (200, 0) size (150, 150) {
+    responsibility Ship at (250, 50)
+  }
+  responsibility Check at (100, 100)
+}
+start Order at (-50, 100)
+end Shipped at (450, 50)
+link Order -> Check
+link Check -> Ship [guard: "in stock"]
+link Ship -> Shipped`, ucmDocument, { replace: true });
+        const id = (name) => graph.getAllNodes().find(n => n.properties.name === name).id;
+        const comp = (name) => graph.getAllComponents().find(c => c.properties.name === name).id;
+
+        const dot = toDot(graph);
+        expect(dot).toContain([
+            `    subgraph "cluster_${comp('Shop')}" {`,
+            '        label="Shop";',
+            `        "${id('Check')}" [shape="box", label="Check"];`,
+            `        subgraph "cluster_${comp('Warehouse')}" {`,
+            '            label="Warehouse";',
+            '            style=dashed;',
+            `            "${id('Ship')}" [shape="box", label="Ship"];`,
+            '        }',
+            '    }',
+            `    "${id('Order')}" [shape="circle"`
+        ].join('\n'));
+        expect(dot).toContain(`"${id('Check')}" -> "${id('Ship')}" [label="[in stock]"];`);
+    });
+});
+
+describe('DOT reader', () => {
+    test('should infer UCM node types from in/out degree', () => {
+        const { map, byName } = read(`digraph Orders {
+  // Hand-written: no positions, no shapes
+  node [shape=box];
+  Order -> Check -> Paid;
+  Paid -> Ship [label="[paid]"];
+  Paid -> Held [label="!paid"];
+  Ship -> Sync; Held -> Sync;
+  Sync -> "Done \\"ok\\"";
+  Lonely;
+}`);
+        expect(map.metadata.name).toBe('Orders');
+        expect(map.getAllNodes().map(n => `${n.type}:${n.properties.name}`)).toEqual([
+            'start:Order', 'responsibility:Check', 'fork:Paid', 'responsibility:Ship', 'responsibility:Held',
+            'join:Sync', 'end:Done "ok"', 'responsibility:Lonely'
+        ]);
+        expect(byName('Paid').properties.forkType).toBe('or');
+        expect(targets(map, byName('Paid'))).toEqual(['Ship', 'Held']);
+        // Only "[...]" labels are guards
+        expect(map.getAllEdges().filter(e => e.condition).map(e => e.condition)).toEqual(['paid']);
+        expect(map.getAllEdges().filter(e => e.properties.label).map(e => e.properties.label)).toEqual(['!paid']);
+
+        // Columns by distance from the start, rows in order of appearance
+        expect(byName('Order').position).toEqual({ x: 50, y: 50 });
+        expect(byName('Ship').position).toEqual({ x: 500, y: 50 });
+        expect(byName('Held').position).toEqual({ x: 500, y: 150 });
+    });
+
+    test('should read clusters and Graphviz positions', () => {
+        const { map, byName } = read(`strict digraph "Laid out" {
+  graph [bb="0,0,300,200"];
+  subgraph cluster_shop {
+    graph [label=Shop, bb="50,20,250,180"];
+    subgraph cluster_back {
+      label="Back office"; style=dashed;
+      b [label="Pack", pos="150,100"];
+    }
+    a [label="Pick", pos="100,150!"];
+  }
+  s [label="", xlabel=Start, pos="10,150"];
+  s -> { a b };
+  a -> e; b -> e;
+}`);
+        const [shop, back] = map.getAllComponents();
+        expect(shop).toMatchObject({ type: 'team', properties: { name: 'Shop' }, bounds: { x: 50, y: 20, width: 200, height: 160 } });
+        expect(back).toMatchObject({ type: 'process', properties: { name: 'Back office' }, parentComponent: shop.id });
+        expect(byName('Pick').parentComponent).toBe(shop.id);
+        expect(byName('Pack').parentComponent).toBe(back.id);
+        expect(byName('Pack').position).toEqual({ x: 150, y: 100 });
+        expect(byName('Pick').position).toEqual({ x: 100, y: 50 });
+
+        // A start point can have a single path: an OR-fork takes its branches
+        const start = byName('Start');
+        const fork = map.getNode(map.getEdge([...start.outEdges][0]).targetNodeId);
+        expect(fork).toMatchObject({ type: 'fork', properties: { forkType: 'or' } });
+        expect(targets(map, fork)).toEqual(['Pick', 'Pack']);
+        expect(map.getAllNodes().find(n => n.type === 'end').properties.name).toBe('e');
+    });
+
+    test('should read its own output back', () => {
+        ucmDocument.reset();
+        graph.clear();
+        parser.parseDocument(`ucm "Round"
+component Shop type team at (0, 0) size (400, 300) {
+  responsibility Check at (100, 100)
+}
+start Order at (0, 100)
+fork Split at (150, 100) with forkType=and
+stub Pay at (200, 50) dynamic
+timer Wait at (200, 150) with timeout=5
+join Sync at (250, 100) with joinType=and
+end Done at (300, 100)
+link Order -> Check
+link Check -> Split
+link Split -> Pay
+link Split -> Wait
+link Pay -> Sync
+link Wait -> Sync
+link Sync -> Done`, ucmDocument, { replace: true });
+
+        const { map, byName } = read(toDot(graph));
+        expect(map.getAllNodes().map(n => `${n.type}:${n.properties.name}`)).toEqual([
+            'responsibility:Check', 'start:Order', 'fork:Split', 'stub:Pay', 'timer:Wait', 'join:Sync', 'end:Done'
+        ]);
+        expect(byName('Split').properties.forkType).toBe('and');
+        expect(byName('Sync').properties.joinType).toBe('and');
+        expect(byName('Pay').properties.stubType).toBe('dynamic');
+        expect(byName('Check').parentComponent).toBe(map.getAllComponents()[0].id);
+        expect(serializer.serialize(map)).toContain('link Split -> Pay');
+    });
+
+    test('should keep the name of every node type and the edge labels', () => {
+        ucmDocument.reset();
+        graph.clear();
+        parser.parseDocument(`ucm "Names"
+start Begin at (0, 100)
+fork Choose at (50, 100)
+responsibility Work at (100, 50)
+empty Via at (100, 150)
+join Merge at (150, 100)
+fork Split at (200, 100) with forkType=and
+stub Pay at (250, 50)
+timer Wait at (250, 150) with timeout=5
+join Sync at (300, 100) with joinType=and
+end Finish at (350, 100)
+link Begin -> Choose
+link Choose -> Work [guard: "fast"] with label="Express"
+link Choose -> Via with label="Standard"
+link Work -> Merge
+link Via -> Merge
+link Merge -> Split
+link Split -> Pay
+link Split -> Wait
+link Pay -> Sync
+link Wait -> Sync
+link Sync -> Finish`, ucmDocument, { replace: true });
+        const names = (map) => map.getAllNodes().map(n => `${n.type}:${n.properties.name}`);
+
+        const { map, byName } = read(toDot(graph));
+        expect(names(map)).toEqual(names(graph));
+        expect(byName('Choose').properties.forkType).toBe('or');
+        expect(byName('Merge').properties.joinType).toBe('or');
+        expect(map.getAllEdges().map(e => [e.condition, e.properties.label])).toEqual(
+            graph.getAllEdges().map(e => [e.condition, e.properties.label]));
+        expect(serializer.serialize(map)).toContain('link Choose -> Work [guard: "fast"] with label=Express');
+    });
+
+    test('should skip preprocessor lines and follow their line numbers', () => {
+        const { map } = read('# 1 "orders.gv"\ndigraph {\n#pragma once\n  a -> b # to the end\n}');
+        expect(map.getAllNodes().map(n => n.properties.name)).toEqual(['a', 'b']);
+
+        expect(() => fromDot('# 40 "orders.gv"\ndigraph {\n  a -> ;\n}')).toThrow('Line 41: Expected a name');
+    });
+
+    test('should report malformed input with its line', () => {
+        expect(() => fromDot('graph { a -- b }')).toThrow('Line 1: Only directed graphs (digraph) can be imported');
+        expect(() => fromDot('digraph {\n  a -> ;\n}')).toThrow('Line 2: Expected a name but found ";"');
+        expect(() => fromDot('digraph {\n  a -> b')).toThrow(DotError);
+        expect(() => fromDot('<svg/>')).toThrow('Not a DOT file');
+    });
+});
@@ -1,4 +1,5 @@
 import { parser } from '../../js/core/parser.js';
+import { serializer } from '../../js/core/serializer.js';
 import { UCMGraph } from '../../js/core/graph.js';
 
 describe('DSL Parser', () => {
@@ -50,4 +51,210 @@ describe('DSL Parser', () => {
         expect(node.parentComponent).toBe(comp.id);
         expect(comp.childNodes.has(node.id)).toBe(true);
     });
+
+    test('should keep the ucm header and metadata', () => {
+        const dsl = `
+            ucm "Checkout"
+            meta description "Order \\"checkout\\" flow"
+            meta author "Jane Doe"
+            meta tags "payments, web"
+            meta created "2026-01-02T10:00:00.000Z"
+            start "S" at (0, 0)
+        `;
+        const result = parser.parse(dsl, graph);
+        expect(result.success).toBe(true);
+
+        expect(graph.metadata.name).toBe('Checkout');
+        expect(graph.metadata.description).toBe('Order "checkout" flow');
+        expect(graph.metadata.author).toBe('Jane Doe');
+        expect(graph.metadata.tags).toEqual(['payments', 'web']);
+        expect(graph.metadata.created).toBe('2026-01-02T10:00:00.000Z');
+    });
+
+    test('should warn about unknown metadata fields', () => {
+        const result = parser.parse('meta colour "red"', graph);
+        expect(result.warnings[0].message).toContain('Unknown metadata field');
+    });
+
+    test('should parse with-attributes on nodes, components and links', () => {
+        const dsl = `
+            component "Shop" type team at (0, 0) size (400, 200) with description="Web shop" color="#ff0000" {
+                responsibility "Charge" at (50, 50) with executionTime=5 description="Bill the \\"card\\""
+            }
+            start "S" at (0, 0) with precondition="cart.items > 0"
+            timer "Wait" at (100, 0) with timeout=30
+            link "S" -> "Charge" with strokeColor="#00aa00" strokeWidth=3
+        `;
+        const result = parser.parse(dsl, graph);
+        expect(result.errors).toEqual([]);
+
+        const byName = (name) => graph.getAllNodes().find(n => n.properties.name === name);
+        expect(byName('Charge').properties.executionTime).toBe(5);
+        expect(byName('Charge').properties.description).toBe('Bill the "card"');
+        expect(byName('S').properties.precondition).toBe('cart.items > 0');
+        expect(byName('Wait').properties.timeout).toBe(30);
+
+        const comp = graph.getAllComponents()[0];
+        expect(comp.properties.description).toBe('Web shop');
+        expect(comp.properties.color).toBe('#ff0000');
+
+        const edge = graph.getAllEdges()[0];
+        expect(edge.properties.strokeColor).toBe('#00aa00');
+        expect(edge.properties.strokeWidth).toBe(3);
+    });
+
+    test('should prefer explicit fork/join types over the name', () => {
+        const dsl = `
+            fork "AND_Split" at (0, 0) with forkType=or
+            fork "Standard" at (100, 0)
+            join "AndJoin" at (200, 0)
+        `;
+        parser.parse(dsl, graph);
+
+        const [split, standard, join] = graph.getAllNodes();
+        expect(split.properties.forkType).toBe('or');
+        expect(standard.properties.forkType).toBe('or');
+        expect(join.properties.joinType).toBe('and');
+    });
+
+    test('should report malformed attributes', () => {
+        const result = parser.parse('start "S" at (0, 0) with description="open', graph);
+        expect(result.success).toBe(false);
+        expect(result.errors[0].message).toContain('Invalid attributes');
+    });
+
+    test('should parse empty points', () => {
+        const result = parser.parse('empty "P1" at (10, 10)', graph);
+        expect(result.warnings).toEqual([]);
+        expect(graph.getNodesByType('empty')).toHaveLength(1);
+    });
+
+    test('should parse link guards, waypoints and style in any order', () => {
+        const dsl = `
+            fork "F" at (0, 0)
+            end "E" at (200, 0)
+            link "F" -> "E" style { strokeColor: "#f00" } via (10, 20) [guard: "ok == true"]
+        `;
+        const result = parser.parse(dsl, graph);
+        expect(result.warnings).toEqual([]);
+
+        const edge = graph.getAllEdges()[0];
+        expect(edge.condition).toBe('ok == true');
+        expect(edge.controlPoints).toEqual([{ x: 10, y: 20 }]);
+        expect(edge.properties.strokeColor).toBe('#f00');
+    });
+
+    test('should warn about unrecognized link clauses', () => {
+        const dsl = `
+            start "S" at (0, 0)
+            end "E" at (200, 0)
+            link "S" -> "E" sideways
+        `;
+        const result = parser.parse(dsl, graph);
+        expect(result.success).toBe(true);
+        expect(result.warnings[0].message).toContain('Unrecognized link clause');
+        expect(graph.getAllEdges()).toHaveLength(1);
+    });
+});
+
+describe('DSL grammar', () => {
+    let graph;
+
+    beforeEach(() => {
+        graph = new UCMGraph();
+    });
+
+    test('should say what was expected, with the exact span', () => {
+        const result = parser.parse('start "S" (0, 0)', graph);
+        expect(result.errors).toEqual([
+            { line: 1, column: 11, endLine: 1, endColumn: 12, message: 'Expected "at" but found "("' }
+        ]);
+    });
+
+    test('should report malformed guard expressions at the quoted condition', () => {
+        const dsl = `start A at (0, 0)
+end B at (100, 0)
+link A -> B [guard: "x >"]`;
+        const result = parser.parse(dsl, graph);
+        expect(result.errors).toEqual([{
+            line: 3, column: 21, endLine: 3, endColumn: 26,
+            message: 'Invalid guard "x >": Expected a value but found end of expression'
+        }]);
+    });
+
+    test('should report guards nested too deeply instead of failing', () => {
+        const guard = `${'('.repeat(5000)}x${')'.repeat(5000)}`;
+        const result = parser.parse(`start A at (0, 0)\nend B at (100, 0)\nlink A -> B [guard: "${guard}"]`, graph);
+        expect(result.errors.map(e => e.message)).toEqual([
+            `Invalid guard ${JSON.stringify(guard)}: Expression is nested too deeply (more than 200 levels)`
+        ]);
+    });
+
+    test('should report every broken line in one pass and keep the good ones', () => {
+        const dsl = `start S at (0, 0)
+responsibility R at (100 0)
+end E at (200, 0) sideways
+bogus X
+link S -> R`;
+        const result = parser.parse(dsl, graph);
+
+        expect(result.errors.map(e => e.line)).toEqual([2, 3, 4, 5]);
+        expect(result.errors[0].message).toBe('Expected "," but found "0"');
+        expect(result.errors[1].message).toContain('Expected "with" or end of line');
+        expect(result.errors[2].message).toContain('Expected a statement');
+        expect(result.errors[3].message).toBe('Link target unknown: "R"');
+        expect(graph.getAllNodes().map(n => n.properties.name)).toEqual(['S']);
+    });
+
+    test('should report unbalanced braces', () => {
+        const extra = parser.parse('start S at (0, 0)\n}', graph);
+        expect(extra.errors[0]).toMatchObject({ line: 2, column: 1, message: 'Unexpected "}" - there is no open component' });
+
+        const missing = parser.parse('component C type team at (0, 0) size (100, 100) {\n  start S at (10, 10)', new UCMGraph());
+        expect(missing.errors[0]).toMatchObject({ line: 1, message: 'Missing closing "}" for component "C"' });
+    });
+
+    test('should keep the contents of a component whose header is broken', () => {
+        const dsl = `component C type team at (0, 0) size (100) {
+  start S at (10, 10)
+}
+end E at (200, 0)`;
+        const result = parser.parse(dsl, graph);
+
+        expect(result.errors).toHaveLength(1);
+        expect(graph.getAllComponents()).toHaveLength(0);
+        expect(graph.getAllNodes()).toHaveLength(2);
+    });
+
+    test('should record source ranges in the AST', () => {
+        const ast = parser.parseToAst('ucm "M"\nstart "S" at (0, 0)\nend E at (9, 9)\nlink "S" -> E');
+        const [map] = ast.maps;
+
+        expect(map.nodes[0].range).toEqual({ start: { line: 2, column: 1 }, end: { line: 2, column: 20 } });
+        expect(map.nodes[0].nameRange).toEqual({ start: { line: 2, column: 7 }, end: { line: 2, column: 10 } });
+        expect(map.links[0]).toMatchObject({ type: 'Link', source: 'S', target: 'E' });
+        expect(map.links[0].targetRange.start).toEqual({ line: 4, column: 13 });
+    });
+
+    test('should round-trip names containing quotes and arrows', () => {
+        const dsl = 'start "Say \\"hi\\"" at (0, 0)\nend "A->B" at (100, 0)\nlink "Say \\"hi\\"" -> "A->B"';
+        expect(parser.parse(dsl, graph).errors).toEqual([]);
+        expect(graph.getAllNodes().map(n => n.properties.name)).toEqual(['Say "hi"', 'A->B']);
+
+        const text = serializer.serialize(graph);
+        const copy = new UCMGraph();
+        expect(parser.parse(text, copy).errors).toEqual([]);
+        expect(serializer.serialize(copy)).toBe(text);
+    });
+
+    test('should ignore comments', () => {
+        const dsl = `# heading
+start S at (0, 0) // entry
+end E at (10, 0) # exit
+link S -> E style { strokeColor: #f00 }`;
+        const result = parser.parse(dsl, graph);
+
+        expect(result.errors).toEqual([]);
+        expect(graph.getAllEdges()[0].properties.strokeColor).toBe('#f00');
+    });
 });
@@ -0,0 +1,118 @@
+/**
+ * Unit tests for the legacy DUCM v2 dialect
+ */
+import { UCMGraph } from '../../js/core/graph.js';
+import { UCMDocument } from '../../js/core/document.js';
+import { parser } from '../../js/core/parser.js';
+import { serializer } from '../../js/core/serializer.js';
+import { detectDialect, convertV2ToV3 } from '../../js/core/ducm-v2.js';
+
+const V2_DSL = `ucm ParallelProcessing
+
+# Front end
+COMP process UserInterface at 50 50 size 200 300
+  START Request at 120 100
+  RESP ValidateInput at 120 200
+END
+
+COMP process Backend at 300 50 size 400 300
+  FORK ParallelFork at 350 150
+  RESP ProcessA at 450 100
+  RESP ProcessB at 450 200
+  JOIN ParallelJoin at 550 150
+  END Complete at 650 150
+END
+
+LINK Request TO ValidateInput
+LINK ValidateInput TO ParallelFork
+LINK ParallelFork TO ProcessA
+LINK ParallelFork TO ProcessB
+LINK ProcessA TO ParallelJoin
+LINK ProcessB TO ParallelJoin
+LINK ParallelJoin TO Complete`;
+
+const names = (g) => g.getAllNodes().map(n => n.properties.name);
+
+describe('DUCM v2 dialect', () => {
+    test('should tell v2 from v3 text', () => {
+        expect(detectDialect(V2_DSL)).toBe('v2');
+        expect(detectDialect('ucm "A"\nstart S at (0, 0)\nend E at (100, 0)\nlink S -> E')).toBe('v3');
+        expect(detectDialect('# just a comment\n')).toBe('v3');
+    });
+
+    test('should convert line for line', () => {
+        const { text, errors } = convertV2ToV3(V2_DSL);
+        const lines = text.split('\n');
+
+        expect(errors).toEqual([]);
+        expect(lines).toHaveLength(V2_DSL.split('\n').length);
+        expect(lines[3]).toBe('component UserInterface type process at (50, 50) size (200, 300) {');
+        expect(lines[5]).toBe('  responsibility ValidateInput at (120, 200)');
+        expect(lines[6]).toBe('}');
+        expect(lines[13]).toBe('  end Complete at (650, 150)');
+        expect(lines[16]).toBe('link Request -> ValidateInput');
+    });
+
+    test('should parse v2 into the same graph as v3', () => {
+        const fromV2 = new UCMGraph();
+        const result = parser.parse(V2_DSL, fromV2);
+
+        expect(result.errors).toEqual([]);
+        expect(result.dialect).toBe('v2');
+        expect(fromV2.metadata.name).toBe('ParallelProcessing');
+        expect(fromV2.getAllComponents()).toHaveLength(2);
+        expect(fromV2.getAllEdges()).toHaveLength(7);
+
+        const fromV3 = new UCMGraph();
+        expect(parser.parse(convertV2ToV3(V2_DSL).text, fromV3).dialect).toBe('v3');
+        const withoutTimestamps = (g) => serializer.serialize(g).replace(/^meta (created|modified) .*\n/gm, '');
+        expect(withoutTimestamps(fromV2)).toBe(withoutTimestamps(fromV3));
+    });
+
+    test('should report errors on the original line', () => {
+        const text = V2_DSL
+            .replace('RESP ProcessB at 450 200', 'RESP ProcessB at 450')
+            .replace('LINK ParallelJoin TO Complete', 'LINK ParallelJoin TO Done');
+        const result = parser.parse(text, new UCMGraph());
+
+        const lineOf = (needle) => text.split('\n').findIndex(line => line.includes(needle)) + 1;
+
+        expect(result.success).toBe(false);
+        expect(result.errors[0]).toMatchObject({
+            line: lineOf('RESP ProcessB'), column: 3, message: expect.stringContaining('Expected ucm, COMP')
+        });
+        expect(result.errors.map(e => e.line)).toContain(lineOf('TO Done'));
+        expect(result.errors.find(e => e.line === lineOf('TO Done')).message).toContain('Done');
+    });
+
+    test('should report an unclosed COMP and a stray END', () => {
+        expect(convertV2ToV3('COMP team A at 0 0 size 100 100\n  START S at 10 10').errors)
+            .toEqual([{ line: 1, message: 'Missing END for COMP "A"' }]);
+        expect(convertV2ToV3('START S at 10 10\nEND').errors[0]).toMatchObject({ line: 2, message: 'END without a matching COMP' });
+    });
+
+    test('should write v2 and read it back', () => {
+        const source = new UCMGraph();
+        parser.parse('ucm "Order Flow"\ncomponent "Web Shop" type team at (0, 0) size (300, 200) {\n' +
+            '  start "Place order" at (50, 100)\n  responsibility Pay at (150, 100) with cost=3\n}\n' +
+            'end Done at (400, 100)\nlink "Place order" -> Pay\nlink Pay -> Done [guard: "ok"]', source);
+
+        const v2 = serializer.serialize(source, { dialect: 'v2' });
+        expect(v2).toContain('ucm Order_Flow');
+        expect(v2).toContain('COMP team Web_Shop at 0 0 size 300 200\n  START Place_order at 50 100\n  RESP Pay at 150 100\nEND');
+        expect(v2).toContain('LINK Pay TO Done');
+        expect(v2).not.toMatch(/guard|cost|meta/);
+
+        const back = new UCMGraph();
+        expect(parser.parse(v2, back).errors).toEqual([]);
+        expect(names(back)).toEqual(['Place_order', 'Pay', 'Done']);
+        expect(back.getAllEdges()).toHaveLength(2);
+    });
+
+    test('should write only the root map of a document', () => {
+        const doc = new UCMDocument(new UCMGraph());
+        parser.parseDocument('ucm "A" {\n  start S at (0, 0)\n}\nucm "B" {\n  end E at (10, 0)\n}', doc);
+
+        expect(serializer.serializeDocument(doc, { dialect: 'v2' })).toBe('ucm A\n\nSTART S at 0 0');
+    });
+});
@@ -0,0 +1,155 @@
+/**
+ * Unit tests for the condition expression language
+ */
+import {
+    parseExpression,
+    evaluateExpression,
+    evaluateCondition,
+    checkExpression,
+    parseStatements,
+    executeStatements,
+    checkStatements,
+    variableTypes,
+    ExpressionError
+} from '../../js/core/expression.js';
+
+describe('Expression evaluation', () => {
+    const variables = { paid: true, attempts: 2, method: 'card', order: { total: 40 } };
+
+    test('should evaluate booleans, comparisons and arithmetic', () => {
+        expect(evaluateExpression('paid && attempts < 3', variables)).toBe(true);
+        expect(evaluateExpression('not paid or attempts >= 3', variables)).toBe(false);
+        expect(evaluateExpression('1 + 2 * 3 - -1', variables)).toBe(8);
+        expect(evaluateExpression('(1 + 2) * 3 % 4', variables)).toBe(1);
+        expect(evaluateExpression('7 / 2', variables)).toBe(3);
+        expect(evaluateExpression('-7 / 2', variables)).toBe(-3);
+    });
+
+    test('should compare enumeration values and read dotted names', () => {
+        expect(evaluateExpression('method == "card"', variables)).toBe(true);
+        expect(evaluateExpression("method != 'cash'", variables)).toBe(true);
+        expect(evaluateExpression('order.total * 2 > 50', variables)).toBe(true);
+        expect(evaluateExpression('order.total', { 'order.total': 5 })).toBe(5);
+    });
+
+    test('should short-circuit && and ||', () => {
+        expect(evaluateExpression('false && missing', {})).toBe(false);
+        expect(evaluateExpression('true || missing', {})).toBe(true);
+    });
+
+    test('should report unknown variables, type errors and division by zero', () => {
+        expect(() => evaluateExpression('missing > 1', variables)).toThrow('Unknown variable "missing"');
+        expect(() => evaluateExpression('attempts && paid', variables)).toThrow('"&&" needs booleans but got integer');
+        expect(() => evaluateExpression('method == 1', variables)).toThrow('Cannot compare enum with integer');
+        expect(() => evaluateExpression('attempts / 0', variables)).toThrow('Division by zero');
+        expect(() => evaluateCondition('attempts + 1', variables)).toThrow('is integer, not boolean');
+    });
+
+    test('should keep integer results exact', () => {
+        const big = { n: Number.MAX_SAFE_INTEGER };
+        expect(evaluateExpression('n - 1 + 1', big)).toBe(Number.MAX_SAFE_INTEGER);
+        expect(evaluateExpression('-n', big)).toBe(-Number.MAX_SAFE_INTEGER);
+        expect(() => evaluateExpression('n + 1', big)).toThrow(new ExpressionError('Integer overflow: 9007199254740991 + 1'));
+        expect(() => evaluateExpression('-n - 2', big)).toThrow('Integer overflow');
+        expect(() => evaluateExpression('n * n', big)).toThrow('Integer overflow');
+    });
+
+    test('should never run JavaScript', () => {
+        expect(() => parseExpression('constructor.constructor("return 1")()')).toThrow(ExpressionError);
+        expect(() => evaluateExpression('constructor', {})).toThrow('Unknown variable "constructor"');
+        expect(() => evaluateExpression('x; alert(1)', { x: true })).toThrow('Unexpected character ";"');
+    });
+});
+
+describe('Expression parsing', () => {
+    test.each([
+        ['', 'Empty expression'],
+        ['x >', 'Expected a value but found end of expression'],
+        ['(x > 1', 'Expected ")" but found end of expression'],
+        ['x y', 'Expected an operator but found "y"'],
+        ['1 < x < 3', 'Comparisons cannot be chained'],
+        ['x > 1.5', 'Only whole numbers are supported: 1.5'],
+        ['x > 9007199254740992', 'Number too large: 9007199254740992'],
+        ['name == "card', 'Unterminated string']
+    ])('should reject %j', (source, message) => {
+        expect(() => parseExpression(source)).toThrow(message);
+    });
+
+    test('should limit the nesting depth', () => {
+        const nested = (depth) => `${'('.repeat(depth)}x${')'.repeat(depth)}`;
+        expect(evaluateExpression(nested(150), { x: 1 })).toBe(1);
+        expect(evaluateExpression(Array(150).fill('1').join(' + '), {})).toBe(150);
+
+        [nested(100000), `${'!'.repeat(100000)}x`, `${'-'.repeat(100000)}1`, Array(100000).fill('1').join(' + ')].forEach(source => {
+            expect(() => parseExpression(source)).toThrow(new ExpressionError('Expression is nested too deeply (more than 200 levels)'));
+        });
+    });
+
+    test('should point out = used as a comparison', () => {
+        expect(() => parseExpression('paid = true')).toThrow('Expected an operator but found "=" (use == to compare)');
+    });
+
+    test('should report the position of a syntax error', () => {
+        try {
+            parseExpression('paid && & ok');
+        } catch (e) {
+            expect(e.position).toBe(8);
+        }
+        expect.assertions(1);
+    });
+});
+
+describe('Expression type checking', () => {
+    const types = variableTypes({ paid: false, attempts: 0, method: 'cash', order: { total: 1 } });
+
+    test('should infer variable types, including nested ones', () => {
+        expect(types).toEqual({ paid: 'boolean', attempts: 'integer', method: 'enum', 'order.total': 'integer' });
+    });
+
+    test('should type expressions and report each unknown variable once', () => {
+        expect(checkExpression('paid || attempts > order.total', types)).toEqual({ type: 'boolean', errors: [], unknown: [] });
+        expect(checkExpression('a && b || a', types).unknown).toEqual(['a', 'b']);
+        expect(checkExpression('attempts + paid', types).errors).toEqual(['"+" needs integers but got boolean']);
+        expect(checkExpression('x >', types).errors).toEqual(['Expected a value but found end of expression']);
+    });
+
+    test('should check literals compared with a declared enumeration', () => {
+        const declared = { method: { type: 'enum', values: ['card', 'cash'] } };
+        expect(checkExpression('method == "card"', declared).errors).toEqual([]);
+        expect(checkExpression('"cheque" != method', declared).errors)
+            .toEqual(['"cheque" is not a value of method (card, cash)']);
+    });
+});
+
+describe('Responsibility code', () => {
+    const variables = { retries: 1, approved: false, method: 'cash' };
+    const types = { retries: 'integer', approved: 'boolean', method: { type: 'enum', values: ['card', 'cash'] } };
+
+    test('should parse assignments separated by ; or newlines', () => {
+        expect(parseStatements('retries = retries + 1; approved = true').map(s => s.name)).toEqual(['retries', 'approved']);
+        expect(parseStatements('retries = 0\napproved = !approved;').map(s => s.name)).toEqual(['retries', 'approved']);
+        expect(() => parseStatements('retries + 1')).toThrow('Expected "=" after retries but found "+"');
+        expect(() => parseStatements('1 = retries')).toThrow('Expected a variable to assign but found "1"');
+    });
+
+    test('should apply assignments in order and return the changes', () => {
+        const changes = executeStatements('retries = retries + 1; approved = retries > 1; method = "card"', variables, types);
+        expect(changes).toEqual({ retries: 2, approved: true, method: 'card' });
+        expect(variables.retries).toBe(1);
+    });
+
+    test('should reject unknown targets, wrong types and enumeration values', () => {
+        expect(() => executeStatements('missing = 1', variables)).toThrow('Unknown variable "missing"');
+        expect(() => executeStatements('approved = 1', variables)).toThrow('Cannot assign integer to approved (boolean)');
+        expect(() => executeStatements('method = "cheque"', variables, types)).toThrow('"cheque" is not a value of method (card, cash)');
+    });
+
+    test('should type-check code without running it', () => {
+        expect(checkStatements('retries = retries + 1', types)).toEqual({ errors: [], unknown: [] });
+        expect(checkStatements('approved = retries; done = true', types)).toEqual({
+            errors: ['Cannot assign integer to approved (boolean)'],
+            unknown: ['done']
+        });
+        expect(checkStatements('method = "cheque"', types).errors).toEqual(['"cheque" is not a value of method (card, cash)']);
+    });
+});
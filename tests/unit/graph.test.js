@@ -24,6 +24,19 @@ describe('UCMGraph Core', () => {
         expect(n2.inEdges).toContain(edge.id);
     });
 
+    test('should reject edges that break UCM rules with an event', () => {
+        const start = graph.addNode('start', { x: 0, y: 0 });
+        const end = graph.addNode('end', { x: 100, y: 0 });
+        const rejected = [];
+        graph.on('edge:rejected', event => rejected.push(event));
+
+        expect(graph.addEdge(end.id, start.id)).toBeNull();
+        expect(graph.edges.size).toBe(0);
+        expect(rejected).toEqual([
+            { sourceId: end.id, targetId: start.id, reason: 'End nodes cannot have outgoing edges.' }
+        ]);
+    });
+
     test('should add component and bind node', () => {
         const comp = graph.addComponent('process', { x: 0, y: 0, width: 200, height: 200 });
         const node = graph.addNode('responsibility', { x: 50, y: 50 });
@@ -34,4 +47,30 @@ describe('UCMGraph Core', () => {
         expect(node.parentComponent).toBe(comp.id);
         expect(comp.childNodes.has(node.id)).toBe(true);
     });
+
+    test('should track metadata timestamps and keep them through JSON', () => {
+        expect(graph.metadata.created).toBeNull();
+
+        graph.addNode('start', { x: 0, y: 0 });
+        expect(graph.metadata.created).not.toBeNull();
+        expect(graph.metadata.modified).not.toBeNull();
+
+        graph.updateMetadata({ name: 'Checkout', tags: ['a'] });
+        const copy = new UCMGraph();
+        copy.fromJSON(JSON.parse(JSON.stringify(graph.toJSON())));
+
+        expect(copy.metadata).toEqual(graph.metadata);
+    });
+
+    test('should leave the timestamps alone when a link is rejected', () => {
+        const start = graph.addNode('start', { x: 0, y: 0 });
+        const end = graph.addNode('end', { x: 100, y: 0 });
+        graph.metadata.modified = '2024-01-01T00:00:00.000Z';
+        const rejected = [];
+        graph.on('edge:rejected', ({ reason }) => rejected.push(reason));
+
+        expect(graph.addEdge(end.id, start.id)).toBeNull();
+        expect(rejected).toHaveLength(1);
+        expect(graph.metadata.modified).toBe('2024-01-01T00:00:00.000Z');
+    });
 });
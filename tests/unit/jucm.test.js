@@ -0,0 +1,361 @@
+/**
+ * Unit tests for the XML reader and jUCMNav (.jucm) import
+ */
+import { UCMGraph, graph } from '../../js/core/graph.js';
+import { ucmDocument } from '../../js/core/document.js';
+import { parser } from '../../js/core/parser.js';
+import { exporter } from '../../js/core/exporter.js';
+import { parseXml, XmlError } from '../../js/core/xml.js';
+import { fromJUCM, toJUCM } from '../../js/core/jucm.js';
+import { serializer } from '../../js/core/serializer.js';
+
+const MAP = '//@urndef/@specDiagrams.0';
+
+const ORDERS = `<?xml version="1.0" encoding="ISO-8859-1"?>
+<urn:URNspec xmi:version="2.0" xmlns:xmi="http://www.omg.org/XMI" xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance"
+    xmlns:ucm.map="http:///ucm/map.ecore" xmlns:urn="http:///urn.ecore" xmlns:grl="http:///grl.ecore"
+    name="Orders" author="amyot" created="2021-03-04T10:00:00Z" specVersion="7" nextGlobalID="60">
+  <ucmspec>
+    <scenarioGroups name="ScenarioGroup5" id="5">
+      <scenarios name="Happy" id="6"/>
+    </scenarioGroups>
+    <enumerationTypes name="Method" id="50" values="card,cash"/>
+    <variables name="paid" id="51" type="boolean"/>
+    <variables name="method" id="52" type="enumeration" enumerationType="50"/>
+  </ucmspec>
+  <grlspec>
+    <intElements name="Fast delivery" id="40" type="Softgoal"/>
+    <impactModel/>
+  </grlspec>
+  <urndef>
+    <responsibilities name="Check" id="12" description="Check the order" expression="paid = true" respRefs="11"/>
+    <responsibilities name="Charge" id="32" respRefs="31">
+      <demands quantity="2.0" resource="70"/>
+    </responsibilities>
+    <components name="Shop" id="20" contRefs="21"/>
+    <components name="Clerk" id="22" kind="Actor" contRefs="23"/>
+    <components name="Bank" id="24" kind="Other" contRefs="25"/>
+    <specDiagrams xsi:type="ucm.map:UCMmap" id="2" name="Orders">
+      <nodes xsi:type="ucm.map:StartPoint" id="7" name="Order" x="100" y="200" contRef="21" succ="${MAP}/@connections.0">
+        <precondition label="" expression="true"/>
+      </nodes>
+      <nodes xsi:type="ucm.map:RespRef" id="11" name="RespRef11" x="200" y="200" contRef="23" respDef="12"/>
+      <nodes xsi:type="ucm.map:OrFork" id="13" name="OrFork13" x="300" y="200"/>
+      <nodes xsi:type="ucm.map:Stub" id="14" name="Pay" x="400" y="150" dynamic="true">
+        <bindings plugin="//@urndef/@specDiagrams.1">
+          <in startPoint="33" stubEntry="${MAP}/@connections.3"/>
+          <out endPoint="36" stubExit="${MAP}/@connections.4"/>
+          <precondition expression="method == &quot;card&quot;"/>
+          <components compRef="21" compPlugin="25"/>
+        </bindings>
+      </nodes>
+      <nodes xsi:type="ucm.map:EndPoint" id="15" name="Done" x="500" y="150"/>
+      <nodes xsi:type="ucm.map:Timer" id="16" name="Wait" x="400" y="250" timeoutPath="${MAP}/@connections.5"/>
+      <nodes xsi:type="ucm.map:EndPoint" id="17" name="Answered" x="500" y="230"/>
+      <nodes xsi:type="ucm.map:EndPoint" id="18" name="Expired" x="500" y="280"/>
+      <nodes xsi:type="ucm.map:StartPoint" id="26" name="Reply" x="250" y="350"/>
+      <nodes xsi:type="ucm.map:EmptyPoint" id="27" name="EmptyPoint27" x="320" y="350"/>
+      <nodes xsi:type="ucm.map:Connect" id="28" name="Connect28" x="400" y="300"/>
+      <nodes xsi:type="ucm.map:DirectionArrow" id="29" name="DirectionArrow29" x="450" y="150"/>
+      <connections xsi:type="ucm.map:NodeConnection" source="7" target="11"/>
+      <connections xsi:type="ucm.map:NodeConnection" source="11" target="13"/>
+      <connections xsi:type="ucm.map:NodeConnection" source="13" target="16">
+        <condition label="[unpaid]" expression="!paid"/>
+      </connections>
+      <connections xsi:type="ucm.map:NodeConnection" source="13" target="14">
+        <condition label="[paid]" expression="paid"/>
+      </connections>
+      <connections xsi:type="ucm.map:NodeConnection" source="14" target="15"/>
+      <connections xsi:type="ucm.map:NodeConnection" source="16" target="18"/>
+      <connections xsi:type="ucm.map:NodeConnection" source="16" target="17"/>
+      <connections xsi:type="ucm.map:NodeConnection" source="26" target="27"/>
+      <connections xsi:type="ucm.map:NodeConnection" source="27" target="28"/>
+      <connections xsi:type="ucm.map:NodeConnection" source="28" target="16"/>
+      <contRefs xsi:type="ucm.map:ComponentRef" id="21" x="50" y="100" width="500" height="250" contDef="20" children="23"/>
+      <contRefs xsi:type="ucm.map:ComponentRef" id="23" x="150" y="150" width="100" height="100" contDef="22" parent="21"/>
+    </specDiagrams>
+    <specDiagrams xsi:type="ucm.map:UCMmap" id="30" name="Card Payment">
+      <nodes xsi:type="ucm.map:StartPoint" id="33" name="In" x="100" y="100"/>
+      <nodes xsi:type="ucm.map:RespRef" id="31" name="RespRef31" x="200" y="100" respDef="32" contRef="25"/>
+      <nodes xsi:type="ucm.map:EndPoint" id="36" name="Out" x="300" y="100"/>
+      <connections xsi:type="ucm.map:NodeConnection" source="33" target="31"/>
+      <connections xsi:type="ucm.map:NodeConnection" source="31" target="36"/>
+      <contRefs xsi:type="ucm.map:ComponentRef" id="25" x="150" y="50" width="100" height="100" contDef="24"/>
+    </specDiagrams>
+  </urndef>
+  <metadata name="tags" value="shop, demo"/>
+</urn:URNspec>`;
+
+const mapGraph = (data, index) => {
+    const g = new UCMGraph();
+    g.fromJSON(data.maps[index].data);
+    return g;
+};
+const node = (g, name) => g.getAllNodes().find(n => n.properties.name === name);
+const targets = (g, n) => [...n.outEdges].map(id => g.getNode(g.getEdge(id).targetNodeId).properties.name);
+
+describe('XML reader', () => {
+    test('should read elements, attributes, text and references', () => {
+        const root = parseXml(`<?xml version="1.0"?>
+<!DOCTYPE a [ <!ENTITY x "y"> ]>
+<!-- comment -->
+<a:root b="1 &amp; 2" c='&lt;&#65;&#x42;&gt;'>
+  <child/><child n="&quot;two&quot;">text<![CDATA[<raw>]]></child>
+</a:root>`);
+        expect(root).toMatchObject({ name: 'a:root', attributes: { b: '1 & 2', c: '<AB>' }, line: 4 });
+        expect(root.children.map(c => c.attributes)).toEqual([{}, { n: '"two"' }]);
+        expect(root.children[1]).toMatchObject({ text: 'text<raw>', line: 5 });
+    });
+
+    test('should report malformed XML with its line', () => {
+        expect(() => parseXml('<a>\n<b>\n</a>')).toThrow('Line 3: Closing tag </a> does not match <b> (line 2)');
+        expect(() => parseXml('<a x="1" x="2"/>')).toThrow(XmlError);
+        expect(() => parseXml('<a>&nbsp;</a>')).toThrow('Unknown entity "&nbsp;"');
+        expect(() => parseXml('<a>\n<b>')).toThrow('Line 2: Unclosed element <b>');
+        expect(() => parseXml('<a/><b/>')).toThrow('More than one root element');
+    });
+});
+
+describe('jUCMNav import', () => {
+    test('should map path nodes, definitions and component bindings', () => {
+        const { data } = fromJUCM(ORDERS);
+        expect(data.rootMapId).toBe('map_1');
+        expect(data.maps.map(m => m.name)).toEqual(['Orders', 'Card Payment']);
+
+        const g = mapGraph(data, 0);
+        expect(g.getAllNodes().map(n => `${n.type}:${n.properties.name}`)).toEqual([
+            'start:Order', 'responsibility:Check', 'fork:OrFork13', 'stub:Pay', 'end:Done', 'timer:Wait',
+            'end:Answered', 'end:Expired', 'start:Reply', 'empty:EmptyPoint27', 'empty:DirectionArrow29'
+        ]);
+        expect(node(g, 'Check').properties).toMatchObject({ description: 'Check the order', code: 'paid = true' });
+        expect(node(g, 'OrFork13').properties.forkType).toBe('or');
+        expect(node(g, 'Pay').properties.stubType).toBe('dynamic');
+        expect(node(g, 'Order').properties.precondition).toBeUndefined();
+
+        const shop = g.getAllComponents().find(c => c.properties.name === 'Shop');
+        const clerk = g.getAllComponents().find(c => c.properties.name === 'Clerk');
+        expect(shop).toMatchObject({ type: 'team', bounds: { x: 50, y: 100, width: 500, height: 250 } });
+        expect(clerk).toMatchObject({ type: 'actor', parentComponent: shop.id });
+        expect(node(g, 'Order').parentComponent).toBe(shop.id);
+        expect(node(g, 'Check').parentComponent).toBe(clerk.id);
+    });
+
+    test('should keep conditions, timeout paths and triggers through Connect', () => {
+        const g = mapGraph(fromJUCM(ORDERS).data, 0);
+        const guard = (from, to) => g.getEdgesBetween(node(g, from).id, node(g, to).id)[0].condition;
+
+        expect(guard('OrFork13', 'Pay')).toBe('paid');
+        expect(guard('OrFork13', 'Wait')).toBe('!paid');
+        expect(guard('Order', 'Check')).toBeNull();
+        // The timeout path comes second, whatever its place in the file
+        expect(targets(g, node(g, 'Wait'))).toEqual(['Answered', 'Expired']);
+        expect(targets(g, node(g, 'EmptyPoint27'))).toEqual(['Wait']);
+        expect(g.getAllEdges()).toHaveLength(9);
+    });
+
+    test('should turn stub bindings into plug-ins', () => {
+        const { data } = fromJUCM(ORDERS);
+        const g = mapGraph(data, 0);
+        const plugin = mapGraph(data, 1);
+
+        expect(node(g, 'Pay').properties.plugins).toEqual([{
+            mapId: 'map_2',
+            condition: 'method == "card"',
+            inBindings: [{ edgeId: g.getEdgesBetween(node(g, 'OrFork13').id, node(g, 'Pay').id)[0].id, startNodeId: node(plugin, 'In').id }],
+            outBindings: [{ endNodeId: node(plugin, 'Out').id, edgeId: g.getEdgesBetween(node(g, 'Pay').id, node(g, 'Done').id)[0].id }]
+        }]);
+
+        // The plug-in is usable as a document: the DSL writes it back by name
+        ucmDocument.reset();
+        graph.clear();
+        exporter.fromJSON(data);
+        expect(ucmDocument.getAllMaps().map(m => m.name)).toEqual(['Orders', 'Card Payment']);
+        expect(graph.getAllVariables()).toEqual([
+            { name: 'paid', type: 'boolean', values: [], initial: false },
+            { name: 'method', type: 'enum', values: ['card', 'cash'], initial: 'card' }
+        ]);
+        expect(graph.metadata).toMatchObject({ name: 'Orders', author: 'amyot', version: '7', tags: ['shop', 'demo'], created: '2021-03-04T10:00:00Z' });
+    });
+
+    test('should report every construct it dropped or approximated', () => {
+        const { report } = fromJUCM(ORDERS);
+        expect(report.map(({ construct, name, message }) => `${construct}${name ? ` ${name}` : ''}: ${message}`)).toEqual([
+            'intElements Fast delivery: GRL goal models are not supported',
+            'scenarios Happy: Scenario definitions are not imported',
+            'DirectionArrow DirectionArrow29: Imported as an empty point',
+            'ComponentRef: Component kind "Other" imported as a team',
+            'demands: Resource demands are not imported - set the responsibility\'s executionTime',
+            'components: Component and responsibility bindings are not supported'
+        ]);
+        expect(report[0].line).toBe(14);
+    });
+
+    test('should read the simplified XMI of older exports and reject other XML', () => {
+        const { data, report } = fromJUCM(`<?xml version="1.0" encoding="UTF-8"?>
+<urn:URNspec xmi:version="2.0" xmlns:xmi="http://www.omg.org/XMI" xmlns:urn="http:///urn.ecore" name="Old">
+    <metadata name="tags" value="legacy"/>
+    <ucmspec>
+        <maps name="Old" id="map_1">
+            <components xmi:type="urn:Component" name="Box" id="comp_1" x="0" y="0" width="300" height="100"/>
+            <nodes xmi:type="urn:StartPoint" name="S" id="node_2" x="0" y="0"/>
+            <nodes xmi:type="urn:Responsibility" name="R" id="node_3" x="100" y="0"/>
+            <nodes xmi:type="urn:EndPoint" name="E" id="node_4" x="200" y="0"/>
+            <connections id="edge_5" source="node_2" target="node_3"/>
+            <connections id="edge_6" source="node_3" target="node_4"/>
+        </maps>
+    </ucmspec>
+</urn:URNspec>`);
+        const g = mapGraph(data, 0);
+        expect(report).toEqual([]);
+        expect(g.getAllNodes().map(n => `${n.type}:${n.properties.name}`)).toEqual(['start:S', 'responsibility:R', 'end:E']);
+        expect(targets(g, node(g, 'R'))).toEqual(['E']);
+        expect(g.getAllComponents()[0]).toMatchObject({ type: 'team', properties: { name: 'Box' } });
+        expect(g.metadata.tags).toEqual(['legacy']);
+
+        expect(() => fromJUCM('<svg/>')).toThrow('Not a jUCMNav file');
+        expect(() => fromJUCM('<urn:URNspec><urndef/></urn:URNspec>')).toThrow('no UCM map');
+    });
+});
+
+const SHOP = `ucm "Orders" {
+  meta author "Ana"
+  meta version "1.10"
+  meta tags "shop, demo"
+  meta created "2024-01-02T03:04:05.000Z"
+  meta modified "2024-01-03T03:04:05.000Z"
+  variable paid : boolean = true
+  variable method : enum { card, cash } = cash
+  variable attempts : integer
+  component Shop type team at (0, 0) size (700, 400) with multiplicity=2 {
+    component Clerk type actor at (20, 20) size (200, 200) {
+      responsibility Check at (100, 100) with executionTime="uniform(10, 30)" code="attempts = attempts + 1\\npaid = true" description="Check & <count>"
+    }
+    fork Paid at (300, 100) with forkType=or
+  }
+  start Order at (-50, 100) with arrivalRate=5 precondition="attempts < 3"
+  stub Pay at (400, 50) dynamic
+  end Done at (500, 50) with postcondition="paid"
+  fork Split at (300, 300) with forkType=and
+  responsibility Pack at (400, 250) with label="007"
+  timer Wait at (400, 350) with timeout="50ms"
+  join Sync at (500, 300) with joinType=and
+  end Shipped at (600, 300)
+  end Expired at (500, 400)
+  start Reply at (300, 450)
+  link Order -> Check
+  link Check -> Paid
+  link Paid -> Pay [guard: "paid"] with probability=0.8
+  link Paid -> Split [guard: "!paid"] style { strokeColor: "#ff0000" }
+  link Pay -> Done
+  link Split -> Pack
+  link Split -> Wait
+  link Pack -> Sync
+  link Wait -> Sync
+  link Wait -> Expired
+  link Reply -> Wait
+  link Sync -> Shipped
+  plugin Pay -> "Card Payment" when "method == \\"card\\""
+  bind Pay -> "Card Payment" in Paid -> Begin
+  bind Pay -> "Card Payment" out Finish -> Done
+}
+ucm "Card Payment" {
+  meta description "Charge the card"
+  meta created "2024-02-01T00:00:00.000Z"
+  component Shop type team at (0, 0) size (400, 200) {
+  }
+  component Bank type object at (100, 0) size (150, 150) {
+    responsibility Check at (150, 50) with executionTime=20
+  }
+  start Begin at (0, 50)
+  end Finish at (300, 50)
+  link Begin -> Check
+  link Check -> Finish
+}
+`;
+
+describe('jUCMNav export', () => {
+    const loadShop = () => {
+        ucmDocument.reset();
+        graph.clear();
+        const result = parser.parseDocument(SHOP, ucmDocument, { replace: true });
+        expect(result.errors).toEqual([]);
+    };
+
+    test('should write definitions, refs and their bindings', () => {
+        loadShop();
+        const root = parseXml(toJUCM());
+        const [ucmspec, grlspec, urndef] = root.children;
+        expect(root.attributes).toMatchObject({ name: 'Orders', author: 'Ana', created: '2024-01-02T03:04:05.000Z' });
+        expect(root.attributes.specVersion).toBeUndefined();
+        expect([ucmspec.name, grlspec.name, urndef.name]).toEqual(['ucmspec', 'grlspec', 'urndef']);
+
+        // One definition per responsibility and component, refs on both maps point to it
+        const byName = (name, el) => urndef.children.filter(c => c.name === name && c.attributes.name === el);
+        const [orders, card] = urndef.children.filter(c => c.name === 'specDiagrams');
+        expect(byName('responsibilities', 'Check')).toHaveLength(2);
+        const [shop] = byName('components', 'Shop');
+        expect(shop.attributes).toMatchObject({ kind: 'Team' });
+        const shopRefs = [orders, card].map(map => map.children.find(c => c.name === 'contRefs' && c.attributes.contDef === shop.attributes.id));
+        expect(shop.attributes.contRefs).toBe(shopRefs.map(ref => ref.attributes.id).join(' '));
+
+        const nodes = (map) => map.children.filter(c => c.name === 'nodes');
+        expect(nodes(orders).map(n => n.attributes['xsi:type'].split(':')[1])).toEqual([
+            'RespRef', 'OrFork', 'StartPoint', 'Stub', 'EndPoint', 'AndFork', 'RespRef', 'Timer', 'AndJoin',
+            'EndPoint', 'EndPoint', 'StartPoint', 'Connect'
+        ]);
+        const check = nodes(orders)[0];
+        const clerk = orders.children.find(c => c.attributes.id === check.attributes.contRef);
+        expect(clerk.attributes).toMatchObject({ parent: shopRefs[0].attributes.id, nodes: check.attributes.id });
+        expect(byName('responsibilities', 'Check')[0].attributes).toMatchObject({
+            expression: 'attempts = attempts + 1\npaid = true',
+            description: 'Check & <count>',
+            respRefs: check.attributes.id
+        });
+
+        // Connections reference nodes by id, nodes reference connections by path
+        const connections = orders.children.filter(c => c.name === 'connections');
+        const first = connections[0];
+        expect(first.attributes).toMatchObject({ source: nodes(orders)[2].attributes.id, target: check.attributes.id });
+        expect(nodes(orders)[2].attributes.succ).toBe('//@urndef/@specDiagrams.0/@connections.0');
+        expect(connections[2].children).toEqual([
+            expect.objectContaining({ name: 'condition', attributes: { label: 'paid', expression: 'paid' } }),
+            expect.objectContaining({ name: 'metadata', attributes: { name: 'probability', value: '0.8' } })
+        ]);
+
+        const stub = nodes(orders)[3];
+        expect(stub.attributes.dynamic).toBe('true');
+        expect(stub.children[0].attributes.plugin).toBe(card.attributes.id);
+    });
+
+    test('should round-trip a document through the importer', () => {
+        loadShop();
+        const before = serializer.serializeDocument(ucmDocument);
+
+        const { data, report } = fromJUCM(toJUCM());
+        expect(report).toEqual([]);
+
+        ucmDocument.reset();
+        graph.clear();
+        exporter.fromJSON(data);
+        expect(serializer.serializeDocument(ucmDocument)).toBe(before);
+    });
+
+    test('should export saved JSON whose edges have no properties', () => {
+        ucmDocument.reset();
+        graph.clear();
+        exporter.fromJSON({
+            name: 'Plain',
+            nodes: [
+                { id: 'node_1', type: 'start', position: { x: 0, y: 0 }, properties: { name: 'In' }, inEdges: [], outEdges: ['edge_1'] },
+                { id: 'node_2', type: 'end', position: { x: 100, y: 0 }, properties: { name: 'Out' }, inEdges: ['edge_1'], outEdges: [] }
+            ],
+            edges: [{ id: 'edge_1', sourceNodeId: 'node_1', targetNodeId: 'node_2' }],
+            components: []
+        });
+
+        const [, , urndef] = parseXml(toJUCM()).children;
+        const [map] = urndef.children.filter(c => c.name === 'specDiagrams');
+        const [connection] = map.children.filter(c => c.name === 'connections');
+        expect(connection.children).toEqual([]);
+    });
+});
@@ -0,0 +1,92 @@
+/**
+ * Unit tests for the Mermaid flowchart writer
+ */
+import { graph } from '../../js/core/graph.js';
+import { ucmDocument } from '../../js/core/document.js';
+import { parser } from '../../js/core/parser.js';
+import { toMermaid } from '../../js/core/mermaid.js';
+
+const load = (text) => {
+    ucmDocument.reset();
+    graph.clear();
+    parser.parseDocument(text, ucmDocument, { replace: true });
+    const id = (name) => graph.getAllNodes().find(n => n.properties.name === name).id;
+    return id;
+};
+
+describe('Mermaid flowchart', () => {
+    test('should nest components as subgraphs holding their nodes', () => {
+        const id = load(`ucm "Shop"
+component Shop type team at (0, 0) size (400, 300) {
+  component "Back Office" type process at (200, 0) size (150, 150) {
+    responsibility Ship at (250, 50)
+  }
+  responsibility Check at (100, 100)
+}
+start Order at (-50, 100)
+end Shipped at (450, 50)
+link Order -> Check
+link Check -> Ship
+link Ship -> Shipped`);
+        const shop = graph.getAllComponents().find(c => c.properties.name === 'Shop').id;
+        const office = graph.getAllComponents().find(c => c.properties.name === 'Back Office').id;
+
+        expect(toMermaid(graph)).toBe([
+            'flowchart LR',
+            `    subgraph ${shop}["Shop"]`,
+            `        ${id('Check')}["Check"]`,
+            `        subgraph ${office}["Back Office"]`,
+            `            ${id('Ship')}["Ship"]`,
+            '        end',
+            '    end',
+            `    ${id('Order')}(("Order"))`,
+            `    ${id('Shipped')}[["Shipped"]]`,
+            `    ${id('Order')} --> ${id('Check')}`,
+            `    ${id('Check')} --> ${id('Ship')}`,
+            `    ${id('Ship')} --> ${id('Shipped')}`,
+            '    classDef process stroke-dasharray:5 5',
+            `    class ${office} process`,
+            ''
+        ].join('\n'));
+    });
+
+    test('should tell fork and join types apart and label guards', () => {
+        const id = load(`ucm "Forks"
+start S at (0, 0)
+fork Paid at (50, 0) with forkType=or
+fork Split at (100, 0) with forkType=and
+stub Pay at (100, 100) dynamic
+join Sync at (150, 0) with joinType=and
+end E at (200, 0)
+end F at (200, 100)
+link S -> Paid
+link Paid -> Split [guard: "paid > 0"]
+link Paid -> Pay [guard: "!paid"]
+link Split -> Sync
+link Split -> Sync
+link Sync -> E
+link Pay -> F`);
+        const text = toMermaid(graph, { direction: 'TD' });
+
+        expect(text).toMatch(/^flowchart TD\n/);
+        expect(text).toContain(`${id('Paid')}{"Paid"}`);
+        expect(text).toContain(`${id('Split')}["Split"]`);
+        expect(text).toContain(`${id('Pay')}{{"Pay"}}`);
+        expect(text).toContain(`${id('Paid')} -->|"[paid #gt; 0]"| ${id('Split')}`);
+        expect(text).toContain(`    class ${id('Split')},${id('Sync')} andBar\n`);
+        expect(text).toContain(`    class ${id('Pay')} dynamicStub\n`);
+        expect(text).not.toContain('subgraph');
+    });
+
+    test('should escape # so labels are not read as entity codes', () => {
+        const id = load(`ucm "Entities"
+start "E#2;" at (0, 0)
+end "Say \\"hi\\"" at (100, 0)
+link "E#2;" -> "Say \\"hi\\"" [guard: "n <> 1"]`);
+
+        const text = toMermaid(graph);
+        expect(text).toContain(`${id('E#2;')}(("E#35;2;"))`);
+        expect(text).toContain(`${id('Say "hi"')}[["Say #quot;hi#quot;"]]`);
+        expect(text).toContain('-->|"[n #lt;#gt; 1]"|');
+    });
+});
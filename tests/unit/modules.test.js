@@ -0,0 +1,25 @@
+/**
+ * Smoke test: every source module parses
+ *
+ * The UI modules need a DOM and are not imported by the other tests, so a
+ * syntax error there would otherwise only show up in the browser.
+ */
+import { readdirSync, readFileSync } from 'fs';
+import { join } from 'path';
+import vm from 'vm';
+
+const ROOT = new URL('../../js/', import.meta.url).pathname;
+
+function sourceFiles(dir) {
+    return readdirSync(dir, { withFileTypes: true }).flatMap(entry => {
+        const path = join(dir, entry.name);
+        if (entry.isDirectory()) return sourceFiles(path);
+        return entry.name.endsWith('.js') ? [path] : [];
+    });
+}
+
+describe('Source modules', () => {
+    test.each(sourceFiles(ROOT).map(path => [path.slice(ROOT.length)]))('%s should parse', (file) => {
+        expect(() => new vm.SourceTextModule(readFileSync(join(ROOT, file), 'utf8'), { identifier: file })).not.toThrow();
+    });
+});
@@ -0,0 +1,280 @@
+/**
+ * Unit tests for the vector PDF writer
+ */
+import { graph } from '../../js/core/graph.js';
+import { ucmDocument } from '../../js/core/document.js';
+import { parser } from '../../js/core/parser.js';
+import { renderPDF, parseTrueType } from '../../js/core/pdf-writer.js';
+
+const ORDERS = `ucm "Orders" {
+  meta description "Order handling"
+  meta author "Ana"
+  meta version "2"
+  meta created "2024-01-02T03:04:05.000Z"
+  meta modified "2024-01-03T03:04:05.000Z"
+  component Shop type team at (0, 0) size (500, 200) {
+    responsibility "Check (stock)" at (150, 100)
+  }
+  start Order at (50, 100)
+  fork Paid at (250, 100) with forkType=and
+  end Café at (400, 100)
+  link Order -> "Check (stock)"
+  link "Check (stock)" -> Paid
+  link Paid -> Café [guard: "paid"]
+}
+`;
+
+const load = (text) => {
+    ucmDocument.reset();
+    graph.clear();
+    parser.parseDocument(text, ucmDocument, { replace: true });
+};
+
+/**
+ * Check the cross-reference table and stream lengths; returns the objects by number
+ */
+function readPDF(pdf) {
+    expect(pdf.startsWith('%PDF-1.4\n')).toBe(true);
+    expect(pdf).not.toMatch(/[^\x00-\x7f]/);
+
+    const xref = Number(/startxref\n(\d+)\n%%EOF\n$/.exec(pdf)[1]);
+    expect(pdf.startsWith('xref\n', xref)).toBe(true);
+    const offsets = pdf.slice(xref).split('\n').filter(line => / n $/.test(line)).map(line => Number(line.slice(0, 10)));
+
+    const objects = offsets.map((offset, i) => {
+        expect(pdf.startsWith(`${i + 1} 0 obj\n`, offset)).toBe(true);
+        return pdf.slice(offset, pdf.indexOf('\nendobj\n', offset));
+    });
+    objects.filter(body => body.includes('\nstream\n')).forEach(body => {
+        const length = Number(/\/Length (\d+)/.exec(body)[1]);
+        expect(body.length - body.indexOf('\nstream\n') - '\nstream\n'.length - '\nendstream'.length).toBe(length);
+    });
+    return objects;
+}
+
+const pages = (objects) => objects.filter(body => body.includes('/Type /Page '));
+const contents = (objects) => objects.filter(body => body.includes('\nstream\n') && !body.includes('/Length1') && !body.includes('begincmap'));
+
+/**
+ * A minimal TrueType file: glyph n is the character 31 + n, advance 400 + n,
+ * and glyph 96 is Ж (U+0416), a composite of glyph 95. Simple outlines are
+ * 12 bytes that end with their glyph ID.
+ */
+function buildFont() {
+    const table = (size, fill) => {
+        const view = new DataView(new ArrayBuffer(size));
+        fill(view);
+        return new Uint8Array(view.buffer);
+    };
+    const tables = {
+        cmap: table(12 + 40, v => {
+            v.setUint16(2, 1);
+            v.setUint16(4, 3);
+            v.setUint16(6, 1);
+            v.setUint32(8, 12);
+            const s = 12;
+            v.setUint16(s, 4);
+            v.setUint16(s + 2, 40);
+            v.setUint16(s + 6, 6);
+            [126, 0x0416, 0xFFFF].forEach((code, i) => v.setUint16(s + 14 + i * 2, code));
+            [32, 0x0416, 0xFFFF].forEach((code, i) => v.setUint16(s + 22 + i * 2, code));
+            [(1 - 32) & 0xFFFF, (96 - 0x0416) & 0xFFFF, 1].forEach((delta, i) => v.setUint16(s + 28 + i * 2, delta));
+        }),
+        glyf: table(96 * 12 + 16, v => {
+            for (let glyph = 0; glyph < 96; glyph++) {
+                v.setInt16(glyph * 12, 1);
+                v.setUint16(glyph * 12 + 10, glyph);
+            }
+            v.setInt16(96 * 12, -1);
+            v.setUint16(96 * 12 + 12, 95);
+        }),
+        head: table(54, v => {
+            v.setUint16(18, 1000);
+            [-50, -200, 1000, 900].forEach((value, i) => v.setInt16(36 + i * 2, value));
+        }),
+        hhea: table(36, v => {
+            v.setInt16(4, 800);
+            v.setInt16(6, -200);
+            v.setUint16(34, 97);
+        }),
+        hmtx: table(97 * 4, v => {
+            for (let glyph = 0; glyph < 97; glyph++) v.setUint16(glyph * 4, glyph === 0 ? 500 : 400 + glyph);
+        }),
+        loca: table(98 * 2, v => {
+            for (let glyph = 0; glyph <= 97; glyph++) v.setUint16(glyph * 2, (Math.min(glyph, 96) * 12 + (glyph === 97 ? 16 : 0)) / 2);
+        }),
+        maxp: table(6, v => {
+            v.setUint32(0, 0x00005000);
+            v.setUint16(4, 97);
+        }),
+        name: table(18 + 16, v => {
+            v.setUint16(2, 1);
+            v.setUint16(4, 18);
+            v.setUint16(6, 3);
+            v.setUint16(8, 1);
+            v.setUint16(12, 6);
+            v.setUint16(14, 16);
+            [...'TestSans'].forEach((ch, i) => v.setUint16(18 + i * 2, ch.charCodeAt(0)));
+        })
+    };
+
+    const tags = Object.keys(tables);
+    let offset = 12 + tags.length * 16;
+    const layout = tags.map(tag => {
+        const entry = { tag, offset, bytes: tables[tag] };
+        offset += Math.ceil(tables[tag].length / 4) * 4;
+        return entry;
+    });
+    const file = new Uint8Array(offset);
+    const view = new DataView(file.buffer);
+    view.setUint32(0, 0x00010000);
+    view.setUint16(4, tags.length);
+    layout.forEach((entry, i) => {
+        [...entry.tag].forEach((ch, k) => file[12 + i * 16 + k] = ch.charCodeAt(0));
+        view.setUint32(12 + i * 16 + 8, entry.offset);
+        view.setUint32(12 + i * 16 + 12, entry.bytes.length);
+        file.set(entry.bytes, entry.offset);
+    });
+    return file;
+}
+
+/**
+ * The glyphs with an outline in an embedded font file, by the last word of the outline
+ */
+function outlines(fontObject) {
+    const hex = fontObject.slice(fontObject.indexOf('\nstream\n') + 8, fontObject.lastIndexOf('>')).replace(/\n/g, '');
+    const file = new Uint8Array(hex.match(/../g).map(pair => parseInt(pair, 16)));
+    const view = new DataView(file.buffer);
+    const tables = {};
+    for (let i = 0; i < view.getUint16(4); i++) {
+        tables[String.fromCharCode(...file.subarray(12 + i * 16, 16 + i * 16))] = view.getUint32(20 + i * 16);
+    }
+    expect(Object.keys(tables)).toEqual(['glyf', 'head', 'hhea', 'hmtx', 'loca', 'maxp']);
+    expect(view.getInt16(tables.head + 50)).toBe(1);
+    const found = [];
+    for (let glyph = 0; glyph < view.getUint16(tables.maxp + 4); glyph++) {
+        const start = view.getUint32(tables.loca + glyph * 4);
+        if (view.getUint32(tables.loca + glyph * 4 + 4) > start) found.push(glyph);
+    }
+    return found;
+}
+
+describe('PDF writer', () => {
+    test('should draw the map as vector paths with a title block', () => {
+        load(ORDERS);
+        const objects = readPDF(renderPDF(graph));
+
+        expect(objects[2]).toContain('/Title (Orders) /Author (Ana) /Subject (Order handling)');
+        expect(objects[2]).toContain('/CreationDate (D:20240102030405Z) /ModDate (D:20240103030405Z)');
+        load('ucm "Заказ"\nstart S at (0, 0)');
+        expect(readPDF(renderPDF(graph))[2]).toContain('/Title <FEFF04170430043A04300437>');
+        load(ORDERS);
+        expect(objects.filter(body => body.includes('/Subtype /Type1')).map(body => /\/BaseFont \/(\S+)/.exec(body)[1]))
+            .toEqual(['Helvetica', 'Helvetica-Bold']);
+
+        // Wider than tall: A4 landscape
+        expect(pages(objects)).toHaveLength(1);
+        expect(pages(objects)[0]).toContain('/MediaBox [0 0 841.89 595.28]');
+
+        const [stream] = contents(objects);
+        expect(stream).toContain('0 0 500 200 re\nB');                          // component
+        expect(stream).toContain('/F2 12 Tf 1 0 0 -1 8 16 Tm (Shop) Tj');       // its name
+        expect(stream).toContain('(Check \\(stock\\)) Tj');                     // escaped parentheses
+        expect(stream).toContain('(Caf\\351) Tj');                              // WinAnsi é
+        expect(stream).toContain('246 85 8 30 re\nf');                          // AND-fork bar
+        expect(stream).toContain('([paid]) Tj');
+        expect(stream).toContain('BT /F2 13 Tf 44 63 Td (Orders) Tj ET');
+        expect(stream).toMatch(/\(Author: Ana {3}Version: 2 {3}Date: 2024-01-03\) Tj/);
+        expect(stream).toContain('(Order handling) Tj');
+    });
+
+    test('should warn that no font is embedded without one', () => {
+        load(ORDERS.replace('end Café', 'end "Café Ω"').replace('Paid -> Café', 'Paid -> "Café Ω"'));
+        const warnings = [];
+        const stream = contents(readPDF(renderPDF(graph, { onWarning: message => warnings.push(message) })))[0];
+
+        expect(stream).toContain('(Caf\\351 ?) Tj');
+        expect(warnings).toEqual(['No font embedded: Helvetica has no "Ω" - printed as "?". Embed a TrueType font that has them.']);
+
+        load(ORDERS);
+        warnings.length = 0;
+        renderPDF(graph, { onWarning: message => warnings.push(message) });
+        expect(warnings).toEqual([expect.stringMatching(/^No font embedded: the text uses the PDF viewer's Helvetica/)]);
+    });
+
+    test('should follow the page size and orientation options', () => {
+        load(ORDERS);
+        const portrait = readPDF(renderPDF(graph, { pageSize: 'letter', orientation: 'portrait', titleBlock: false }));
+        expect(pages(portrait)[0]).toContain('/MediaBox [0 0 612 792]');
+        expect(contents(portrait)[0]).not.toContain('Td (Orders)');
+
+        expect(() => renderPDF(graph, { pageSize: 'B7' })).toThrow('Unknown page size "B7"');
+        expect(() => renderPDF(graph, { orientation: 'sideways' })).toThrow('Unknown orientation');
+    });
+
+    test('should scale large maps down or tile them over pages', () => {
+        load(`ucm "Wide"
+start S at (0, 0)
+end E at (3000, 0)
+link S -> E`);
+
+        const fitted = readPDF(renderPDF(graph));
+        expect(pages(fitted)).toHaveLength(1);
+        const [factor] = /\n([\d.]+) 0 0 -[\d.]+ [-\d.]+ [-\d.]+ cm\n/.exec(contents(fitted)[0]).slice(1).map(Number);
+        expect(factor).toBeLessThan(0.3);
+
+        const tiled = readPDF(renderPDF(graph, { tile: true }));
+        const tiles = pages(tiled);
+        expect(tiles).toHaveLength(4);
+        expect(tiled[1]).toContain('/Count 4');
+        expect(contents(tiled)[3]).toContain('(Page 4 of 4 \\(row 1, column 4\\)) Tj');
+
+        // One page width (769.89 between the margins) further right per tile, at full scale
+        expect(contents(tiled).map(stream => /\n1 0 0 -1 ([-\d.]+) [-\d.]+ cm\n/.exec(stream)[1]).map(Number))
+            .toEqual([71, -698.89, -1468.78, -2238.67]);
+    });
+
+    test('should embed a TrueType font as a Unicode font', () => {
+        load(ORDERS.replace('end Café', 'end "Café Ж"').replace('Paid -> Café', 'Paid -> "Café Ж"'));
+        const font = buildFont();
+        expect(parseTrueType(font)).toMatchObject({ name: 'TestSans', unitsPerEm: 1000, ascent: 800, descent: -200 });
+        expect(parseTrueType(font).advance(65)).toBe(434);
+        expect(parseTrueType(font).glyph(0x0416)).toBe(96);
+
+        const warnings = [];
+        const pdf = renderPDF(graph, { font, onWarning: message => warnings.push(message) });
+        const objects = readPDF(pdf);
+        expect(warnings).toEqual([]);
+        expect(objects.find(body => body.includes('/Subtype /Type0'))).toMatch(
+            /\/BaseFont \/[A-Z]{6}\+TestSans \/Encoding \/Identity-H \/DescendantFonts \[\d+ 0 R\] \/ToUnicode \d+ 0 R/);
+        const cidFont = objects.find(body => body.includes('/Subtype /CIDFontType2'));
+        expect(cidFont).toContain('/CIDToGIDMap /Identity');
+        expect(cidFont).toContain('/DW 500');
+        expect(cidFont).toMatch(/\/W \[.* 34 \[434\] .* 96 \[496\]\]/);
+        expect(objects.find(body => body.includes('/Type /FontDescriptor'))).toContain('/FontBBox [-50 -200 1000 900]');
+
+        // Glyph IDs in the page, their characters in the ToUnicode map
+        const [stream] = contents(objects);
+        expect(stream).toContain('<0034004900500051> Tj');                    // Shop
+        expect(stream).toContain('<002400420047000000010060> Tj');            // Café Ж - no glyph for é
+        const toUnicode = objects.find(body => body.includes('begincmap'));
+        expect(toUnicode).toContain('<0022> <0041>');
+        expect(toUnicode).toContain('<0060> <0416>');
+        expect(toUnicode).not.toContain('<0000> <00E9>');
+
+        // A subset: .notdef, the glyphs in the text and the one Ж is built from
+        const file = objects.find(body => body.includes('/Length1'));
+        expect(Number(/\/Length1 (\d+)/.exec(file)[1])).toBeLessThan(font.length);
+        const used = [...toUnicode.matchAll(/^<([0-9A-F]{4})> </gm)].map(match => parseInt(match[1], 16));
+        expect(outlines(file)).toEqual([...new Set([0, ...used, 95])].sort((a, b) => a - b));
+        expect(outlines(file)).not.toContain(90);
+        expect(pdf).not.toContain('/Helvetica');
+        expect(pdf).not.toContain('/WinAnsiEncoding');
+
+        expect(() => parseTrueType(new Uint8Array(8))).toThrow('Not a TrueType font');
+        const noOutlines = buildFont();
+        noOutlines.set([...'none'].map(ch => ch.charCodeAt(0)), 12 + 16);   // rename the glyf table
+        expect(() => parseTrueType(noOutlines)).toThrow('Not a TrueType font: missing glyf table');
+        expect(() => parseTrueType(new TextEncoder().encode('<svg xmlns="http://www.w3.org/2000/svg"/>'))).toThrow('Not a TrueType font');
+    });
+});
@@ -0,0 +1,136 @@
+/**
+ * Unit tests for performance analysis and LQN export
+ */
+import { graph } from '../../js/core/graph.js';
+import { ucmDocument } from '../../js/core/document.js';
+import { parser } from '../../js/core/parser.js';
+import { serializer } from '../../js/core/serializer.js';
+import { analyzePerformance, erlangC, toLQNX } from '../../js/core/performance.js';
+
+const SHOP = `ucm "Shop"
+component Web type process at (0, 0) size (200, 200) with multiplicity=2 {
+  responsibility Browse at (50, 100) with executionTime=20
+  fork Buy at (120, 100)
+}
+component DB type object at (300, 0) size (200, 200) {
+  responsibility Query at (350, 100) with executionTime=10
+}
+start Arrive at (-50, 100) with arrivalRate=40
+responsibility Think at (150, 300) with executionTime=1000
+end Left at (600, 100)
+end Bought at (600, 300)
+link Arrive -> Browse
+link Browse -> Buy
+link Buy -> Query with probability=0.25
+link Buy -> Think
+link Query -> Left
+link Think -> Bought`;
+
+const load = (text) => {
+    ucmDocument.reset();
+    graph.clear();
+    parser.parseDocument(text, ucmDocument, { replace: true });
+    return analyzePerformance(graph);
+};
+
+const byName = (items, name) => items.find(item => item.name === name);
+const nodeId = (name) => graph.getAllNodes().find(n => n.properties.name === name).id;
+
+describe('Performance analysis', () => {
+    test('should split visits by branch probability and charge demand to components', () => {
+        const { starts, errors, warnings } = load(SHOP);
+        expect(errors).toEqual([]);
+        expect(warnings).toEqual([]);
+
+        const [arrive] = starts;
+        expect(arrive.arrivalRate).toBe(40);
+        expect(arrive.visits[nodeId('Query')]).toBeCloseTo(0.25);
+        expect(arrive.visits[nodeId('Think')]).toBeCloseTo(0.75);
+
+        const web = graph.getAllComponents().find(c => c.properties.name === 'Web').id;
+        const db = graph.getAllComponents().find(c => c.properties.name === 'DB').id;
+        expect(arrive.demands[web]).toBeCloseTo(20);
+        expect(arrive.demands[db]).toBeCloseTo(2.5);
+        // Think is outside every component: a pure delay
+        expect(arrive.delay).toBeCloseTo(750);
+
+        // Annotations survive the DSL round trip
+        const dsl = serializer.serializeDocument(ucmDocument);
+        expect(dsl).toContain('link Buy -> Query with probability=0.25');
+        expect(dsl).toMatch(/component Web type process .* with multiplicity=2/);
+        expect(dsl).toContain('start Arrive at (-50, 100) with arrivalRate=40');
+    });
+
+    test('should compute M/M/m utilization and response times', () => {
+        expect(erlangC(1, 0.5)).toBeCloseTo(0.5);
+        expect(erlangC(2, 0.8)).toBeCloseTo(0.2286, 4);
+
+        const { starts, components } = load(SHOP);
+        expect(byName(components, 'Web')).toMatchObject({ multiplicity: 2, saturated: false });
+        expect(byName(components, 'Web').utilization).toBeCloseTo(0.4);
+        expect(byName(components, 'DB').utilization).toBeCloseTo(0.1);
+
+        // Web: 20 · (1 + 0.2286 / 1.2), DB: 2.5 / 0.9, plus 750 ms of delay
+        expect(starts[0].responseTime).toBeCloseTo(23.81 + 2.78 + 750, 1);
+    });
+
+    test('should copy visits down AND-forks and solve loops', () => {
+        const { starts, warnings } = load(`ucm "Flows"
+start S at (0, 0) with arrivalRate=1
+fork Split at (50, 0) with forkType=and
+responsibility A at (100, -50) with executionTime=5
+responsibility B at (100, 50) with executionTime=5
+join Sync at (150, 0) with joinType=and
+responsibility Work at (200, 0) with executionTime=1
+fork Again at (250, 0)
+end E at (300, 0)
+link S -> Split
+link Split -> A
+link Split -> B
+link A -> Sync
+link B -> Sync
+link Sync -> Work
+link Work -> Again
+link Again -> Work with probability=0.5
+link Again -> E`);
+        expect(warnings).toEqual([]);
+        const [s] = starts;
+        expect(s.visits[nodeId('A')]).toBeCloseTo(1);
+        expect(s.visits[nodeId('B')]).toBeCloseTo(1);
+        expect(s.visits[nodeId('Sync')]).toBeCloseTo(1);
+        // Geometric loop: 1 / (1 - 0.5)
+        expect(s.visits[nodeId('Work')]).toBeCloseTo(2);
+        expect(s.visits[nodeId('E')]).toBeCloseTo(1);
+        // Parallel branches add up: an upper bound
+        expect(s.responseTime).toBeCloseTo(12);
+    });
+
+    test('should report saturated components and bad annotations', () => {
+        const { errors, warnings, starts } = load(SHOP
+            .replace('arrivalRate=40', 'arrivalRate=120')
+            .replace('with multiplicity=2', 'with multiplicity=0')
+            .replace('link Buy -> Think', 'link Buy -> Think with probability=0.9'));
+
+        expect(errors.map(e => e.type)).toEqual(['saturated']);
+        expect(errors[0].message).toContain('"Web" is saturated');
+        expect(starts[0].responseTime).toBe(Infinity);
+        expect(warnings.map(w => w.type)).toEqual(['probability_sum', 'invalid_multiplicity']);
+        expect(warnings[0].message).toContain('add up to 1.15');
+    });
+
+    test('should export an LQN model with open arrivals and calls per component', () => {
+        load(SHOP);
+        const lqnx = toLQNX(graph);
+
+        expect(lqnx).toMatch(/^<\?xml version="1.0" encoding="UTF-8"\?>\n<lqn-model name="Shop"/);
+        expect(lqnx).toContain('<processor name="Environment_cpu" scheduling="inf">');
+        expect(lqnx).toContain('<entry name="Environment_Arrive" type="PH1PH2" open-arrival-rate="40">');
+        expect(lqnx).toContain('<activity name="Environment_Arrive_ph1" phase="1" host-demand-mean="0.75">');
+        expect(lqnx).toContain('<synch-call dest="Web_Arrive" calls-mean="1"/>');
+        expect(lqnx).toContain('<synch-call dest="DB_Arrive" calls-mean="0.25"/>');
+        expect(lqnx).toContain('<task name="Web" scheduling="fcfs" multiplicity="2">');
+        // 2.5 ms of demand over 0.25 calls: 10 ms per call
+        expect(lqnx).toContain('<activity name="DB_Arrive_ph1" phase="1" host-demand-mean="0.01"/>');
+        expect(lqnx.trim().endsWith('</lqn-model>')).toBe(true);
+    });
+});
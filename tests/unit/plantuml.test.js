@@ -0,0 +1,65 @@
+/**
+ * Unit tests for the PlantUML component diagram writer
+ */
+import { graph } from '../../js/core/graph.js';
+import { ucmDocument } from '../../js/core/document.js';
+import { parser } from '../../js/core/parser.js';
+import { toPlantUML } from '../../js/core/plantuml.js';
+
+describe('PlantUML component diagram', () => {
+    test('should write components, UCM shapes and guards', () => {
+        ucmDocument.reset();
+        graph.clear();
+        parser.parseDocument(`ucm "Orders"
+component Shop type team at (0, 0) size (400, 300) {
+  component Clerk type actor at (20, 20) size (150, 150) {
+    responsibility Check at (100, 100) with description="Stock"
+  }
+  fork Paid at (200, 100)
+}
+start Order at (-50, 100)
+fork Split at (250, 200) with forkType=and
+stub "Pay \\"now\\"" at (300, 50) dynamic
+join Sync at (350, 200) with joinType=and
+end Shipped at (400, 200)
+end Held at (400, 50)
+link Order -> Check
+link Check -> Paid
+link Paid -> Split [guard: "paid"]
+link Paid -> "Pay \\"now\\"" [guard: "!paid"]
+link Split -> Sync
+link Split -> Sync
+link Sync -> Shipped
+link "Pay \\"now\\"" -> Held`, ucmDocument, { replace: true });
+        const a = (name) => graph.getAllNodes().find(n => n.properties.name === name).id;
+        const c = (name) => graph.getAllComponents().find(comp => comp.properties.name === name).id;
+
+        expect(toPlantUML(graph)).toBe([
+            '@startuml',
+            'title Orders',
+            'left to right direction',
+            `rectangle "Shop" as ${c('Shop')} <<team>> {`,
+            `  () "Paid" as ${a('Paid')}`,
+            `  rectangle "Clerk" as ${c('Clerk')} <<actor>> {`,
+            `    rectangle "Check" as ${a('Check')}`,
+            '  }',
+            '}',
+            `circle "Order" as ${a('Order')} #black`,
+            `rectangle "Split" as ${a('Split')} #black;text:white`,
+            `hexagon "Pay 'now'" as ${a('Pay "now"')} #line.dashed`,
+            `rectangle "Sync" as ${a('Sync')} #black;text:white`,
+            `circle "Shipped" as ${a('Shipped')} #white;line.bold`,
+            `circle "Held" as ${a('Held')} #white;line.bold`,
+            `${a('Order')} --> ${a('Check')}`,
+            `${a('Check')} --> ${a('Paid')}`,
+            `${a('Paid')} --> ${a('Split')} : [paid]`,
+            `${a('Paid')} --> ${a('Pay "now"')} : [!paid]`,
+            `${a('Split')} --> ${a('Sync')}`,
+            `${a('Split')} --> ${a('Sync')}`,
+            `${a('Sync')} --> ${a('Shipped')}`,
+            `${a('Pay "now"')} --> ${a('Held')}`,
+            '@enduml',
+            ''
+        ].join('\n'));
+    });
+});
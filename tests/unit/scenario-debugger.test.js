@@ -0,0 +1,195 @@
+/**
+ * Unit tests for the step-through scenario debugger
+ */
+import { jest } from '@jest/globals';
+import { graph } from '../../js/core/graph.js';
+import { ucmDocument } from '../../js/core/document.js';
+import { parser } from '../../js/core/parser.js';
+import { scenarioManager } from '../../js/core/scenario.js';
+import { ScenarioDebugger } from '../../js/core/scenario-debugger.js';
+
+const PARALLEL = `ucm "Parallel"
+variable packed : boolean
+start Order at (0, 100)
+fork Split at (100, 100) with forkType=and
+responsibility Pack at (200, 50) with code="packed = true"
+responsibility Bill at (200, 150)
+join Sync at (300, 100) with joinType=and
+end Done at (400, 100)
+link Order -> Split
+link Split -> Pack
+link Split -> Bill
+link Pack -> Sync
+link Bill -> Sync
+link Sync -> Done
+scenario "Ship" from Order`;
+
+const nodeId = (name) => graph.getAllNodes().find(n => n.properties.name === name).id;
+
+describe('ScenarioDebugger', () => {
+    let debug;
+    let scenario;
+
+    beforeEach(() => {
+        ucmDocument.reset();
+        graph.clear();
+        scenarioManager.clear();
+        parser.parseDocument(PARALLEL, ucmDocument, { replace: true });
+        scenario = scenarioManager.getAllScenarios()[0];
+        debug = new ScenarioDebugger({ document: ucmDocument, manager: scenarioManager, delay: 100 });
+    });
+
+    afterEach(() => debug.stop());
+
+    test('should start before the first step with the token on the start point', () => {
+        const frame = debug.start(scenario);
+
+        expect(frame.entries).toEqual([]);
+        expect(frame.tokens).toEqual([
+            { id: 1, mapId: ucmDocument.activeMapId, nodeId: nodeId('Order'), edgeId: null, state: 'moving' }
+        ]);
+        expect(frame.variables).toEqual({ packed: false });
+        expect(debug.state().canStepBack).toBe(false);
+    });
+
+    test('should show one token per branch after an AND-fork', () => {
+        debug.start(scenario);
+        debug.stepForward();
+        const frame = debug.stepForward();
+
+        expect(frame.entries.map(e => e.event)).toEqual(['visit']);
+        expect(frame.tokens.map(t => t.nodeId)).toEqual([nodeId('Pack'), nodeId('Bill')]);
+        expect(new Set(frame.tokens.map(t => t.id)).size).toBe(2);
+    });
+
+    test('should step back and forward through the same frames', () => {
+        debug.start(scenario);
+        const frames = [1, 2, 3, 4].map(() => debug.stepForward());
+
+        expect(frames[3].variables).toEqual({ packed: true });
+        expect(debug.stepBack()).toBe(frames[2]);
+        expect(debug.stepBack()).toBe(frames[1]);
+        expect(debug.stepForward()).toBe(frames[2]);
+
+        debug.rewind();
+        expect(debug.state().index).toBe(0);
+        expect(debug.current().variables).toEqual({ packed: false });
+    });
+
+    test('should show a token waiting at an AND-join', () => {
+        debug.start(scenario);
+        let frame;
+        do {
+            frame = debug.stepForward();
+        } while (!frame.entries.some(e => e.event === 'wait'));
+
+        expect(frame.tokens.find(t => t.state === 'waiting').nodeId).toBe(nodeId('Sync'));
+    });
+
+    test('should store the result on the scenario when the run is complete', () => {
+        const finished = jest.fn();
+        debug.on('debugger:finished', finished);
+        debug.start(scenario);
+        while (debug.stepForward());
+
+        expect(finished).toHaveBeenCalledTimes(1);
+        expect(debug.current().done).toBe(true);
+        expect(scenario.traversed).toBe(true);
+        expect(scenario.reachedEndNodes).toEqual([nodeId('Done')]);
+    });
+
+    test('should play until a breakpoint is hit', () => {
+        jest.useFakeTimers();
+        try {
+            const paused = jest.fn();
+            debug.on('debugger:paused', paused);
+            debug.toggleBreakpoint(ucmDocument.activeMapId, nodeId('Sync'));
+            debug.start(scenario);
+            debug.play();
+            expect(debug.isPlaying()).toBe(true);
+
+            jest.advanceTimersByTime(1000);
+            expect(debug.isPlaying()).toBe(false);
+            expect(paused).toHaveBeenCalledWith(expect.objectContaining({
+                breakpoint: { mapId: ucmDocument.activeMapId, nodeId: nodeId('Sync') }
+            }));
+            expect(debug.current().entries[0].nodeId).toBe(nodeId('Sync'));
+
+            // Playing on stops at the second arrival, then runs to the end
+            debug.play();
+            jest.advanceTimersByTime(100);
+            expect(debug.isPlaying()).toBe(false);
+            debug.toggleBreakpoint(ucmDocument.activeMapId, nodeId('Sync'));
+            debug.play();
+            jest.advanceTimersByTime(1000);
+            expect(debug.current().done).toBe(true);
+        } finally {
+            jest.useRealTimers();
+        }
+    });
+
+    test('should only break in the map the breakpoint was set in', () => {
+        ucmDocument.reset();
+        graph.clear();
+        scenarioManager.clear();
+        parser.parseDocument(`ucm "Orders" {
+  start Order at (0, 100)
+  responsibility Log at (100, 100)
+  stub Pay at (200, 100)
+  end Done at (300, 100)
+  link Order -> Log
+  link Log -> Pay
+  link Pay -> Done
+  plugin Pay -> "Card"
+  bind Pay -> "Card" in Log -> Begin
+  bind Pay -> "Card" out Finish -> Done
+  scenario "Buy" from Order
+}
+ucm "Card" {
+  start Begin at (0, 50)
+  responsibility Charge at (100, 50)
+  end Finish at (200, 50)
+  link Begin -> Charge
+  link Charge -> Finish
+}`, ucmDocument, { replace: true });
+        const rootMapId = ucmDocument.rootMapId;
+        const card = ucmDocument.getAllMaps().find(map => map.name === 'Card');
+        const charge = ucmDocument.getMapGraph(card.id).getAllNodes().find(n => n.properties.name === 'Charge');
+        // Same node ID in both maps
+        expect(charge.id).toBe(nodeId('Log'));
+
+        jest.useFakeTimers();
+        try {
+            const paused = jest.fn();
+            debug.on('debugger:paused', paused);
+            expect(debug.toggleBreakpoint(rootMapId, nodeId('Log'))).toBe(true);
+            expect(debug.breakpointsIn(rootMapId)).toEqual([nodeId('Log')]);
+            expect(debug.breakpointsIn(card.id)).toEqual([]);
+
+            debug.start(scenarioManager.getAllScenarios()[0]);
+            debug.play();
+            jest.advanceTimersByTime(1000);
+            expect(paused).toHaveBeenLastCalledWith(expect.objectContaining({
+                breakpoint: { mapId: rootMapId, nodeId: nodeId('Log') }
+            }));
+
+            debug.play();
+            jest.advanceTimersByTime(2000);
+            expect(debug.current().done).toBe(true);
+            expect(paused).toHaveBeenLastCalledWith(expect.objectContaining({ breakpoint: null }));
+            expect(debug.frames.some(f => f.entries.some(e => e.mapId === card.id && e.nodeId === charge.id))).toBe(true);
+        } finally {
+            jest.useRealTimers();
+        }
+    });
+
+    test('should stop when its scenario is deleted', () => {
+        const stopped = jest.fn();
+        debug.on('debugger:stopped', stopped);
+        debug.start(scenario);
+        scenarioManager.deleteScenario(scenario.id);
+
+        expect(debug.isActive()).toBe(false);
+        expect(stopped).toHaveBeenCalledWith({ scenario });
+    });
+});
@@ -0,0 +1,101 @@
+/**
+ * Unit tests for the batch scenario runner and its reports
+ */
+import { graph } from '../../js/core/graph.js';
+import { ucmDocument } from '../../js/core/document.js';
+import { parser } from '../../js/core/parser.js';
+import { serializer } from '../../js/core/serializer.js';
+import { scenarioManager } from '../../js/core/scenario.js';
+import { runAllScenarios, toJUnitXml, toJsonReport } from '../../js/core/scenario-runner.js';
+
+const ORDERS = `ucm "Orders"
+variable paid : boolean
+start Order at (0, 100)
+responsibility Check at (100, 100)
+fork Paid at (200, 100)
+responsibility Ship at (300, 50)
+responsibility Remind at (300, 150)
+end Shipped at (400, 50)
+end Held at (400, 150)
+link Order -> Check
+link Check -> Paid
+link Paid -> Ship [guard: "paid"]
+link Paid -> Remind [guard: "!paid"]
+link Ship -> Shipped
+link Remind -> Held
+scenario "Happy" from Order expect Shipped { var paid = true; sequence Check, Ship }
+scenario "Unpaid" from Order expect Shipped
+scenario "Wrong order" from Order { sequence Remind, Check }
+scenario "Plain" from Order`;
+
+const load = (text) => parser.parseDocument(text, ucmDocument, { replace: true });
+const byName = (report, name) => report.results.find(r => r.name === name);
+
+describe('Scenario runner', () => {
+    beforeEach(() => {
+        ucmDocument.reset();
+        graph.clear();
+        scenarioManager.clear();
+    });
+
+    test('should check expected end points and responsibility sequences', () => {
+        load(ORDERS);
+        const report = runAllScenarios();
+
+        expect(report).toMatchObject({ name: 'Orders', total: 4, passed: 2, failed: 2 });
+        expect(byName(report, 'Happy')).toMatchObject({
+            passed: true,
+            reachedEnds: ['Shipped'],
+            sequence: ['Check', 'Ship'],
+            failures: []
+        });
+        expect(byName(report, 'Unpaid').failures).toEqual([
+            'Expected end point Shipped was not reached',
+            'Reached end point Held, which is not expected'
+        ]);
+        expect(byName(report, 'Wrong order').failures).toEqual([
+            'Expected responsibilities Remind, Check but the run passed Check, Remind'
+        ]);
+        expect(byName(report, 'Plain').passed).toBe(true);
+    });
+
+    test('should fail scenarios whose run has errors', () => {
+        load(ORDERS.replace('link Remind -> Held\n', ''));
+        const report = runAllScenarios({ scenarioIds: [scenarioManager.getAllScenarios()[3].id] });
+
+        expect(report.total).toBe(1);
+        expect(report.results[0].failures).toEqual(['Traversal error: Dead end at node: Remind']);
+    });
+
+    test('should parse, reject and write expected sequences', () => {
+        load(ORDERS);
+        expect(scenarioManager.getAllScenarios()[0].expectedSequence).toEqual(['Check', 'Ship']);
+        expect(serializer.serializeDocument(ucmDocument)).toContain('  sequence Check, Ship\n');
+
+        const result = load(ORDERS.replace('sequence Check, Ship', 'sequence Check, Pack'));
+        expect(result.errors.map(e => e.message)).toEqual(['Scenario "Happy" expects unknown responsibility "Pack"']);
+    });
+
+    test('should write JUnit XML with one test case per scenario', () => {
+        load(ORDERS.replace('"Wrong order"', '"Wrong <order>"'));
+        const xml = toJUnitXml(runAllScenarios());
+
+        expect(xml).toMatch(/^<\?xml version="1.0" encoding="UTF-8"\?>\n<testsuites name="Orders" tests="4" failures="2"/);
+        expect(xml).toContain('<testsuite name="Orders" tests="4" failures="2" errors="0"');
+        expect(xml).toMatch(/<testcase classname="Orders" name="Happy" time="[\d.]+"\/>/);
+        expect(xml).toContain('name="Wrong &lt;order&gt;"');
+        expect(xml).toContain('<failure message="Expected end point Shipped was not reached">' +
+            'Expected end point Shipped was not reached\nReached end point Held, which is not expected</failure>');
+        expect(xml.match(/<testcase /g)).toHaveLength(4);
+    });
+
+    test('should write a JSON report', () => {
+        load(ORDERS);
+        const json = JSON.parse(toJsonReport(runAllScenarios()));
+
+        expect(json.results.map(r => [r.name, r.passed])).toEqual([
+            ['Happy', true], ['Unpaid', false], ['Wrong order', false], ['Plain', true]
+        ]);
+        expect(json.timestamp).toMatch(/^\d{4}-\d\d-\d\dT/);
+    });
+});
@@ -0,0 +1,152 @@
+/**
+ * Unit tests for scenario definitions in the DSL and in saved files
+ */
+import { graph } from '../../js/core/graph.js';
+import { ucmDocument } from '../../js/core/document.js';
+import { parser } from '../../js/core/parser.js';
+import { serializer } from '../../js/core/serializer.js';
+import { scenarioManager } from '../../js/core/scenario.js';
+import { exporter } from '../../js/core/exporter.js';
+
+const MAP_DSL = `ucm "Orders"
+start Order at (0, 100)
+fork Check at (100, 100) with forkType=or
+responsibility Ship at (200, 50)
+responsibility Refund at (200, 150)
+end Shipped at (300, 50)
+end Refunded at (300, 150)
+link Order -> Check
+link Check -> Ship
+link Check -> Refund
+link Ship -> Shipped
+link Refund -> Refunded`;
+
+const SCENARIOS = `
+scenario "Happy path" from Order expect Shipped { var paid = true; guard "Check->Ship": "paid" }
+scenario "Refund" from Order expect Refunded with highlightColor="#00f" {
+  var paid = false
+  guard "Check->Refund": "!paid"
+}`;
+
+const load = (text) => parser.parseDocument(text, ucmDocument);
+const byName = (name) => scenarioManager.getAllScenarios().find(s => s.name === name);
+const nodeId = (name) => graph.getAllNodes().find(n => n.properties.name === name).id;
+
+describe('Scenario DSL', () => {
+    beforeEach(() => {
+        ucmDocument.reset();
+        graph.clear();
+        scenarioManager.clear();
+    });
+
+    test('should parse scenario blocks into the map AST', () => {
+        const result = { errors: [], warnings: [] };
+        const [map] = parser.parseToAst(MAP_DSL + SCENARIOS, result).maps;
+
+        expect(result.errors).toEqual([]);
+        expect(map.scenarios.map(s => s.name)).toEqual(['Happy path', 'Refund']);
+        expect(map.scenarios[0]).toMatchObject({
+            start: 'Order',
+            expect: ['Shipped'],
+            variables: { paid: true },
+            guards: [{ source: 'Check', target: 'Ship', condition: 'paid' }]
+        });
+        expect(map.scenarios[1].highlightColor).toBe('#00f');
+    });
+
+    test('should create scenarios keyed by element names and run them', () => {
+        const result = load(MAP_DSL + SCENARIOS);
+        expect(result.errors).toEqual([]);
+        expect(result.operations.filter(op => op.op === 'scenario:added')).toHaveLength(2);
+
+        const refund = byName('Refund');
+        expect(refund).toMatchObject({
+            mapId: ucmDocument.rootMapId,
+            startNodeId: nodeId('Order'),
+            expectedEndNodeIds: [nodeId('Refunded')],
+            conditions: { 'Check->Refund': '!paid' }
+        });
+
+        scenarioManager.executeScenario(refund.id);
+        expect(refund.reachedEndNodes).toEqual([nodeId('Refunded')]);
+        scenarioManager.executeScenario(byName('Happy path').id);
+        expect(byName('Happy path').reachedEndNodes).toEqual([nodeId('Shipped')]);
+    });
+
+    test('should round-trip and keep scenario IDs across edits', () => {
+        load(MAP_DSL + SCENARIOS);
+        const ids = scenarioManager.getAllScenarios().map(s => s.id);
+
+        const text = serializer.serializeDocument(ucmDocument);
+        expect(text).toContain('scenario "Happy path" from Order expect Shipped {\n  var paid = true\n  guard "Check->Ship": "paid"\n}');
+        expect(text).toContain('scenario Refund from Order expect Refunded with highlightColor="#00f" {');
+
+        const result = load(text.replace('var paid = false', 'var paid = 0'));
+        expect(result.operations).toEqual([{ op: 'scenario:updated', id: byName('Refund').id, mapId: ucmDocument.rootMapId }]);
+        expect(scenarioManager.getAllScenarios().map(s => s.id)).toEqual(ids);
+        expect(byName('Refund').variables).toEqual({ paid: 0 });
+
+        load(MAP_DSL);
+        expect(scenarioManager.getAllScenarios()).toEqual([]);
+    });
+
+    test('should report unknown points, bad guards and unclosed blocks', () => {
+        const result = load(`${MAP_DSL}
+scenario A from Nowhere expect Shipped, Gone { guard "Check->Shipped": true }
+scenario B from Order { var 1x = 2
+  guard "Check->Ship": "ok"
+scenario C from Order`);
+
+        expect(result.errors.map(e => [e.line, e.message])).toEqual([
+            [14, 'Expected a variable name but found "1x"'],
+            [16, 'Expected "var", "guard", "sequence" or "}" but found "scenario"'],
+            [14, 'Missing closing "}" for scenario "B"'],
+            [13, 'Scenario start unknown: "Nowhere"'],
+            [13, 'Scenario end point unknown: "Gone"'],
+            [13, 'Guard must name a link of this map as "Source->Target": "Check->Shipped"']
+        ]);
+    });
+
+    test('should read conditions keyed by edge ID from older files', () => {
+        load(MAP_DSL);
+        const refundEdge = graph.getAllEdges().find(e => e.targetNodeId === nodeId('Refund'));
+        const scenario = scenarioManager.createScenario({
+            name: 'Old', startNodeId: nodeId('Order'), conditions: { [refundEdge.id]: true }
+        });
+
+        scenarioManager.executeScenario(scenario.id);
+        expect(scenario.reachedEndNodes).toEqual([nodeId('Refunded')]);
+        expect(serializer.serializeDocument(ucmDocument)).toContain('scenario Old from Order {\n  guard "Check->Refund": true\n}');
+    });
+});
+
+describe('Scenario persistence', () => {
+    beforeEach(() => {
+        ucmDocument.reset();
+        graph.clear();
+        scenarioManager.clear();
+    });
+
+    test('should save scenarios with the diagram and restore them', () => {
+        load(MAP_DSL + SCENARIOS);
+        const saved = JSON.parse(JSON.stringify(exporter.toJSON()));
+        expect(saved.scenarios.map(s => s.name)).toEqual(['Happy path', 'Refund']);
+
+        scenarioManager.clear();
+        ucmDocument.reset();
+        graph.clear();
+        exporter.fromJSON(saved);
+
+        const refund = byName('Refund');
+        expect(refund.mapId).toBe(ucmDocument.rootMapId);
+        expect(refund.conditions).toEqual({ 'Check->Refund': '!paid' });
+        scenarioManager.executeScenario(refund.id);
+        expect(refund.reachedEndNodes).toEqual([nodeId('Refunded')]);
+    });
+
+    test('should drop the old scenarios when a new file replaces the document', () => {
+        load(MAP_DSL + SCENARIOS);
+        parser.parseDocument(MAP_DSL, ucmDocument, { replace: true });
+        expect(scenarioManager.getAllScenarios()).toEqual([]);
+    });
+});
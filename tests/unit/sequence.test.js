@@ -0,0 +1,141 @@
+/**
+ * Unit tests for sequence diagrams generated from scenario runs
+ */
+import { graph } from '../../js/core/graph.js';
+import { ucmDocument } from '../../js/core/document.js';
+import { parser } from '../../js/core/parser.js';
+import { scenarioManager } from '../../js/core/scenario.js';
+import { buildSequence, toPlantUML, toMermaidSequence, renderSequenceSVG } from '../../js/core/sequence.js';
+
+const SHOP = `ucm "Shop"
+component Customer type actor at (0, 0) size (150, 200) {
+  start Order at (50, 100)
+}
+component Store type team at (200, 0) size (250, 200) {
+  responsibility Check at (250, 100)
+  fork Stock at (320, 100)
+  responsibility Pack at (400, 60)
+}
+component Courier type team at (500, 0) size (150, 200) {
+  responsibility Deliver at (550, 60)
+}
+end "Sold out" at (400, 300)
+end Delivered at (600, 100)
+link Order -> Check
+link Check -> Stock
+link Stock -> Pack [guard: "true"]
+link Stock -> "Sold out" [guard: "false"]
+link Pack -> Deliver
+link Deliver -> Delivered
+scenario "Buy" from Order`;
+
+describe('Sequence diagrams', () => {
+    let sequence;
+
+    beforeEach(() => {
+        ucmDocument.reset();
+        graph.clear();
+        scenarioManager.clear();
+        parser.parseDocument(SHOP, ucmDocument, { replace: true });
+        const scenario = scenarioManager.getAllScenarios()[0];
+        scenarioManager.executeScenario(scenario.id);
+        sequence = buildSequence(scenario);
+    });
+
+    test('should turn components into lifelines and crossings into messages', () => {
+        expect(sequence.title).toBe('Buy');
+        expect(sequence.lifelines.map(l => [l.name, l.type])).toEqual([
+            ['Customer', 'actor'], ['Store', 'team'], ['Courier', 'team'], ['Environment', 'environment']
+        ]);
+
+        const [customer, store, courier, environment] = sequence.lifelines.map(l => l.id);
+        expect(sequence.events).toEqual([
+            { type: 'start', lifeline: customer, label: 'Order' },
+            { type: 'message', from: customer, to: store, label: 'Check' },
+            { type: 'action', lifeline: store, label: 'Check', nodeType: 'responsibility' },
+            { type: 'action', lifeline: store, label: 'Pack', nodeType: 'responsibility' },
+            { type: 'message', from: store, to: courier, label: 'Deliver' },
+            { type: 'action', lifeline: courier, label: 'Deliver', nodeType: 'responsibility' },
+            { type: 'message', from: courier, to: environment, label: 'Delivered' },
+            { type: 'end', lifeline: environment, label: 'Delivered' }
+        ]);
+    });
+
+    test('should write PlantUML', () => {
+        expect(toPlantUML(sequence)).toBe([
+            '@startuml',
+            'title Buy',
+            'actor "Customer" as L1',
+            'participant "Store" as L2',
+            'participant "Courier" as L3',
+            'participant "Environment" as L4',
+            '[-> L1 : Order',
+            'L1 -> L2 : Check',
+            'hnote over L2 : Check',
+            'hnote over L2 : Pack',
+            'L2 -> L3 : Deliver',
+            'hnote over L3 : Deliver',
+            'L3 -> L4 : Delivered',
+            'L4 ->] : Delivered',
+            '@enduml',
+            ''
+        ].join('\n'));
+    });
+
+    test('should write a Mermaid sequenceDiagram', () => {
+        const text = toMermaidSequence(sequence);
+        expect(text).toMatch(/^sequenceDiagram\n    title Buy\n    actor L1 as Customer\n/);
+        expect(text).toContain('    L1->>L2: Check\n    Note over L2: Check\n');
+        expect(text).toContain('    Note left of L1: start Order\n');
+        expect(text).toContain('    Note right of L4: end Delivered\n');
+    });
+
+    test('should draw lifelines, actions and messages as SVG', () => {
+        const svg = renderSequenceSVG(sequence);
+        expect(svg).toMatch(/^<\?xml version="1.0" encoding="UTF-8"\?>\n<svg xmlns="http:\/\/www.w3.org\/2000\/svg" viewBox="0 0 800 408"/);
+        expect(svg.match(/stroke-dasharray="5 4"/g)).toHaveLength(4);
+        expect(svg.match(/fill="#f1f3f5"/g)).toHaveLength(3);
+        expect(svg).toContain('>Environment</text>');
+    });
+
+    test('should keep parallel branches on their own lifelines', () => {
+        ucmDocument.reset();
+        graph.clear();
+        scenarioManager.clear();
+        parser.parseDocument(`ucm "Split"
+component X type team at (0, 0) size (200, 100) {
+  responsibility A1 at (50, 50)
+  responsibility A2 at (150, 50)
+}
+component Y type team at (0, 200) size (200, 100) {
+  responsibility B1 at (50, 250)
+  responsibility B2 at (150, 250)
+}
+start S at (-100, 150)
+fork F at (-50, 150) with forkType=and
+join J at (250, 150) with joinType=and
+end E at (300, 150)
+link S -> F
+link F -> A1
+link F -> B1
+link A1 -> A2
+link B1 -> B2
+link A2 -> J
+link B2 -> J
+link J -> E
+scenario "Both" from S`, ucmDocument, { replace: true });
+        const scenario = scenarioManager.getAllScenarios()[0];
+        scenarioManager.executeScenario(scenario.id);
+
+        const split = buildSequence(scenario);
+        const [environment, x, y] = split.lifelines.map(l => l.id);
+        expect(split.lifelines.map(l => l.name)).toEqual(['Environment', 'X', 'Y']);
+        expect(split.events.filter(e => e.type === 'message')).toEqual([
+            { type: 'message', from: environment, to: x, label: 'A1' },
+            { type: 'message', from: environment, to: y, label: 'B1' },
+            // The join only routes: the token that completes it carries on from its lifeline
+            { type: 'message', from: y, to: environment, label: 'E' }
+        ]);
+        expect(split.events.filter(e => e.type === 'action').map(e => e.label)).toEqual(['A1', 'B1', 'A2', 'B2']);
+    });
+});
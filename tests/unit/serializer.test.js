@@ -2,6 +2,7 @@
  * Unit tests for DSL Serializer
  */
 import { serializer } from '../../js/core/serializer.js';
+import { parser } from '../../js/core/parser.js';
 import { UCMGraph } from '../../js/core/graph.js';
 
 describe('DSL Serializer', () => {
@@ -147,4 +148,61 @@ describe('DSL Serializer', () => {
         // Coordinates should be rounded to integers
         expect(dsl).toContain('at (51, 100)');
     });
+
+    test('should serialize the diagram name and metadata', () => {
+        graph.updateMetadata({ name: 'Checkout', author: 'Jane Doe', version: '2.1', tags: 'payments, web' });
+
+        const dsl = serializer.serialize(graph);
+
+        expect(dsl.startsWith('ucm "Checkout"')).toBe(true);
+        expect(dsl).toContain('meta author "Jane Doe"');
+        expect(dsl).toContain('meta version "2.1"');
+        expect(dsl).toContain('meta tags "payments, web"');
+        expect(dsl).not.toContain('meta description');
+    });
+
+    test('should round-trip element properties through attributes', () => {
+        const start = graph.addNode('start', { x: 0, y: 0, name: 'S', precondition: 'x > 1' });
+        const resp = graph.addNode('responsibility', { x: 100, y: 0, name: 'Work', executionTime: 5, description: 'Do "it"' });
+        const fork = graph.addNode('fork', { x: 200, y: 0, name: 'Standard', forkType: 'and' });
+        graph.addComponent('team', { x: 0, y: 0, width: 300, height: 100, name: 'Team', description: 'Core team' });
+        graph.addEdge(start.id, resp.id, { strokeColor: '#ff0000' });
+        graph.addEdge(resp.id, fork.id);
+
+        const dsl = serializer.serialize(graph);
+        expect(dsl).toContain('start S at (0, 0) with precondition="x > 1"');
+        expect(dsl).toContain('with description="Do \\"it\\"" executionTime=5');
+        expect(dsl).toContain('fork Standard at (200, 0) with forkType=and');
+        expect(dsl).toContain('size (300, 100) with description="Core team" {');
+        expect(dsl).toContain('link S -> Work style { strokeColor: "#ff0000" }');
+        expect(dsl).toMatch(/^link Work -> Standard$/m);
+
+        const copy = new UCMGraph();
+        parser.parse(dsl, copy);
+        expect(serializer.serialize(copy)).toBe(dsl);
+    });
+
+    test('should serialize guards, waypoints and style on links', () => {
+        const fork = graph.addNode('fork', { x: 0, y: 0, name: 'F', forkType: 'or' });
+        const end = graph.addNode('end', { x: 200, y: 0, name: 'E' });
+        graph.addEdge(fork.id, end.id, {
+            condition: 'x > 5',
+            controlPoints: [{ x: 50, y: 40 }, { x: 150.4, y: 40 }],
+            strokeStyle: 'dashed',
+            strokeWidth: 3,
+            label: 'retry'
+        });
+
+        const dsl = serializer.serialize(graph);
+        expect(dsl).toContain('link F -> E [guard: "x > 5"] via (50, 40) (150, 40) style { strokeWidth: 3, strokeStyle: dashed } with label=retry');
+
+        const copy = new UCMGraph();
+        parser.parse(dsl, copy);
+        const edge = copy.getAllEdges()[0];
+        expect(edge.condition).toBe('x > 5');
+        expect(edge.controlPoints).toEqual([{ x: 50, y: 40 }, { x: 150, y: 40 }]);
+        expect(edge.properties.strokeStyle).toBe('dashed');
+        expect(edge.properties.condition).toBeUndefined();
+        expect(serializer.serialize(copy)).toBe(dsl);
+    });
 });
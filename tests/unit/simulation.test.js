@@ -0,0 +1,136 @@
+/**
+ * Unit tests for Monte Carlo scenario simulation and duration distributions
+ */
+import { graph } from '../../js/core/graph.js';
+import { ucmDocument } from '../../js/core/document.js';
+import { parser } from '../../js/core/parser.js';
+import { scenarioManager } from '../../js/core/scenario.js';
+import { simulateScenario, latencyStats } from '../../js/core/simulation.js';
+import { parseDistribution, sample, seededRandom } from '../../js/core/distributions.js';
+
+const load = (text) => {
+    ucmDocument.reset();
+    graph.clear();
+    scenarioManager.clear();
+    parser.parseDocument(text, ucmDocument, { replace: true });
+    return scenarioManager.getAllScenarios()[0];
+};
+
+const names = (ids) => ids.map(id => graph.getNode(id).properties.name).filter(Boolean);
+
+describe('Duration distributions', () => {
+    test('should parse numbers and distribution calls', () => {
+        expect(parseDistribution(undefined)).toBeNull();
+        expect(parseDistribution(20)).toEqual({ type: 'fixed', params: [20], mean: 20 });
+        expect(parseDistribution('20')).toEqual({ type: 'fixed', params: [20], mean: 20 });
+        expect(parseDistribution('uniform(10, 30)')).toEqual({ type: 'uniform', params: [10, 30], mean: 20 });
+        expect(parseDistribution('exp(5)')).toEqual({ type: 'exponential', params: [5], mean: 5 });
+        expect(parseDistribution('normal(20, 4)').mean).toBe(20);
+
+        ['slow', 'uniform(30, 10)', 'normal(1)', 'weibull(1, 2)', -3].forEach(value => {
+            expect(parseDistribution(value)).toBeNaN();
+        });
+    });
+
+    test('should sample within range, repeatably for a seed', () => {
+        const uniform = parseDistribution('uniform(10, 30)');
+        const random = seededRandom(42);
+        const draws = Array.from({ length: 500 }, () => sample(uniform, random));
+        expect(Math.min(...draws)).toBeGreaterThanOrEqual(10);
+        expect(Math.max(...draws)).toBeLessThanOrEqual(30);
+
+        const again = seededRandom(42);
+        expect(Array.from({ length: 500 }, () => sample(uniform, again))).toEqual(draws);
+
+        const exponential = parseDistribution('exponential(10)');
+        const mean = Array.from({ length: 5000 }, () => sample(exponential, random)).reduce((a, b) => a + b) / 5000;
+        expect(mean).toBeGreaterThan(9);
+        expect(mean).toBeLessThan(11);
+    });
+});
+
+describe('Monte Carlo simulation', () => {
+    test('should pick OR-branches by probability and count paths', () => {
+        const scenario = load(`ucm "Shop"
+start Order at (0, 0)
+fork Stock at (50, 0)
+responsibility Ship at (100, -50) with executionTime="uniform(10, 20)"
+end Shipped at (150, -50)
+end Refused at (150, 50)
+link Order -> Stock
+link Stock -> Ship with probability=0.8
+link Stock -> Refused
+link Ship -> Shipped
+scenario "Buy" from Order`);
+
+        const result = simulateScenario(scenario, { runs: 2000, seed: 1 });
+        expect(result).toMatchObject({ runs: 2000, completed: 2000, reached: 2000, errors: [] });
+
+        const shipped = result.endPoints.find(end => end.name === 'Shipped');
+        expect(shipped.share).toBeGreaterThan(0.77);
+        expect(shipped.share).toBeLessThan(0.83);
+        expect(shipped.latency.min).toBeGreaterThanOrEqual(10);
+        expect(shipped.latency.p99).toBeLessThanOrEqual(20);
+        expect(result.endPoints.find(end => end.name === 'Refused').latency.max).toBe(0);
+
+        expect(result.paths.map(p => p.label)).toEqual(['Order → Stock → Ship → Shipped', 'Order → Stock → Refused']);
+        expect(result.paths.reduce((n, p) => n + p.count, 0)).toBe(2000);
+
+        // Same seed, same result
+        expect(simulateScenario(scenario, { runs: 2000, seed: 1 })).toEqual(result);
+    });
+
+    test('should wait at AND-joins for the slowest branch and find the critical path', () => {
+        const scenario = load(`ucm "Parallel"
+start S at (0, 0)
+fork Split at (50, 0) with forkType=and
+responsibility Quick at (100, -50) with executionTime=10
+responsibility Slow at (100, 50) with executionTime="fixed(30)"
+join Sync at (150, 0) with joinType=and
+responsibility Wrap at (200, 0) with executionTime=5
+end E at (250, 0)
+link S -> Split
+link Split -> Quick
+link Split -> Slow
+link Quick -> Sync
+link Slow -> Sync
+link Sync -> Wrap
+link Wrap -> E
+scenario "Both" from S`);
+
+        const result = simulateScenario(scenario, { runs: 20, seed: 3 });
+        expect(result.latency).toMatchObject({ min: 35, max: 35, p50: 35 });
+        expect(result.criticalPath.share).toBe(1);
+        expect(names(result.criticalPath.nodes)).toEqual(['S', 'Split', 'Slow', 'Sync', 'Wrap', 'E']);
+        expect(result.criticalPath.edges).toHaveLength(5);
+    });
+
+    test('should fire timers on their timeout unless a trigger comes first', () => {
+        const timed = (triggerTime) => load(`ucm "Timers"
+start S at (0, 0)
+fork Split at (50, 0) with forkType=and
+timer Wait at (100, 0) with timeout=50ms
+responsibility Reply at (100, 100) with executionTime=${triggerTime}
+end Answered at (150, -50)
+end Expired at (150, 50)
+link S -> Split
+link Split -> Wait
+link Split -> Reply
+link Reply -> Wait
+link Wait -> Answered
+link Wait -> Expired
+scenario "Call" from S`);
+
+        const answered = simulateScenario(timed(10), { runs: 5, seed: 1 });
+        expect(answered.endPoints).toMatchObject([{ name: 'Answered', share: 1, latency: { max: 10 } }]);
+
+        const expired = simulateScenario(timed(500), { runs: 5, seed: 1 });
+        expect(expired.endPoints[0]).toMatchObject({ name: 'Expired', latency: { min: 50 } });
+    });
+
+    test('should summarize latencies with nearest-rank percentiles', () => {
+        const values = Array.from({ length: 100 }, (_, i) => 100 - i);
+        expect(latencyStats(values)).toEqual({ min: 1, mean: 50.5, max: 100, p50: 50, p90: 90, p95: 95, p99: 99 });
+        expect(latencyStats([])).toBeNull();
+    });
+});
@@ -0,0 +1,223 @@
+/**
+ * Unit tests for stubs, plug-in maps and stub traversal
+ */
+import { graph, UCMGraph } from '../../js/core/graph.js';
+import { ucmDocument, UCMDocument } from '../../js/core/document.js';
+import { parser } from '../../js/core/parser.js';
+import { serializer } from '../../js/core/serializer.js';
+import { scenarioManager } from '../../js/core/scenario.js';
+import { createPluginMap, addPlugin, autoBind } from '../../js/core/stubs.js';
+import { UCMValidator } from '../../js/core/validator.js';
+
+/**
+ * Build a plug-in map: start "Begin" -> responsibility -> end "Done"
+ */
+function buildPluginData(respName) {
+    const g = new UCMGraph();
+    const start = g.addNode('start', { name: 'Begin', x: 0, y: 0 });
+    const resp = g.addNode('responsibility', { name: respName, x: 100, y: 0 });
+    const end = g.addNode('end', { name: 'Done', x: 200, y: 0 });
+    g.addEdge(start.id, resp.id);
+    g.addEdge(resp.id, end.id);
+    return g.toJSON();
+}
+
+describe('Stub DSL', () => {
+    let target;
+    let doc;
+
+    beforeEach(() => {
+        target = new UCMGraph();
+        doc = new UCMDocument(target);
+    });
+
+    test('should parse static and dynamic stubs', () => {
+        const dsl = `
+            stub "Auth" at (100, 100)
+            stub "Pay" at (200, 100) dynamic
+        `;
+        const result = parser.parse(dsl, target, { document: doc });
+        expect(result.success).toBe(true);
+
+        const [auth, pay] = target.getNodesByType('stub');
+        expect(auth.properties.stubType).toBe('static');
+        expect(pay.properties.stubType).toBe('dynamic');
+        expect(pay.properties.plugins).toEqual([]);
+    });
+
+    test('should attach plug-ins and resolve bindings by name', () => {
+        const map = doc.addMap('Card', buildPluginData('Charge'));
+        const dsl = `
+            start "Order" at (0, 0)
+            stub "Pay" at (100, 0) dynamic
+            end "Ship" at (200, 0)
+            link "Order" -> "Pay"
+            link "Pay" -> "Ship"
+            plugin "Pay" -> "Card" when "card"
+            bind "Pay" -> "Card" in "Order" -> "Begin"
+            bind "Pay" -> "Card" out "Done" -> "Ship"
+        `;
+        const result = parser.parse(dsl, target, { document: doc });
+        expect(result.errors).toEqual([]);
+
+        const stub = target.getNodesByType('stub')[0];
+        const [plugin] = stub.properties.plugins;
+        expect(plugin.mapId).toBe(map.id);
+        expect(plugin.condition).toBe('card');
+        expect(plugin.inBindings).toHaveLength(1);
+        expect(plugin.inBindings[0].edgeId).toBe([...stub.inEdges][0]);
+        expect(plugin.outBindings[0].edgeId).toBe([...stub.outEdges][0]);
+
+        const pluginGraph = doc.getMapGraph(map.id);
+        expect(pluginGraph.getNode(plugin.inBindings[0].startNodeId).properties.name).toBe('Begin');
+    });
+
+    test('should create a missing plug-in map with a warning', () => {
+        const dsl = `
+            stub "Auth" at (100, 100)
+            plugin "Auth" -> "Login Flow"
+        `;
+        const result = parser.parse(dsl, target, { document: doc });
+        expect(result.success).toBe(true);
+        expect(result.warnings).toHaveLength(1);
+        expect(doc.getMapByName('Login Flow')).not.toBeNull();
+    });
+
+    test('should report bindings against unknown plug-ins', () => {
+        const dsl = `
+            stub "Auth" at (100, 100)
+            bind "Auth" -> "Nope" in "X" -> "Begin"
+        `;
+        const result = parser.parse(dsl, target, { document: doc });
+        expect(result.success).toBe(false);
+        expect(result.errors[0].line).toBe(3);
+    });
+
+    test('should round-trip stubs, plug-ins and bindings', () => {
+        doc.addMap('Card Payment', buildPluginData('Charge'));
+        const dsl = `
+            start "Order" at (0, 0)
+            stub "Pay" at (100, 0) dynamic
+            end "Ship" at (200, 0)
+            link "Order" -> "Pay"
+            link "Pay" -> "Ship"
+            plugin "Pay" -> "Card Payment" when "card"
+            bind "Pay" -> "Card Payment" in "Order" -> "Begin"
+            bind "Pay" -> "Card Payment" out "Done" -> "Ship"
+        `;
+        parser.parse(dsl, target, { document: doc });
+        const text = serializer.serialize(target, { document: doc });
+
+        expect(text).toContain('stub Pay at (100, 0) dynamic');
+        expect(text).toContain('plugin Pay -> "Card Payment" when "card"');
+        expect(text).toContain('bind Pay -> "Card Payment" in Order -> Begin');
+        expect(text).toContain('bind Pay -> "Card Payment" out Done -> Ship');
+
+        const again = new UCMGraph();
+        const result = parser.parse(text, again, { document: doc });
+        expect(result.errors).toEqual([]);
+        expect(serializer.serialize(again, { document: doc })).toBe(text);
+    });
+});
+
+describe('UCMDocument', () => {
+    beforeEach(() => {
+        ucmDocument.reset();
+        graph.clear();
+    });
+
+    test('should drill down into a stub and back up', () => {
+        const start = graph.addNode('start', { name: 'S', x: 0, y: 0 });
+        const stub = graph.addNode('stub', { name: 'Sub', x: 100, y: 0 });
+        graph.addEdge(start.id, stub.id);
+
+        const map = createPluginMap(stub.id);
+        expect(map.name).toBe('Sub Plug-in');
+
+        expect(ucmDocument.enterStub(stub.id)).toBe(true);
+        expect(ucmDocument.activeMapId).toBe(map.id);
+        expect(graph.getNodesByType('start')[0].properties.name).toBe('IN1');
+        expect(ucmDocument.getNavigationPath().map(p => p.name)).toEqual(['Main', 'Sub Plug-in']);
+
+        ucmDocument.exitStub();
+        expect(ucmDocument.activeMapId).toBe(ucmDocument.rootMapId);
+        expect(graph.getNode(stub.id).properties.plugins[0].mapId).toBe(map.id);
+    });
+
+    test('should keep edits made inside a plug-in map', () => {
+        const stub = graph.addNode('stub', { name: 'Sub', x: 100, y: 0 });
+        const map = createPluginMap(stub.id);
+
+        ucmDocument.enterStub(stub.id);
+        graph.addNode('responsibility', { name: 'Added', x: 50, y: 50 });
+        ucmDocument.exitStub();
+
+        const pluginGraph = ucmDocument.getMapGraph(map.id);
+        expect(pluginGraph.getAllNodes().map(n => n.properties.name)).toContain('Added');
+    });
+
+    test('should round-trip through JSON', () => {
+        const stub = graph.addNode('stub', { name: 'Sub', x: 100, y: 0 });
+        createPluginMap(stub.id);
+
+        const json = JSON.parse(JSON.stringify(ucmDocument.toJSON()));
+        ucmDocument.reset();
+        graph.clear();
+        ucmDocument.fromJSON(json);
+
+        expect(ucmDocument.getAllMaps()).toHaveLength(2);
+        expect(graph.getNodesByType('stub')).toHaveLength(1);
+    });
+});
+
+describe('Stub traversal', () => {
+    let stub;
+    let start;
+
+    beforeEach(() => {
+        ucmDocument.reset();
+        graph.clear();
+        scenarioManager.clear();
+
+        start = graph.addNode('start', { name: 'Order', x: 0, y: 0 });
+        stub = graph.addNode('stub', { name: 'Pay', x: 100, y: 0, stubType: 'dynamic', plugins: [] });
+        const end = graph.addNode('end', { name: 'Ship', x: 200, y: 0 });
+        graph.addEdge(start.id, stub.id);
+        graph.addEdge(stub.id, end.id);
+    });
+
+    test('should traverse through the selected plug-in and continue after the stub', () => {
+        const card = ucmDocument.addMap('Card', buildPluginData('Charge'));
+        const cash = ucmDocument.addMap('Cash', buildPluginData('Collect'));
+        addPlugin(stub.id, card.id, 'card');
+        addPlugin(stub.id, cash.id);
+        autoBind(stub.id, 0);
+        autoBind(stub.id, 1);
+
+        const scenario = scenarioManager.createScenario({ startNodeId: start.id, variables: { card: false } });
+        const result = scenarioManager.executeScenario(scenario.id);
+
+        expect(result.success).toBe(true);
+        expect(scenario.stubTraversals).toHaveLength(1);
+        expect(scenario.stubTraversals[0].mapId).toBe(cash.id);
+        expect(scenario.reachedEndNodes).toHaveLength(1);
+        expect(graph.getNode(scenario.reachedEndNodes[0]).properties.name).toBe('Ship');
+
+        scenarioManager.updateScenario(scenario.id, { variables: { card: true } });
+        scenarioManager.executeScenario(scenario.id);
+        expect(scenario.stubTraversals[0].mapId).toBe(card.id);
+    });
+
+    test('should report stubs without plug-ins', () => {
+        const scenario = scenarioManager.createScenario({ startNodeId: start.id });
+        const result = scenarioManager.executeScenario(scenario.id);
+
+        expect(result.success).toBe(false);
+        expect(scenario.errors[0]).toContain('No plug-in selected');
+    });
+
+    test('validator should warn about stubs without plug-ins', () => {
+        const result = new UCMValidator().validate(graph, ucmDocument);
+        expect(result.warnings.some(w => w.type === 'stub_no_plugin')).toBe(true);
+    });
+});
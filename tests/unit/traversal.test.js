@@ -0,0 +1,277 @@
+/**
+ * Unit tests for the token-based traversal engine
+ */
+import { graph } from '../../js/core/graph.js';
+import { ucmDocument } from '../../js/core/document.js';
+import { parser } from '../../js/core/parser.js';
+import { scenarioManager } from '../../js/core/scenario.js';
+import { UCMValidator } from '../../js/core/validator.js';
+import { TraversalEngine, parseDuration } from '../../js/core/traversal.js';
+
+const PARALLEL = `ucm "Parallel"
+start Order at (0, 100)
+fork Split at (100, 100) with forkType=and
+responsibility Pack at (200, 50)
+responsibility Bill at (200, 150)
+join Sync at (300, 100) with joinType=and
+end Done at (400, 100)
+link Order -> Split
+link Split -> Pack
+link Split -> Bill
+link Pack -> Sync
+link Bill -> Sync
+link Sync -> Done`;
+
+const LOOP = `ucm "Loop"
+start Begin at (0, 100)
+join Again at (100, 100)
+responsibility Work at (200, 100)
+fork More at (300, 100)
+end Finished at (400, 100)
+link Begin -> Again
+link Again -> Work
+link Work -> More
+link More -> Again [guard: "busy"]
+link More -> Finished [guard: "!busy"]`;
+
+const TIMER = `ucm "Timeout"
+start Request at (0, 100)
+timer Wait at (100, 100) with timeout="2s"
+start Reply at (100, 0)
+end Answered at (200, 50)
+end TimedOut at (200, 150)
+link Request -> Wait
+link Reply -> Wait
+link Wait -> Answered
+link Wait -> TimedOut`;
+
+const RETRY = `ucm "Retry"
+variable retries : integer
+variable approved : boolean
+start Submit at (0, 100)
+join Again at (100, 100)
+responsibility Attempt at (200, 100) with code="retries = retries + 1; approved = retries >= 3"
+fork Check at (300, 100)
+end Approved at (400, 100)
+link Submit -> Again
+link Again -> Attempt
+link Attempt -> Check
+link Check -> Again [guard: "!approved"]
+link Check -> Approved [guard: "approved"]`;
+
+const load = (text) => parser.parseDocument(text, ucmDocument, { replace: true });
+const nodeId = (name) => graph.getAllNodes().find(n => n.properties.name === name).id;
+const nameOf = (id) => graph.getNode(id).properties.name;
+
+const run = (startName, options = {}, scenario = {}) => {
+    const engine = new TraversalEngine({
+        document: ucmDocument,
+        evaluate: (condition, variables) => scenarioManager.evaluateCondition(condition, variables),
+        ...options
+    });
+    return engine.run({
+        mapId: ucmDocument.activeMapId,
+        startNodeId: nodeId(startName),
+        variables: {},
+        conditions: {},
+        ...scenario
+    });
+};
+
+describe('TraversalEngine', () => {
+    beforeEach(() => {
+        ucmDocument.reset();
+        graph.clear();
+        scenarioManager.clear();
+    });
+
+    test('should synchronize an AND-join once every branch arrived', () => {
+        load(PARALLEL);
+        const result = run('Order');
+
+        expect(result.errors).toEqual([]);
+        expect(result.reachedEnds.map(nameOf)).toEqual(['Done']);
+
+        const atSync = result.trace.filter(e => e.nodeId === nodeId('Sync'));
+        expect(atSync.map(e => e.event)).toEqual(['visit', 'wait', 'visit', 'sync']);
+        // The branches run as two tokens
+        expect(new Set(atSync.map(e => e.token)).size).toBe(2);
+    });
+
+    test('should report an AND-join that never synchronizes', () => {
+        load(PARALLEL.replace('forkType=and', 'forkType=or'));
+        const result = run('Order');
+
+        expect(result.success).toBe(false);
+        expect(result.reachedEnds).toEqual([]);
+        expect(result.errors[0]).toContain('AND-join Sync never synchronized');
+        expect(result.errors[0]).toContain('1 of 2');
+    });
+
+    test('should produce the same trace on every run', () => {
+        load(PARALLEL);
+        const strip = (trace) => trace.map(({ step, token, nodeId: id, event }) => [step, token, id, event]);
+        expect(strip(run('Order').trace)).toEqual(strip(run('Order').trace));
+    });
+
+    test('should follow loops and stop at the loop bound', () => {
+        load(LOOP);
+        expect(run('Begin', {}, { variables: { busy: false } }).reachedEnds.map(nameOf)).toEqual(['Finished']);
+
+        const result = run('Begin', { maxVisits: 5 }, { variables: { busy: true } });
+        expect(result.success).toBe(false);
+        expect(result.errors).toEqual(['Loop limit reached at node: Again (more than 5 visits)']);
+        expect(result.trace.filter(e => e.nodeId === nodeId('Work') && e.event === 'visit')).toHaveLength(5);
+    });
+
+    test('should report an OR-fork without a true branch', () => {
+        load(LOOP);
+        const result = run('Begin', {}, { conditions: { 'More->Again': 'false', 'More->Finished': 'false' } });
+        expect(result.errors).toEqual(['No branch of More is true']);
+    });
+
+    test('should warn when several OR branches are true', () => {
+        load(PARALLEL.replace('forkType=and', 'forkType=or').replace('joinType=and', 'joinType=or'));
+        const result = run('Order', {}, { conditions: { 'Split->Pack': 'true', 'Split->Bill': 'true' } });
+
+        expect(result.success).toBe(true);
+        expect(result.warnings[0]).toContain('Several branches of Split are true');
+        expect(result.path.nodes.map(nameOf)).toEqual(['Order', 'Split', 'Pack', 'Sync', 'Done']);
+    });
+
+    test('should release a timer by its timeout on the timeout path', () => {
+        load(TIMER);
+        const result = run('Request');
+
+        expect(result.reachedEnds.map(nameOf)).toEqual(['TimedOut']);
+        const timeout = result.trace.find(e => e.event === 'timeout');
+        expect(timeout.time).toBe(2000);
+    });
+
+    test('should release a timer by a token on its trigger path', () => {
+        load(TIMER);
+        const engine = new TraversalEngine({ document: ucmDocument, evaluate: () => true });
+        engine.start({ mapId: ucmDocument.activeMapId, startNodeId: nodeId('Request'), variables: {}, conditions: {} });
+        // A second start point sends the trigger
+        engine.schedule(0, { token: engine.newToken(engine.root), nodeId: nodeId('Reply'), edgeId: null });
+        while (engine.step() !== null);
+
+        const result = engine.result();
+        expect(result.errors).toEqual([]);
+        expect(result.reachedEnds.map(nameOf)).toEqual(['Answered']);
+        expect(result.trace.some(e => e.event === 'trigger')).toBe(true);
+        expect(result.trace.some(e => e.event === 'timeout')).toBe(false);
+    });
+
+    test('should stop a token at a guard that cannot be evaluated', () => {
+        load(LOOP);
+        const result = run('Begin', {}, { variables: { busy: 1 } });
+
+        expect(result.errors).toEqual([
+            'Guard "busy" of More->Again: Condition "busy" is integer, not boolean',
+            'Guard "!busy" of More->Finished: "!" needs booleans but got integer'
+        ]);
+        expect(result.reachedEnds).toEqual([]);
+    });
+
+    test('should warn about unknown variables on branches that are not taken', () => {
+        load(LOOP);
+        const result = run('Begin', {}, { variables: { busy: false }, conditions: { 'More->Again': 'busy && retry' } });
+
+        expect(result.success).toBe(true);
+        expect(result.warnings).toEqual(['Guard "busy && retry" of More->Again: Unknown variable "retry"']);
+    });
+
+    test('should check pre- and postconditions', () => {
+        load(LOOP);
+        graph.updateNode(nodeId('Begin'), { properties: { precondition: 'busy' } });
+        expect(run('Begin', {}, { variables: { busy: false } }).errors)
+            .toEqual(['Precondition of Begin does not hold: busy']);
+
+        graph.updateNode(nodeId('Begin'), { properties: { precondition: '' } });
+        graph.updateNode(nodeId('Finished'), { properties: { postcondition: 'busy' } });
+        const result = run('Begin', {}, { variables: { busy: false } });
+        expect(result.errors).toEqual(['Postcondition of Finished does not hold: busy']);
+        expect(result.reachedEnds).toEqual([]);
+    });
+
+    test('should stop after the step limit', () => {
+        load(LOOP);
+        const result = run('Begin', { maxSteps: 10 }, { variables: { busy: true } });
+        expect(result.errors).toEqual(['Traversal stopped after 10 steps']);
+    });
+
+    test('should store the trace on the scenario', () => {
+        load(PARALLEL);
+        const scenario = scenarioManager.createScenario({ startNodeId: nodeId('Order') });
+        const result = scenarioManager.executeScenario(scenario.id);
+
+        expect(result.success).toBe(true);
+        expect(scenario.trace).toBe(result.trace);
+        expect(scenario.traversedNodes.map(nameOf)).toEqual(['Order', 'Split', 'Pack', 'Bill', 'Sync', 'Sync', 'Done']);
+    });
+});
+
+describe('Responsibility code', () => {
+    beforeEach(() => {
+        ucmDocument.reset();
+        graph.clear();
+        scenarioManager.clear();
+    });
+
+    test('should update variables that later guards see', () => {
+        load(RETRY);
+        const result = run('Submit');
+
+        expect(result.errors).toEqual([]);
+        expect(result.reachedEnds.map(nameOf)).toEqual(['Approved']);
+        expect(result.variables).toEqual({ retries: 3, approved: true });
+        expect(result.trace.filter(e => e.event === 'update').map(e => e.changes)).toEqual([
+            { retries: 1, approved: false },
+            { retries: 2, approved: false },
+            { retries: 3, approved: true }
+        ]);
+    });
+
+    test('should snapshot the variables after every step', () => {
+        load(RETRY);
+        const result = run('Submit', {}, { variables: { retries: 2 } });
+
+        expect(result.snapshots[0]).toEqual({ step: 0, time: 0, variables: { retries: 2, approved: false } });
+        expect(result.snapshots).toHaveLength(result.trace[result.trace.length - 1].step + 1);
+        const atAttempt = result.trace.find(e => e.event === 'update').step;
+        expect(result.snapshots[atAttempt].variables).toEqual({ retries: 3, approved: true });
+    });
+
+    test('should stop the token when the code fails', () => {
+        load(RETRY.replace('approved = retries >= 3', 'approved = retries'));
+        const result = run('Submit');
+
+        expect(result.warnings).toEqual(['Code of Attempt: Cannot assign integer to approved (boolean)']);
+        expect(result.errors).toEqual(['Code of Attempt: Cannot assign integer to approved (boolean)']);
+        expect(result.reachedEnds).toEqual([]);
+        expect(result.variables).toEqual({ retries: 0, approved: false });
+    });
+
+    test('should report invalid code in the DSL and the validator', () => {
+        const parsed = parser.parseDocument(RETRY.replace('retries = retries + 1;', 'retries + 1;'), ucmDocument, { replace: true });
+        expect(parsed.errors.map(e => e.message)).toEqual([
+            'Invalid code "retries + 1; approved = retries >= 3": Expected "=" after retries but found "+"'
+        ]);
+
+        load(RETRY.replace('retries = retries + 1', 'tries = retries + 1'));
+        const validation = new UCMValidator().validate(graph, ucmDocument);
+        expect(validation.warnings.filter(w => w.type === 'undeclared_variable').map(w => w.message))
+            .toEqual(['Code of "Attempt" uses undeclared variable "tries"']);
+    });
+});
+
+describe('parseDuration', () => {
+    test('should read plain and unit durations', () => {
+        expect(parseDuration('250')).toBe(250);
+        expect(parseDuration('2s')).toBe(2000);
+        expect(parseDuration('1.5 min')).toBe(90000);
+        expect(parseDuration('')).toBeNull();
+        expect(parseDuration('soon')).toBeNaN();
+    });
+});
@@ -0,0 +1,146 @@
+/**
+ * Unit tests for typed variable declarations
+ */
+import { graph, UCMGraph } from '../../js/core/graph.js';
+import { ucmDocument } from '../../js/core/document.js';
+import { parser } from '../../js/core/parser.js';
+import { serializer } from '../../js/core/serializer.js';
+import { scenarioManager } from '../../js/core/scenario.js';
+import { UCMValidator } from '../../js/core/validator.js';
+import { createVariable, checkDeclaration } from '../../js/core/variables.js';
+
+const MAP_DSL = `ucm "Orders"
+variable paid : boolean
+variable attempts : integer = 2
+variable method : enum { card, cash, "bank transfer" } = cash
+start Order at (0, 100)
+fork Check at (100, 100)
+end Shipped at (200, 50)
+end Held at (200, 150)
+link Order -> Check
+link Check -> Shipped [guard: "paid && method == \\"card\\""]
+link Check -> Held [guard: "!paid || method != \\"card\\""]`;
+
+const load = (text) => parser.parseDocument(text, ucmDocument);
+const byName = (name) => scenarioManager.getAllScenarios().find(s => s.name === name);
+const nodeName = (id) => graph.getNode(id).properties.name;
+
+describe('Variable declarations', () => {
+    beforeEach(() => {
+        ucmDocument.reset();
+        graph.clear();
+        scenarioManager.clear();
+    });
+
+    test('should declare typed variables with default initial values', () => {
+        const result = load(MAP_DSL);
+
+        expect(result.errors).toEqual([]);
+        expect(graph.getAllVariables()).toEqual([
+            { name: 'paid', type: 'boolean', values: [], initial: false },
+            { name: 'attempts', type: 'integer', values: [], initial: 2 },
+            { name: 'method', type: 'enum', values: ['card', 'cash', 'bank transfer'], initial: 'cash' }
+        ]);
+        expect(result.operations.filter(op => op.op === 'variable:added').map(op => op.id))
+            .toEqual(['paid', 'attempts', 'method']);
+    });
+
+    test('should round-trip through the DSL and JSON', () => {
+        load(MAP_DSL);
+        const text = serializer.serializeDocument(ucmDocument);
+        expect(text).toContain('variable paid : boolean\n');
+        expect(text).toContain('variable method : enum { card, cash, "bank transfer" } = cash');
+
+        const again = load(text);
+        expect(again.operations).toEqual([]);
+
+        const copy = new UCMGraph();
+        copy.fromJSON(JSON.parse(JSON.stringify(graph.toJSON())));
+        expect(copy.getAllVariables()).toEqual(graph.getAllVariables());
+    });
+
+    test('should update and remove declarations on edit', () => {
+        load(MAP_DSL);
+        const edited = MAP_DSL
+            .replace('variable attempts : integer = 2\n', '')
+            .replace('variable paid : boolean', 'variable paid : boolean = true');
+        const result = load(edited);
+
+        expect(result.operations.map(op => `${op.op} ${op.id}`))
+            .toEqual(expect.arrayContaining(['variable:updated paid', 'variable:removed attempts']));
+        expect(graph.getVariable('paid').initial).toBe(true);
+        expect(graph.getVariable('attempts')).toBeUndefined();
+    });
+
+    test.each([
+        ['variable x : float', 'Expected a variable type (boolean, integer, enum) but found "float"'],
+        ['variable x : integer = yes', 'x is integer - expected a whole number, not "yes"'],
+        ['variable x : enum { a, b } = c', 'x is one of a, b - not "c"'],
+        ['variable x : enum { a, a }', 'Enumeration x lists "a" twice']
+    ])('should reject %s', (line, message) => {
+        const result = load(line);
+        expect(result.errors.map(e => e.message)).toEqual([message]);
+    });
+
+    test('should check a declaration on its own', () => {
+        expect(checkDeclaration(createVariable({ name: 'ok', type: 'integer' }))).toBeNull();
+        expect(checkDeclaration(createVariable({ name: '1st', type: 'boolean' })))
+            .toBe('Invalid variable name "1st" (letters, digits and _ only)');
+    });
+});
+
+describe('Scenario variables', () => {
+    beforeEach(() => {
+        ucmDocument.reset();
+        graph.clear();
+        scenarioManager.clear();
+    });
+
+    test('should start from the initial values and override only what the scenario sets', () => {
+        load(`${MAP_DSL}
+scenario "Default" from Order
+scenario "Card" from Order { var paid = true; var method = card }`);
+
+        scenarioManager.executeScenario(byName('Default').id);
+        expect(byName('Default').reachedEndNodes.map(nodeName)).toEqual(['Held']);
+
+        const result = scenarioManager.executeScenario(byName('Card').id);
+        expect(result.errors).toEqual([]);
+        expect(result.variables).toEqual({ paid: true, attempts: 2, method: 'card' });
+        expect(byName('Card').reachedEndNodes.map(nodeName)).toEqual(['Shipped']);
+    });
+
+    test('should reject undeclared variables and values of the wrong type', () => {
+        const result = load(`${MAP_DSL}
+scenario "Bad" from Order { var paid = 1; var retries = 3 }`);
+
+        expect(result.errors.map(e => e.message)).toEqual([
+            'paid is boolean - expected true or false, not 1',
+            'Scenario "Bad" sets undeclared variable "retries"'
+        ]);
+    });
+});
+
+describe('Condition validation', () => {
+    beforeEach(() => {
+        ucmDocument.reset();
+        graph.clear();
+    });
+
+    test('should flag undeclared variables and mismatched types in guards', () => {
+        load(MAP_DSL.replace('method == \\"card\\"', 'retries > 1').replace('!paid', 'attempts'));
+        const result = new UCMValidator().validate(graph, ucmDocument);
+
+        expect(result.warnings.filter(w => w.type === 'undeclared_variable').map(w => w.message))
+            .toEqual(['Guard of Check -> Shipped uses undeclared variable "retries"']);
+        expect(result.errors.filter(e => e.type === 'invalid_condition').map(e => e.message))
+            .toEqual(['Guard of Check -> Held: "||" needs booleans but got integer']);
+    });
+
+    test('should accept guards over declared variables', () => {
+        load(MAP_DSL);
+        const result = new UCMValidator().validate(graph, ucmDocument);
+        expect(result.warnings.filter(w => w.type === 'undeclared_variable')).toEqual([]);
+        expect(result.errors.filter(e => e.type === 'invalid_condition')).toEqual([]);
+    });
+});